@@ -48,12 +48,55 @@ const config = {
 
   // AI service configuration
   ai: {
-    provider: process.env.AI_PROVIDER || 'openai',
+    provider: process.env.AI_PROVIDER || 'openai', // 'openai', 'azure', 'anthropic', 'local' or 'mock'
+    temperature: parseFloat(process.env.AI_TEMPERATURE || process.env.OPENAI_TEMPERATURE || '0.7'),
+    maxTokens: parseInt(process.env.AI_MAX_TOKENS || process.env.OPENAI_MAX_TOKENS || '2000', 10),
+    // Structured extraction asks again, with the problems found, when a reply does not match the fields
+    extraction: {
+      maxAttempts: Math.max(parseInt(process.env.AI_EXTRACTION_MAX_ATTEMPTS || '3', 10), 1)
+    },
+    // Classification labels below the threshold are set aside; with none left the outcome is 'unknown'
+    classification: {
+      threshold: parseFloat(process.env.AI_CLASSIFICATION_THRESHOLD || '0.5'),
+      maxAttempts: Math.max(parseInt(process.env.AI_CLASSIFICATION_MAX_ATTEMPTS || '3', 10), 1)
+    },
+    // Model for each operation, in place of the provider's default model (a deployment name on Azure)
+    models: {
+      generate: process.env.AI_MODEL_GENERATE || '',
+      polish: process.env.AI_MODEL_POLISH || '',
+      analyze: process.env.AI_MODEL_ANALYZE || '',
+      extract: process.env.AI_MODEL_EXTRACT || '',
+      summarize: process.env.AI_MODEL_SUMMARIZE || '',
+      respond: process.env.AI_MODEL_RESPOND || '',
+      classify: process.env.AI_MODEL_CLASSIFY || ''
+    },
     openai: {
       apiKey: process.env.OPENAI_API_KEY || '',
-      model: process.env.OPENAI_MODEL || 'gpt-4',
-      temperature: parseFloat(process.env.OPENAI_TEMPERATURE || '0.7'),
-      maxTokens: parseInt(process.env.OPENAI_MAX_TOKENS || '2000', 10)
+      baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+      model: process.env.OPENAI_MODEL || 'gpt-4'
+    },
+    azure: {
+      apiKey: process.env.AZURE_OPENAI_API_KEY || '',
+      endpoint: process.env.AZURE_OPENAI_ENDPOINT || '', // e.g. https://my-resource.openai.azure.com
+      deployment: process.env.AZURE_OPENAI_DEPLOYMENT || '',
+      apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-10-21'
+    },
+    anthropic: {
+      apiKey: process.env.ANTHROPIC_API_KEY || '',
+      baseUrl: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com/v1',
+      model: process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-latest',
+      version: process.env.ANTHROPIC_VERSION || '2023-06-01'
+    },
+    // Self-hosted server with an OpenAI-compatible API, such as Ollama or the llama.cpp server
+    local: {
+      baseUrl: process.env.LOCAL_AI_BASE_URL || 'http://localhost:11434/v1',
+      apiKey: process.env.LOCAL_AI_API_KEY || '',
+      model: process.env.LOCAL_AI_MODEL || ''
+    },
+    // Offline, deterministic responses for development and tests
+    mock: {
+      model: process.env.AI_MOCK_MODEL || 'mock-model',
+      fixtures: process.env.AI_MOCK_FIXTURES || '' // path to a JSON file of responses by operation
     }
   },
 
@@ -72,7 +115,7 @@ const config = {
 
   // Storage configuration
   storage: {
-    type: process.env.STORAGE_TYPE || 'local', // 'local', 's3', etc.
+    type: process.env.STORAGE_TYPE || 'local', // 'local', 'memory' or 's3'
     local: {
       uploadDir: process.env.UPLOAD_DIR || './uploads'
     },
@@ -80,10 +123,44 @@ const config = {
       bucket: process.env.S3_BUCKET || '',
       region: process.env.S3_REGION || 'us-east-1',
       accessKeyId: process.env.S3_ACCESS_KEY_ID || '',
-      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || ''
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || '',
+      endpoint: process.env.S3_ENDPOINT || '', // e.g. http://localhost:9000 for MinIO
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
     }
   },
 
+  // Branding applied to generated PDFs
+  branding: {
+    organizationName: process.env.BRAND_ORGANIZATION_NAME || 'CaseWrite',
+    primaryColor: process.env.BRAND_PRIMARY_COLOR || '#1F4E79',
+    logoPath: process.env.BRAND_LOGO_PATH || '', // PNG or JPEG shown in the page header
+    footerText: process.env.BRAND_FOOTER_TEXT || '',
+    fontPath: process.env.BRAND_FONT_PATH || '', // TrueType font, needed for text outside Latin-1
+    boldFontPath: process.env.BRAND_BOLD_FONT_PATH || ''
+  },
+
+  // Document previews
+  preview: {
+    thumbnailSizes: process.env.PREVIEW_THUMBNAIL_SIZES || 'small:160,medium:320,large:640', // name:width in pixels
+    defaultSize: process.env.PREVIEW_DEFAULT_SIZE || 'medium'
+  },
+
+  // OCR for scanned documents and images
+  ocr: {
+    languages: process.env.OCR_LANGUAGES || 'eng', // Tesseract language codes joined with '+', e.g. 'eng+fra'
+    langPath: process.env.OCR_LANG_PATH || '', // Directory of <code>.traineddata files; bundled English data if empty
+    dpi: parseInt(process.env.OCR_DPI || '300', 10), // Resolution PDF pages are rendered at for OCR
+    deskew: process.env.OCR_DESKEW !== 'false',
+    detectRotation: process.env.OCR_DETECT_ROTATION !== 'false'
+  },
+
+  // Document signing
+  signing: {
+    keystorePath: process.env.SIGNING_KEYSTORE_PATH || '', // PKCS#12 file with the organization's key and certificate
+    keystorePassword: process.env.SIGNING_KEYSTORE_PASSWORD || '',
+    trustedCertificatesPath: process.env.SIGNING_TRUSTED_CERTIFICATES_PATH || '' // PEM bundle of further trusted certificates
+  },
+
   // Logging configuration
   logging: {
     level: process.env.LOG_LEVEL || 'info',
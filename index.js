@@ -10,6 +10,10 @@ const config = require('./config');
 // Import service routes
 const integrationRoutes = require('./services/integration/routes');
 const aiServiceRoutes = require('./services/ai-service/routes');
+const taxonomyRoutes = require('./services/ai-service/taxonomyRoutes');
+const documentRoutes = require('./services/document-service/routes');
+const templateRoutes = require('./services/template-service/routes');
+const clauseRoutes = require('./services/template-service/clauseRoutes');
 const webhookRoutes = require('./src/api/webhookRoutes');
 
 // Initialize logger
@@ -51,7 +55,11 @@ app.use((req, res, next) => {
 
 // API routes
 app.use('/api/integration', integrationRoutes);
+app.use('/api/ai/taxonomies', taxonomyRoutes);
 app.use('/api/ai', aiServiceRoutes);
+app.use('/api/documents', documentRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/clauses', clauseRoutes);
 app.use('/api/webhooks', webhookRoutes);
 
 // Health check endpoint
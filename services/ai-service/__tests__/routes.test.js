@@ -0,0 +1,229 @@
+/**
+ * AI Service Routes
+ * Exercises the /api/ai routes against the offline mock provider
+ */
+
+process.env.AI_PROVIDER = 'mock';
+
+const express = require('express');
+const request = require('supertest');
+const aiRoutes = require('../routes');
+const aiService = require('../service');
+const documentService = require('../../document-service/service');
+
+const DOCUMENT_ID = '5b1c2a8e-3f4d-4e6a-9b7c-1d2e3f4a5b6c';
+const DOCUMENT_TEXT = 'Employee: Jane Doe\nStart date: 2024-03-01\nThis invoice covers relocation costs.';
+
+const app = express();
+app.use(express.json());
+app.use('/api/ai', aiRoutes);
+
+/**
+ * Read the events of a Server-Sent Events body
+ * @param {string} text - Response body
+ * @returns {Array<Object>} Events: { event, data }
+ */
+function readEvents(text) {
+  return text.split('\n\n').filter(Boolean).map(block => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.replace('event: ', ''), data: JSON.parse(dataLine.replace('data: ', '')) };
+  });
+}
+
+describe('AI routes with the mock provider', () => {
+  beforeEach(() => {
+    aiService.adapter.reset();
+    // Stored documents are read through the document service; only their text is needed here
+    jest.spyOn(documentService, 'extractText').mockImplementation(async documentId => (
+      documentId === DOCUMENT_ID ? { documentId, text: DOCUMENT_TEXT } : null
+    ));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('GET /status reports the mock provider', async () => {
+    const res = await request(app).get('/api/ai/status');
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('operational');
+    expect(res.body.provider).toBe('mock');
+    expect(res.body.model).toBe('mock-model');
+  });
+
+  test('GET /models lists the mock model', async () => {
+    const res = await request(app).get('/api/ai/models');
+
+    expect(res.status).toBe(200);
+    expect(res.body.models.map(model => model.id)).toEqual(['mock-model']);
+  });
+
+  test('POST /generate-document writes the context into the built-in fixture', async () => {
+    const res = await request(app)
+      .post('/api/ai/generate-document')
+      .send({ documentType: 'letter', context: { name: 'Ann' } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.content).toMatch(/^MOCK DOCUMENT/);
+    expect(res.body.content).toContain('"name": "Ann"');
+    expect(res.body.metadata.provider).toBe('mock');
+    expect(res.body.metadata.usage.total_tokens).toBeGreaterThan(0);
+  });
+
+  test('POST /summarize-document gives the same summary for the same document', async () => {
+    const first = await request(app).post('/api/ai/summarize-document').send({ documentContent: 'The quick brown fox.' });
+    const second = await request(app).post('/api/ai/summarize-document').send({ documentContent: 'The quick brown fox.' });
+
+    expect(first.status).toBe(200);
+    expect(first.body.summary).toMatch(/^Mock summary: The quick brown fox\. \[[0-9a-f]{12}\]$/);
+    expect(second.body.summary).toBe(first.body.summary);
+  });
+
+  test('POST /summarize-document reads a stored document by ID', async () => {
+    const res = await request(app).post('/api/ai/summarize-document').send({ documentId: DOCUMENT_ID });
+
+    expect(res.status).toBe(200);
+    expect(res.body.documentId).toBe(DOCUMENT_ID);
+    expect(res.body.summary).toContain('Employee: Jane Doe');
+    expect(documentService.extractText).toHaveBeenCalledWith(DOCUMENT_ID);
+  });
+
+  test('POST /summarize-document returns 404 for an unknown document', async () => {
+    const res = await request(app)
+      .post('/api/ai/summarize-document')
+      .send({ documentId: '00000000-0000-4000-8000-000000000000' });
+
+    expect(res.status).toBe(404);
+    expect(aiService.adapter.recorded()).toEqual([]);
+  });
+
+  test('POST /generate-response uses a configured fixture with placeholders', async () => {
+    aiService.adapter.useFixtures({ respond: 'Answer to {{input}}' });
+
+    try {
+      const res = await request(app).post('/api/ai/generate-response').send({ query: 'When is payday?' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.response).toBe('Answer to When is payday?');
+      expect(res.body.query).toBe('When is payday?');
+    } finally {
+      aiService.adapter.useFixtures({ respond: undefined });
+    }
+  });
+
+  test('POST /classify-document picks the fixture whose match the prompt contains', async () => {
+    aiService.adapter.useFixtures({
+      classify: [
+        { match: 'invoice', content: '{"labels":[{"category":"finance","confidence":0.9,"rationale":"It is an invoice"}]}' },
+        { content: '{"labels":[]}' }
+      ]
+    });
+
+    try {
+      const invoice = await request(app)
+        .post('/api/ai/classify-document')
+        .send({ documentContent: 'Invoice #4', categories: ['finance', 'hr'] });
+      const other = await request(app)
+        .post('/api/ai/classify-document')
+        .send({ documentContent: 'Hello', categories: ['finance', 'hr'] });
+
+      expect(invoice.status).toBe(200);
+      expect(invoice.body.classification).toBe('finance');
+      expect(invoice.body.labels).toEqual([{ category: 'finance', confidence: 0.9, rationale: 'It is an invoice' }]);
+      expect(other.status).toBe(200);
+      expect(other.body.classification).toBe('unknown');
+      expect(other.body.unknown).toBe(true);
+    } finally {
+      aiService.adapter.useFixtures({ classify: undefined });
+    }
+  });
+
+  test('POST /classify-document classifies a stored document by ID', async () => {
+    aiService.adapter.useFixtures({
+      classify: [{ match: 'invoice', content: '{"labels":[{"category":"finance","confidence":0.8,"rationale":"An invoice"}]}' }]
+    });
+
+    try {
+      const res = await request(app)
+        .post('/api/ai/classify-document')
+        .send({ documentId: DOCUMENT_ID, categories: ['finance', 'hr'] });
+
+      expect(res.status).toBe(200);
+      expect(res.body.documentId).toBe(DOCUMENT_ID);
+      expect(res.body.classification).toBe('finance');
+    } finally {
+      aiService.adapter.useFixtures({ classify: undefined });
+    }
+  });
+
+  test('POST /classify-document rejects a reply with an unknown category', async () => {
+    aiService.adapter.useFixtures({ classify: '{"labels":[{"category":"legal","confidence":0.9,"rationale":"?"}]}' });
+
+    try {
+      const res = await request(app)
+        .post('/api/ai/classify-document')
+        .send({ documentContent: 'Hello', categories: ['finance', 'hr'] });
+
+      expect(res.status).toBe(422);
+      expect(res.body.error.validationErrors.length).toBeGreaterThan(0);
+    } finally {
+      aiService.adapter.useFixtures({ classify: undefined });
+    }
+  });
+
+  test('POST /extract-information answers JSON requests following the schema', async () => {
+    const res = await request(app)
+      .post('/api/ai/extract-information')
+      .send({
+        documentContent: 'Employee: Jane Doe\nStart date: 2024-03-01',
+        fields: [
+          { name: 'employee', type: 'string', required: true },
+          { name: 'startDate', type: 'date' }
+        ]
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.body.information).toEqual({ employee: 'Jane Doe', startDate: '2024-03-01' });
+    expect(res.body.evidence.employee.source).toEqual({ text: 'Jane Doe', start: 10, end: 18 });
+  });
+
+  test('POST /extract-information reads a stored document by ID', async () => {
+    const res = await request(app)
+      .post('/api/ai/extract-information')
+      .send({ documentId: DOCUMENT_ID, fields: [{ name: 'employee', type: 'string', required: true }] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.documentId).toBe(DOCUMENT_ID);
+    expect(res.body.information).toEqual({ employee: 'Jane Doe' });
+    expect(res.body.evidence.employee.source).toEqual({ text: 'Jane Doe', start: 10, end: 18 });
+  });
+
+  test('POST /generate-response/stream sends tokens then the result', async () => {
+    const res = await request(app).post('/api/ai/generate-response/stream').send({ query: 'why?' });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/event-stream/);
+
+    const events = readEvents(res.text);
+    const tokens = events.filter(event => event.event === 'token').map(event => event.data.content);
+    const done = events[events.length - 1];
+    expect(tokens.join('')).toBe('Mock response to: why?');
+    expect(done.event).toBe('done');
+    expect(done.data.response).toBe('Mock response to: why?');
+  });
+
+  test('the mock provider records the requests it receives', async () => {
+    await request(app).post('/api/ai/summarize-document').send({ documentContent: 'First document.' });
+    await request(app).post('/api/ai/generate-response').send({ query: 'why?' });
+
+    const summaries = aiService.adapter.recorded('summarize');
+    expect(summaries).toHaveLength(1);
+    expect(summaries[0]).toMatchObject({ sequence: 1, operation: 'summarize', model: 'mock-model' });
+    expect(summaries[0].messages[1].content).toContain('First document.');
+    expect(aiService.adapter.recorded()).toHaveLength(2);
+
+    aiService.adapter.reset();
+    expect(aiService.adapter.recorded()).toEqual([]);
+  });
+});
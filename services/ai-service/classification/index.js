@@ -0,0 +1,185 @@
+/**
+ * Structured Classification
+ * Asks the model which of a set of categories a document belongs to, as JSON with a confidence
+ * and short rationale for each, and checks the reply only uses those categories. Labels below the
+ * confidence threshold are set aside; a document with none left is classified as unknown.
+ */
+
+const { parseReply } = require('../jsonReply');
+const { createError } = require('../../errors');
+
+const UNKNOWN = 'unknown';
+const MAX_CATEGORIES = 100;
+const MAX_CATEGORY_LENGTH = 100;
+const MAX_RATIONALE_LENGTH = 500;
+
+/**
+ * Check the categories to classify into
+ * A category is a name or { name, description }; the description tells the model when it applies.
+ * @param {Array<string|Object>} categories - Categories
+ * @returns {Array<Object>} Categories: { name, description }
+ */
+function compileCategories(categories) {
+  if (!Array.isArray(categories) || categories.length === 0) {
+    throw createError('Categories must be a non-empty list', 400);
+  }
+  if (categories.length > MAX_CATEGORIES) {
+    throw createError(`Classification is limited to ${MAX_CATEGORIES} categories`, 400);
+  }
+
+  const names = new Set();
+  return categories.map((entry, index) => {
+    const category = typeof entry === 'string' ? { name: entry } : entry;
+    const fail = message => {
+      throw createError(`Category ${index + 1} ${message}`, 400);
+    };
+
+    if (!category || typeof category !== 'object' || Array.isArray(category)) {
+      fail('must be a name or an object');
+    }
+    const name = typeof category.name === 'string' ? category.name.trim() : '';
+    if (!name || name.length > MAX_CATEGORY_LENGTH) {
+      fail(`needs a "name" of 1 to ${MAX_CATEGORY_LENGTH} characters`);
+    }
+    if (name.toLowerCase() === UNKNOWN) {
+      fail(`cannot be named "${UNKNOWN}", which is the outcome when no category applies`);
+    }
+    if (names.has(name.toLowerCase())) {
+      fail(`(${name}) is listed more than once`);
+    }
+    if (category.description !== undefined && category.description !== null && typeof category.description !== 'string') {
+      fail(`(${name}) needs "description" to be a string`);
+    }
+    names.add(name.toLowerCase());
+
+    return { name, description: category.description || null };
+  });
+}
+
+/**
+ * Check a confidence threshold
+ * @param {*} threshold - Threshold
+ * @returns {number} Threshold from 0 to 1
+ */
+function checkThreshold(threshold) {
+  if (typeof threshold !== 'number' || !Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+    throw createError('Threshold must be a number from 0 to 1', 400);
+  }
+  return threshold;
+}
+
+/**
+ * JSON Schema of the reply the model is asked for
+ * @param {Array<Object>} categories - Compiled categories
+ * @returns {Object} JSON Schema: { labels: [{ category, confidence, rationale }] }
+ */
+function jsonSchema(categories) {
+  return {
+    type: 'object',
+    properties: {
+      labels: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            category: { enum: categories.map(category => category.name) },
+            confidence: { type: 'number', minimum: 0, maximum: 1 },
+            rationale: { type: 'string' }
+          },
+          required: ['category', 'confidence', 'rationale']
+        }
+      }
+    },
+    required: ['labels']
+  };
+}
+
+/**
+ * Build the messages asking for the categories of a document
+ * @param {Array<Object>} categories - Compiled categories
+ * @param {string} text - Document text
+ * @param {boolean} multiLabel - Whether the document can have several categories
+ * @returns {Array<Object>} Chat messages
+ */
+function buildMessages(categories, text, multiLabel) {
+  const systemMessage = [
+    'You are an expert in document classification.',
+    multiLabel
+      ? 'Decide which of the categories below the document belongs to; it can belong to several.'
+      : 'Decide which one of the categories below the document belongs to.',
+    'Use only these category names. Reply with one JSON object and nothing else, following this JSON Schema:',
+    JSON.stringify(jsonSchema(categories)),
+    'For each category that applies give "category", "confidence" from 0 to 1, and "rationale": one short sentence on what in the document shows it. Leave out categories that do not apply, and reply with an empty list if none do.',
+    'Categories:',
+    ...categories.map(category => `- ${category.name}${category.description ? `: ${category.description}` : ''}`)
+  ].join('\n');
+
+  return [
+    { role: 'system', content: systemMessage },
+    { role: 'user', content: `Please classify the following document:\n\n${text}` }
+  ];
+}
+
+/**
+ * Check a reply against the categories and apply the threshold
+ * @param {string} content - Reply text
+ * @param {Array<Object>} categories - Compiled categories
+ * @param {Object} options - Reading options
+ * @param {number} options.threshold - Lowest confidence a label is kept at
+ * @param {boolean} options.multiLabel - Keep every label above the threshold, not just the best
+ * @returns {Object} { labels, belowThreshold, classification, unknown, errors }, labels most confident first
+ */
+function readReply(content, categories, options) {
+  const reply = parseReply(content);
+  const entries = reply && Array.isArray(reply.labels) ? reply.labels : null;
+  if (!entries) {
+    return { errors: ['The reply is not a JSON object with a "labels" list'] };
+  }
+
+  const byName = new Map(categories.map(category => [category.name.toLowerCase(), category.name]));
+  const best = new Map();
+  const errors = [];
+
+  entries.forEach((entry, index) => {
+    const name = entry && typeof entry.category === 'string' ? byName.get(entry.category.trim().toLowerCase()) : undefined;
+    if (!name) {
+      errors.push(`labels[${index}] has category ${JSON.stringify(entry && entry.category)}, which is not one of the categories`);
+      return;
+    }
+    if (typeof entry.confidence !== 'number' || !Number.isFinite(entry.confidence)) {
+      errors.push(`labels[${index}] (${name}) needs a confidence from 0 to 1`);
+      return;
+    }
+
+    const label = {
+      category: name,
+      confidence: Math.round(Math.min(Math.max(entry.confidence, 0), 1) * 100) / 100,
+      rationale: typeof entry.rationale === 'string' ? entry.rationale.trim().slice(0, MAX_RATIONALE_LENGTH) : ''
+    };
+    // A category named twice keeps its most confident label
+    if (!best.has(name) || best.get(name).confidence < label.confidence) {
+      best.set(name, label);
+    }
+  });
+
+  const ranked = [...best.values()].sort((a, b) => b.confidence - a.confidence);
+  const kept = ranked.filter(label => label.confidence >= options.threshold);
+  const labels = options.multiLabel ? kept : kept.slice(0, 1);
+
+  return {
+    labels,
+    belowThreshold: ranked.filter(label => label.confidence < options.threshold),
+    classification: labels.length > 0 ? labels[0].category : UNKNOWN,
+    unknown: labels.length === 0,
+    errors
+  };
+}
+
+module.exports = {
+  UNKNOWN,
+  buildMessages,
+  checkThreshold,
+  compileCategories,
+  jsonSchema,
+  readReply
+};
@@ -0,0 +1,175 @@
+/**
+ * Structured Extraction
+ * Asks the model for each field as JSON, with how confident it is and the document text the value
+ * was read from, then checks the reply against the fields
+ */
+
+const { FIELD_TYPES, checkValue, compileFields } = require('./schema');
+const { parseReply } = require('../jsonReply');
+
+const MAX_SOURCE_LENGTH = 2000;
+
+/**
+ * Escape text for use inside a regular expression
+ * @param {string} text - Literal text
+ * @returns {string} Pattern source
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * JSON Schema of a field's value
+ * @param {Object} field - Compiled field
+ * @returns {Object} JSON Schema
+ */
+function valueSchema(field) {
+  return {
+    title: field.name,
+    type: [field.type === 'date' ? 'string' : field.type, 'null'],
+    ...(field.enum && { enum: [...field.enum, null] }),
+    ...(field.format && { description: `Date written as ${field.format}` })
+  };
+}
+
+/**
+ * JSON Schema of the reply the model is asked for
+ * @param {Array<Object>} fields - Compiled fields
+ * @returns {Object} JSON Schema: { fields: { <name>: { value, confidence, source } } }
+ */
+function jsonSchema(fields) {
+  return {
+    type: 'object',
+    properties: {
+      fields: {
+        type: 'object',
+        properties: Object.fromEntries(fields.map(field => [field.name, {
+          type: 'object',
+          properties: {
+            value: valueSchema(field),
+            confidence: { type: 'number', minimum: 0, maximum: 1 },
+            source: { type: ['string', 'null'] }
+          },
+          required: ['value', 'confidence', 'source']
+        }])),
+        required: fields.map(field => field.name)
+      }
+    },
+    required: ['fields']
+  };
+}
+
+/**
+ * Describe a field for the prompt
+ * @param {Object} field - Compiled field
+ * @returns {string} Field line
+ */
+function describeField(field) {
+  const traits = [
+    field.type === 'date' ? `date written as ${field.format}` : field.type,
+    field.required ? 'required' : 'optional'
+  ];
+  if (field.enum) {
+    traits.push(`one of ${field.enum.map(value => JSON.stringify(value)).join(', ')}`);
+  }
+  return `- ${field.name} (${traits.join(', ')})${field.description ? `: ${field.description}` : ''}`;
+}
+
+/**
+ * Build the messages asking for the fields of a document
+ * @param {Array<Object>} fields - Compiled fields
+ * @param {string} text - Document text
+ * @returns {Array<Object>} Chat messages
+ */
+function buildMessages(fields, text) {
+  const systemMessage = [
+    'You are an expert in extracting structured information from documents.',
+    'Reply with one JSON object and nothing else, following this JSON Schema:',
+    JSON.stringify(jsonSchema(fields)),
+    'For each field give "value" (null when the document does not state it), "confidence" from 0 to 1 that the value is right, and "source": the text of the document the value was read from, copied exactly, or null.',
+    'Fields:',
+    ...fields.map(describeField)
+  ].join('\n');
+
+  return [
+    { role: 'system', content: systemMessage },
+    { role: 'user', content: `Please extract the fields from the following document:\n\n${text}` }
+  ];
+}
+
+/**
+ * Find the text a value was read from in the document
+ * Models copying a quote often change its spacing, case or quote marks, so those are allowed to differ.
+ * @param {string} text - Document text
+ * @param {string} quote - Quoted text
+ * @returns {Object|null} Span: { text, start, end }, or null if the quote is not in the document
+ */
+function locateSource(text, quote) {
+  if (typeof quote !== 'string' || !quote.trim() || quote.length > MAX_SOURCE_LENGTH) {
+    return null;
+  }
+
+  const trimmed = quote.trim();
+  const start = text.indexOf(trimmed);
+  if (start !== -1) {
+    return { text: trimmed, start, end: start + trimmed.length };
+  }
+
+  const pattern = trimmed.split(/\s+/)
+    .map(word => escapeRegExp(word).replace(/['‘’]/g, '[\'‘’]').replace(/["“”]/g, '["“”]'))
+    .join('\\s+');
+  const match = new RegExp(pattern, 'i').exec(text);
+  return match ? { text: match[0], start: match.index, end: match.index + match[0].length } : null;
+}
+
+/**
+ * Check a reply against the fields
+ * @param {string} content - Reply text
+ * @param {Array<Object>} fields - Compiled fields
+ * @param {string} text - Document text, to find each value's source in
+ * @returns {Object} { information: { <name>: value }, evidence: { <name>: { confidence, source } }, errors }
+ */
+function readReply(content, fields, text) {
+  const reply = parseReply(content);
+  if (!reply) {
+    return { information: null, evidence: null, errors: ['The reply is not a JSON object'] };
+  }
+
+  // Accept values given directly by name as well as the { fields: { <name>: { value } } } shape asked for
+  const entries = reply.fields && typeof reply.fields === 'object' && !Array.isArray(reply.fields) ? reply.fields : reply;
+  const information = {};
+  const evidence = {};
+  const errors = [];
+
+  for (const field of fields) {
+    const entry = Object.prototype.hasOwnProperty.call(entries, field.name) ? entries[field.name] : null;
+    const detailed = !!entry && typeof entry === 'object' && !Array.isArray(entry) && 'value' in entry;
+    const raw = detailed ? entry.value : entry;
+
+    const checked = checkValue(field, raw);
+    if (checked.error) {
+      errors.push(`${field.name} ${checked.error}`);
+      continue;
+    }
+
+    const confidence = detailed && typeof entry.confidence === 'number' && Number.isFinite(entry.confidence)
+      ? Math.round(Math.min(Math.max(entry.confidence, 0), 1) * 100) / 100
+      : null;
+    information[field.name] = checked.value;
+    evidence[field.name] = {
+      confidence,
+      // Without a usable quote, the value as the model wrote it may still be found in the text
+      source: checked.value === null ? null : locateSource(text, detailed ? entry.source : null) || locateSource(text, String(raw))
+    };
+  }
+
+  return { information, evidence, errors };
+}
+
+module.exports = {
+  FIELD_TYPES,
+  buildMessages,
+  compileFields,
+  jsonSchema,
+  readReply
+};
@@ -0,0 +1,267 @@
+/**
+ * Extraction Field Schema
+ * Describes the fields a caller wants extracted and checks the values a model returns against
+ * them. Values are coerced to their declared type where that is unambiguous (numeric strings,
+ * yes/no, an enum value in another case, a date written another way).
+ */
+
+const { calendarDate, findDates } = require('../../document-service/validation/dates');
+const { createError } = require('../../errors');
+
+const FIELD_TYPES = ['string', 'number', 'integer', 'boolean', 'date'];
+const MAX_FIELDS = 100;
+const MAX_ENUM_VALUES = 200;
+const FIELD_NAME = /^[A-Za-z_][A-Za-z0-9_]{0,63}$/;
+const DEFAULT_DATE_FORMAT = 'YYYY-MM-DD';
+const DATE_TOKEN = /YYYY|MMMM|MMM|MM|M|DD|D/g;
+const DATE_GROUPS = {
+  YYYY: '(\\d{4})',
+  MMMM: '([A-Za-z]+)',
+  MMM: '([A-Za-z]{3})',
+  MM: '(\\d{2})',
+  M: '(\\d{1,2})',
+  DD: '(\\d{2})',
+  D: '(\\d{1,2})'
+};
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September',
+  'October', 'November', 'December'];
+// Written numbers such as "1,250.50" or "-.5"; the lookahead requires at least one digit
+const NUMBER = /^[+-]?(?=\.?\d)(\d{1,3}(,\d{3})+|\d+)?(\.\d+)?$/;
+const BOOLEANS = { true: true, yes: true, y: true, false: false, no: false, n: false };
+
+/**
+ * Escape text for use inside a regular expression
+ * @param {string} text - Literal text
+ * @returns {string} Pattern source
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Write a date in a format
+ * @param {Date} date - UTC date
+ * @param {string} format - Format built from YYYY, MMMM (January), MMM (Jan), MM, M, DD and D
+ * @returns {string} Formatted date
+ */
+function formatDate(date, format) {
+  const month = date.getUTCMonth();
+  const day = date.getUTCDate();
+  const values = {
+    YYYY: String(date.getUTCFullYear()).padStart(4, '0'),
+    MMMM: MONTH_NAMES[month],
+    MMM: MONTH_NAMES[month].slice(0, 3),
+    MM: String(month + 1).padStart(2, '0'),
+    M: String(month + 1),
+    DD: String(day).padStart(2, '0'),
+    D: String(day)
+  };
+  return format.replace(DATE_TOKEN, token => values[token]);
+}
+
+/**
+ * Read a date written in a format
+ * @param {string} text - Date text
+ * @param {string} format - Date format
+ * @returns {Date|null} UTC date, or null if the text is not a real day in that format
+ */
+function parseFormattedDate(text, format) {
+  const tokens = format.match(DATE_TOKEN);
+  const source = format.split(DATE_TOKEN).map(escapeRegExp)
+    .reduce((pattern, literal, index) => `${pattern}${DATE_GROUPS[tokens[index - 1]]}${literal}`);
+  const match = new RegExp(`^${source}$`, 'i').exec(text);
+  if (!match) {
+    return null;
+  }
+
+  const parts = {};
+  tokens.forEach((token, index) => {
+    const value = match[index + 1];
+    if (token.startsWith('MMM')) {
+      const month = MONTH_NAMES.findIndex(name => (token === 'MMMM' ? name : name.slice(0, 3)).toLowerCase() === value.toLowerCase());
+      parts.month = month + 1 || NaN;
+    } else {
+      parts[token[0]] = parseInt(value, 10);
+    }
+  });
+  return calendarDate(parts.Y, parts.month || parts.M, parts.D);
+}
+
+/**
+ * Read a date written in the field's format, or as any date the date finder understands
+ * Numeric dates follow the order of the field's format (day first when D comes before M).
+ * @param {string} text - Date text
+ * @param {string} format - Date format
+ * @returns {Date|null} UTC date, or null if the text is not one real day
+ */
+function parseDate(text, format) {
+  const trimmed = text.trim().replace(/\.$/, '');
+  const formatted = parseFormattedDate(trimmed, format);
+  if (formatted) {
+    return formatted;
+  }
+
+  const dateOrder = format.search(/D/) < format.search(/M/) ? 'dmy' : 'mdy';
+  const dates = findDates(trimmed, { dateOrder });
+  return dates.length === 1 && dates[0].start === 0 && dates[0].end === trimmed.length ? dates[0].date : null;
+}
+
+/**
+ * Check a date format
+ * @param {string} format - Date format
+ * @returns {boolean} True if it has one year, month and day token
+ */
+function validDateFormat(format) {
+  const tokens = format.match(DATE_TOKEN) || [];
+  const count = letter => tokens.filter(token => token[0] === letter).length;
+  return count('Y') === 1 && count('M') === 1 && count('D') === 1 && !/[A-Za-z]/.test(format.replace(DATE_TOKEN, ''));
+}
+
+/**
+ * Compile the fields to extract, so a bad field is reported before the model is called
+ * A field is a name (an optional string field) or { name, type, required, enum, format, description }.
+ * @param {Array<string|Object>} fields - Fields to extract
+ * @returns {Array<Object>} Fields: { name, type, required, enum, format, description }
+ */
+function compileFields(fields) {
+  if (!Array.isArray(fields) || fields.length === 0) {
+    throw createError('Fields must be a non-empty list', 400);
+  }
+  if (fields.length > MAX_FIELDS) {
+    throw createError(`Extraction is limited to ${MAX_FIELDS} fields`, 400);
+  }
+
+  const names = new Set();
+  return fields.map((entry, index) => {
+    const field = typeof entry === 'string' ? { name: entry } : entry;
+    const fail = message => {
+      throw createError(`Field ${index + 1}${field && field.name ? ` (${field.name})` : ''} ${message}`, 400);
+    };
+
+    if (!field || typeof field !== 'object' || Array.isArray(field)) {
+      fail('must be a name or an object');
+    }
+    if (typeof field.name !== 'string' || !FIELD_NAME.test(field.name)) {
+      fail('needs a "name" of letters, digits and underscores, starting with a letter or underscore');
+    }
+    if (names.has(field.name)) {
+      fail('is listed more than once');
+    }
+    names.add(field.name);
+
+    const type = field.type || 'string';
+    if (!FIELD_TYPES.includes(type)) {
+      fail(`has an unknown type "${type}". Types: ${FIELD_TYPES.join(', ')}`);
+    }
+    if (field.required !== undefined && typeof field.required !== 'boolean') {
+      fail('needs "required" to be true or false');
+    }
+    if (field.description !== undefined && typeof field.description !== 'string') {
+      fail('needs "description" to be a string');
+    }
+
+    let values = null;
+    if (field.enum !== undefined) {
+      if (!['string', 'number', 'integer'].includes(type)) {
+        fail('can only list "enum" values for string, number and integer fields');
+      }
+      if (!Array.isArray(field.enum) || field.enum.length === 0 || field.enum.length > MAX_ENUM_VALUES) {
+        fail(`needs "enum" to be a list of 1 to ${MAX_ENUM_VALUES} values`);
+      }
+      const valueType = type === 'string' ? 'string' : 'number';
+      if (field.enum.some(value => typeof value !== valueType)) {
+        fail(`needs every "enum" value to be a ${valueType}`);
+      }
+      values = [...new Set(field.enum)];
+    }
+
+    let format = null;
+    if (type === 'date') {
+      format = field.format === undefined ? DEFAULT_DATE_FORMAT : field.format;
+      if (typeof format !== 'string' || !validDateFormat(format)) {
+        fail('needs "format" to have one year (YYYY), month (MMMM, MMM, MM or M) and day (DD or D), e.g. DD/MM/YYYY');
+      }
+    } else if (field.format !== undefined) {
+      fail('can only have a "format" when its type is date');
+    }
+
+    return {
+      name: field.name,
+      type,
+      required: field.required === true,
+      enum: values,
+      format,
+      description: field.description || null
+    };
+  });
+}
+
+/**
+ * Check a value against its field, coercing it to the field's type where that is unambiguous
+ * @param {Object} field - Compiled field
+ * @param {*} value - Value from the model
+ * @returns {Object} { value } or { error }
+ */
+function checkValue(field, value) {
+  if (value === null || value === undefined || (typeof value === 'string' && value.trim() === '')) {
+    return field.required ? { error: 'is required but has no value' } : { value: null };
+  }
+
+  let result = value;
+  switch (field.type) {
+    case 'string':
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        return { error: `must be a string, got ${JSON.stringify(value)}` };
+      }
+      result = String(value).trim();
+      break;
+    case 'number':
+    case 'integer': {
+      const number = typeof value === 'string' && NUMBER.test(value.trim()) ? Number(value.trim().replace(/,/g, '')) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        return { error: `must be a number, got ${JSON.stringify(value)}` };
+      }
+      if (field.type === 'integer' && !Number.isInteger(number)) {
+        return { error: `must be a whole number, got ${JSON.stringify(value)}` };
+      }
+      result = number;
+      break;
+    }
+    case 'boolean': {
+      const flag = typeof value === 'string' ? BOOLEANS[value.trim().toLowerCase()] : value;
+      if (typeof flag !== 'boolean') {
+        return { error: `must be true or false, got ${JSON.stringify(value)}` };
+      }
+      result = flag;
+      break;
+    }
+    case 'date': {
+      const date = typeof value === 'string' ? parseDate(value, field.format) : null;
+      if (!date) {
+        return { error: `must be a real date written as ${field.format}, got ${JSON.stringify(value)}` };
+      }
+      result = formatDate(date, field.format);
+      break;
+    }
+  }
+
+  if (field.enum) {
+    const match = field.enum.find(option => (
+      typeof option === 'string' ? option.toLowerCase() === String(result).toLowerCase() : option === result
+    ));
+    if (match === undefined) {
+      return { error: `must be one of ${field.enum.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}` };
+    }
+    result = match;
+  }
+
+  return { value: result };
+}
+
+module.exports = {
+  FIELD_TYPES,
+  checkValue,
+  compileFields,
+  formatDate,
+  parseDate
+};
@@ -0,0 +1,44 @@
+/**
+ * JSON Replies
+ * Reads the JSON object in a model's reply and words the problems with one so the model can be
+ * asked to correct it
+ */
+
+/**
+ * Read the JSON object in a reply, allowing for a code fence or text around it
+ * @param {string} content - Reply text
+ * @returns {Object|null} Reply object, or null if there is none
+ */
+function parseReply(content) {
+  const text = String(content || '');
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    return null;
+  }
+
+  try {
+    const reply = JSON.parse(text.slice(start, end + 1));
+    return reply && typeof reply === 'object' && !Array.isArray(reply) ? reply : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Word the problems with a reply as a request to correct it
+ * @param {Array<string>} errors - Problems found in the reply
+ * @returns {string} Message for the model
+ */
+function correctionMessage(errors) {
+  return [
+    'Your reply does not match the schema:',
+    ...errors.map(error => `- ${error}`),
+    'Reply again with the corrected JSON object only.'
+  ].join('\n');
+}
+
+module.exports = {
+  correctionMessage,
+  parseReply
+};
@@ -0,0 +1,125 @@
+/**
+ * Anthropic Provider
+ * Talks to the Anthropic Messages API, which takes system instructions apart from the conversation
+ */
+
+const AIProvider = require('./baseProvider');
+
+const FINISH_REASONS = {
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  max_tokens: 'length'
+};
+
+class AnthropicProvider extends AIProvider {
+  constructor(settings) {
+    super('anthropic', settings);
+    this.client = this.createClient({
+      baseURL: settings.baseUrl,
+      headers: {
+        'x-api-key': settings.apiKey,
+        'anthropic-version': settings.version,
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  isConfigured() {
+    return !!this.settings.apiKey;
+  }
+
+  /**
+   * Body of a Messages API request, with system messages moved to the system field
+   * @param {Object} request - Chat request
+   * @returns {Object} Request body
+   */
+  messagesRequest(request) {
+    const system = request.messages.filter(message => message.role === 'system').map(message => message.content).join('\n\n');
+    const messages = request.messages
+      .filter(message => message.role !== 'system')
+      .map(message => ({ role: message.role, content: message.content }));
+
+    return {
+      model: request.model,
+      ...(system && { system }),
+      messages,
+      temperature: request.temperature,
+      max_tokens: request.maxTokens
+    };
+  }
+
+  async chat(request) {
+    let response;
+    try {
+      response = await this.client.post('/messages', this.messagesRequest(request));
+    } catch (error) {
+      throw this.requestError(error);
+    }
+
+    const usage = response.data.usage || {};
+    return {
+      content: response.data.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+      model: response.data.model || request.model,
+      usage: this.usage(usage.input_tokens, usage.output_tokens),
+      finishReason: FINISH_REASONS[response.data.stop_reason] || response.data.stop_reason || null
+    };
+  }
+
+  async stream(request, onDelta) {
+    let response;
+    try {
+      response = await this.client.post('/messages', {
+        ...this.messagesRequest(request),
+        stream: true
+      }, { responseType: 'stream', signal: request.signal });
+    } catch (error) {
+      throw await this.streamError(error);
+    }
+
+    const result = { content: '', model: request.model, usage: null, finishReason: null };
+    let inputTokens;
+    let outputTokens;
+    try {
+      await this.readEvents(response.data, ({ event, data }) => {
+        const payload = JSON.parse(data);
+        if (event === 'message_start') {
+          result.model = payload.message.model || result.model;
+          inputTokens = payload.message.usage && payload.message.usage.input_tokens;
+        } else if (event === 'content_block_delta' && payload.delta.type === 'text_delta') {
+          result.content += payload.delta.text;
+          onDelta(payload.delta.text);
+        } else if (event === 'message_delta') {
+          outputTokens = payload.usage && payload.usage.output_tokens;
+          const reason = payload.delta && payload.delta.stop_reason;
+          result.finishReason = FINISH_REASONS[reason] || reason || result.finishReason;
+        } else if (event === 'error') {
+          throw new Error(payload.error ? payload.error.message : 'stream error');
+        }
+      });
+    } catch (error) {
+      throw this.requestError(error);
+    }
+
+    result.usage = this.usage(inputTokens, outputTokens);
+    return result;
+  }
+
+  async listModels() {
+    let response;
+    try {
+      response = await this.client.get('/models', { params: { limit: 1000 } });
+    } catch (error) {
+      throw this.requestError(error);
+    }
+
+    return response.data.data.map(model => ({
+      id: model.id,
+      name: model.display_name || model.id,
+      description: '',
+      created: model.created_at ? Math.floor(new Date(model.created_at).getTime() / 1000) : null,
+      owned_by: 'anthropic'
+    }));
+  }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,58 @@
+/**
+ * Azure OpenAI Provider
+ * Talks to an Azure OpenAI resource, where models are reached through named deployments; the
+ * model of a request is the deployment to use
+ */
+
+const OpenAIProvider = require('./openaiProvider');
+
+class AzureOpenAIProvider extends OpenAIProvider {
+  constructor(settings) {
+    super(settings, 'azure');
+  }
+
+  clientOptions(settings) {
+    return {
+      baseURL: `${(settings.endpoint || '').replace(/\/+$/, '')}/openai`,
+      params: { 'api-version': settings.apiVersion },
+      headers: {
+        'api-key': settings.apiKey,
+        'Content-Type': 'application/json'
+      }
+    };
+  }
+
+  isConfigured() {
+    return !!(this.settings.apiKey && this.settings.endpoint && this.settings.deployment);
+  }
+
+  get defaultModel() {
+    return this.settings.deployment || null;
+  }
+
+  chatRequest(request) {
+    // The deployment in the path picks the model, so the body does not name one
+    const { body } = super.chatRequest(request);
+    delete body.model;
+    return { path: `/deployments/${encodeURIComponent(request.model)}/chat/completions`, body };
+  }
+
+  async listModels() {
+    let response;
+    try {
+      response = await this.client.get('/models');
+    } catch (error) {
+      throw this.requestError(error);
+    }
+
+    return response.data.data.map(model => ({
+      id: model.id,
+      name: model.id,
+      description: model.lifecycle_status ? `Lifecycle: ${model.lifecycle_status}` : '',
+      created: model.created_at,
+      owned_by: 'azure'
+    }));
+  }
+}
+
+module.exports = AzureOpenAIProvider;
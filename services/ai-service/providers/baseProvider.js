@@ -0,0 +1,209 @@
+/**
+ * AI Provider Interface
+ * Base class every AI provider adapter extends. Adapters turn the service's chat requests into
+ * their API's format and report results, models and token usage in one shape.
+ */
+
+const axios = require('axios');
+
+/**
+ * Check whether a response body is an unread stream
+ * @param {*} body - Response body
+ * @returns {boolean} True for a readable stream
+ */
+function isStream(body) {
+  return !!body && typeof body.pipe === 'function';
+}
+
+class AIProvider {
+  /**
+   * @param {string} name - Provider name, as set in AI_PROVIDER
+   * @param {Object} settings - Provider configuration
+   */
+  constructor(name, settings = {}) {
+    this.name = name;
+    this.settings = settings;
+  }
+
+  /**
+   * Check whether the provider has the settings it needs to make requests
+   * @returns {boolean} True if configured
+   */
+  isConfigured() {
+    return false;
+  }
+
+  /**
+   * Model used when an operation does not name one
+   * @returns {string} Model ID (a deployment name on Azure)
+   */
+  get defaultModel() {
+    return this.settings.model || null;
+  }
+
+  /**
+   * Complete a chat
+   * @param {Object} request - Chat request
+   * @param {Array<Object>} request.messages - Messages: { role: 'system' | 'user' | 'assistant', content }
+   * @param {string} request.model - Model ID
+   * @param {number} request.temperature - Sampling temperature
+   * @param {number} request.maxTokens - Maximum tokens to generate
+   * @param {string} request.operation - Service operation making the request
+   * @param {Object} request.jsonSchema - JSON Schema the reply must follow, also described in the
+   *   messages (optional); providers with a JSON output mode turn it on
+   * @returns {Promise<Object>} { content, model, usage, finishReason } where usage is
+   *   { prompt_tokens, completion_tokens, total_tokens } or null when the provider does not report it
+   */
+  async chat(request) {
+    throw new Error(`${this.constructor.name} does not implement chat`);
+  }
+
+  /**
+   * Complete a chat, passing the text to onDelta as it is generated
+   * Providers that cannot stream send the whole completion as one piece.
+   * @param {Object} request - Chat request, as for chat
+   * @param {AbortSignal} request.signal - Cancels the request when aborted (optional)
+   * @param {Function} onDelta - Called with each piece of generated text
+   * @returns {Promise<Object>} { content, model, usage, finishReason }, as for chat
+   */
+  async stream(request, onDelta) {
+    const result = await this.chat(request);
+    onDelta(result.content);
+    return result;
+  }
+
+  /**
+   * List the models the provider offers
+   * @returns {Promise<Array<Object>>} Models: { id, name, description, created, owned_by }
+   */
+  async listModels() {
+    throw new Error(`${this.constructor.name} does not implement listModels`);
+  }
+
+  /**
+   * Create an HTTP client that logs failed provider calls
+   * @param {Object} options - axios options
+   * @returns {AxiosInstance} HTTP client
+   */
+  createClient(options) {
+    const client = axios.create(options);
+    client.interceptors.response.use(
+      response => response,
+      error => {
+        console.error('AI Provider API Error:', error.message);
+        if (error.response) {
+          console.error('Status:', error.response.status);
+          // Streamed error bodies are read by streamError
+          if (!isStream(error.response.data)) {
+            console.error('Data:', error.response.data);
+          }
+        }
+        return Promise.reject(error);
+      }
+    );
+    return client;
+  }
+
+  /**
+   * Describe a failed provider call
+   * The provider's own explanation is kept; the status is 502 because the failure is upstream.
+   * @param {Error} error - axios error
+   * @returns {Error} Error with status
+   */
+  requestError(error) {
+    const data = error.response && error.response.data;
+    const detail = data && ((data.error && (data.error.message || data.error)) || data.message);
+    const wrapped = new Error(
+      `${this.name} request failed${error.response ? ` (${error.response.status})` : ''}: ${typeof detail === 'string' ? detail : error.message}`
+    );
+    wrapped.status = 502;
+    return wrapped;
+  }
+
+  /**
+   * Describe a failed streaming call, reading the error body the provider streamed back
+   * @param {Error} error - axios error
+   * @returns {Promise<Error>} Error with status
+   */
+  async streamError(error) {
+    const body = error.response && error.response.data;
+    if (isStream(body)) {
+      let text = '';
+      try {
+        body.setEncoding('utf8');
+        for await (const chunk of body) {
+          text += chunk;
+        }
+        error.response.data = JSON.parse(text);
+      } catch (readError) {
+        error.response.data = text;
+      }
+      console.error('Data:', error.response.data);
+    }
+    return this.requestError(error);
+  }
+
+  /**
+   * Read a Server-Sent Events response body
+   * @param {Readable} body - Response stream
+   * @param {Function} onEvent - Called with { event, data } for each event
+   * @returns {Promise<void>} Resolves when the body ends
+   */
+  async readEvents(body, onEvent) {
+    let buffer = '';
+    let event = null;
+    let data = [];
+
+    const dispatch = () => {
+      if (data.length > 0) {
+        onEvent({ event: event || 'message', data: data.join('\n') });
+      }
+      event = null;
+      data = [];
+    };
+
+    body.setEncoding('utf8');
+    for await (const chunk of body) {
+      buffer += chunk;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const raw of lines) {
+        const line = raw.replace(/\r$/, '');
+        if (line === '') {
+          dispatch();
+          continue;
+        }
+        if (line.startsWith(':')) {
+          continue;
+        }
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+        if (field === 'event') {
+          event = value;
+        } else if (field === 'data') {
+          data.push(value);
+        }
+      }
+    }
+    dispatch();
+  }
+
+  /**
+   * Report token usage in one shape
+   * @param {number} promptTokens - Tokens read
+   * @param {number} completionTokens - Tokens generated
+   * @returns {Object|null} { prompt_tokens, completion_tokens, total_tokens }, or null if neither is known
+   */
+  usage(promptTokens, completionTokens) {
+    if (!Number.isFinite(promptTokens) && !Number.isFinite(completionTokens)) {
+      return null;
+    }
+    const prompt = promptTokens || 0;
+    const completion = completionTokens || 0;
+    return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion };
+  }
+}
+
+module.exports = AIProvider;
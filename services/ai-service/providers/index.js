@@ -0,0 +1,43 @@
+/**
+ * AI Providers
+ * Selects the AI provider adapter from configuration
+ */
+
+const AIProvider = require('./baseProvider');
+const OpenAIProvider = require('./openaiProvider');
+const AzureOpenAIProvider = require('./azureOpenaiProvider');
+const AnthropicProvider = require('./anthropicProvider');
+const LocalProvider = require('./localProvider');
+const MockProvider = require('./mockProvider');
+
+const PROVIDERS = {
+  openai: settings => new OpenAIProvider(settings),
+  azure: settings => new AzureOpenAIProvider(settings),
+  anthropic: settings => new AnthropicProvider(settings),
+  local: settings => new LocalProvider(settings),
+  mock: settings => new MockProvider(settings)
+};
+
+/**
+ * Create the provider adapter for an AI configuration
+ * @param {Object} aiConfig - AI configuration (config.ai)
+ * @returns {AIProvider} Provider adapter
+ */
+function createProvider(aiConfig) {
+  const create = PROVIDERS[aiConfig.provider];
+  if (!create) {
+    throw new Error(`Unsupported AI provider: ${aiConfig.provider}. Providers: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return create(aiConfig[aiConfig.provider] || {});
+}
+
+module.exports = {
+  PROVIDERS: Object.keys(PROVIDERS),
+  createProvider,
+  AIProvider,
+  AnthropicProvider,
+  AzureOpenAIProvider,
+  LocalProvider,
+  MockProvider,
+  OpenAIProvider
+};
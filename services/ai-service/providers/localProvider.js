@@ -0,0 +1,19 @@
+/**
+ * Local Provider
+ * Talks to a self-hosted server with an OpenAI-compatible API, such as Ollama or the llama.cpp
+ * server; an API key is only sent when one is configured
+ */
+
+const OpenAIProvider = require('./openaiProvider');
+
+class LocalProvider extends OpenAIProvider {
+  constructor(settings) {
+    super(settings, 'local');
+  }
+
+  isConfigured() {
+    return !!(this.settings.baseUrl && this.settings.model);
+  }
+}
+
+module.exports = LocalProvider;
@@ -0,0 +1,302 @@
+/**
+ * Mock Provider
+ * Answers offline with deterministic responses, so the AI routes can be exercised in development
+ * and tests without an API key. Responses come from fixtures per operation and the provider keeps
+ * the requests it received for inspection. Requests for JSON get a reply following their schema,
+ * with values read from "Label: value" lines of the document.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const AIProvider = require('./baseProvider');
+
+const MAX_RECORDED = 100;
+
+/**
+ * Built-in fixtures, used for operations the configured fixtures do not cover
+ * Placeholders: {{operation}}, {{model}}, {{input}}, {{excerpt}}, {{words}} and {{digest}}
+ */
+const DEFAULT_FIXTURES = {
+  generate: 'MOCK DOCUMENT\n\n{{input}}',
+  polish: '{{input}}',
+  analyze: 'Mock analysis of {{words}} words: no issues found. [{{digest}}]',
+  extract: 'Mock extraction: no information found. [{{digest}}]',
+  summarize: 'Mock summary: {{excerpt}} [{{digest}}]',
+  respond: 'Mock response to: {{input}}',
+  classify: 'Mock classification: general [{{digest}}]',
+  default: 'Mock {{operation}} response. [{{digest}}]'
+};
+
+/**
+ * Read fixtures from a JSON file path, or take them as given
+ * @param {string|Object} fixtures - Path to a JSON file, or fixtures by operation
+ * @returns {Object} Fixtures by operation
+ */
+function loadFixtures(fixtures) {
+  if (!fixtures) {
+    return {};
+  }
+  if (typeof fixtures === 'object') {
+    return fixtures;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(fixtures, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to load mock AI fixtures from ${fixtures}: ${error.message}`);
+  }
+}
+
+/**
+ * The text the operation works on: a user message, without its instruction line
+ * @param {Array<Object>} messages - Chat messages
+ * @param {boolean} first - Use the first user message rather than the last (optional)
+ * @returns {string} Input text
+ */
+function inputOf(messages, first = false) {
+  const users = messages.filter(message => message.role === 'user');
+  const user = first ? users[0] : users[users.length - 1];
+  const content = user ? String(user.content) : '';
+  const body = content.indexOf('\n\n');
+  return body === -1 ? content : content.slice(body + 2);
+}
+
+/**
+ * Escape text for use inside a regular expression
+ * @param {string} text - Literal text
+ * @returns {string} Pattern source
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Read the value of a "Label: value" line
+ * @param {string} input - Input text
+ * @param {string} label - Label, in any case; camelCase and snake_case names match spaced words
+ * @returns {string|null} Value, or null if there is no such line or it is blank
+ */
+function labelValue(input, label) {
+  const words = String(label).replace(/([a-z0-9])([A-Z])/g, '$1 $2').split(/[\s_-]+/).filter(Boolean).map(escapeRegExp);
+  const match = new RegExp(`^[ \\t]*${words.join('[\\s_-]*')}[ \\t]*:[ \\t]*(.+)$`, 'im').exec(input);
+  const value = match ? match[1].split(/\t| {3,}/)[0].trim() : '';
+  return value && !/^_+$/.test(value) ? value : null;
+}
+
+/**
+ * Check whether the input mentions an option as a whole word
+ * @param {string} input - Input text
+ * @param {*} option - Option
+ * @returns {boolean} True if mentioned
+ */
+function mentions(input, option) {
+  return option !== null && new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(String(option))}($|[^\\p{L}\\p{N}])`, 'iu').test(input);
+}
+
+/**
+ * Build a value that follows a JSON Schema
+ * Values come from "Label: value" lines (the label is the schema's title or property name), enum
+ * options from the options the input mentions, and array items from the enum options they hold.
+ * Numbers the input does not give take their maximum, so scores read as certain.
+ * @param {Object} schema - JSON Schema
+ * @param {string} input - Input text
+ * @param {string} name - Property name
+ * @returns {*} Value
+ */
+function sampleJson(schema, input, name) {
+  const types = [].concat(schema.type || []);
+  const nullable = types.includes('null');
+
+  if (schema.enum) {
+    const mentioned = schema.enum.find(option => mentions(input, option));
+    if (mentioned !== undefined) {
+      return mentioned;
+    }
+    return nullable || schema.enum.includes(null) ? null : schema.enum[0];
+  }
+  if (types.includes('object')) {
+    return Object.fromEntries(Object.entries(schema.properties || {})
+      .map(([key, property]) => [key, sampleJson(property, input, key)]));
+  }
+  if (types.includes('array')) {
+    const items = schema.items || {};
+    if (items.enum) {
+      return items.enum.filter(option => mentions(input, option));
+    }
+    const keyed = Object.entries(items.properties || {}).find(([, property]) => property.enum);
+    if (!keyed) {
+      return [];
+    }
+    return keyed[1].enum.filter(option => mentions(input, option))
+      .map(option => ({ ...sampleJson(items, input, name), [keyed[0]]: option }));
+  }
+
+  const written = labelValue(input, schema.title || name);
+  if (types.includes('number') || types.includes('integer')) {
+    const number = written === null ? NaN : Number(written.replace(/,/g, ''));
+    if (Number.isFinite(number)) {
+      return number;
+    }
+    return nullable ? null : (schema.maximum !== undefined ? schema.maximum : schema.minimum || 0);
+  }
+  if (types.includes('boolean')) {
+    return written === null ? (nullable ? null : false) : /^(true|yes|y)$/i.test(written);
+  }
+  if (types.includes('string')) {
+    return written === null && nullable ? null : written || '';
+  }
+  return null;
+}
+
+/**
+ * Rough token count (about four characters a token)
+ * @param {string} text - Text
+ * @returns {number} Tokens
+ */
+function countTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+class MockProvider extends AIProvider {
+  constructor(settings) {
+    super('mock', settings);
+    this.fixtures = loadFixtures(settings.fixtures);
+    this.requests = [];
+    this.sequence = 0;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  get defaultModel() {
+    return this.settings.model || 'mock-model';
+  }
+
+  /**
+   * Replace the fixtures of some operations
+   * A fixture is a response string, or a list of { match, content } tried in order, where match is
+   * text the prompt must contain (ignoring case) and an entry without match always applies.
+   * @param {Object} fixtures - Fixtures by operation
+   */
+  useFixtures(fixtures) {
+    this.fixtures = { ...this.fixtures, ...fixtures };
+  }
+
+  /**
+   * Requests received, oldest first
+   * @param {string} operation - Only requests for this operation (optional)
+   * @returns {Array<Object>} Requests: { sequence, operation, model, messages, temperature, maxTokens }
+   */
+  recorded(operation) {
+    return this.requests.filter(request => !operation || request.operation === operation);
+  }
+
+  /**
+   * Forget the recorded requests
+   */
+  reset() {
+    this.requests = [];
+    this.sequence = 0;
+  }
+
+  /**
+   * Pick the response template for a request
+   * @param {string} operation - Operation
+   * @param {string} prompt - All message text
+   * @returns {string} Response template
+   */
+  fixtureFor(operation, prompt) {
+    const fixture = this.fixtures[operation] !== undefined ? this.fixtures[operation] : this.fixtures.default;
+
+    if (typeof fixture === 'string') {
+      return fixture;
+    }
+    if (Array.isArray(fixture)) {
+      const lowered = prompt.toLowerCase();
+      const entry = fixture.find(candidate => !candidate.match || lowered.includes(String(candidate.match).toLowerCase()));
+      if (entry) {
+        return entry.content;
+      }
+    }
+
+    return DEFAULT_FIXTURES[operation] || DEFAULT_FIXTURES.default;
+  }
+
+  async chat(request) {
+    const operation = request.operation || 'default';
+    const prompt = request.messages.map(message => message.content).join('\n\n');
+    const input = inputOf(request.messages);
+    const words = input.split(/\s+/).filter(Boolean);
+
+    this.sequence += 1;
+    this.requests.push({
+      sequence: this.sequence,
+      operation,
+      model: request.model,
+      messages: request.messages.map(message => ({ ...message })),
+      temperature: request.temperature,
+      maxTokens: request.maxTokens
+    });
+    if (this.requests.length > MAX_RECORDED) {
+      this.requests.shift();
+    }
+
+    // Replies to JSON requests follow the schema unless a fixture says otherwise
+    if (request.jsonSchema && this.fixtures[operation] === undefined) {
+      const content = JSON.stringify(sampleJson(request.jsonSchema, inputOf(request.messages, true), ''));
+      return {
+        content,
+        model: request.model,
+        usage: this.usage(countTokens(prompt), countTokens(content)),
+        finishReason: 'stop'
+      };
+    }
+
+    const values = {
+      operation,
+      model: request.model,
+      input,
+      excerpt: words.slice(0, 25).join(' ') + (words.length > 25 ? '...' : ''),
+      words: String(words.length),
+      digest: crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 12)
+    };
+    const content = this.fixtureFor(operation, prompt).replace(/\{\{(\w+)\}\}/g, (placeholder, name) => (
+      values[name] !== undefined ? values[name] : placeholder
+    ));
+
+    return {
+      content,
+      model: request.model,
+      usage: this.usage(countTokens(prompt), countTokens(content)),
+      finishReason: 'stop'
+    };
+  }
+
+  async stream(request, onDelta) {
+    const result = await this.chat(request);
+
+    // Word by word, yielding between pieces so a cancelled request stops part way
+    for (const piece of result.content.match(/\S+\s*|\s+/g) || []) {
+      await new Promise(resolve => setImmediate(resolve));
+      if (request.signal && request.signal.aborted) {
+        throw new Error('mock request cancelled');
+      }
+      onDelta(piece);
+    }
+
+    return result;
+  }
+
+  async listModels() {
+    return [{
+      id: this.defaultModel,
+      name: this.defaultModel,
+      description: 'Offline mock responses',
+      created: 0,
+      owned_by: 'mock'
+    }];
+  }
+}
+
+module.exports = MockProvider;
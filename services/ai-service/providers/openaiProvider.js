@@ -0,0 +1,132 @@
+/**
+ * OpenAI Provider
+ * Talks to the OpenAI chat completions API; the Azure and local adapters reuse its request format
+ */
+
+const AIProvider = require('./baseProvider');
+
+class OpenAIProvider extends AIProvider {
+  constructor(settings, name = 'openai') {
+    super(name, settings);
+    this.client = this.createClient(this.clientOptions(settings));
+  }
+
+  /**
+   * Options for the HTTP client
+   * @param {Object} settings - Provider configuration
+   * @returns {Object} axios options
+   */
+  clientOptions(settings) {
+    return {
+      baseURL: settings.baseUrl,
+      headers: {
+        ...(settings.apiKey && { 'Authorization': `Bearer ${settings.apiKey}` }),
+        'Content-Type': 'application/json'
+      }
+    };
+  }
+
+  isConfigured() {
+    return !!this.settings.apiKey;
+  }
+
+  /**
+   * Path and body of a chat completion request
+   * @param {Object} request - Chat request
+   * @returns {Object} { path, body }
+   */
+  chatRequest(request) {
+    return {
+      path: '/chat/completions',
+      body: {
+        model: request.model,
+        messages: request.messages,
+        temperature: request.temperature,
+        max_tokens: request.maxTokens,
+        // JSON mode keeps the reply parseable; the schema itself is given in the prompt
+        ...(request.jsonSchema && { response_format: { type: 'json_object' } })
+      }
+    };
+  }
+
+  async chat(request) {
+    const { path, body } = this.chatRequest(request);
+    let response;
+    try {
+      response = await this.client.post(path, body);
+    } catch (error) {
+      throw this.requestError(error);
+    }
+
+    const choice = response.data.choices[0];
+    const usage = response.data.usage || {};
+    return {
+      content: choice.message.content,
+      model: response.data.model || request.model,
+      usage: this.usage(usage.prompt_tokens, usage.completion_tokens),
+      finishReason: choice.finish_reason || null
+    };
+  }
+
+  async stream(request, onDelta) {
+    const { path, body } = this.chatRequest(request);
+    let response;
+    try {
+      response = await this.client.post(path, {
+        ...body,
+        stream: true,
+        stream_options: { include_usage: true }
+      }, { responseType: 'stream', signal: request.signal });
+    } catch (error) {
+      throw await this.streamError(error);
+    }
+
+    const result = { content: '', model: request.model, usage: null, finishReason: null };
+    try {
+      await this.readEvents(response.data, ({ data }) => {
+        if (data === '[DONE]') {
+          return;
+        }
+        const chunk = JSON.parse(data);
+        result.model = chunk.model || result.model;
+        if (chunk.usage) {
+          result.usage = this.usage(chunk.usage.prompt_tokens, chunk.usage.completion_tokens);
+        }
+
+        // The usage chunk, and Azure's content filter results, come without choices
+        const choice = chunk.choices && chunk.choices[0];
+        if (!choice) {
+          return;
+        }
+        if (choice.delta && choice.delta.content) {
+          result.content += choice.delta.content;
+          onDelta(choice.delta.content);
+        }
+        result.finishReason = choice.finish_reason || result.finishReason;
+      });
+    } catch (error) {
+      throw this.requestError(error);
+    }
+
+    return result;
+  }
+
+  async listModels() {
+    let response;
+    try {
+      response = await this.client.get('/models');
+    } catch (error) {
+      throw this.requestError(error);
+    }
+
+    return response.data.data.map(model => ({
+      id: model.id,
+      name: model.id,
+      description: model.description || '',
+      created: model.created,
+      owned_by: model.owned_by
+    }));
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -22,6 +22,65 @@ function checkAiServiceConfigured(req, res, next) {
   next();
 }
 
+/**
+ * Send an AI operation's output as Server-Sent Events
+ * Each piece of generated text is a `token` event ({ content }); the last event is `done`, with
+ * the result the non-streaming route returns, or `error`. Errors raised before the first token get
+ * a plain JSON response instead, so they keep their HTTP status. The operation is cancelled when
+ * the client disconnects.
+ * @param {Object} res - Express response
+ * @param {Function} run - Runs the operation with { onDelta, signal } and resolves to its result
+ */
+async function streamEvents(res, run) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  const send = (event, data) => {
+    if (!res.headersSent) {
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+    }
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const result = await run({
+      onDelta: content => send('token', { content }),
+      signal: controller.signal
+    });
+    send('done', result);
+    res.end();
+  } catch (error) {
+    if (controller.signal.aborted) {
+      return;
+    }
+
+    const status = error.status || 500;
+    const body = {
+      error: {
+        message: error.message,
+        status,
+        ...(error.missingFields && { missingFields: error.missingFields })
+      }
+    };
+    if (res.headersSent) {
+      send('error', body);
+      res.end();
+    } else {
+      res.status(status).json(body);
+    }
+  }
+}
+
 /**
  * @route   GET /api/ai/status
  * @desc    Get AI service status
@@ -95,13 +154,48 @@ router.post('/generate-document', checkAiServiceConfigured, async (req, res) =>
 
     res.json(result);
   } catch (error) {
-    res.status(500).json({
+    const status = error.status || 500;
+    res.status(status).json({
       error: {
         message: error.message,
-        status: 500
+        status,
+        ...(error.missingFields && { missingFields: error.missingFields })
+      }
+    });
+  }
+});
+
+/**
+ * @route   POST /api/ai/generate-document/stream
+ * @desc    Generate a document using AI, streaming the text as Server-Sent Events
+ * @access  Private
+ */
+router.post('/generate-document/stream', checkAiServiceConfigured, async (req, res) => {
+  const { templateId, documentType, context } = req.body;
+
+  if (!documentType) {
+    return res.status(400).json({
+      error: {
+        message: 'Document type is required',
+        status: 400
+      }
+    });
+  }
+
+  if (!context || typeof context !== 'object') {
+    return res.status(400).json({
+      error: {
+        message: 'Context data is required and must be an object',
+        status: 400
       }
     });
   }
+
+  await streamEvents(res, options => aiService.generateDocument({
+    templateId,
+    documentType,
+    context
+  }, options));
 });
 
 /**
@@ -173,10 +267,12 @@ router.post('/extract-information', checkAiServiceConfigured, async (req, res) =
 
     res.json(result);
   } catch (error) {
-    res.status(500).json({
+    const status = error.status || 500;
+    res.status(status).json({
       error: {
         message: error.message,
-        status: 500
+        status,
+        ...(error.validationErrors && { validationErrors: error.validationErrors })
       }
     });
   }
@@ -208,13 +304,38 @@ router.post('/summarize-document', checkAiServiceConfigured, async (req, res) =>
 
     res.json(result);
   } catch (error) {
-    res.status(500).json({
+    const status = error.status || 500;
+    res.status(status).json({
       error: {
         message: error.message,
-        status: 500
+        status
+      }
+    });
+  }
+});
+
+/**
+ * @route   POST /api/ai/summarize-document/stream
+ * @desc    Summarize a document, streaming the summary as Server-Sent Events
+ * @access  Private
+ */
+router.post('/summarize-document/stream', checkAiServiceConfigured, async (req, res) => {
+  const { documentId, maxLength, documentContent } = req.body;
+
+  if (!documentId && !documentContent) {
+    return res.status(400).json({
+      error: {
+        message: 'Either documentId or documentContent is required',
+        status: 400
       }
     });
   }
+
+  await streamEvents(res, options => aiService.summarizeDocument({
+    documentId,
+    maxLength,
+    documentContent
+  }, options));
 });
 
 /**
@@ -251,14 +372,37 @@ router.post('/generate-response', checkAiServiceConfigured, async (req, res) =>
   }
 });
 
+/**
+ * @route   POST /api/ai/generate-response/stream
+ * @desc    Generate a response to a query, streaming it as Server-Sent Events
+ * @access  Private
+ */
+router.post('/generate-response/stream', checkAiServiceConfigured, async (req, res) => {
+  const { query, context } = req.body;
+
+  if (!query) {
+    return res.status(400).json({
+      error: {
+        message: 'Query is required',
+        status: 400
+      }
+    });
+  }
+
+  await streamEvents(res, options => aiService.generateResponse({
+    query,
+    context
+  }, options));
+});
+
 /**
  * @route   POST /api/ai/classify-document
- * @desc    Classify a document
+ * @desc    Classify a document into the given categories or a stored taxonomy
  * @access  Private
  */
 router.post('/classify-document', checkAiServiceConfigured, async (req, res) => {
   try {
-    const { documentId, categories, documentContent } = req.body;
+    const { documentId, categories, taxonomy, threshold, multiLabel, documentContent } = req.body;
 
     if (!documentId && !documentContent) {
       return res.status(400).json({
@@ -272,15 +416,29 @@ router.post('/classify-document', checkAiServiceConfigured, async (req, res) =>
     const result = await aiService.classifyDocument({
       documentId,
       categories,
+      taxonomy,
+      threshold,
+      multiLabel,
       documentContent
     });
 
+    if (!result) {
+      return res.status(404).json({
+        error: {
+          message: `Taxonomy ${taxonomy} not found`,
+          status: 404
+        }
+      });
+    }
+
     res.json(result);
   } catch (error) {
-    res.status(500).json({
+    const status = error.status || 500;
+    res.status(status).json({
       error: {
         message: error.message,
-        status: 500
+        status,
+        ...(error.validationErrors && { validationErrors: error.validationErrors })
       }
     });
   }
@@ -3,50 +3,169 @@
  * Handles AI-powered document processing, analysis, and generation
  */
 
-const axios = require('axios');
 const config = require('../../config');
+const templateService = require('../template-service/service');
+const documentService = require('../document-service/service');
+const { createError } = require('../errors');
+const { createProvider } = require('./providers');
+const extraction = require('./extraction');
+const classification = require('./classification');
+const taxonomyService = require('./taxonomyService');
+const { correctionMessage } = require('./jsonReply');
+
+/**
+ * Add up token usage over several calls
+ * @param {Array<Object|null>} usages - Usage of each call
+ * @returns {Object|null} Total usage, or null if no call reported any
+ */
+function totalUsage(usages) {
+  const reported = usages.filter(Boolean);
+  if (reported.length === 0) {
+    return null;
+  }
+  return reported.reduce((total, usage) => ({
+    prompt_tokens: total.prompt_tokens + usage.prompt_tokens,
+    completion_tokens: total.completion_tokens + usage.completion_tokens,
+    total_tokens: total.total_tokens + usage.total_tokens
+  }));
+}
 
 class AIService {
   constructor() {
     this.provider = config.ai.provider;
-    this.openaiConfig = config.ai.openai;
-    
-    // Initialize OpenAI API client if using OpenAI
-    if (this.provider === 'openai') {
-      this.openaiClient = axios.create({
-        baseURL: 'https://api.openai.com/v1',
-        headers: {
-          'Authorization': `Bearer ${this.openaiConfig.apiKey}`,
-          'Content-Type': 'application/json'
-        }
-      });
-    }
-
-    // Add response interceptor for error handling
-    if (this.openaiClient) {
-      this.openaiClient.interceptors.response.use(
-        response => response,
-        error => {
-          console.error('AI Provider API Error:', error.message);
-          if (error.response) {
-            console.error('Status:', error.response.status);
-            console.error('Data:', error.response.data);
-          }
-          return Promise.reject(error);
-        }
+
+    // An unknown provider leaves the service unconfigured rather than stopping the server
+    try {
+      this.adapter = createProvider(config.ai);
+      this.providerError = null;
+    } catch (error) {
+      this.adapter = null;
+      this.providerError = error.message;
+    }
+  }
+
+  /**
+   * Pick the model for an operation: its configured override, or the provider's default
+   * @param {string} operation - Operation: 'generate', 'polish', 'analyze', 'extract', 'summarize', 'respond' or 'classify'
+   * @returns {string} Model ID
+   */
+  modelFor(operation) {
+    return config.ai.models[operation] || this.adapter.defaultModel;
+  }
+
+  /**
+   * List the model each operation uses
+   * @returns {Object} Model ID by operation
+   */
+  operationModels() {
+    return Object.fromEntries(Object.keys(config.ai.models).map(operation => [operation, this.modelFor(operation)]));
+  }
+
+  /**
+   * Run a chat completion for an operation through the configured provider
+   * @param {string} operation - Operation, which selects the model
+   * @param {Array<Object>} messages - Messages: { role, content }
+   * @param {Object} options - Completion options
+   * @param {number} options.temperature - Sampling temperature (defaults to the configured one)
+   * @param {Function} options.onDelta - Streams the completion: called with each piece of text (optional)
+   * @param {AbortSignal} options.signal - Cancels a streamed completion (optional)
+   * @param {Object} options.jsonSchema - JSON Schema the reply must follow (optional)
+   * @returns {Promise<Object>} Completion content and metadata: { provider, model, usage, timestamp }
+   */
+  async complete(operation, messages, options = {}) {
+    const request = {
+      operation,
+      messages,
+      model: this.modelFor(operation),
+      temperature: options.temperature !== undefined ? options.temperature : config.ai.temperature,
+      maxTokens: config.ai.maxTokens,
+      ...(options.jsonSchema && { jsonSchema: options.jsonSchema })
+    };
+
+    const result = options.onDelta
+      ? await this.adapter.stream({ ...request, signal: options.signal }, options.onDelta)
+      : await this.adapter.chat(request);
+
+    // A stream can end quietly when cancelled; its partial content must not be used
+    if (options.signal && options.signal.aborted) {
+      const error = new Error('Request cancelled');
+      error.status = 499;
+      throw error;
+    }
+
+    return {
+      content: result.content,
+      metadata: {
+        provider: this.provider,
+        model: result.model,
+        usage: result.usage,
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Run a completion whose reply must be JSON, asking again with the problems found until it fits
+   * @param {string} operation - Operation, which selects the model
+   * @param {Array<Object>} messages - Messages: { role, content }
+   * @param {Object} jsonSchema - JSON Schema the reply must follow
+   * @param {Function} read - Checks a reply's content, returning at least { errors }
+   * @param {number} maxAttempts - Most completions to run
+   * @returns {Promise<Object>} { reply, attempts, metadata } with usage added up over the attempts
+   */
+  async completeJson(operation, messages, jsonSchema, read, maxAttempts) {
+    const conversation = [...messages];
+    const usages = [];
+
+    for (let attempt = 1; ; attempt++) {
+      const result = await this.complete(operation, conversation, { temperature: attempt === 1 ? 0.3 : 0, jsonSchema });
+      usages.push(result.metadata.usage);
+      const reply = read(result.content);
+
+      if (reply.errors.length === 0) {
+        return { reply, attempts: attempt, metadata: { ...result.metadata, usage: totalUsage(usages) } };
+      }
+      if (attempt >= maxAttempts) {
+        const error = new Error(`The model's reply did not match the schema after ${attempt} attempt${attempt === 1 ? '' : 's'}`);
+        error.status = 422;
+        error.validationErrors = reply.errors;
+        throw error;
+      }
+
+      conversation.push(
+        { role: 'assistant', content: result.content },
+        { role: 'user', content: correctionMessage(reply.errors) }
       );
     }
   }
 
+  /**
+   * Get the text to send to the model for a document
+   * @param {string} documentId - Stored document ID (used when no content is given)
+   * @param {string} documentContent - Content supplied by the caller (optional)
+   * @returns {Promise<string>} Document text
+   */
+  async getDocumentText(documentId, documentContent) {
+    if (documentContent) {
+      return documentContent;
+    }
+
+    const extracted = await documentService.extractText(documentId);
+    if (!extracted) {
+      const error = new Error(`Document ${documentId} not found`);
+      error.status = 404;
+      throw error;
+    }
+
+    return extracted.text;
+  }
+
   /**
    * Check if AI service is properly configured
    * @returns {boolean} True if AI service is configured
    */
   isConfigured() {
-    if (this.provider === 'openai') {
-      return !!this.openaiConfig.apiKey;
-    }
-    return false;
+    return !!this.adapter && this.adapter.isConfigured();
   }
 
   /**
@@ -58,28 +177,20 @@ class AIService {
       return {
         status: 'not_configured',
         provider: this.provider,
-        message: 'AI service is not properly configured',
+        message: this.providerError || 'AI service is not properly configured',
         timestamp: new Date().toISOString()
       };
     }
 
     try {
-      if (this.provider === 'openai') {
-        // Check OpenAI API status by listing models (lightweight call)
-        const response = await this.openaiClient.get('/models');
-        return {
-          status: 'operational',
-          provider: this.provider,
-          model: this.openaiConfig.model,
-          availableModels: response.data.data.map(model => model.id),
-          timestamp: new Date().toISOString()
-        };
-      }
-      
+      // Listing models is the lightest call every provider offers
+      const models = await this.adapter.listModels();
       return {
-        status: 'unknown',
+        status: 'operational',
         provider: this.provider,
-        message: 'Unknown AI provider',
+        model: this.adapter.defaultModel,
+        operationModels: this.operationModels(),
+        availableModels: models.map(model => model.id),
         timestamp: new Date().toISOString()
       };
     } catch (error) {
@@ -102,22 +213,12 @@ class AIService {
     }
 
     try {
-      if (this.provider === 'openai') {
-        const response = await this.openaiClient.get('/models');
-        return {
-          provider: this.provider,
-          models: response.data.data.map(model => ({
-            id: model.id,
-            name: model.id,
-            description: model.description || '',
-            created: model.created,
-            owned_by: model.owned_by
-          })),
-          currentModel: this.openaiConfig.model
-        };
-      }
-      
-      throw new Error('Unknown AI provider');
+      return {
+        provider: this.provider,
+        models: await this.adapter.listModels(),
+        currentModel: this.adapter.defaultModel,
+        operationModels: this.operationModels()
+      };
     } catch (error) {
       throw new Error(`Failed to get AI models: ${error.message}`);
     }
@@ -129,9 +230,12 @@ class AIService {
    * @param {string} data.templateId - Template ID (optional)
    * @param {string} data.documentType - Type of document to generate
    * @param {Object} data.context - Context data for document generation
+   * @param {Object} options - Streaming options (optional)
+   * @param {Function} options.onDelta - Called with each piece of text as it is generated
+   * @param {AbortSignal} options.signal - Cancels the request
    * @returns {Promise<Object>} Generated document
    */
-  async generateDocument(data) {
+  async generateDocument(data, options = {}) {
     if (!this.isConfigured()) {
       throw new Error('AI service is not properly configured');
     }
@@ -143,43 +247,96 @@ class AIService {
     }
 
     try {
-      if (this.provider === 'openai') {
-        // Prepare system message based on document type and template
-        let systemMessage = `You are an expert in creating professional ${documentType} documents.`;
-        
-        if (templateId) {
-          systemMessage += ' Use the specified template structure and formatting.';
+      // Render the stored template deterministically; the model only polishes the draft
+      let rendered = null;
+      let draft = null;
+      if (templateId) {
+        rendered = await templateService.renderTemplate(templateId, context);
+        if (!rendered) {
+          throw new Error(`Template ${templateId} not found`);
         }
+        draft = rendered.content;
+      }
 
-        // Prepare user message with context
-        const userMessage = `Please generate a ${documentType} document with the following information:\n\n${JSON.stringify(context, null, 2)}`;
-
-        // Call OpenAI API
-        const response = await this.openaiClient.post('/chat/completions', {
-          model: this.openaiConfig.model,
-          messages: [
-            { role: 'system', content: systemMessage },
-            { role: 'user', content: userMessage }
-          ],
-          temperature: this.openaiConfig.temperature,
-          max_tokens: this.openaiConfig.maxTokens
-        });
+      // Prepare system message based on document type and template
+      let systemMessage = `You are an expert in creating professional ${documentType} documents.`;
 
-        return {
-          content: response.data.choices[0].message.content,
-          documentType,
-          templateId: templateId || null,
-          metadata: {
-            model: response.data.model,
-            usage: response.data.usage,
-            timestamp: new Date().toISOString()
-          }
-        };
+      if (draft) {
+        systemMessage += ' You are given a draft produced from an approved template. Improve its language and formatting without changing facts, names, dates or amounts, and keep every section.';
       }
-      
-      throw new Error('Unknown AI provider');
+
+      // Prepare user message with the template draft or the raw context
+      const userMessage = draft
+        ? `Please polish the following ${documentType} draft:\n\n${draft}`
+        : `Please generate a ${documentType} document with the following information:\n\n${JSON.stringify(context, null, 2)}`;
+
+      const { content, metadata } = await this.complete('generate', [
+        { role: 'system', content: systemMessage },
+        { role: 'user', content: userMessage }
+      ], { temperature: draft ? 0.3 : undefined, onDelta: options.onDelta, signal: options.signal });
+
+      // Record exactly which template version produced this document
+      let generation = null;
+      if (rendered) {
+        generation = await templateService.recordGeneration({
+          rendered,
+          source: 'ai',
+          content,
+          draft,
+          metadata: { model: metadata.model, usage: metadata.usage }
+        });
+      }
+
+      return {
+        content,
+        documentType,
+        templateId: templateId || null,
+        templateVersion: rendered ? rendered.templateVersion : null,
+        generatedDocumentId: generation ? generation.id : null,
+        metadata
+      };
     } catch (error) {
-      throw new Error(`Failed to generate document: ${error.message}`);
+      const wrapped = new Error(`Failed to generate document: ${error.message}`);
+      // Keep client errors (such as missing merge fields) distinguishable from provider failures
+      wrapped.status = error.status;
+      wrapped.missingFields = error.missingFields;
+      throw wrapped;
+    }
+  }
+
+  /**
+   * Polish a drafted document without changing its facts
+   * @param {Object} data - Polishing data
+   * @param {string} data.content - Draft content
+   * @param {string} data.documentType - Type of document
+   * @returns {Promise<Object>} Polished document
+   */
+  async polishDocument(data) {
+    if (!this.isConfigured()) {
+      throw new Error('AI service is not properly configured');
+    }
+
+    const { content, documentType } = data;
+
+    if (!content) {
+      throw new Error('Content is required');
+    }
+
+    try {
+      const systemMessage = `You are an expert editor of professional ${documentType || 'business'} documents. Improve language and formatting without changing facts, names, dates or amounts, and keep every section.`;
+
+      const result = await this.complete('polish', [
+        { role: 'system', content: systemMessage },
+        { role: 'user', content: `Please polish the following draft:\n\n${content}` }
+      ], { temperature: 0.3 });
+
+      return {
+        content: result.content,
+        documentType: documentType || null,
+        metadata: result.metadata
+      };
+    } catch (error) {
+      throw new Error(`Failed to polish document: ${error.message}`);
     }
   }
 
@@ -206,36 +363,22 @@ class AIService {
     }
 
     try {
-      if (this.provider === 'openai') {
-        // Prepare system message based on analysis type
-        const systemMessage = `You are an expert in ${analysisType} analysis.`;
-        
-        // Prepare user message with text to analyze
-        const userMessage = `Please analyze the following text using ${analysisType} analysis:\n\n${text}`;
-
-        // Call OpenAI API
-        const response = await this.openaiClient.post('/chat/completions', {
-          model: this.openaiConfig.model,
-          messages: [
-            { role: 'system', content: systemMessage },
-            { role: 'user', content: userMessage }
-          ],
-          temperature: this.openaiConfig.temperature,
-          max_tokens: this.openaiConfig.maxTokens
-        });
+      // Prepare system message based on analysis type
+      const systemMessage = `You are an expert in ${analysisType} analysis.`;
 
-        return {
-          analysis: response.data.choices[0].message.content,
-          analysisType,
-          metadata: {
-            model: response.data.model,
-            usage: response.data.usage,
-            timestamp: new Date().toISOString()
-          }
-        };
-      }
-      
-      throw new Error('Unknown AI provider');
+      // Prepare user message with text to analyze
+      const userMessage = `Please analyze the following text using ${analysisType} analysis:\n\n${text}`;
+
+      const result = await this.complete('analyze', [
+        { role: 'system', content: systemMessage },
+        { role: 'user', content: userMessage }
+      ]);
+
+      return {
+        analysis: result.content,
+        analysisType,
+        metadata: result.metadata
+      };
     } catch (error) {
       throw new Error(`Failed to analyze text: ${error.message}`);
     }
@@ -243,9 +386,13 @@ class AIService {
 
   /**
    * Extract information from a document
+   * Without fields the information is described in prose. With fields, it is a JSON object typed
+   * by the field schema, and each value has a confidence and the span of the document it came from;
+   * replies that do not match the schema are sent back for correction.
    * @param {Object} data - Information extraction data
    * @param {string} data.documentId - Document ID
-   * @param {Array} data.fields - Fields to extract (optional)
+   * @param {Array<string|Object>} data.fields - Fields to extract (optional): names, or
+   *   { name, type, required, enum, format, description }
    * @param {string} data.documentContent - Document content (if documentId not provided)
    * @returns {Promise<Object>} Extracted information
    */
@@ -260,48 +407,48 @@ class AIService {
       throw new Error('Either documentId or documentContent is required');
     }
 
+    // A bad field is the caller's mistake, reported before the document is read
+    const schema = fields && fields.length > 0 ? extraction.compileFields(fields) : null;
+
     try {
-      // For this implementation, we'll assume documentContent is provided
-      // In a real implementation, you would fetch the document content using documentId
-      const content = documentContent || `[Document content for ID: ${documentId}]`;
-
-      if (this.provider === 'openai') {
-        // Prepare system message based on fields to extract
-        let systemMessage = 'You are an expert in extracting structured information from documents.';
-        
-        if (fields && fields.length > 0) {
-          systemMessage += ` Extract the following fields: ${fields.join(', ')}.`;
-        }
+      const content = await this.getDocumentText(documentId, documentContent);
 
-        // Prepare user message with document content
-        const userMessage = `Please extract key information from the following document:\n\n${content}`;
-
-        // Call OpenAI API
-        const response = await this.openaiClient.post('/chat/completions', {
-          model: this.openaiConfig.model,
-          messages: [
-            { role: 'system', content: systemMessage },
-            { role: 'user', content: userMessage }
-          ],
-          temperature: 0.3, // Lower temperature for more deterministic extraction
-          max_tokens: this.openaiConfig.maxTokens
-        });
+      if (!schema) {
+        // Lower temperature for more deterministic extraction
+        const result = await this.complete('extract', [
+          { role: 'system', content: 'You are an expert in extracting structured information from documents.' },
+          { role: 'user', content: `Please extract key information from the following document:\n\n${content}` }
+        ], { temperature: 0.3 });
 
         return {
-          information: response.data.choices[0].message.content,
+          information: result.content,
           documentId: documentId || null,
-          fields: fields || [],
-          metadata: {
-            model: response.data.model,
-            usage: response.data.usage,
-            timestamp: new Date().toISOString()
-          }
+          fields: [],
+          metadata: result.metadata
         };
       }
-      
-      throw new Error('Unknown AI provider');
+
+      const { reply, attempts, metadata } = await this.completeJson(
+        'extract',
+        extraction.buildMessages(schema, content),
+        extraction.jsonSchema(schema),
+        replyContent => extraction.readReply(replyContent, schema, content),
+        config.ai.extraction.maxAttempts
+      );
+
+      return {
+        information: reply.information,
+        evidence: reply.evidence,
+        documentId: documentId || null,
+        fields: schema,
+        attempts,
+        metadata
+      };
     } catch (error) {
-      throw new Error(`Failed to extract information: ${error.message}`);
+      const wrapped = new Error(`Failed to extract information: ${error.message}`);
+      wrapped.status = error.status;
+      wrapped.validationErrors = error.validationErrors;
+      throw wrapped;
     }
   }
 
@@ -311,9 +458,12 @@ class AIService {
    * @param {string} data.documentId - Document ID
    * @param {number} data.maxLength - Maximum length of summary (optional)
    * @param {string} data.documentContent - Document content (if documentId not provided)
+   * @param {Object} options - Streaming options (optional)
+   * @param {Function} options.onDelta - Called with each piece of text as it is generated
+   * @param {AbortSignal} options.signal - Cancels the request
    * @returns {Promise<Object>} Document summary
    */
-  async summarizeDocument(data) {
+  async summarizeDocument(data, options = {}) {
     if (!this.isConfigured()) {
       throw new Error('AI service is not properly configured');
     }
@@ -325,47 +475,33 @@ class AIService {
     }
 
     try {
-      // For this implementation, we'll assume documentContent is provided
-      // In a real implementation, you would fetch the document content using documentId
-      const content = documentContent || `[Document content for ID: ${documentId}]`;
-
-      if (this.provider === 'openai') {
-        // Prepare system message based on max length
-        let systemMessage = 'You are an expert in summarizing documents concisely while preserving key information.';
-        
-        if (maxLength) {
-          systemMessage += ` Limit the summary to approximately ${maxLength} words.`;
-        }
+      const content = await this.getDocumentText(documentId, documentContent);
 
-        // Prepare user message with document content
-        const userMessage = `Please summarize the following document:\n\n${content}`;
-
-        // Call OpenAI API
-        const response = await this.openaiClient.post('/chat/completions', {
-          model: this.openaiConfig.model,
-          messages: [
-            { role: 'system', content: systemMessage },
-            { role: 'user', content: userMessage }
-          ],
-          temperature: 0.5,
-          max_tokens: this.openaiConfig.maxTokens
-        });
+      // Prepare system message based on max length
+      let systemMessage = 'You are an expert in summarizing documents concisely while preserving key information.';
 
-        return {
-          summary: response.data.choices[0].message.content,
-          documentId: documentId || null,
-          maxLength: maxLength || null,
-          metadata: {
-            model: response.data.model,
-            usage: response.data.usage,
-            timestamp: new Date().toISOString()
-          }
-        };
+      if (maxLength) {
+        systemMessage += ` Limit the summary to approximately ${maxLength} words.`;
       }
-      
-      throw new Error('Unknown AI provider');
+
+      // Prepare user message with document content
+      const userMessage = `Please summarize the following document:\n\n${content}`;
+
+      const result = await this.complete('summarize', [
+        { role: 'system', content: systemMessage },
+        { role: 'user', content: userMessage }
+      ], { temperature: 0.5, onDelta: options.onDelta, signal: options.signal });
+
+      return {
+        summary: result.content,
+        documentId: documentId || null,
+        maxLength: maxLength || null,
+        metadata: result.metadata
+      };
     } catch (error) {
-      throw new Error(`Failed to summarize document: ${error.message}`);
+      const wrapped = new Error(`Failed to summarize document: ${error.message}`);
+      wrapped.status = error.status;
+      throw wrapped;
     }
   }
 
@@ -374,9 +510,12 @@ class AIService {
    * @param {Object} data - Response generation data
    * @param {string} data.query - Query to respond to
    * @param {Object} data.context - Context data for response generation
+   * @param {Object} options - Streaming options (optional)
+   * @param {Function} options.onDelta - Called with each piece of text as it is generated
+   * @param {AbortSignal} options.signal - Cancels the request
    * @returns {Promise<Object>} Generated response
    */
-  async generateResponse(data) {
+  async generateResponse(data, options = {}) {
     if (!this.isConfigured()) {
       throw new Error('AI service is not properly configured');
     }
@@ -388,108 +527,127 @@ class AIService {
     }
 
     try {
-      if (this.provider === 'openai') {
-        // Prepare system message with context
-        let systemMessage = 'You are a helpful assistant providing accurate and relevant information.';
-        
-        if (context) {
-          systemMessage += ` Use the following context information: ${JSON.stringify(context, null, 2)}`;
-        }
-
-        // Prepare user message with query
-        const userMessage = query;
-
-        // Call OpenAI API
-        const response = await this.openaiClient.post('/chat/completions', {
-          model: this.openaiConfig.model,
-          messages: [
-            { role: 'system', content: systemMessage },
-            { role: 'user', content: userMessage }
-          ],
-          temperature: this.openaiConfig.temperature,
-          max_tokens: this.openaiConfig.maxTokens
-        });
+      // Prepare system message with context
+      let systemMessage = 'You are a helpful assistant providing accurate and relevant information.';
 
-        return {
-          response: response.data.choices[0].message.content,
-          query,
-          metadata: {
-            model: response.data.model,
-            usage: response.data.usage,
-            timestamp: new Date().toISOString()
-          }
-        };
+      if (context) {
+        systemMessage += ` Use the following context information: ${JSON.stringify(context, null, 2)}`;
       }
-      
-      throw new Error('Unknown AI provider');
+
+      const result = await this.complete('respond', [
+        { role: 'system', content: systemMessage },
+        { role: 'user', content: query }
+      ], { onDelta: options.onDelta, signal: options.signal });
+
+      return {
+        response: result.content,
+        query,
+        metadata: result.metadata
+      };
     } catch (error) {
-      throw new Error(`Failed to generate response: ${error.message}`);
+      const wrapped = new Error(`Failed to generate response: ${error.message}`);
+      wrapped.status = error.status;
+      throw wrapped;
     }
   }
 
   /**
    * Classify a document
+   * With categories, passed in or from a stored taxonomy, the document gets labels drawn only from
+   * them, each with a confidence and rationale; when no label reaches the threshold it is classified
+   * as unknown. Without categories the model describes the classification in prose.
    * @param {Object} data - Document classification data
    * @param {string} data.documentId - Document ID
-   * @param {Array} data.categories - Categories to classify into (optional)
+   * @param {Array<string|Object>} data.categories - Categories to classify into (optional): names, or { name, description }
+   * @param {string} data.taxonomy - Name of a stored taxonomy to take the categories from (optional)
+   * @param {number} data.threshold - Lowest confidence a label is kept at (optional)
+   * @param {boolean} data.multiLabel - Allow several labels (default true)
    * @param {string} data.documentContent - Document content (if documentId not provided)
-   * @returns {Promise<Object>} Document classification
+   * @returns {Promise<Object|null>} Document classification, or null if the taxonomy is not found
    */
   async classifyDocument(data) {
     if (!this.isConfigured()) {
       throw new Error('AI service is not properly configured');
     }
 
-    const { documentId, categories, documentContent } = data;
+    const { documentId, categories, taxonomy: taxonomyName, threshold, multiLabel, documentContent } = data;
 
     if (!documentId && !documentContent) {
       throw new Error('Either documentId or documentContent is required');
     }
 
+    if (taxonomyName && categories && categories.length > 0) {
+      throw createError('Give either categories or a taxonomy, not both', 400);
+    }
+    if (multiLabel !== undefined && typeof multiLabel !== 'boolean') {
+      throw createError('multiLabel must be true or false', 400);
+    }
+
+    // Bad categories or settings are the caller's mistake, reported before the document is read
+    let taxonomy = null;
+    let compiled = null;
+    if (taxonomyName) {
+      taxonomy = await taxonomyService.getTaxonomy(taxonomyName);
+      if (!taxonomy) {
+        return null;
+      }
+      compiled = taxonomy.categories;
+    } else if (categories && categories.length > 0) {
+      compiled = classification.compileCategories(categories);
+    }
+
+    let limit = config.ai.classification.threshold;
+    if (threshold !== undefined && threshold !== null) {
+      limit = classification.checkThreshold(threshold);
+    } else if (taxonomy && taxonomy.threshold !== null) {
+      limit = taxonomy.threshold;
+    }
+
     try {
-      // For this implementation, we'll assume documentContent is provided
-      // In a real implementation, you would fetch the document content using documentId
-      const content = documentContent || `[Document content for ID: ${documentId}]`;
-
-      if (this.provider === 'openai') {
-        // Prepare system message based on categories
-        let systemMessage = 'You are an expert in document classification.';
-        
-        if (categories && categories.length > 0) {
-          systemMessage += ` Classify the document into one or more of the following categories: ${categories.join(', ')}.`;
-        } else {
-          systemMessage += ' Determine the most appropriate categories for the document.';
-        }
+      const content = await this.getDocumentText(documentId, documentContent);
 
-        // Prepare user message with document content
-        const userMessage = `Please classify the following document:\n\n${content}`;
-
-        // Call OpenAI API
-        const response = await this.openaiClient.post('/chat/completions', {
-          model: this.openaiConfig.model,
-          messages: [
-            { role: 'system', content: systemMessage },
-            { role: 'user', content: userMessage }
-          ],
-          temperature: 0.3, // Lower temperature for more deterministic classification
-          max_tokens: this.openaiConfig.maxTokens
-        });
+      if (!compiled) {
+        // Lower temperature for more deterministic classification
+        const result = await this.complete('classify', [
+          { role: 'system', content: 'You are an expert in document classification. Determine the most appropriate categories for the document.' },
+          { role: 'user', content: `Please classify the following document:\n\n${content}` }
+        ], { temperature: 0.3 });
 
         return {
-          classification: response.data.choices[0].message.content,
+          classification: result.content,
           documentId: documentId || null,
-          categories: categories || [],
-          metadata: {
-            model: response.data.model,
-            usage: response.data.usage,
-            timestamp: new Date().toISOString()
-          }
+          categories: [],
+          metadata: result.metadata
         };
       }
-      
-      throw new Error('Unknown AI provider');
+
+      const options = { threshold: limit, multiLabel: multiLabel !== false };
+      const { reply, attempts, metadata } = await this.completeJson(
+        'classify',
+        classification.buildMessages(compiled, content, options.multiLabel),
+        classification.jsonSchema(compiled),
+        replyContent => classification.readReply(replyContent, compiled, options),
+        config.ai.classification.maxAttempts
+      );
+
+      return {
+        classification: reply.classification,
+        unknown: reply.unknown,
+        labels: reply.labels,
+        belowThreshold: reply.belowThreshold,
+        threshold: limit,
+        multiLabel: options.multiLabel,
+        documentId: documentId || null,
+        categories: compiled.map(category => category.name),
+        taxonomy: taxonomy ? taxonomy.name : null,
+        attempts,
+        metadata
+      };
     } catch (error) {
-      throw new Error(`Failed to classify document: ${error.message}`);
+      const wrapped = new Error(`Failed to classify document: ${error.message}`);
+      wrapped.status = error.status;
+      wrapped.validationErrors = error.validationErrors;
+      throw wrapped;
     }
   }
 }
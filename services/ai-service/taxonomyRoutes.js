@@ -0,0 +1,149 @@
+/**
+ * Taxonomy Routes
+ * API routes for managing stored classification taxonomies
+ */
+
+const express = require('express');
+const router = express.Router();
+const taxonomyService = require('./taxonomyService');
+
+/**
+ * Send an error response using the error's status when it has one
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error to report
+ */
+function sendError(res, error) {
+  const status = error.status || 500;
+  res.status(status).json({
+    error: {
+      message: error.message,
+      status
+    }
+  });
+}
+
+/**
+ * Send a 404 response for a missing taxonomy
+ * @param {Object} res - Express response object
+ * @param {string} name - Taxonomy name
+ */
+function sendNotFound(res, name) {
+  res.status(404).json({
+    error: {
+      message: `Taxonomy ${name} not found`,
+      status: 404
+    }
+  });
+}
+
+/**
+ * @route   GET /api/ai/taxonomies
+ * @desc    List classification taxonomies
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const taxonomies = await taxonomyService.listTaxonomies();
+    res.json({ taxonomies });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   POST /api/ai/taxonomies
+ * @desc    Create a classification taxonomy
+ * @access  Private
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, description, categories, threshold } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        error: {
+          message: 'Taxonomy name is required',
+          status: 400
+        }
+      });
+    }
+
+    if (!categories) {
+      return res.status(400).json({
+        error: {
+          message: 'Taxonomy categories are required',
+          status: 400
+        }
+      });
+    }
+
+    const taxonomy = await taxonomyService.createTaxonomy({ name, description, categories, threshold });
+    res.status(201).json(taxonomy);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   GET /api/ai/taxonomies/:name
+ * @desc    Get a classification taxonomy
+ * @access  Private
+ */
+router.get('/:name', async (req, res) => {
+  try {
+    const taxonomy = await taxonomyService.getTaxonomy(req.params.name);
+
+    if (!taxonomy) {
+      return sendNotFound(res, req.params.name);
+    }
+
+    res.json(taxonomy);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   PUT /api/ai/taxonomies/:name
+ * @desc    Update a classification taxonomy
+ * @access  Private
+ */
+router.put('/:name', async (req, res) => {
+  try {
+    const { description, categories, threshold } = req.body;
+    const taxonomy = await taxonomyService.updateTaxonomy(req.params.name, { description, categories, threshold });
+
+    if (!taxonomy) {
+      return sendNotFound(res, req.params.name);
+    }
+
+    res.json(taxonomy);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   DELETE /api/ai/taxonomies/:name
+ * @desc    Delete a classification taxonomy
+ * @access  Private
+ */
+router.delete('/:name', async (req, res) => {
+  try {
+    const deleted = await taxonomyService.deleteTaxonomy(req.params.name);
+
+    if (!deleted) {
+      return sendNotFound(res, req.params.name);
+    }
+
+    res.json({
+      success: true,
+      message: `Taxonomy ${req.params.name} deleted successfully`,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,157 @@
+/**
+ * Taxonomy Service
+ * Handles stored sets of classification categories, so callers can classify against a named
+ * taxonomy instead of passing the categories on every call
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const database = require('../database/service');
+const { createError } = require('../errors');
+const classification = require('./classification');
+
+const NAME_PATTERN = /^[A-Za-z][\w-]*$/;
+
+/**
+ * Map a database row to a taxonomy object
+ * @param {Object} row - Database row
+ * @returns {Object} Taxonomy
+ */
+function toTaxonomy(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description || '',
+    categories: row.categories,
+    threshold: row.threshold,
+    createdAt: row.created_at.toISOString(),
+    updatedAt: row.updated_at.toISOString()
+  };
+}
+
+class TaxonomyService {
+  /**
+   * List taxonomies
+   * @returns {Promise<Array>} Taxonomies
+   */
+  async listTaxonomies() {
+    try {
+      const { rows } = await database.query('SELECT * FROM taxonomies ORDER BY name ASC');
+      return rows.map(toTaxonomy);
+    } catch (error) {
+      throw new Error(`Failed to list taxonomies: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a taxonomy
+   * @param {string} name - Taxonomy name
+   * @returns {Promise<Object|null>} Taxonomy, or null if not found
+   */
+  async getTaxonomy(name) {
+    try {
+      const { rows } = await database.query('SELECT * FROM taxonomies WHERE name = $1', [name]);
+      return rows.length > 0 ? toTaxonomy(rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Failed to get taxonomy: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a taxonomy
+   * @param {Object} data - Taxonomy data
+   * @param {string} data.name - Unique taxonomy name
+   * @param {Array<string|Object>} data.categories - Categories: names, or { name, description }
+   * @param {number} data.threshold - Confidence threshold for this taxonomy (optional)
+   * @param {string} data.description - Taxonomy description (optional)
+   * @returns {Promise<Object>} Created taxonomy
+   */
+  async createTaxonomy(data) {
+    const { name, description } = data;
+
+    if (!name || !NAME_PATTERN.test(name)) {
+      throw createError('Taxonomy name must start with a letter and contain only letters, digits, "_" or "-"', 400);
+    }
+
+    const categories = classification.compileCategories(data.categories);
+    const threshold = data.threshold === undefined || data.threshold === null ? null : classification.checkThreshold(data.threshold);
+
+    try {
+      const { rows } = await database.query(
+        `INSERT INTO taxonomies (id, name, description, categories, threshold)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (name) DO NOTHING
+         RETURNING *`,
+        [uuidv4(), name, description || null, JSON.stringify(categories), threshold]
+      );
+
+      if (rows.length === 0) {
+        throw createError(`Taxonomy ${name} already exists`, 409);
+      }
+
+      return toTaxonomy(rows[0]);
+    } catch (error) {
+      if (error.status) {
+        throw error;
+      }
+      throw new Error(`Failed to create taxonomy: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update a taxonomy
+   * @param {string} name - Taxonomy name
+   * @param {Object} updates - Changes to apply: description, categories, threshold (null to use the default)
+   * @returns {Promise<Object|null>} Updated taxonomy, or null if not found
+   */
+  async updateTaxonomy(name, updates) {
+    const { description } = updates;
+
+    if (description === undefined && updates.categories === undefined && updates.threshold === undefined) {
+      throw createError('No taxonomy fields to update', 400);
+    }
+
+    const categories = updates.categories === undefined ? undefined : classification.compileCategories(updates.categories);
+    const threshold = updates.threshold === undefined || updates.threshold === null
+      ? updates.threshold
+      : classification.checkThreshold(updates.threshold);
+
+    try {
+      const { rows } = await database.query(
+        `UPDATE taxonomies SET
+           description = CASE WHEN $2 THEN $3 ELSE description END,
+           categories = COALESCE($4, categories),
+           threshold = CASE WHEN $5 THEN $6 ELSE threshold END,
+           updated_at = NOW()
+         WHERE name = $1
+         RETURNING *`,
+        [
+          name,
+          description !== undefined,
+          description || null,
+          categories === undefined ? null : JSON.stringify(categories),
+          threshold !== undefined,
+          threshold === undefined ? null : threshold
+        ]
+      );
+      return rows.length > 0 ? toTaxonomy(rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Failed to update taxonomy: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a taxonomy
+   * @param {string} name - Taxonomy name
+   * @returns {Promise<boolean>} True if a taxonomy was deleted
+   */
+  async deleteTaxonomy(name) {
+    try {
+      const { rowCount } = await database.query('DELETE FROM taxonomies WHERE name = $1', [name]);
+      return rowCount > 0;
+    } catch (error) {
+      throw new Error(`Failed to delete taxonomy: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new TaxonomyService();
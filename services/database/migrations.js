@@ -0,0 +1,220 @@
+/**
+ * Database Migrations
+ * Ordered schema changes applied by the database service on first use
+ */
+
+module.exports = [
+  {
+    id: '001_create_templates',
+    sql: `
+      CREATE TABLE IF NOT EXISTS templates (
+        id UUID PRIMARY KEY,
+        name TEXT NOT NULL,
+        description TEXT,
+        document_type TEXT NOT NULL,
+        body TEXT NOT NULL,
+        fields JSONB NOT NULL DEFAULT '[]',
+        owner TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS templates_document_type_idx ON templates (document_type);
+    `
+  },
+  {
+    id: '002_create_template_versions',
+    sql: `
+      CREATE TABLE IF NOT EXISTS template_versions (
+        id UUID PRIMARY KEY,
+        template_id UUID NOT NULL REFERENCES templates (id) ON DELETE CASCADE,
+        version INTEGER NOT NULL,
+        status TEXT NOT NULL DEFAULT 'draft',
+        document_type TEXT NOT NULL,
+        body TEXT NOT NULL,
+        fields JSONB NOT NULL DEFAULT '[]',
+        author TEXT,
+        change_notes TEXT,
+        submitted_by TEXT,
+        submitted_at TIMESTAMPTZ,
+        reviewed_by TEXT,
+        reviewed_at TIMESTAMPTZ,
+        review_notes TEXT,
+        published_at TIMESTAMPTZ,
+        retired_by TEXT,
+        retired_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        UNIQUE (template_id, version)
+      );
+      CREATE INDEX IF NOT EXISTS template_versions_status_idx ON template_versions (template_id, status);
+
+      ALTER TABLE templates ADD COLUMN IF NOT EXISTS latest_version INTEGER NOT NULL DEFAULT 1;
+      ALTER TABLE templates ADD COLUMN IF NOT EXISTS published_version INTEGER;
+
+      INSERT INTO template_versions (id, template_id, version, status, document_type, body, fields, author, created_at)
+      SELECT gen_random_uuid(), t.id, 1, 'draft', t.document_type, t.body, t.fields, t.owner, t.created_at
+      FROM templates t
+      LEFT JOIN template_versions v ON v.template_id = t.id
+      WHERE v.id IS NULL;
+
+      CREATE TABLE IF NOT EXISTS generated_documents (
+        id UUID PRIMARY KEY,
+        template_id UUID REFERENCES templates (id) ON DELETE SET NULL,
+        template_version_id UUID REFERENCES template_versions (id) ON DELETE SET NULL,
+        template_version INTEGER,
+        document_type TEXT NOT NULL,
+        source TEXT NOT NULL,
+        case_file_id TEXT,
+        content TEXT NOT NULL,
+        content_hash TEXT NOT NULL,
+        draft TEXT,
+        metadata JSONB NOT NULL DEFAULT '{}',
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS generated_documents_template_idx ON generated_documents (template_id, template_version);
+    `
+  },
+  {
+    id: '003_create_clauses',
+    sql: `
+      CREATE TABLE IF NOT EXISTS clauses (
+        id UUID PRIMARY KEY,
+        name TEXT NOT NULL UNIQUE,
+        title TEXT NOT NULL,
+        description TEXT,
+        current_version INTEGER NOT NULL DEFAULT 1,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS clause_versions (
+        id UUID PRIMARY KEY,
+        clause_id UUID NOT NULL REFERENCES clauses (id) ON DELETE CASCADE,
+        version INTEGER NOT NULL,
+        body TEXT NOT NULL,
+        author TEXT NOT NULL,
+        change_notes TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        UNIQUE (clause_id, version)
+      );
+
+      ALTER TABLE generated_documents ADD COLUMN IF NOT EXISTS clause_versions JSONB NOT NULL DEFAULT '[]';
+    `
+  },
+  {
+    id: '004_create_documents',
+    sql: `
+      CREATE TABLE IF NOT EXISTS documents (
+        id UUID PRIMARY KEY,
+        name TEXT NOT NULL,
+        mime_type TEXT NOT NULL,
+        size BIGINT NOT NULL DEFAULT 0,
+        storage_key TEXT NOT NULL,
+        checksum TEXT,
+        source TEXT NOT NULL DEFAULT 'upload',
+        status TEXT NOT NULL DEFAULT 'active',
+        case_file_id TEXT,
+        metadata JSONB NOT NULL DEFAULT '{}',
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS documents_case_file_idx ON documents (case_file_id);
+      CREATE INDEX IF NOT EXISTS documents_created_at_idx ON documents (created_at, id);
+    `
+  },
+  {
+    id: '005_create_document_versions',
+    sql: `
+      CREATE TABLE IF NOT EXISTS document_versions (
+        id UUID PRIMARY KEY,
+        document_id UUID NOT NULL REFERENCES documents (id) ON DELETE CASCADE,
+        version INTEGER NOT NULL,
+        parent_version_id UUID REFERENCES document_versions (id) ON DELETE SET NULL,
+        operation TEXT NOT NULL,
+        triggered_by TEXT,
+        name TEXT NOT NULL,
+        mime_type TEXT NOT NULL,
+        size BIGINT NOT NULL DEFAULT 0,
+        storage_key TEXT NOT NULL,
+        checksum TEXT,
+        metadata JSONB NOT NULL DEFAULT '{}',
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        UNIQUE (document_id, version)
+      );
+
+      ALTER TABLE documents ADD COLUMN IF NOT EXISTS current_version INTEGER NOT NULL DEFAULT 1;
+
+      INSERT INTO document_versions (id, document_id, version, operation, name, mime_type, size, storage_key, checksum, created_at)
+      SELECT gen_random_uuid(), d.id, 1, 'upload', d.name, d.mime_type, d.size, d.storage_key, d.checksum, d.created_at
+      FROM documents d
+      LEFT JOIN document_versions v ON v.document_id = d.id
+      WHERE v.id IS NULL;
+    `
+  },
+  {
+    id: '006_create_document_text',
+    sql: `
+      CREATE TABLE IF NOT EXISTS document_text (
+        document_id UUID PRIMARY KEY REFERENCES documents (id) ON DELETE CASCADE,
+        version INTEGER NOT NULL,
+        source TEXT NOT NULL,
+        content TEXT NOT NULL,
+        search_vector TSVECTOR GENERATED ALWAYS AS (to_tsvector('english', content)) STORED,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS document_text_search_idx ON document_text USING GIN (search_vector);
+    `
+  },
+  {
+    id: '007_create_document_previews',
+    sql: `
+      CREATE TABLE IF NOT EXISTS document_previews (
+        document_id UUID NOT NULL REFERENCES documents (id) ON DELETE CASCADE,
+        storage_key TEXT NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (document_id, storage_key)
+      );
+    `
+  },
+  {
+    id: '008_add_document_text_ocr',
+    sql: `
+      ALTER TABLE document_text ADD COLUMN IF NOT EXISTS ocr JSONB;
+    `
+  },
+  {
+    id: '009_create_document_signatures',
+    sql: `
+      CREATE TABLE IF NOT EXISTS document_signatures (
+        id UUID PRIMARY KEY,
+        document_id UUID NOT NULL REFERENCES documents (id) ON DELETE CASCADE,
+        version INTEGER NOT NULL,
+        mode TEXT NOT NULL,
+        storage_key TEXT,
+        signature_digest TEXT NOT NULL,
+        signer JSONB NOT NULL,
+        signed_by TEXT,
+        reason TEXT,
+        location TEXT,
+        triggered_by TEXT,
+        signed_at TIMESTAMPTZ NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS document_signatures_document_idx ON document_signatures (document_id, version);
+    `
+  },
+  {
+    id: '010_create_taxonomies',
+    sql: `
+      CREATE TABLE IF NOT EXISTS taxonomies (
+        id UUID PRIMARY KEY,
+        name TEXT NOT NULL UNIQUE,
+        description TEXT,
+        categories JSONB NOT NULL,
+        threshold DOUBLE PRECISION,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `
+  }
+];
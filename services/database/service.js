@@ -0,0 +1,124 @@
+/**
+ * Database Service
+ * Manages the PostgreSQL connection pool and schema migrations
+ */
+
+const { Pool } = require('pg');
+const config = require('../../config');
+const migrations = require('./migrations');
+
+class DatabaseService {
+  constructor() {
+    this.config = config.database.postgres;
+    this.pool = null;
+    this.migrated = null;
+  }
+
+  /**
+   * Get the connection pool, creating it on first use
+   * @returns {Pool} PostgreSQL connection pool
+   */
+  getPool() {
+    if (!this.pool) {
+      this.pool = new Pool({
+        host: this.config.host,
+        port: this.config.port,
+        database: this.config.database,
+        user: this.config.user,
+        password: this.config.password,
+        ssl: this.config.ssl ? { rejectUnauthorized: false } : false
+      });
+
+      this.pool.on('error', error => {
+        console.error('PostgreSQL pool error:', error.message);
+      });
+    }
+    return this.pool;
+  }
+
+  /**
+   * Apply pending migrations (runs once per process)
+   * @returns {Promise<void>}
+   */
+  async migrate() {
+    if (!this.migrated) {
+      this.migrated = this.applyMigrations().catch(error => {
+        // Allow a later call to retry if the database was unavailable
+        this.migrated = null;
+        throw error;
+      });
+    }
+    return this.migrated;
+  }
+
+  /**
+   * Apply every migration that has not been recorded yet
+   * @returns {Promise<void>}
+   */
+  async applyMigrations() {
+    const client = await this.getPool().connect();
+    try {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          id TEXT PRIMARY KEY,
+          applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )
+      `);
+
+      const { rows } = await client.query('SELECT id FROM schema_migrations');
+      const applied = new Set(rows.map(row => row.id));
+
+      for (const migration of migrations) {
+        if (applied.has(migration.id)) {
+          continue;
+        }
+
+        await client.query('BEGIN');
+        try {
+          await client.query(migration.sql);
+          await client.query('INSERT INTO schema_migrations (id) VALUES ($1)', [migration.id]);
+          await client.query('COMMIT');
+        } catch (error) {
+          await client.query('ROLLBACK');
+          throw new Error(`Migration ${migration.id} failed: ${error.message}`);
+        }
+      }
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Run a single query
+   * @param {string} text - SQL statement
+   * @param {Array} params - Query parameters
+   * @returns {Promise<Object>} Query result
+   */
+  async query(text, params = []) {
+    await this.migrate();
+    return this.getPool().query(text, params);
+  }
+
+  /**
+   * Run a callback inside a transaction
+   * @param {Function} callback - Receives a client with a query method
+   * @returns {Promise<*>} Callback result
+   */
+  async transaction(callback) {
+    await this.migrate();
+    const client = await this.getPool().connect();
+    try {
+      await client.query('BEGIN');
+      const result = await callback(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = new DatabaseService();
@@ -0,0 +1,24 @@
+/**
+ * Document Parsing
+ * Exercises structure parsing on plain text
+ */
+
+const parsing = require('../parsing');
+
+describe('parse', () => {
+  test('reads a document that opens with a list', () => {
+    const parsed = parsing.parse({ text: '- first item\n- second item' });
+
+    expect(parsed.lists).toHaveLength(1);
+    expect(parsed.lists[0].ordered).toBe(false);
+    expect(parsed.lists[0].items.map(item => item.text)).toEqual(['first item', 'second item']);
+  });
+
+  test('reads an ordered list under a heading', () => {
+    const parsed = parsing.parse({ text: 'STEPS\n\n1. Sign the form\n2. Return it to HR\n\nThank you.' });
+
+    expect(parsed.lists).toHaveLength(1);
+    expect(parsed.lists[0].ordered).toBe(true);
+    expect(parsed.lists[0].items.map(item => item.text)).toEqual(['Sign the form', 'Return it to HR']);
+  });
+});
@@ -0,0 +1,263 @@
+/**
+ * Word Diff
+ * Compares two texts word by word: paragraphs are matched first, then the words of changed
+ * paragraphs, and finally runs of words deleted in one place and inserted in another become moves.
+ */
+
+const { diffArrays } = require('diff');
+
+const BLOCK_PATTERN = /(?:[^\n\f]|\n(?![ \t]*[\n\f]))+/g;
+const LINE_PATTERN = /[^\n]+/g;
+const TOKEN_PATTERN = /[\p{L}\p{N}][\p{L}\p{N}'’_-]*|[^\s\p{L}\p{N}]/gu;
+const WORD_PATTERN = /[\p{L}\p{N}]/u;
+const HEADING_NUMBER = /^(?:\d+(?:\.\d+)*|[IVXLC]+|[A-Z])[.)]?\s+\S/;
+const DEFAULT_HEADING_LEVEL = 2;
+const MIN_MOVE_WORDS = 3;
+const MIN_MOVE_LENGTH = 12;
+
+/**
+ * Guess whether a line is a heading when the source format does not say
+ * @param {string} text - Line text
+ * @returns {boolean} Whether the line looks like a heading
+ */
+function looksLikeHeading(text) {
+  if (text.length > 80 || /[.,;:!?]$/.test(text)) {
+    return false;
+  }
+  const letters = text.replace(/[^\p{L}]/gu, '');
+  return letters.length >= 2 && (HEADING_NUMBER.test(text) || letters === letters.toUpperCase());
+}
+
+/**
+ * Make a paragraph from a stretch of text
+ * @param {string} text - Full text
+ * @param {number} start - Offset of the paragraph's first character
+ * @param {number} end - Offset after the paragraph's last character
+ * @param {number|null} headingLevel - Heading level, or null for body text
+ * @returns {Object|null} Paragraph, or null if it holds no tokens
+ */
+function createParagraph(text, start, end, headingLevel) {
+  const body = text.slice(start, end);
+  const tokens = [];
+
+  for (const token of body.matchAll(TOKEN_PATTERN)) {
+    const tokenStart = start + token.index;
+    const tokenEnd = tokenStart + token[0].length;
+    tokens.push({ word: token[0], start: tokenStart, end: tokenEnd, space: /\s/.test(text[tokenEnd] || '') });
+  }
+
+  if (tokens.length === 0) {
+    return null;
+  }
+  return {
+    text: body.replace(/\s+/g, ' '),
+    start,
+    end,
+    heading: headingLevel !== null,
+    level: headingLevel,
+    tokens
+  };
+}
+
+/**
+ * Split text into paragraphs of word tokens
+ * Paragraphs end at blank lines and page breaks. When extraction reported no sections, lines that
+ * look like headings (numbered or all capitals, no closing punctuation) become paragraphs of their own.
+ * @param {string} text - Extracted text
+ * @param {Array<Object>} sections - Sections reported by extraction, whose starts mark headings (optional)
+ * @returns {Array<Object>} Paragraphs: { text, start, end, heading, level, tokens: [{ word, start, end, space }] }
+ */
+function tokenize(text, sections = []) {
+  const headings = new Map(sections.filter(section => section.title).map(section => [section.start, section.level]));
+  const paragraphs = [];
+  const add = (start, end, level) => {
+    const paragraph = createParagraph(text, start, end, level);
+    if (paragraph) {
+      paragraphs.push(paragraph);
+    }
+  };
+
+  for (const block of text.matchAll(BLOCK_PATTERN)) {
+    const trimmed = block[0].trim();
+    if (!trimmed) {
+      continue;
+    }
+    const blockStart = block.index + block[0].indexOf(trimmed);
+
+    if (headings.size > 0) {
+      add(blockStart, blockStart + trimmed.length, headings.has(blockStart) ? headings.get(blockStart) : null);
+      continue;
+    }
+
+    let start = null;
+    let end = null;
+    for (const line of trimmed.matchAll(LINE_PATTERN)) {
+      const content = line[0].trim();
+      const lineStart = blockStart + line.index + line[0].indexOf(content);
+      if (content && looksLikeHeading(content)) {
+        if (start !== null) {
+          add(start, end, null);
+          start = null;
+        }
+        add(lineStart, lineStart + content.length, DEFAULT_HEADING_LEVEL);
+      } else if (content) {
+        start = start === null ? lineStart : start;
+        end = lineStart + content.length;
+      }
+    }
+    if (start !== null) {
+      add(start, end, null);
+    }
+  }
+
+  return paragraphs;
+}
+
+/**
+ * Compare two tokenized texts
+ * Runs never span paragraphs. Deleted tokens carry original offsets, inserted tokens revised offsets,
+ * and unchanged tokens revised offsets plus the matching original offsets.
+ * @param {Array<Object>} original - Paragraphs of the original text
+ * @param {Array<Object>} revised - Paragraphs of the revised text
+ * @returns {Array<Object>} Runs in reading order: { type: 'equal' | 'insert' | 'delete', tokens, paragraphs,
+ *   startsParagraph } where paragraphs holds the original and/or revised paragraph index the run belongs to
+ */
+function diffParagraphs(original, revised) {
+  const runs = [];
+
+  const push = (type, token, paragraphs) => {
+    const last = runs[runs.length - 1];
+    if (last && last.type === type &&
+      last.paragraphs.original === paragraphs.original && last.paragraphs.revised === paragraphs.revised) {
+      last.tokens.push(token);
+    } else {
+      runs.push({ type, tokens: [token], paragraphs });
+    }
+  };
+
+  const pushEqual = (left, right) => {
+    push('equal', { ...right, original: { start: left.start, end: left.end } },
+      { original: left.paragraph, revised: right.paragraph });
+  };
+
+  const withParagraph = (paragraphs, indices) =>
+    indices.flatMap(index => paragraphs[index].tokens.map(token => ({ ...token, paragraph: index })));
+
+  let pendingDeleted = [];
+  // Changed paragraphs are compared word by word, so an edit inside a paragraph shows as a few words
+  const flushHunk = insertedParagraphs => {
+    const left = withParagraph(original, pendingDeleted);
+    const right = withParagraph(revised, insertedParagraphs);
+    let l = 0;
+    let r = 0;
+
+    for (const part of diffArrays(left, right, { comparator: (a, b) => a.word === b.word })) {
+      for (let count = 0; count < part.count; count++) {
+        if (part.removed) {
+          push('delete', left[l], { original: left[l].paragraph });
+          l += 1;
+        } else if (part.added) {
+          push('insert', right[r], { revised: right[r].paragraph });
+          r += 1;
+        } else {
+          pushEqual(left[l], right[r]);
+          l += 1;
+          r += 1;
+        }
+      }
+    }
+    pendingDeleted = [];
+  };
+
+  let originalIndex = 0;
+  let revisedIndex = 0;
+
+  for (const change of diffArrays(original, revised, { comparator: (a, b) => a.text === b.text })) {
+    if (change.removed) {
+      pendingDeleted.push(...Array.from({ length: change.count }, (_, offset) => originalIndex + offset));
+      originalIndex += change.count;
+    } else if (change.added) {
+      flushHunk(Array.from({ length: change.count }, (_, offset) => revisedIndex + offset));
+      revisedIndex += change.count;
+    } else {
+      flushHunk([]);
+      for (let offset = 0; offset < change.count; offset++) {
+        const left = withParagraph(original, [originalIndex + offset]);
+        const right = withParagraph(revised, [revisedIndex + offset]);
+        right.forEach((token, index) => pushEqual(left[index], token));
+      }
+      originalIndex += change.count;
+      revisedIndex += change.count;
+    }
+  }
+  flushHunk([]);
+
+  // A run opens a new paragraph when either text has moved on to its next paragraph
+  const current = {};
+  runs.forEach(run => {
+    const sides = Object.keys(run.paragraphs);
+    run.startsParagraph = sides.some(side => current[side] !== run.paragraphs[side]);
+    sides.forEach(side => { current[side] = run.paragraphs[side]; });
+  });
+
+  return runs;
+}
+
+/**
+ * Join tokens back into text, keeping the spacing of the source
+ * @param {Array<Object>} tokens - Word tokens
+ * @returns {string} Text
+ */
+function tokensText(tokens) {
+  return tokens.map((token, index) => token.word + (token.space && index < tokens.length - 1 ? ' ' : '')).join('');
+}
+
+/**
+ * Count the tokens that are words rather than punctuation
+ * @param {Array<Object>} tokens - Word tokens
+ * @returns {number} Word count
+ */
+function countWords(tokens) {
+  return tokens.filter(token => WORD_PATTERN.test(token.word)).length;
+}
+
+/**
+ * Mark runs deleted in one place and inserted unchanged in another as moves
+ * @param {Array<Object>} runs - Runs from diffParagraphs, updated in place with types 'moveFrom' and 'moveTo'
+ * @returns {number} Number of moves found
+ */
+function detectMoves(runs) {
+  const key = run => run.tokens.map(token => token.word).join(' ');
+  const movable = run => countWords(run.tokens) >= MIN_MOVE_WORDS || key(run).length >= MIN_MOVE_LENGTH;
+  const inserted = new Map();
+
+  runs.forEach(run => {
+    if (run.type === 'insert' && movable(run)) {
+      inserted.set(key(run), [...(inserted.get(key(run)) || []), run]);
+    }
+  });
+
+  let moves = 0;
+  runs.forEach(run => {
+    const candidates = run.type === 'delete' && movable(run) ? inserted.get(key(run)) : null;
+    const target = candidates && candidates.shift();
+    if (target) {
+      moves += 1;
+      run.type = 'moveFrom';
+      target.type = 'moveTo';
+      run.moveId = moves;
+      target.moveId = moves;
+    }
+  });
+
+  return moves;
+}
+
+module.exports = {
+  countWords,
+  detectMoves,
+  diffParagraphs,
+  looksLikeHeading,
+  tokenize,
+  tokensText
+};
@@ -0,0 +1,187 @@
+/**
+ * Document Comparison
+ * Diffs the extracted text of two documents word by word, counts changes per section and renders a redline
+ */
+
+const { countWords, detectMoves, diffParagraphs, tokenize, tokensText } = require('./diff');
+const redline = require('./redline');
+
+const COUNT_KEYS = ['additions', 'deletions', 'modifications', 'moves', 'wordsInserted', 'wordsDeleted', 'wordsMoved'];
+
+const REDLINE_FORMATS = {
+  html: { mimeType: 'text/html', extension: 'html' },
+  pdf: { mimeType: 'application/pdf', extension: 'pdf' }
+};
+
+/**
+ * Find the page an offset falls on
+ * @param {Array<Object>} pages - Page offsets from extraction: { number, start, end }
+ * @param {number} offset - Character offset
+ * @returns {number|undefined} Page number, or undefined when the text has no pages
+ */
+function pageAt(pages, offset) {
+  const page = pages.find(candidate => offset >= candidate.start && offset <= candidate.end);
+  return page ? page.number : undefined;
+}
+
+/**
+ * Describe where a change sits in one of the texts
+ * @param {Array<Object>} tokens - Tokens of the change on that side (may be empty)
+ * @param {number} position - Offset to use when the side has no tokens
+ * @param {Array<Object>} pages - Page offsets of that side
+ * @returns {Object} Location: { start, end, page? }
+ */
+function locate(tokens, position, pages) {
+  const start = tokens.length > 0 ? tokens[0].start : position;
+  const end = tokens.length > 0 ? tokens[tokens.length - 1].end : position;
+  const page = pageAt(pages, start);
+  return { start, end, ...(page !== undefined && { page }) };
+}
+
+/**
+ * Create empty change counts for a section
+ * @param {string|null} title - Section heading, or null for text before the first heading
+ * @param {number} level - Heading level
+ * @returns {Object} Section counts
+ */
+function createSection(title, level) {
+  return { title, level, ...Object.fromEntries(COUNT_KEYS.map(key => [key, 0])) };
+}
+
+/**
+ * Compare the extracted text of two documents
+ * @param {Object} original - Extracted original: { text, sections, pages }
+ * @param {Object} revised - Extracted revision: { text, sections, pages }
+ * @returns {Object} Runs for rendering, the list of changes, total differences and per-section counts
+ */
+function compare(original, revised) {
+  const originalParagraphs = tokenize(original.text, original.sections);
+  const revisedParagraphs = tokenize(revised.text, revised.sections);
+  const runs = diffParagraphs(originalParagraphs, revisedParagraphs);
+  detectMoves(runs);
+
+  // Each run belongs to the section of the last heading read, preferring the revised heading's wording
+  const sections = [createSection(null, 0)];
+  runs.forEach(run => {
+    const paragraph = run.paragraphs.revised !== undefined
+      ? revisedParagraphs[run.paragraphs.revised]
+      : originalParagraphs[run.paragraphs.original];
+    if (paragraph.heading && run.startsParagraph) {
+      sections.push(createSection(paragraph.text, paragraph.level));
+    }
+    run.section = sections[sections.length - 1];
+  });
+
+  const changes = [];
+  const moveSources = new Map(runs.filter(run => run.type === 'moveFrom').map(run => [run.moveId, run]));
+  let originalPosition = 0;
+  let revisedPosition = 0;
+  let pending = null;
+
+  const flush = () => {
+    if (!pending) {
+      return;
+    }
+    const { deleted, inserted, section } = pending;
+    const type = deleted.length === 0 ? 'insert' : inserted.length === 0 ? 'delete' : 'replace';
+    const words = { inserted: countWords(inserted), deleted: countWords(deleted) };
+
+    changes.push({
+      type,
+      section: section.title,
+      ...(deleted.length > 0 && { deletedText: tokensText(deleted) }),
+      ...(inserted.length > 0 && { insertedText: tokensText(inserted) }),
+      words,
+      original: locate(deleted, pending.originalPosition, original.pages || []),
+      revised: locate(inserted, pending.revisedPosition, revised.pages || [])
+    });
+
+    section[{ insert: 'additions', delete: 'deletions', replace: 'modifications' }[type]] += 1;
+    section.wordsInserted += words.inserted;
+    section.wordsDeleted += words.deleted;
+    pending = null;
+  };
+
+  for (const run of runs) {
+    const last = run.tokens[run.tokens.length - 1];
+
+    // Changes do not run across headings, so each one is counted in a single section
+    if (pending && (run.section !== pending.section || (run.type !== 'insert' && run.type !== 'delete'))) {
+      flush();
+    }
+    if (run.type === 'insert' || run.type === 'delete') {
+      pending = pending || { deleted: [], inserted: [], section: run.section, originalPosition, revisedPosition };
+      pending[run.type === 'insert' ? 'inserted' : 'deleted'].push(...run.tokens);
+    }
+
+    // A move is reported where the text ended up, and counted in that section
+    if (run.type === 'moveTo') {
+      const source = moveSources.get(run.moveId);
+      const words = countWords(run.tokens);
+      changes.push({
+        type: 'move',
+        section: run.section.title,
+        fromSection: source.section.title,
+        movedText: tokensText(run.tokens),
+        words: { moved: words },
+        original: locate(source.tokens, source.tokens[0].start, original.pages || []),
+        revised: locate(run.tokens, run.tokens[0].start, revised.pages || [])
+      });
+      run.section.moves += 1;
+      run.section.wordsMoved += words;
+    }
+
+    if (run.type === 'equal') {
+      originalPosition = last.original.end;
+      revisedPosition = last.end;
+    } else if (run.type === 'delete' || run.type === 'moveFrom') {
+      originalPosition = last.end;
+    } else {
+      revisedPosition = last.end;
+    }
+  }
+  flush();
+
+  const differences = Object.fromEntries(COUNT_KEYS.map(key =>
+    [key, sections.reduce((sum, section) => sum + section[key], 0)]));
+
+  // Text before the first heading only gets a section of its own when there is some
+  const reported = sections.filter((section, index) => index > 0 || runs.some(run => run.section === section));
+
+  return {
+    identical: changes.length === 0,
+    differences,
+    sections: reported,
+    changes,
+    runs,
+    paragraphs: { original: originalParagraphs, revised: revisedParagraphs }
+  };
+}
+
+/**
+ * Render a comparison as a redline document
+ * @param {Object} comparison - Result of compare
+ * @param {string} format - 'html' or 'pdf'
+ * @param {Object} options - Rendering options (title, originalName, revisedName, branding, pageSize)
+ * @returns {Promise<Object>} Redline bytes with MIME type and file extension
+ */
+async function renderRedline(comparison, format, options = {}) {
+  const target = REDLINE_FORMATS[format];
+  if (!target) {
+    const error = new Error(`Unsupported redline format ${format}. Supported formats: ${Object.keys(REDLINE_FORMATS).join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const buffer = format === 'pdf'
+    ? await redline.toPdf(comparison, options)
+    : Buffer.from(redline.toHtml(comparison, options), 'utf8');
+
+  return { buffer, ...target };
+}
+
+module.exports = {
+  REDLINE_FORMATS,
+  compare,
+  renderRedline
+};
@@ -0,0 +1,256 @@
+/**
+ * Redline Writer
+ * Renders a comparison as the revised text with insertions underlined, deletions struck through
+ * and moved text marked in both places, preceded by a summary of the changes per section
+ */
+
+const PDFDocument = require('pdfkit');
+const { escapeHtml } = require('../conversion/markupWriters');
+const { decoratePages, registerFonts } = require('../conversion/pdfWriter');
+const { tokensText } = require('./diff');
+
+const STYLES = {
+  insert: { color: '#1A56DB', underline: true, tag: 'ins', className: 'insert', label: 'Inserted' },
+  delete: { color: '#C81E1E', strike: true, tag: 'del', className: 'delete', label: 'Deleted' },
+  moveFrom: { color: '#057A55', strike: true, tag: 'del', className: 'moved-from', label: 'Moved from' },
+  moveTo: { color: '#057A55', underline: true, tag: 'ins', className: 'moved-to', label: 'Moved to' }
+};
+
+const SUMMARY_COLUMNS = [
+  ['additions', 'Added'],
+  ['deletions', 'Deleted'],
+  ['modifications', 'Changed'],
+  ['moves', 'Moved'],
+  ['wordsInserted', 'Words in'],
+  ['wordsDeleted', 'Words out']
+];
+
+const HEADING_SIZES = [18, 15, 13, 12, 12, 12];
+const BODY_SIZE = 11;
+const WORD_START = /^[\p{L}\p{N}]/u;
+
+/**
+ * Group runs into the paragraphs to show
+ * @param {Object} comparison - Result of compare
+ * @returns {Array<Object>} Paragraphs: { heading, level, segments: [{ type, text, space, moveId }] }
+ */
+function layoutParagraphs(comparison) {
+  const { original, revised } = comparison.paragraphs;
+  const paragraphs = [];
+
+  comparison.runs.forEach(run => {
+    if (run.startsParagraph || paragraphs.length === 0) {
+      const source = run.paragraphs.revised !== undefined
+        ? revised[run.paragraphs.revised]
+        : original[run.paragraphs.original];
+      paragraphs.push({ heading: source.heading, level: Math.min(Math.max(source.level || 2, 1), 6), segments: [] });
+    }
+
+    const last = run.tokens[run.tokens.length - 1];
+    paragraphs[paragraphs.length - 1].segments.push({
+      type: run.type,
+      text: tokensText(run.tokens),
+      space: last.space,
+      moveId: run.moveId
+    });
+  });
+
+  // Text from the two versions meets where a change starts or ends, so words are kept apart there too
+  paragraphs.forEach(paragraph => {
+    paragraph.segments.forEach((segment, index) => {
+      const next = paragraph.segments[index + 1];
+      segment.space = !!next && (segment.space || WORD_START.test(next.text));
+    });
+  });
+
+  return paragraphs;
+}
+
+/**
+ * Describe a section for the summary
+ * @param {Object} section - Section counts
+ * @returns {string} Section label
+ */
+function sectionLabel(section) {
+  return section.title === null ? '(Before first heading)' : section.title;
+}
+
+/**
+ * Write a comparison as a redline HTML page
+ * @param {Object} comparison - Result of compare
+ * @param {Object} options - Writer options
+ * @param {string} options.title - Page title (optional)
+ * @param {string} options.originalName - Name of the original document (optional)
+ * @param {string} options.revisedName - Name of the revised document (optional)
+ * @returns {string} HTML
+ */
+function toHtml(comparison, options = {}) {
+  const title = options.title || 'Document Comparison';
+
+  const summaryRow = (label, counts, tag = 'td') =>
+    `<tr><${tag}>${escapeHtml(label)}</${tag}>${SUMMARY_COLUMNS.map(([key]) => `<${tag}>${counts[key]}</${tag}>`).join('')}</tr>`;
+
+  const body = layoutParagraphs(comparison).map(paragraph => {
+    const content = paragraph.segments.map(segment => {
+      const text = escapeHtml(segment.text);
+      const style = STYLES[segment.type];
+      const marked = style
+        ? `<${style.tag} class="${style.className}"${segment.moveId ? ` title="Move ${segment.moveId}"` : ''}>${text}</${style.tag}>`
+        : text;
+      return marked + (segment.space ? ' ' : '');
+    }).join('');
+
+    return paragraph.heading ? `<h${paragraph.level}>${content}</h${paragraph.level}>` : `<p>${content}</p>`;
+  }).join('\n');
+
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(title)}</title>`,
+    '<style>body { font-family: sans-serif; line-height: 1.5; } table { border-collapse: collapse; } ' +
+      'td, th { border: 1px solid #999; padding: 4px 8px; } ' +
+      Object.values(STYLES).map(style =>
+        `.${style.className} { color: ${style.color}; text-decoration: ${style.strike ? 'line-through' : 'underline'}; }`).join(' ') +
+      '</style>',
+    '</head>',
+    '<body>',
+    `<h1>${escapeHtml(title)}</h1>`,
+    `<p>Original: ${escapeHtml(options.originalName || '')}<br>Revised: ${escapeHtml(options.revisedName || '')}</p>`,
+    `<p>${Object.values(STYLES).map(style => `<${style.tag} class="${style.className}">${style.label}</${style.tag}>`).join(' ')}</p>`,
+    '<table>',
+    summaryRow('Section', Object.fromEntries(SUMMARY_COLUMNS.map(([key, label]) => [key, label])), 'th'),
+    ...comparison.sections.map(section => summaryRow(sectionLabel(section), section)),
+    summaryRow('Total', comparison.differences, 'th'),
+    '</table>',
+    '<hr>',
+    body,
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Write a comparison as a branded redline PDF
+ * @param {Object} comparison - Result of compare
+ * @param {Object} options - Writer options
+ * @param {string} options.title - Document title (optional)
+ * @param {string} options.originalName - Name of the original document (optional)
+ * @param {string} options.revisedName - Name of the revised document (optional)
+ * @param {Object} options.branding - Organization name, primary color, logo, footer text and fonts
+ * @param {string} options.pageSize - Page size such as 'LETTER' or 'A4' (default 'LETTER')
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+function toPdf(comparison, options = {}) {
+  const title = options.title || 'Document Comparison';
+  const branding = { ...options.branding, primaryColor: (options.branding || {}).primaryColor || '#000000' };
+  const doc = new PDFDocument({
+    size: options.pageSize || 'LETTER',
+    margins: { top: 96, bottom: 72, left: 72, right: 72 },
+    bufferPages: true,
+    info: {
+      Title: title,
+      ...(branding.organizationName && { Author: branding.organizationName })
+    }
+  });
+
+  const chunks = [];
+  const finished = new Promise((resolve, reject) => {
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const fonts = registerFonts(doc, branding);
+  const { left } = doc.page.margins;
+  const contentWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  doc.font(fonts.bold).fontSize(HEADING_SIZES[0]).fillColor(branding.primaryColor).text(title, left, doc.y, { width: contentWidth });
+  doc.moveDown(0.3);
+  doc.font(fonts.regular).fontSize(10).fillColor('#000000')
+    .text(`Original: ${options.originalName || ''}`)
+    .text(`Revised: ${options.revisedName || ''}`);
+  doc.moveDown(0.5);
+
+  // Legend
+  const legend = Object.values(STYLES);
+  legend.forEach((style, index) => {
+    doc.fillColor(style.color).text(style.label, {
+      continued: index < legend.length - 1,
+      underline: !!style.underline,
+      strike: !!style.strike
+    });
+    if (index < legend.length - 1) {
+      doc.fillColor('#000000').text('   ', { continued: true, underline: false, strike: false });
+    }
+  });
+  doc.moveDown(0.8);
+
+  // Summary table: section names take the first column, counts share the rest
+  const labelWidth = contentWidth * 0.3;
+  const countWidth = (contentWidth - labelWidth) / SUMMARY_COLUMNS.length;
+  const summaryRow = (label, values, font) => {
+    doc.font(font).fontSize(9).fillColor('#000000');
+    const height = doc.heightOfString(label, { width: labelWidth - 4 }) + 4;
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+    }
+    const top = doc.y;
+    doc.text(label, left, top + 2, { width: labelWidth - 4 });
+    values.forEach((value, index) => {
+      doc.text(String(value), left + labelWidth + index * countWidth, top + 2, { width: countWidth - 4, align: 'right' });
+    });
+    doc.moveTo(left, top + height).lineTo(left + contentWidth, top + height).lineWidth(0.5).strokeColor('#999999').stroke();
+    doc.y = top + height + 2;
+  };
+
+  summaryRow('Section', SUMMARY_COLUMNS.map(([, label]) => label), fonts.bold);
+  comparison.sections.forEach(section =>
+    summaryRow(sectionLabel(section), SUMMARY_COLUMNS.map(([key]) => section[key]), fonts.regular));
+  summaryRow('Total', SUMMARY_COLUMNS.map(([key]) => comparison.differences[key]), fonts.bold);
+
+  doc.x = left;
+  doc.moveDown(1);
+
+  // pdfkit continues a paragraph across calls while `continued` is set, so each run keeps its own marking
+  for (const paragraph of layoutParagraphs(comparison)) {
+    const size = paragraph.heading ? HEADING_SIZES[paragraph.level - 1] : BODY_SIZE;
+    const font = paragraph.heading ? fonts.bold : fonts.regular;
+    if (paragraph.heading) {
+      doc.moveDown(0.3);
+    }
+    doc.font(font).fontSize(size);
+
+    paragraph.segments.forEach((segment, index) => {
+      const style = STYLES[segment.type] || {};
+      const runOptions = {
+        continued: index < paragraph.segments.length - 1,
+        underline: !!style.underline,
+        strike: !!style.strike
+      };
+      doc.fillColor(style.color || '#000000');
+      if (index === 0) {
+        doc.text(segment.text, left, doc.y, { ...runOptions, width: contentWidth });
+      } else {
+        doc.text(segment.text, runOptions);
+      }
+      // The space between runs is left unmarked so strike-throughs and underlines end at the word
+      if (segment.space) {
+        doc.text(' ', { continued: true, underline: false, strike: false });
+      }
+    });
+    doc.moveDown(0.6);
+  }
+
+  decoratePages(doc, fonts, branding);
+  doc.end();
+
+  return finished;
+}
+
+module.exports = {
+  toHtml,
+  toPdf
+};
@@ -0,0 +1,252 @@
+/**
+ * Document Blocks
+ * Reads HTML and plain text into a simple block model that every output format can be written from.
+ *
+ * Blocks:
+ *   { type: 'heading', level, runs }
+ *   { type: 'paragraph', runs }
+ *   { type: 'list', items: [{ level, ordered, runs }] }
+ *   { type: 'table', rows: [{ header, cells: [runs] }] }
+ *   { type: 'code', text }
+ *   { type: 'pageBreak' }
+ * Runs are { text, bold, italic, underline } and may contain '\n' for line breaks.
+ */
+
+const { Parser } = require('htmlparser2');
+
+const SKIPPED_ELEMENTS = new Set(['head', 'script', 'style', 'noscript', 'template', 'svg']);
+const BLOCK_ELEMENTS = new Set([
+  'p', 'div', 'section', 'article', 'header', 'footer', 'main', 'aside', 'nav', 'blockquote', 'address',
+  'figure', 'figcaption', 'form', 'fieldset', 'dl', 'dt', 'dd', 'caption', 'hr', 'body', 'html'
+]);
+const HEADING_PATTERN = /^h([1-6])$/;
+const PAGE_BREAK_STYLE = /page-break-(before|after)\s*:\s*always|break-(before|after)\s*:\s*page/i;
+
+/**
+ * Tidy the runs of a finished block: merge runs with the same formatting and trim outer whitespace
+ * @param {Array<Object>} runs - Inline runs
+ * @returns {Array<Object>} Cleaned runs
+ */
+function cleanRuns(runs) {
+  const merged = [];
+
+  for (const run of runs) {
+    const last = merged[merged.length - 1];
+    if (last && last.bold === run.bold && last.italic === run.italic && last.underline === run.underline) {
+      last.text += run.text;
+    } else {
+      merged.push({ ...run });
+    }
+  }
+
+  merged.forEach(run => {
+    run.text = run.text.replace(/ *\n */g, '\n');
+  });
+
+  if (merged.length > 0) {
+    merged[0].text = merged[0].text.replace(/^[ \n]+/, '');
+    merged[merged.length - 1].text = merged[merged.length - 1].text.replace(/[ \n]+$/, '');
+  }
+
+  return merged.filter(run => run.text);
+}
+
+/**
+ * Plain text of a list of runs
+ * @param {Array<Object>} runs - Inline runs
+ * @returns {string} Text
+ */
+function runsText(runs) {
+  return runs.map(run => run.text).join('');
+}
+
+/**
+ * Read HTML into blocks
+ * @param {string} html - HTML markup
+ * @returns {Array<Object>} Blocks
+ */
+function fromHtml(html) {
+  const blocks = [];
+  const format = { bold: 0, italic: 0, underline: 0 };
+  const lists = [];
+  let skipDepth = 0;
+  let runs = [];
+  let heading = null;
+  let table = null;
+  let row = null;
+  let code = null;
+
+  const appendText = text => {
+    const last = runs[runs.length - 1];
+    let value = text.replace(/\s+/g, ' ');
+    if (!last || last.text.endsWith(' ') || last.text.endsWith('\n')) {
+      value = value.replace(/^ /, '');
+    }
+    if (value) {
+      runs.push({ text: value, bold: format.bold > 0, italic: format.italic > 0, underline: format.underline > 0 });
+    }
+  };
+
+  // Close whatever inline content is open as a paragraph, list item or heading
+  const flush = () => {
+    // Inside a table, paragraphs belong to the current cell and are collected when it closes
+    if (table) {
+      return;
+    }
+
+    const cleaned = cleanRuns(runs);
+    runs = [];
+
+    if (cleaned.length === 0) {
+      return;
+    }
+
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading, runs: cleaned });
+    } else if (lists.length > 0) {
+      const list = lists[lists.length - 1];
+      list.block.items.push({ level: lists.length - 1, ordered: list.ordered, runs: cleaned });
+    } else {
+      blocks.push({ type: 'paragraph', runs: cleaned });
+    }
+  };
+
+  const parser = new Parser({
+    onopentag(name, attributes) {
+      if (skipDepth > 0 || SKIPPED_ELEMENTS.has(name)) {
+        skipDepth += SKIPPED_ELEMENTS.has(name) ? 1 : 0;
+        return;
+      }
+
+      const breakStyle = `${attributes.style || ''} ${attributes.class === 'page-break' ? 'page-break-after: always' : ''}`;
+      if (PAGE_BREAK_STYLE.test(breakStyle)) {
+        flush();
+        blocks.push({ type: 'pageBreak' });
+      }
+
+      const headingLevel = name.match(HEADING_PATTERN);
+      if (headingLevel) {
+        flush();
+        heading = parseInt(headingLevel[1], 10);
+      } else if (BLOCK_ELEMENTS.has(name)) {
+        flush();
+      } else if (name === 'ul' || name === 'ol') {
+        flush();
+        // Nested lists add indented items to the outermost list block
+        let block = lists.length > 0 ? lists[0].block : null;
+        if (!block) {
+          block = { type: 'list', items: [] };
+          blocks.push(block);
+        }
+        lists.push({ block, ordered: name === 'ol' });
+      } else if (name === 'li') {
+        flush();
+      } else if (name === 'table') {
+        flush();
+        table = { type: 'table', rows: [] };
+      } else if (name === 'tr' && table) {
+        row = { header: false, cells: [] };
+      } else if ((name === 'td' || name === 'th') && row) {
+        runs = [];
+        row.header = row.header || name === 'th';
+      } else if (name === 'pre') {
+        flush();
+        code = '';
+      } else if (name === 'br') {
+        runs.push({ text: '\n', bold: format.bold > 0, italic: format.italic > 0, underline: format.underline > 0 });
+      } else if (name === 'strong' || name === 'b') {
+        format.bold += 1;
+      } else if (name === 'em' || name === 'i') {
+        format.italic += 1;
+      } else if (name === 'u' || name === 'ins') {
+        format.underline += 1;
+      }
+    },
+
+    ontext(text) {
+      if (skipDepth > 0) {
+        return;
+      }
+      if (code !== null) {
+        code += text;
+      } else {
+        appendText(text);
+      }
+    },
+
+    onclosetag(name) {
+      if (skipDepth > 0) {
+        skipDepth -= SKIPPED_ELEMENTS.has(name) ? 1 : 0;
+        return;
+      }
+
+      if (HEADING_PATTERN.test(name)) {
+        flush();
+        heading = null;
+      } else if (BLOCK_ELEMENTS.has(name) || name === 'li') {
+        flush();
+      } else if (name === 'ul' || name === 'ol') {
+        flush();
+        lists.pop();
+      } else if ((name === 'td' || name === 'th') && row) {
+        row.cells.push(cleanRuns(runs));
+        runs = [];
+      } else if (name === 'tr' && table && row) {
+        if (row.cells.length > 0) {
+          table.rows.push(row);
+        }
+        row = null;
+      } else if (name === 'table' && table) {
+        if (table.rows.length > 0) {
+          blocks.push(table);
+        }
+        table = null;
+      } else if (name === 'pre' && code !== null) {
+        blocks.push({ type: 'code', text: code.replace(/^\n|\n+$/g, '') });
+        code = null;
+      } else if (name === 'strong' || name === 'b') {
+        format.bold = Math.max(format.bold - 1, 0);
+      } else if (name === 'em' || name === 'i') {
+        format.italic = Math.max(format.italic - 1, 0);
+      } else if (name === 'u' || name === 'ins') {
+        format.underline = Math.max(format.underline - 1, 0);
+      }
+    }
+  }, { decodeEntities: true, lowerCaseTags: true });
+
+  parser.write(html);
+  parser.end();
+  flush();
+
+  return blocks;
+}
+
+/**
+ * Read plain text into blocks: blank lines separate paragraphs and form feeds separate pages
+ * @param {string} text - Plain text
+ * @returns {Array<Object>} Blocks
+ */
+function fromText(text) {
+  const blocks = [];
+
+  text.replace(/\r\n?/g, '\n').split('\f').forEach((page, index) => {
+    if (index > 0) {
+      blocks.push({ type: 'pageBreak' });
+    }
+
+    page.split(/\n\s*\n/)
+      .map(paragraph => paragraph.replace(/^\n+|\s+$/g, ''))
+      .filter(Boolean)
+      .forEach(paragraph => {
+        blocks.push({ type: 'paragraph', runs: [{ text: paragraph, bold: false, italic: false, underline: false }] });
+      });
+  });
+
+  return blocks;
+}
+
+module.exports = {
+  fromHtml,
+  fromText,
+  runsText
+};
@@ -0,0 +1,161 @@
+/**
+ * Document Conversion
+ * Converts among HTML, Markdown, plain text, DOCX and PDF by reading the source into blocks
+ * and writing the blocks in the target format
+ */
+
+const mammoth = require('mammoth');
+const { marked } = require('marked');
+const { fromHtml, fromText } = require('./blocks');
+const { toHtml, toMarkdown, toText } = require('./markupWriters');
+const { toDocx } = require('./docxWriter');
+const { toPdf } = require('./pdfWriter');
+const { decode } = require('../extraction/encoding');
+const { parseContentType } = require('../extraction');
+const pdfExtractor = require('../extraction/pdfExtractor');
+const { createError } = require('../../errors');
+
+const FORMATS = {
+  html: { mimeType: 'text/html', extension: 'html' },
+  markdown: { mimeType: 'text/markdown', extension: 'md' },
+  text: { mimeType: 'text/plain', extension: 'txt' },
+  docx: { mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx' },
+  pdf: { mimeType: 'application/pdf', extension: 'pdf' }
+};
+
+const FORMAT_ALIASES = {
+  htm: 'html',
+  md: 'markdown',
+  txt: 'text',
+  plain: 'text'
+};
+
+const MIME_FORMATS = {
+  'text/html': 'html',
+  'application/xhtml+xml': 'html',
+  'text/markdown': 'markdown',
+  'text/x-markdown': 'markdown',
+  'text/plain': 'text',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'application/pdf': 'pdf'
+};
+
+/**
+ * Normalize a requested target format name
+ * @param {string} format - Format name or alias, e.g. 'PDF' or 'md'
+ * @returns {string|null} Format key, or null if unknown
+ */
+function resolveFormat(format) {
+  const key = String(format || '').trim().toLowerCase().replace(/^\./, '');
+  const resolved = FORMAT_ALIASES[key] || key;
+  return FORMATS[resolved] ? resolved : null;
+}
+
+/**
+ * Find the format of a stored document from its MIME type
+ * @param {string} contentType - Document MIME type
+ * @returns {string|null} Format key, or null if the type cannot be converted
+ */
+function formatForType(contentType) {
+  return MIME_FORMATS[parseContentType(contentType).mimeType] || null;
+}
+
+/**
+ * Read a document into blocks
+ * @param {Buffer} buffer - Document bytes
+ * @param {string} format - Source format key
+ * @param {string} charset - Declared charset for text formats (optional)
+ * @returns {Promise<Array<Object>>} Blocks
+ */
+async function readBlocks(buffer, format, charset) {
+  switch (format) {
+    case 'html':
+      return fromHtml(decode(buffer, charset).text);
+    case 'markdown':
+      return fromHtml(marked.parse(decode(buffer, charset).text));
+    case 'text':
+      return fromText(decode(buffer, charset).text);
+    case 'docx':
+      return fromHtml((await mammoth.convertToHtml({ buffer })).value);
+    case 'pdf': {
+      // A PDF keeps no structure beyond its text layer, so each page becomes paragraphs
+      const { text, pages } = await pdfExtractor.extract(buffer);
+      const pageTexts = pages.map(page => text.slice(page.start, page.end));
+      return fromText(pageTexts.join('\f'));
+    }
+    default:
+      throw createError(`Cannot read ${format} documents`, 415);
+  }
+}
+
+/**
+ * Write blocks in a target format
+ * @param {Array<Object>} blocks - Blocks
+ * @param {string} format - Target format key
+ * @param {Object} options - Writer options (title, branding, pageSize)
+ * @returns {Promise<Buffer>} Converted bytes
+ */
+async function writeBlocks(blocks, format, options) {
+  switch (format) {
+    case 'html':
+      return Buffer.from(toHtml(blocks, options), 'utf8');
+    case 'markdown':
+      return Buffer.from(toMarkdown(blocks), 'utf8');
+    case 'text':
+      return Buffer.from(toText(blocks), 'utf8');
+    case 'docx':
+      return toDocx(blocks, options);
+    case 'pdf':
+      return toPdf(blocks, options);
+    default:
+      throw createError(`Cannot write ${format} documents`, 400);
+  }
+}
+
+/**
+ * Convert a document to another format
+ * @param {Buffer} buffer - Source bytes
+ * @param {string} contentType - Source MIME type
+ * @param {string} targetFormat - Target format: html, markdown, text, docx or pdf
+ * @param {Object} options - Conversion options
+ * @param {string} options.title - Title for formats that carry one (optional)
+ * @param {Object} options.branding - Branding for PDF output (optional)
+ * @param {string} options.pageSize - PDF page size (optional)
+ * @returns {Promise<Object>} Converted bytes with source and target format, MIME type and file extension
+ */
+async function convert(buffer, contentType, targetFormat, options = {}) {
+  const sourceFormat = formatForType(contentType);
+  const target = resolveFormat(targetFormat);
+  const supported = Object.keys(FORMATS).join(', ');
+
+  if (!sourceFormat || !target) {
+    throw createError(
+      `Conversion from ${parseContentType(contentType).mimeType || 'unknown type'} to ${targetFormat} is not supported. ` +
+      `Supported formats: ${supported}`,
+      sourceFormat ? 400 : 415
+    );
+  }
+
+  if (sourceFormat === target) {
+    throw createError(`Document is already ${target}`, 400);
+  }
+
+  const blocks = await readBlocks(buffer, sourceFormat, parseContentType(contentType).charset);
+  const output = await writeBlocks(blocks, target, options);
+
+  return {
+    buffer: output,
+    sourceFormat,
+    targetFormat: target,
+    mimeType: FORMATS[target].mimeType,
+    extension: FORMATS[target].extension
+  };
+}
+
+module.exports = {
+  FORMATS,
+  convert,
+  formatForType,
+  readBlocks,
+  resolveFormat
+};
@@ -0,0 +1,241 @@
+/**
+ * Markup Writers
+ * Write blocks as HTML, Markdown or plain text
+ */
+
+const { runsText } = require('./blocks');
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Write inline runs as HTML
+ * @param {Array<Object>} runs - Inline runs
+ * @returns {string} HTML
+ */
+function runsToHtml(runs) {
+  return runs.map(run => {
+    let html = escapeHtml(run.text).replace(/\n/g, '<br>');
+    if (run.underline) {
+      html = `<u>${html}</u>`;
+    }
+    if (run.italic) {
+      html = `<em>${html}</em>`;
+    }
+    if (run.bold) {
+      html = `<strong>${html}</strong>`;
+    }
+    return html;
+  }).join('');
+}
+
+/**
+ * Write list items as nested HTML lists
+ * @param {Object} list - List block
+ * @returns {string} HTML
+ */
+function listToHtml(list) {
+  const tags = [];
+  let html = '';
+
+  list.items.forEach(item => {
+    // A nested list opens inside the previous item, one level at a time
+    const level = Math.min(item.level, tags.length);
+    if (level === tags.length) {
+      tags.push(item.ordered ? 'ol' : 'ul');
+      html += `<${tags[level]}>`;
+    } else {
+      html += '</li>';
+      while (tags.length > level + 1) {
+        html += `</${tags.pop()}></li>`;
+      }
+    }
+    html += `<li>${runsToHtml(item.runs)}`;
+  });
+
+  html += '</li>';
+  while (tags.length > 1) {
+    html += `</${tags.pop()}></li>`;
+  }
+  return `${html}</${tags.pop()}>`;
+}
+
+/**
+ * Work out the bullet or number for each list item, restarting numbering in nested lists
+ * @param {Object} list - List block
+ * @returns {Array<string>} Item markers
+ */
+function listMarkers(list) {
+  const counters = [];
+  return list.items.map(item => {
+    counters[item.level] = (counters[item.level] || 0) + 1;
+    counters.length = item.level + 1;
+    return item.ordered ? `${counters[item.level]}.` : '-';
+  });
+}
+
+/**
+ * Write blocks as a standalone HTML document
+ * @param {Array<Object>} blocks - Document blocks
+ * @param {Object} options - Writer options
+ * @param {string} options.title - Document title (optional)
+ * @returns {string} HTML
+ */
+function toHtml(blocks, options = {}) {
+  const body = blocks.map(block => {
+    switch (block.type) {
+      case 'heading':
+        return `<h${block.level}>${runsToHtml(block.runs)}</h${block.level}>`;
+      case 'list':
+        return listToHtml(block);
+      case 'table':
+        return `<table>${block.rows.map(row => {
+          const tag = row.header ? 'th' : 'td';
+          return `<tr>${row.cells.map(cell => `<${tag}>${runsToHtml(cell)}</${tag}>`).join('')}</tr>`;
+        }).join('')}</table>`;
+      case 'code':
+        return `<pre>${escapeHtml(block.text)}</pre>`;
+      case 'pageBreak':
+        return '<div class="page-break" style="page-break-after: always"></div>';
+      default:
+        return `<p>${runsToHtml(block.runs)}</p>`;
+    }
+  }).join('\n');
+
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(options.title || 'Document')}</title>`,
+    '<style>body { font-family: sans-serif; line-height: 1.5; } table { border-collapse: collapse; } ' +
+      'td, th { border: 1px solid #999; padding: 4px 8px; }</style>',
+    '</head>',
+    '<body>',
+    body,
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Escape characters that Markdown would treat as formatting
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeMarkdown(text) {
+  return text.replace(/([\\`*_[\]#|<>])/g, '\\$1').replace(/^(\s*)([-+]|\d+\.)(\s)/gm, '$1\\$2$3');
+}
+
+/**
+ * Write inline runs as Markdown
+ * @param {Array<Object>} runs - Inline runs
+ * @returns {string} Markdown
+ */
+function runsToMarkdown(runs) {
+  return runs.map(run => {
+    const text = escapeMarkdown(run.text).replace(/\n/g, '  \n');
+    if (!text.trim()) {
+      return text;
+    }
+    // Keep surrounding spaces outside the markers, where Markdown requires them
+    const [, leading, core, trailing] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    let marked = core;
+    if (run.italic) {
+      marked = `_${marked}_`;
+    }
+    if (run.bold) {
+      marked = `**${marked}**`;
+    }
+    if (run.underline) {
+      marked = `<u>${marked}</u>`;
+    }
+    return `${leading}${marked}${trailing}`;
+  }).join('');
+}
+
+/**
+ * Write blocks as Markdown
+ * @param {Array<Object>} blocks - Document blocks
+ * @returns {string} Markdown
+ */
+function toMarkdown(blocks) {
+  return blocks.map(block => {
+    switch (block.type) {
+      case 'heading':
+        return `${'#'.repeat(block.level)} ${runsToMarkdown(block.runs)}`;
+      case 'list': {
+        const markers = listMarkers(block);
+        return block.items
+          .map((item, index) => `${'   '.repeat(item.level)}${markers[index]} ${runsToMarkdown(item.runs)}`)
+          .join('\n');
+      }
+      case 'table': {
+        const width = Math.max(...block.rows.map(row => row.cells.length));
+        const line = cells => `| ${Array.from({ length: width }, (_, index) =>
+          runsToMarkdown(cells[index] || []).replace(/ {2}\n/g, '<br>')).join(' | ')} |`;
+        const [first, ...rest] = block.rows;
+        return [line(first.cells), `|${' --- |'.repeat(width)}`, ...rest.map(row => line(row.cells))].join('\n');
+      }
+      case 'code':
+        return `\`\`\`\n${block.text}\n\`\`\``;
+      case 'pageBreak':
+        return '<div class="page-break" style="page-break-after: always"></div>';
+      default:
+        return runsToMarkdown(block.runs);
+    }
+  }).join('\n\n') + '\n';
+}
+
+/**
+ * Write blocks as plain text; page breaks become form feeds
+ * @param {Array<Object>} blocks - Document blocks
+ * @returns {string} Text
+ */
+function toText(blocks) {
+  const parts = [];
+
+  blocks.forEach(block => {
+    switch (block.type) {
+      case 'list': {
+        const markers = listMarkers(block);
+        parts.push(block.items
+          .map((item, index) => `${'  '.repeat(item.level)}${markers[index]} ${runsText(item.runs)}`)
+          .join('\n'));
+        break;
+      }
+      case 'table':
+        parts.push(block.rows.map(row => row.cells.map(cell => runsText(cell).replace(/\n/g, ' ')).join('\t')).join('\n'));
+        break;
+      case 'code':
+        parts.push(block.text);
+        break;
+      case 'pageBreak':
+        parts.push('\f');
+        break;
+      default:
+        parts.push(runsText(block.runs));
+    }
+  });
+
+  return parts.join('\n\n').replace(/\n*\f\n*/g, '\f') + '\n';
+}
+
+module.exports = {
+  escapeHtml,
+  listMarkers,
+  toHtml,
+  toMarkdown,
+  toText
+};
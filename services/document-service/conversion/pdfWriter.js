@@ -0,0 +1,220 @@
+/**
+ * PDF Writer
+ * Lays out blocks as a branded PDF: organization header, accent rule, footer text and page numbers
+ */
+
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const { listMarkers } = require('./markupWriters');
+
+const HEADING_SIZES = [20, 16, 14, 12, 12, 12];
+const BODY_SIZE = 11;
+const HEADER_HEIGHT = 36;
+
+/**
+ * Register the fonts to use, preferring branded TrueType fonts when configured
+ * @param {PDFDocument} doc - PDF document
+ * @param {Object} branding - Branding settings
+ * @returns {Object} Font names for regular, bold, italic and bold italic text
+ */
+function registerFonts(doc, branding) {
+  if (branding.fontPath) {
+    doc.registerFont('Brand', branding.fontPath);
+    doc.registerFont('Brand-Bold', branding.boldFontPath || branding.fontPath);
+    return { regular: 'Brand', bold: 'Brand-Bold', italic: 'Brand', boldItalic: 'Brand-Bold' };
+  }
+
+  return {
+    regular: 'Helvetica',
+    bold: 'Helvetica-Bold',
+    italic: 'Helvetica-Oblique',
+    boldItalic: 'Helvetica-BoldOblique'
+  };
+}
+
+/**
+ * Draw the branded header and footer on every buffered page
+ * @param {PDFDocument} doc - PDF document
+ * @param {Object} fonts - Registered font names
+ * @param {Object} branding - Branding settings
+ */
+function decoratePages(doc, fonts, branding) {
+  const range = doc.bufferedPageRange();
+
+  for (let index = range.start; index < range.start + range.count; index++) {
+    doc.switchToPage(index);
+
+    const { left, right, top } = doc.page.margins;
+    const width = doc.page.width - left - right;
+    const headerTop = top - HEADER_HEIGHT - 12;
+
+    // Text placed inside the margins would otherwise make pdfkit start a new page
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+
+    let textLeft = left;
+    if (branding.logoPath && fs.existsSync(branding.logoPath)) {
+      doc.image(branding.logoPath, left, headerTop, { fit: [120, HEADER_HEIGHT] });
+      textLeft = left + 130;
+    }
+
+    doc.font(fonts.bold).fontSize(12).fillColor(branding.primaryColor)
+      .text(branding.organizationName || '', textLeft, headerTop + HEADER_HEIGHT / 2 - 7, {
+        width: left + width - textLeft,
+        align: 'right',
+        lineBreak: false
+      });
+
+    doc.moveTo(left, top - 8).lineTo(left + width, top - 8).lineWidth(1.5).strokeColor(branding.primaryColor).stroke();
+
+    const footerY = doc.page.height - bottomMargin + 24;
+    doc.font(fonts.regular).fontSize(8).fillColor('#666666');
+    if (branding.footerText) {
+      doc.text(branding.footerText, left, footerY, { width: width * 0.75, lineBreak: false });
+    }
+    doc.text(`Page ${index - range.start + 1} of ${range.count}`, left, footerY, { width, align: 'right', lineBreak: false });
+
+    doc.page.margins.bottom = bottomMargin;
+  }
+}
+
+/**
+ * Write blocks as a branded PDF
+ * @param {Array<Object>} blocks - Document blocks
+ * @param {Object} options - Writer options
+ * @param {string} options.title - Document title (optional)
+ * @param {Object} options.branding - Organization name, primary color, logo, footer text and fonts
+ * @param {string} options.pageSize - Page size such as 'LETTER' or 'A4' (default 'LETTER')
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+function toPdf(blocks, options = {}) {
+  const branding = options.branding || {};
+  const doc = new PDFDocument({
+    size: options.pageSize || 'LETTER',
+    margins: { top: 96, bottom: 72, left: 72, right: 72 },
+    bufferPages: true,
+    info: {
+      Title: options.title || 'Document',
+      ...(branding.organizationName && { Author: branding.organizationName })
+    }
+  });
+
+  const chunks = [];
+  const finished = new Promise((resolve, reject) => {
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const fonts = registerFonts(doc, branding);
+  const { left } = doc.page.margins;
+  const contentWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  const fontFor = run => {
+    if (run.bold && run.italic) {
+      return fonts.boldItalic;
+    }
+    return run.bold ? fonts.bold : run.italic ? fonts.italic : fonts.regular;
+  };
+
+  // pdfkit continues a paragraph across calls while `continued` is set, so formatting can change mid-line
+  const writeRuns = (runs, layout, overrides = {}) => {
+    runs.forEach((run, index) => {
+      doc.font(overrides.font || fontFor(run));
+      const runOptions = { continued: index < runs.length - 1, underline: !!run.underline };
+      if (index === 0) {
+        doc.text(run.text, layout.x, doc.y, { ...runOptions, width: layout.width });
+      } else {
+        doc.text(run.text, runOptions);
+      }
+    });
+  };
+
+  doc.fontSize(BODY_SIZE).fillColor('#000000');
+
+  for (const block of blocks) {
+    switch (block.type) {
+      case 'heading':
+        doc.moveDown(0.4);
+        doc.fontSize(HEADING_SIZES[block.level - 1]).fillColor(branding.primaryColor || '#000000');
+        writeRuns(block.runs, { x: left, width: contentWidth }, { font: fonts.bold });
+        doc.fontSize(BODY_SIZE).fillColor('#000000');
+        doc.moveDown(0.4);
+        break;
+
+      case 'list': {
+        const markers = listMarkers(block);
+        block.items.forEach((item, index) => {
+          const indent = 18 * (item.level + 1);
+          writeRuns(
+            [{ text: `${markers[index]} ` }, ...item.runs],
+            { x: left + indent, width: contentWidth - indent }
+          );
+          doc.moveDown(0.2);
+        });
+        doc.moveDown(0.4);
+        break;
+      }
+
+      case 'table': {
+        const columns = Math.max(...block.rows.map(row => row.cells.length));
+        const columnWidth = contentWidth / columns;
+        const padding = 4;
+
+        for (const row of block.rows) {
+          const font = row.header ? fonts.bold : fonts.regular;
+          const texts = Array.from({ length: columns }, (_, index) =>
+            (row.cells[index] || []).map(run => run.text).join(''));
+          doc.font(font);
+          const height = Math.max(...texts.map(text =>
+            doc.heightOfString(text || ' ', { width: columnWidth - padding * 2 }))) + padding * 2;
+
+          if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+            doc.addPage();
+          }
+
+          const top = doc.y;
+          texts.forEach((text, index) => {
+            const x = left + index * columnWidth;
+            if (row.header) {
+              doc.rect(x, top, columnWidth, height).fillColor('#EEEEEE').fill();
+            }
+            doc.rect(x, top, columnWidth, height).lineWidth(0.5).strokeColor('#999999').stroke();
+            doc.fillColor('#000000').font(font)
+              .text(text, x + padding, top + padding, { width: columnWidth - padding * 2 });
+          });
+          doc.y = top + height;
+        }
+
+        doc.x = left;
+        doc.moveDown(0.6);
+        break;
+      }
+
+      case 'code':
+        doc.font('Courier').fontSize(9).text(block.text, left, doc.y, { width: contentWidth });
+        doc.fontSize(BODY_SIZE);
+        doc.moveDown(0.6);
+        break;
+
+      case 'pageBreak':
+        doc.addPage();
+        break;
+
+      default:
+        writeRuns(block.runs, { x: left, width: contentWidth });
+        doc.moveDown(0.6);
+    }
+  }
+
+  decoratePages(doc, fonts, { ...branding, primaryColor: branding.primaryColor || '#000000' });
+  doc.end();
+
+  return finished;
+}
+
+module.exports = {
+  decoratePages,
+  registerFonts,
+  toPdf
+};
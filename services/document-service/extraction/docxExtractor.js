@@ -0,0 +1,24 @@
+/**
+ * DOCX Extractor
+ * Reads Word documents through their HTML form so headings become sections
+ */
+
+const mammoth = require('mammoth');
+const { extractFromHtml } = require('./htmlExtractor');
+
+/**
+ * Extract text from a DOCX file
+ * @param {Buffer} buffer - File bytes
+ * @returns {Promise<Object>} Text, encoding, pages and sections
+ */
+async function extract(buffer) {
+  const { value: html } = await mammoth.convertToHtml({ buffer });
+  const { text, sections } = extractFromHtml(html);
+
+  // Word stores text as Unicode XML, and page breaks depend on layout, so only sections are reported
+  return { text, encoding: 'UTF-8', pages: [], sections };
+}
+
+module.exports = {
+  extract
+};
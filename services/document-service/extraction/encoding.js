@@ -0,0 +1,113 @@
+/**
+ * Text Encoding Detection
+ * Decodes text files whose character set is not known in advance
+ */
+
+const chardet = require('chardet');
+const iconv = require('iconv-lite');
+
+const BYTE_ORDER_MARKS = [
+  { bytes: [0xef, 0xbb, 0xbf], encoding: 'UTF-8' },
+  { bytes: [0xff, 0xfe], encoding: 'UTF-16LE' },
+  { bytes: [0xfe, 0xff], encoding: 'UTF-16BE' }
+];
+
+/**
+ * Check whether a buffer is valid UTF-8
+ * @param {Buffer} buffer - Bytes to check
+ * @returns {boolean} True if the bytes decode as UTF-8 without errors
+ */
+function isUtf8(buffer) {
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Recognise UTF-16 without a byte order mark from where its zero bytes fall.
+ * Mostly-Latin UTF-16 text has a zero high byte in nearly every code unit.
+ * @param {Buffer} buffer - Bytes to inspect
+ * @returns {string|null} 'UTF-16LE', 'UTF-16BE' or null
+ */
+function guessUtf16(buffer) {
+  if (buffer.length < 2 || buffer.length % 2 !== 0) {
+    return null;
+  }
+
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let index = 0; index < buffer.length; index++) {
+    if (buffer[index] === 0) {
+      if (index % 2 === 0) {
+        evenZeros += 1;
+      } else {
+        oddZeros += 1;
+      }
+    }
+  }
+
+  const units = buffer.length / 2;
+  if (oddZeros > units * 0.7 && evenZeros < units * 0.1) {
+    return 'UTF-16LE';
+  }
+  if (evenZeros > units * 0.7 && oddZeros < units * 0.1) {
+    return 'UTF-16BE';
+  }
+  return null;
+}
+
+/**
+ * Work out which encoding a buffer uses
+ * @param {Buffer} buffer - Bytes to inspect
+ * @param {string} hint - Declared charset, e.g. from a Content-Type header (optional)
+ * @returns {Object} Encoding name and the number of byte order mark bytes to skip
+ */
+function detectEncoding(buffer, hint) {
+  const bom = BYTE_ORDER_MARKS.find(mark => mark.bytes.every((byte, index) => buffer[index] === byte));
+  if (bom) {
+    return { encoding: bom.encoding, offset: bom.bytes.length };
+  }
+
+  // Plain ASCII and UTF-8 are by far the most common; checking first avoids statistical misdetection.
+  // NUL bytes are valid UTF-8 but in text files almost always mean UTF-16 without a byte order mark.
+  if (!buffer.includes(0) && isUtf8(buffer)) {
+    return { encoding: 'UTF-8', offset: 0 };
+  }
+
+  const utf16 = guessUtf16(buffer);
+  if (utf16) {
+    return { encoding: utf16, offset: 0 };
+  }
+
+  if (hint && iconv.encodingExists(hint) && !/^utf-?8$/i.test(hint)) {
+    return { encoding: hint.toUpperCase(), offset: 0 };
+  }
+
+  const detected = chardet.detect(buffer);
+  return {
+    encoding: detected && iconv.encodingExists(detected) ? detected : 'windows-1252',
+    offset: 0
+  };
+}
+
+/**
+ * Decode a buffer to a string, detecting its encoding
+ * @param {Buffer} buffer - Bytes to decode
+ * @param {string} hint - Declared charset (optional)
+ * @returns {Object} Decoded text and the encoding used
+ */
+function decode(buffer, hint) {
+  const { encoding, offset } = detectEncoding(buffer, hint);
+  return {
+    text: iconv.decode(buffer.subarray(offset), encoding),
+    encoding
+  };
+}
+
+module.exports = {
+  detectEncoding,
+  decode
+};
@@ -0,0 +1,188 @@
+/**
+ * HTML Extractor
+ * Turns HTML into readable text, splitting sections at headings
+ */
+
+const { Parser } = require('htmlparser2');
+const { decode } = require('./encoding');
+
+const SKIPPED_ELEMENTS = new Set(['head', 'script', 'style', 'noscript', 'template', 'svg']);
+const PARAGRAPH_ELEMENTS = new Set([
+  'p', 'blockquote', 'pre', 'ul', 'ol', 'dl', 'table', 'address', 'figure', 'hr', 'form', 'fieldset'
+]);
+const LINE_ELEMENTS = new Set([
+  'div', 'section', 'article', 'header', 'footer', 'main', 'aside', 'nav', 'li', 'tr', 'dt', 'dd',
+  'figcaption', 'caption'
+]);
+const CELL_ELEMENTS = new Set(['td', 'th']);
+const HEADING_PATTERN = /^h([1-6])$/;
+
+/**
+ * Find the charset an HTML document declares in a meta tag
+ * @param {Buffer} buffer - HTML bytes
+ * @returns {string|undefined} Declared charset
+ */
+function findDeclaredCharset(buffer) {
+  const head = buffer.subarray(0, 2048).toString('latin1');
+  const match = head.match(/<meta[^>]+charset\s*=\s*["']?([\w-]+)/i);
+  return match ? match[1] : undefined;
+}
+
+/**
+ * Convert an HTML string to text with section offsets
+ * @param {string} html - HTML markup
+ * @returns {Object} Text and sections
+ */
+function extractFromHtml(html) {
+  let out = '';
+  let skipDepth = 0;
+  let preDepth = 0;
+  let cellDepth = 0;
+  let heading = null;
+  const headings = [];
+  const lists = [];
+
+  const trimTrailingSpaces = () => {
+    out = out.replace(/[ \t]+$/, '');
+  };
+
+  const breakLine = count => {
+    trimTrailingSpaces();
+    if (!out) {
+      return;
+    }
+    const existing = out.match(/\n*$/)[0].length;
+    if (existing < count) {
+      out += '\n'.repeat(count - existing);
+    }
+  };
+
+  const appendText = value => {
+    if (preDepth > 0) {
+      out += value;
+      return;
+    }
+
+    let text = value.replace(/\s+/g, ' ');
+    if (!out || /[\n\t ]$/.test(out)) {
+      text = text.replace(/^ /, '');
+    }
+    out += text;
+  };
+
+  const parser = new Parser({
+    onopentag(name) {
+      if (SKIPPED_ELEMENTS.has(name) || skipDepth > 0) {
+        skipDepth += SKIPPED_ELEMENTS.has(name) ? 1 : 0;
+        return;
+      }
+
+      const level = name.match(HEADING_PATTERN);
+      if (cellDepth > 0 && (PARAGRAPH_ELEMENTS.has(name) || LINE_ELEMENTS.has(name))) {
+        // Paragraphs inside a table cell stay on the row's line
+        appendText(' ');
+      } else if (level) {
+        breakLine(2);
+        heading = { level: parseInt(level[1], 10), start: out.length };
+      } else if (PARAGRAPH_ELEMENTS.has(name)) {
+        breakLine(2);
+      } else if (LINE_ELEMENTS.has(name)) {
+        breakLine(1);
+      } else if (CELL_ELEMENTS.has(name) && out && !out.endsWith('\n')) {
+        trimTrailingSpaces();
+        out += '\t';
+      } else if (name === 'br') {
+        trimTrailingSpaces();
+        out += '\n';
+      }
+
+      if (CELL_ELEMENTS.has(name)) {
+        cellDepth += 1;
+      } else if (name === 'pre') {
+        preDepth += 1;
+      } else if (name === 'ul' || name === 'ol') {
+        lists.push({ ordered: name === 'ol', count: 0 });
+      } else if (name === 'li') {
+        const list = lists[lists.length - 1];
+        if (list) {
+          list.count += 1;
+          out += `${'  '.repeat(lists.length - 1)}${list.ordered ? `${list.count}.` : '-'} `;
+        }
+      }
+    },
+
+    ontext(text) {
+      if (skipDepth === 0) {
+        appendText(text);
+      }
+    },
+
+    onclosetag(name) {
+      if (skipDepth > 0) {
+        skipDepth -= SKIPPED_ELEMENTS.has(name) ? 1 : 0;
+        return;
+      }
+
+      if (HEADING_PATTERN.test(name) && heading) {
+        headings.push({ title: out.slice(heading.start).trim(), level: heading.level, start: heading.start });
+        heading = null;
+        breakLine(2);
+      } else if (cellDepth > 0 && (PARAGRAPH_ELEMENTS.has(name) || LINE_ELEMENTS.has(name))) {
+        appendText(' ');
+      } else if (PARAGRAPH_ELEMENTS.has(name)) {
+        breakLine(2);
+      } else if (LINE_ELEMENTS.has(name)) {
+        breakLine(1);
+      }
+
+      if (CELL_ELEMENTS.has(name)) {
+        cellDepth = Math.max(cellDepth - 1, 0);
+      } else if (name === 'pre') {
+        preDepth = Math.max(preDepth - 1, 0);
+      } else if (name === 'ul' || name === 'ol') {
+        lists.pop();
+      }
+    }
+  }, { decodeEntities: true, lowerCaseTags: true });
+
+  parser.write(html);
+  parser.end();
+
+  const text = out.replace(/\s+$/, '');
+
+  // Content before the first heading gets its own untitled section
+  if (headings.length > 0 && text.slice(0, headings[0].start).trim()) {
+    headings.unshift({ title: null, level: 0, start: 0 });
+  }
+
+  const sections = headings
+    .filter(section => section.start <= text.length)
+    .map((section, index, all) => {
+      let end = index + 1 < all.length ? all[index + 1].start : text.length;
+      while (end > section.start && /\s/.test(text[end - 1])) {
+        end -= 1;
+      }
+      return { ...section, end };
+    });
+
+  return { text, sections };
+}
+
+/**
+ * Extract text from an HTML file
+ * @param {Buffer} buffer - File bytes
+ * @param {Object} options - Extraction options
+ * @param {string} options.charset - Declared charset (optional)
+ * @returns {Promise<Object>} Text, encoding, pages and sections
+ */
+async function extract(buffer, options = {}) {
+  const decoded = decode(buffer, options.charset || findDeclaredCharset(buffer));
+  const { text, sections } = extractFromHtml(decoded.text);
+  return { text, encoding: decoded.encoding, pages: [], sections };
+}
+
+module.exports = {
+  extract,
+  extractFromHtml,
+  findDeclaredCharset
+};
@@ -0,0 +1,106 @@
+/**
+ * Text Extraction
+ * Picks the extractor for a document from its MIME type
+ */
+
+const pdfExtractor = require('./pdfExtractor');
+const docxExtractor = require('./docxExtractor');
+const htmlExtractor = require('./htmlExtractor');
+const rtfExtractor = require('./rtfExtractor');
+const textExtractor = require('./textExtractor');
+
+const EXTRACTORS = {
+  'application/pdf': pdfExtractor,
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': docxExtractor,
+  'text/html': htmlExtractor,
+  'application/xhtml+xml': htmlExtractor,
+  'application/rtf': rtfExtractor,
+  'text/rtf': rtfExtractor,
+  'text/plain': textExtractor,
+  'text/markdown': textExtractor,
+  'text/csv': textExtractor
+};
+
+/**
+ * Split a Content-Type value into its MIME type and charset
+ * @param {string} contentType - Content-Type value, e.g. 'text/plain; charset=utf-8'
+ * @returns {Object} Lower-cased MIME type and charset (if declared)
+ */
+function parseContentType(contentType) {
+  const [mimeType, ...parameters] = (contentType || '').split(';');
+  const charset = parameters
+    .map(parameter => parameter.trim().match(/^charset="?([^"]+)"?$/i))
+    .find(Boolean);
+
+  return {
+    mimeType: mimeType.trim().toLowerCase(),
+    charset: charset ? charset[1] : undefined
+  };
+}
+
+/**
+ * Recognise common formats from their first bytes when the client sent a generic type
+ * @param {Buffer} buffer - File bytes
+ * @returns {string|null} Detected MIME type
+ */
+function sniffMimeType(buffer) {
+  const head = buffer.subarray(0, 8).toString('latin1');
+
+  if (head.startsWith('%PDF-')) {
+    return 'application/pdf';
+  }
+
+  if (head.startsWith('{\\rtf')) {
+    return 'application/rtf';
+  }
+
+  // DOCX files are ZIP archives containing a word/ folder
+  if (head.startsWith('PK\u0003\u0004') && buffer.includes('word/')) {
+    return 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+  }
+
+  return null;
+}
+
+/**
+ * Check whether text can be extracted from a MIME type
+ * @param {string} contentType - MIME type
+ * @returns {boolean} True if an extractor exists
+ */
+function isSupported(contentType) {
+  return !!EXTRACTORS[parseContentType(contentType).mimeType];
+}
+
+/**
+ * Extract text from a file
+ * @param {Buffer} buffer - File bytes
+ * @param {string} contentType - File MIME type
+ * @returns {Promise<Object>} Text, detected encoding, the MIME type used, and page and section offsets
+ */
+async function extractText(buffer, contentType) {
+  let { mimeType, charset } = parseContentType(contentType);
+
+  if (!EXTRACTORS[mimeType] && (!mimeType || mimeType === 'application/octet-stream')) {
+    mimeType = sniffMimeType(buffer) || mimeType;
+  }
+
+  const extractor = EXTRACTORS[mimeType];
+  if (!extractor) {
+    const error = new Error(
+      `Text extraction is not supported for ${mimeType || 'documents without a type'}. ` +
+      `Supported types: ${Object.keys(EXTRACTORS).join(', ')}` +
+      (mimeType.startsWith('image/') ? '. Use OCR for images.' : '')
+    );
+    error.status = 415;
+    throw error;
+  }
+
+  const result = await extractor.extract(buffer, { charset });
+  return { ...result, type: mimeType };
+}
+
+module.exports = {
+  extractText,
+  isSupported,
+  parseContentType
+};
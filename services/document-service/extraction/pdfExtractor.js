@@ -0,0 +1,110 @@
+/**
+ * PDF Extractor
+ * Reads the text layer of each PDF page with pdf.js
+ */
+
+const path = require('path');
+const { joinSegments } = require('./segments');
+
+const STANDARD_FONTS_PATH = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts') + path.sep;
+
+let pdfjsPromise = null;
+
+/**
+ * Load pdf.js, which is only published as an ES module
+ * @returns {Promise<Object>} pdf.js module
+ */
+function loadPdfjs() {
+  if (!pdfjsPromise) {
+    pdfjsPromise = import('pdfjs-dist/legacy/build/pdf.mjs');
+  }
+  return pdfjsPromise;
+}
+
+/**
+ * Open a PDF with pdf.js
+ * @param {Buffer} buffer - PDF bytes
+ * @returns {Promise<Object>} pdf.js document proxy; call destroy() when finished
+ */
+async function openPdf(buffer) {
+  const pdfjs = await loadPdfjs();
+
+  try {
+    // pdf.js takes ownership of the array it is given, so pass a copy
+    return await pdfjs.getDocument({
+      data: new Uint8Array(buffer),
+      isEvalSupported: false,
+      disableFontFace: true,
+      standardFontDataUrl: STANDARD_FONTS_PATH,
+      verbosity: pdfjs.VerbosityLevel.ERRORS
+    }).promise;
+  } catch (error) {
+    const wrapped = new Error(
+      error.name === 'PasswordException' ? 'PDF is password protected' : `File is not a valid PDF: ${error.message}`
+    );
+    wrapped.status = 422;
+    throw wrapped;
+  }
+}
+
+/**
+ * Rebuild the lines of a page from its positioned text items
+ * @param {Array<Object>} items - pdf.js text content items
+ * @returns {string} Page text
+ */
+function pageText(items) {
+  let text = '';
+  let lastY = null;
+
+  for (const item of items) {
+    if (typeof item.str !== 'string') {
+      continue;
+    }
+
+    // Some producers omit end-of-line markers, so also break when the baseline moves
+    const y = item.transform[5];
+    if (lastY !== null && Math.abs(y - lastY) > Math.max(item.height, 1) / 2 && !text.endsWith('\n')) {
+      text += '\n';
+    }
+
+    text += item.str;
+    if (item.hasEOL && !text.endsWith('\n')) {
+      text += '\n';
+    }
+    lastY = y;
+  }
+
+  return text.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Extract text from a PDF file
+ * @param {Buffer} buffer - File bytes
+ * @returns {Promise<Object>} Text, encoding, pages and sections
+ */
+async function extract(buffer) {
+  const pdf = await openPdf(buffer);
+
+  try {
+    const pages = [];
+    for (let number = 1; number <= pdf.numPages; number++) {
+      const page = await pdf.getPage(number);
+      const content = await page.getTextContent();
+      pages.push({ number, text: pageText(content.items) });
+      page.cleanup();
+    }
+
+    const { text, segments } = joinSegments(pages);
+
+    // pdf.js maps every font encoding to Unicode, so there is no file-level character set to report
+    return { text, encoding: null, pages: segments, sections: [] };
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+module.exports = {
+  extract,
+  loadPdfjs,
+  openPdf
+};
@@ -0,0 +1,181 @@
+/**
+ * RTF Extractor
+ * Reads the visible text of Rich Text Format files; \page breaks become pages
+ */
+
+const iconv = require('iconv-lite');
+const { joinSegments } = require('./segments');
+
+// Destinations that hold formatting tables, metadata or embedded objects rather than body text
+const SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'nonshppict', 'shpinst', 'fldinst',
+  'header', 'headerl', 'headerr', 'headerf', 'footer', 'footerl', 'footerr', 'footerf',
+  'listtable', 'listoverridetable', 'rsidtbl', 'generator', 'themedata', 'colorschememapping',
+  'datastore', 'latentstyles', 'xmlnstbl', 'mmathPr', 'filetbl', 'revtbl', 'bkmkstart', 'bkmkend'
+]);
+
+const SYMBOLS = {
+  par: '\n',
+  line: '\n',
+  row: '\n',
+  sect: '\n',
+  tab: '\t',
+  cell: '\t',
+  emdash: '—',
+  endash: '–',
+  lquote: '‘',
+  rquote: '’',
+  ldblquote: '“',
+  rdblquote: '”',
+  bullet: '•'
+};
+
+/**
+ * Pick the iconv encoding for an RTF ANSI code page
+ * @param {number} codePage - Code page from \ansicpg
+ * @returns {string} Encoding name
+ */
+function codePageEncoding(codePage) {
+  for (const name of [`windows-${codePage}`, `cp${codePage}`]) {
+    if (iconv.encodingExists(name)) {
+      return name;
+    }
+  }
+  return 'windows-1252';
+}
+
+/**
+ * Extract text from an RTF file
+ * @param {Buffer} buffer - File bytes
+ * @returns {Promise<Object>} Text, encoding, pages and sections
+ */
+async function extract(buffer) {
+  const source = buffer.toString('latin1');
+
+  if (!source.startsWith('{\\rtf')) {
+    const error = new Error('File is not valid RTF');
+    error.status = 422;
+    throw error;
+  }
+
+  let encoding = 'windows-1252';
+  let state = { skip: false, unicodeSkip: 1 };
+  const stack = [];
+  const pages = [];
+  let page = '';
+  let bytes = [];
+  let pendingSkip = 0;
+
+  const flushBytes = () => {
+    if (bytes.length > 0) {
+      page += iconv.decode(Buffer.from(bytes), encoding);
+      bytes = [];
+    }
+  };
+
+  const emit = text => {
+    if (pendingSkip > 0) {
+      pendingSkip -= 1;
+      return;
+    }
+    if (!state.skip) {
+      flushBytes();
+      page += text;
+    }
+  };
+
+  let index = 0;
+  while (index < source.length) {
+    const char = source[index];
+
+    if (char === '{') {
+      flushBytes();
+      stack.push(state);
+      state = { ...state };
+      pendingSkip = 0;
+      index += 1;
+    } else if (char === '}') {
+      flushBytes();
+      state = stack.pop() || state;
+      pendingSkip = 0;
+      index += 1;
+    } else if (char === '\r' || char === '\n') {
+      index += 1;
+    } else if (char !== '\\') {
+      emit(char);
+      index += 1;
+    } else {
+      const next = source[index + 1];
+
+      if (next === '\'') {
+        // Hex-escaped byte in the document's code page; consecutive bytes may form one character
+        const byte = parseInt(source.substr(index + 2, 2), 16);
+        if (pendingSkip > 0) {
+          pendingSkip -= 1;
+        } else if (!state.skip && !Number.isNaN(byte)) {
+          bytes.push(byte);
+        }
+        index += 4;
+      } else if (next === '*') {
+        state.skip = true;
+        index += 2;
+      } else if (next === '\\' || next === '{' || next === '}') {
+        emit(next);
+        index += 2;
+      } else if (next === '~') {
+        emit(' ');
+        index += 2;
+      } else if (next === '_') {
+        emit('-');
+        index += 2;
+      } else if (next === '\r' || next === '\n') {
+        emit('\n');
+        index += 2;
+      } else if (/[a-zA-Z]/.test(next || '')) {
+        const match = source.slice(index + 1).match(/^([a-zA-Z]+)(-?\d+)? ?/);
+        const word = match[1];
+        const param = match[2] !== undefined ? parseInt(match[2], 10) : null;
+        index += 1 + match[0].length;
+
+        if (SKIPPED_DESTINATIONS.has(word)) {
+          state.skip = true;
+        } else if (word === 'ansicpg' && param !== null) {
+          encoding = codePageEncoding(param);
+        } else if (word === 'uc' && param !== null) {
+          state.unicodeSkip = param;
+        } else if (word === 'u' && param !== null) {
+          emit(String.fromCharCode(param < 0 ? param + 65536 : param));
+          // The fallback characters that follow \u are for readers without Unicode support
+          pendingSkip = state.unicodeSkip;
+        } else if (word === 'page') {
+          if (!state.skip) {
+            flushBytes();
+            pages.push(page);
+            page = '';
+          }
+        } else if (SYMBOLS[word]) {
+          emit(SYMBOLS[word]);
+        }
+      } else {
+        // Other control symbols (such as \- optional hyphens) carry no visible text
+        index += 2;
+      }
+    }
+  }
+
+  flushBytes();
+  pages.push(page);
+
+  const cleaned = pages.map(text => text.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim());
+
+  if (cleaned.length === 1) {
+    return { text: cleaned[0], encoding, pages: [], sections: [] };
+  }
+
+  const { text, segments } = joinSegments(cleaned.map((pageText, pageIndex) => ({ number: pageIndex + 1, text: pageText })));
+  return { text, encoding, pages: segments, sections: [] };
+}
+
+module.exports = {
+  extract
+};
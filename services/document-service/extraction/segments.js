@@ -0,0 +1,32 @@
+/**
+ * Extraction Segments
+ * Joins page or section text and records where each part starts and ends
+ */
+
+const SEGMENT_SEPARATOR = '\n\n';
+
+/**
+ * Join extracted parts into one text with character offsets for each part
+ * @param {Array<Object>} parts - Parts with a text property plus any descriptive fields (page number, title)
+ * @returns {Object} Joined text and the parts' descriptive fields with start and end offsets
+ */
+function joinSegments(parts) {
+  let text = '';
+  const segments = [];
+
+  parts.forEach((part, index) => {
+    const { text: partText, ...details } = part;
+    if (index > 0) {
+      text += SEGMENT_SEPARATOR;
+    }
+    const start = text.length;
+    text += partText;
+    segments.push({ ...details, start, end: text.length });
+  });
+
+  return { text, segments };
+}
+
+module.exports = {
+  joinSegments
+};
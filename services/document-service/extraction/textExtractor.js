@@ -0,0 +1,33 @@
+/**
+ * Plain Text Extractor
+ * Decodes text, Markdown and CSV files; form feeds are treated as page breaks
+ */
+
+const { decode } = require('./encoding');
+const { joinSegments } = require('./segments');
+
+/**
+ * Extract text from a plain text file
+ * @param {Buffer} buffer - File bytes
+ * @param {Object} options - Extraction options
+ * @param {string} options.charset - Declared charset (optional)
+ * @returns {Promise<Object>} Text, encoding, pages and sections
+ */
+async function extract(buffer, options = {}) {
+  const decoded = decode(buffer, options.charset);
+  const normalized = decoded.text.replace(/\r\n?/g, '\n');
+
+  if (!normalized.includes('\f')) {
+    return { text: normalized, encoding: decoded.encoding, pages: [], sections: [] };
+  }
+
+  const { text, segments } = joinSegments(
+    normalized.split('\f').map((pageText, index) => ({ number: index + 1, text: pageText.replace(/^\n+|\n+$/g, '') }))
+  );
+
+  return { text, encoding: decoded.encoding, pages: segments, sections: [] };
+}
+
+module.exports = {
+  extract
+};
@@ -0,0 +1,301 @@
+/**
+ * OCR
+ * Reads the text of scanned PDFs and images with the Tesseract engine, page by page, keeping
+ * each word's confidence and position
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createWorker } = require('tesseract.js');
+const { createCanvas, loadImage } = require('@napi-rs/canvas');
+const { openPdf } = require('../extraction/pdfExtractor');
+const { parseContentType } = require('../extraction');
+const { joinSegments } = require('../extraction/segments');
+const { renderPage } = require('../pdf/render');
+const { createError } = require('../../errors');
+
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/bmp'];
+const LANGUAGE_CODE = /^[a-z]{3}(?:_[a-z]+)*$/i;
+const OEM_LEGACY = 0;
+const OEM_LSTM = 1;
+// Images carry no reliable resolution, so they are read as if scanned at this one
+const IMAGE_DPI = 300;
+// Orientation guesses below this confidence are ignored; a page's text is seldom upside down
+const MIN_ROTATION_CONFIDENCE = 5;
+
+/**
+ * Check whether OCR can read a MIME type
+ * @param {string} contentType - MIME type
+ * @returns {boolean} True for PDFs and supported images
+ */
+function isSupported(contentType) {
+  const { mimeType } = parseContentType(contentType);
+  return mimeType === 'application/pdf' || IMAGE_TYPES.includes(mimeType);
+}
+
+/**
+ * Find the language data directory installed with a @tesseract.js-data package
+ * @param {string} code - Language code
+ * @returns {string|null} Directory, or null if the package is not installed
+ */
+function bundledLangPath(code) {
+  try {
+    return require(`@tesseract.js-data/${code}`).langPath;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Find a language's data file
+ * @param {string} directory - Language data directory
+ * @param {string} code - Language code
+ * @returns {Object|null} Whether the file is gzipped, or null if the directory does not hold it
+ */
+function findLanguageFile(directory, code) {
+  if (!directory) {
+    return null;
+  }
+  if (fs.existsSync(path.join(directory, `${code}.traineddata.gz`))) {
+    return { gzip: true };
+  }
+  if (fs.existsSync(path.join(directory, `${code}.traineddata`))) {
+    return { gzip: false };
+  }
+  return null;
+}
+
+/**
+ * Resolve the languages to read and where their data is
+ * @param {Array<string>|string} languages - Language codes, as an array or joined with '+'
+ * @param {string} langPath - Configured language data directory; bundled English data if empty
+ * @returns {Object} Language codes, data directory and whether the data is gzipped
+ */
+function resolveLanguages(languages, langPath) {
+  const codes = (Array.isArray(languages) ? languages : String(languages || '').split(/[+,]/))
+    .map(code => String(code).trim())
+    .filter(Boolean);
+
+  if (codes.length === 0) {
+    throw createError('At least one OCR language is required', 400);
+  }
+  const invalid = codes.find(code => !LANGUAGE_CODE.test(code));
+  if (invalid) {
+    throw createError(`Invalid OCR language code "${invalid}"`, 400);
+  }
+
+  const directory = langPath || bundledLangPath('eng');
+  const files = codes.map(code => findLanguageFile(directory, code));
+  const missing = codes.filter((code, index) => !files[index]);
+  if (missing.length > 0) {
+    const available = fs.existsSync(directory)
+      ? fs.readdirSync(directory).map(file => file.replace(/\.traineddata(\.gz)?$/, '')).filter(code => code !== 'osd')
+      : [];
+    throw createError(
+      `OCR language data is not installed for ${missing.join(', ')}. Installed languages: ${available.join(', ') || 'none'}`,
+      400
+    );
+  }
+  if (files.some(file => file.gzip !== files[0].gzip)) {
+    throw createError('OCR language data must be all gzipped or all uncompressed', 500);
+  }
+
+  return { codes, langPath: directory, gzip: files[0].gzip };
+}
+
+/**
+ * Render each page of a PDF, or load an image, as a canvas to read
+ * @param {Buffer} buffer - Document bytes
+ * @param {string} mimeType - Document MIME type
+ * @param {number} dpi - Resolution to render PDF pages at
+ * @returns {AsyncGenerator<Object>} Page canvases with the resolution they are at
+ */
+async function* pageImages(buffer, mimeType, dpi) {
+  if (mimeType !== 'application/pdf') {
+    let image;
+    try {
+      image = await loadImage(buffer);
+    } catch (error) {
+      throw createError(`Image could not be read: ${error.message}`, 422);
+    }
+    const canvas = createCanvas(image.width, image.height);
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0);
+    yield { canvas, dpi: IMAGE_DPI };
+    return;
+  }
+
+  const pdf = await openPdf(buffer);
+  try {
+    for (let number = 1; number <= pdf.numPages; number++) {
+      const page = await pdf.getPage(number);
+      const { canvas } = await renderPage(page, page.getViewport({ scale: 1 }).width * dpi / 72);
+      page.cleanup();
+      yield { canvas, dpi };
+    }
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+/**
+ * Turn a canvas clockwise by a multiple of 90 degrees
+ * @param {Canvas} canvas - Page canvas
+ * @param {number} degrees - 90, 180 or 270
+ * @returns {Canvas} Turned canvas
+ */
+function rotateCanvas(canvas, degrees) {
+  const sideways = degrees % 180 !== 0;
+  const rotated = createCanvas(sideways ? canvas.height : canvas.width, sideways ? canvas.width : canvas.height);
+  const context = rotated.getContext('2d');
+  context.translate(rotated.width / 2, rotated.height / 2);
+  context.rotate(degrees * Math.PI / 180);
+  context.drawImage(canvas, -canvas.width / 2, -canvas.height / 2);
+  return rotated;
+}
+
+/**
+ * Collect the recognized words of a page
+ * @param {Array<Object>} blocks - Tesseract blocks
+ * @returns {Array<Object>} Words: { text, confidence (0-1), bbox: { x, y, width, height } in pixels }
+ */
+function collectWords(blocks) {
+  const words = [];
+  (blocks || []).forEach(block => block.paragraphs.forEach(paragraph => paragraph.lines.forEach(line =>
+    line.words.forEach(word => {
+      if (!word.text.trim()) {
+        return;
+      }
+      words.push({
+        text: word.text,
+        confidence: Math.round(word.confidence) / 100,
+        bbox: {
+          x: word.bbox.x0,
+          y: word.bbox.y0,
+          width: word.bbox.x1 - word.bbox.x0,
+          height: word.bbox.y1 - word.bbox.y0
+        }
+      });
+    }))));
+  return words;
+}
+
+/**
+ * Average the confidence of recognized words
+ * @param {Array<Object>} words - Words with a confidence
+ * @returns {number|null} Mean confidence from 0 to 1, or null when no words were found
+ */
+function meanConfidence(words) {
+  if (words.length === 0) {
+    return null;
+  }
+  return Math.round(words.reduce((sum, word) => sum + word.confidence, 0) / words.length * 1000) / 1000;
+}
+
+/**
+ * Read the text of a scanned PDF or an image
+ * Word positions refer to the page image after any rotation and deskewing, at the page's dpi.
+ * @param {Buffer} buffer - Document bytes
+ * @param {string} contentType - Document MIME type
+ * @param {Object} options - OCR options
+ * @param {Array<string>|string} options.languages - Language codes, e.g. ['eng', 'fra'] or 'eng+fra'
+ * @param {string} options.langPath - Language data directory (optional)
+ * @param {number} options.dpi - Resolution PDF pages are rendered at
+ * @param {boolean} options.deskew - Straighten slightly skewed pages before reading
+ * @param {boolean} options.detectRotation - Detect pages turned by 90, 180 or 270 degrees and turn them upright
+ * @returns {Promise<Object>} Text, mean word confidence, languages, and per-page text, confidence,
+ *   rotation, skew and words with their offsets in the text
+ */
+async function recognize(buffer, contentType, options = {}) {
+  const { mimeType } = parseContentType(contentType);
+  if (!isSupported(mimeType)) {
+    throw createError(
+      `OCR is not supported for ${mimeType || 'documents without a type'}. Supported types: application/pdf, ${IMAGE_TYPES.join(', ')}`,
+      415
+    );
+  }
+
+  const dpi = Number(options.dpi) || IMAGE_DPI;
+  const languages = resolveLanguages(options.languages, options.langPath);
+  const osdPath = [options.langPath, bundledLangPath('osd')].find(directory => findLanguageFile(directory, 'osd'));
+  if (options.detectRotation && !osdPath) {
+    throw createError('Rotation detection needs osd language data, which is not installed', 400);
+  }
+
+  let reader = null;
+  let detector = null;
+
+  try {
+    reader = await createWorker(languages.codes.join('+'), OEM_LSTM, {
+      langPath: languages.langPath,
+      gzip: languages.gzip,
+      cacheMethod: 'none'
+    });
+    // Orientation detection only exists in Tesseract's legacy engine
+    if (options.detectRotation) {
+      detector = await createWorker('osd', OEM_LEGACY, {
+        langPath: osdPath,
+        gzip: findLanguageFile(osdPath, 'osd').gzip,
+        cacheMethod: 'none',
+        legacyCore: true,
+        legacyLang: true
+      });
+    }
+
+    const pages = [];
+    let number = 0;
+
+    for await (const image of pageImages(buffer, mimeType, dpi)) {
+      number += 1;
+      let { canvas } = image;
+      let rotation = 0;
+
+      if (detector) {
+        const { data } = await detector.detect(await canvas.encode('png'));
+        if (data.orientation_degrees && data.orientation_confidence >= MIN_ROTATION_CONFIDENCE) {
+          rotation = data.orientation_degrees;
+          canvas = rotateCanvas(canvas, rotation);
+        }
+      }
+
+      const { data } = await reader.recognize(
+        await canvas.encode('png'),
+        { rotateAuto: !!options.deskew, user_defined_dpi: String(image.dpi) },
+        { text: true, blocks: true }
+      );
+      const words = collectWords(data.blocks);
+
+      pages.push({
+        number,
+        text: data.text.replace(/\s+$/, ''),
+        confidence: meanConfidence(words),
+        rotation,
+        skew: Math.round((data.rotateRadians || 0) * 180 / Math.PI * 100) / 100,
+        width: canvas.width,
+        height: canvas.height,
+        dpi: image.dpi,
+        words
+      });
+    }
+
+    const { text, segments } = joinSegments(pages);
+    return {
+      text,
+      confidence: meanConfidence(pages.flatMap(page => page.words)),
+      languages: languages.codes,
+      pages: segments.map((segment, index) => ({ ...segment, text: pages[index].text }))
+    };
+  } finally {
+    for (const worker of [reader, detector].filter(Boolean)) {
+      await worker.terminate();
+    }
+  }
+}
+
+module.exports = {
+  isSupported,
+  recognize,
+  resolveLanguages
+};
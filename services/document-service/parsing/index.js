@@ -0,0 +1,293 @@
+/**
+ * Structural Parsing
+ * Reads the structure of a document from its extracted text: the heading hierarchy and the
+ * sections under it, lists, tables as rows of cells, and form-style "Label: value" fields.
+ * Headings come from the document itself for Word and HTML files and are inferred from how lines
+ * look for everything else. Tables are read from tab-separated rows (Word, HTML and RTF cells) and
+ * Markdown-style pipe rows. Every element carries its offsets in the extracted text.
+ */
+
+const { BULLET, classifyLines, readFields, splitLines } = require('./lines');
+
+const WORD_PATTERN = /[\p{L}\p{N}][\p{L}\p{N}'’_-]*/gu;
+const MIN_TABLE_ROWS = 2;
+
+/**
+ * Turn a field label into a key: 'Date of Birth' becomes 'dateOfBirth'
+ * @param {string} label - Field label
+ * @returns {string} Camel-case key
+ */
+function fieldKey(label) {
+  const words = label.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().match(/[a-z0-9]+/g) || [];
+  return words.map((word, index) => (index === 0 ? word : word[0].toUpperCase() + word.slice(1))).join('');
+}
+
+/**
+ * Count the words in a text
+ * @param {string} text - Text
+ * @returns {number} Word count
+ */
+function countWords(text) {
+  return (text.match(WORD_PATTERN) || []).length;
+}
+
+/**
+ * Build the sections of a text from its headings
+ * Content before the first heading gets its own untitled section. A section's range includes its
+ * subsections; its content is only the text before the first of them.
+ * @param {string} text - Extracted text
+ * @param {Array<Object>} headings - Headings in text order: { title, level, number, start, end }
+ * @returns {Array<Object>} Sections: { title, level, number, path, start, end, content, wordCount }
+ */
+function buildSections(text, headings) {
+  const sections = [];
+  const preambleEnd = headings.length > 0 ? headings[0].start : text.length;
+  if (text.slice(0, preambleEnd).trim()) {
+    const content = text.slice(0, preambleEnd).trim();
+    sections.push({ title: null, level: 0, number: null, path: [], start: 0, end: preambleEnd, content, wordCount: countWords(content) });
+  }
+
+  const ancestors = [];
+  headings.forEach((heading, index) => {
+    while (ancestors.length > 0 && ancestors[ancestors.length - 1].level >= heading.level) {
+      ancestors.pop();
+    }
+    const next = headings.slice(index + 1).find(candidate => candidate.level <= heading.level);
+    const bodyEnd = index + 1 < headings.length ? headings[index + 1].start : text.length;
+    const content = text.slice(heading.end, bodyEnd).trim();
+
+    sections.push({
+      title: heading.title,
+      level: heading.level,
+      number: heading.number,
+      path: ancestors.map(ancestor => ancestor.title),
+      start: heading.start,
+      end: next ? next.start : text.length,
+      content,
+      wordCount: countWords(content)
+    });
+    ancestors.push(heading);
+  });
+
+  return sections;
+}
+
+/**
+ * Nest headings into an outline
+ * @param {Array<Object>} headings - Headings in text order
+ * @returns {Array<Object>} Top-level headings: { title, level, number, start, children }
+ */
+function buildOutline(headings) {
+  const outline = [];
+  const stack = [];
+  headings.forEach(heading => {
+    const node = { title: heading.title, level: heading.level, number: heading.number, start: heading.start, children: [] };
+    while (stack.length > 0 && stack[stack.length - 1].level >= heading.level) {
+      stack.pop();
+    }
+    (stack.length > 0 ? stack[stack.length - 1].children : outline).push(node);
+    stack.push(node);
+  });
+  return outline;
+}
+
+/**
+ * Group list items into lists
+ * Items may be separated by one blank line. A non-item line directly under an item continues it.
+ * Item levels follow indentation, and the list is ordered or not by its top-level items.
+ * @param {Array<Object>} lines - Classified lines
+ * @returns {Array<Object>} Lists: { ordered, start, end, items: [{ text, marker, level, start, end }] }
+ */
+function collectLists(lines) {
+  const lists = [];
+  let current = null;
+
+  lines.forEach((line, index) => {
+    const previous = lines[index - 1];
+    const item = current && current.items[current.items.length - 1];
+
+    if (line.kind === 'listItem') {
+      const ordered = !BULLET.test(line.marker);
+      const adjacent = !!previous && (previous.kind === 'listItem' || previous.kind === 'text' ||
+        (previous.kind === 'blank' && lines[index - 2] && lines[index - 2].inList));
+      // A nested list of the other kind belongs to the item above it
+      const continues = current && adjacent && (current.ordered === ordered || line.indent > current.items[0].indent);
+      if (!continues) {
+        current = { ordered, items: [] };
+        lists.push(current);
+      }
+      current.items.push({ text: line.itemText, marker: line.marker, indent: line.indent, start: line.contentStart, end: line.end });
+      line.inList = true;
+      return;
+    }
+
+    if (line.kind === 'text' && item && previous && previous.inList) {
+      item.text = `${item.text} ${line.content}`;
+      item.end = line.end;
+      line.inList = true;
+      return;
+    }
+
+    if (line.kind !== 'blank') {
+      current = null;
+    }
+  });
+
+  return lists.map(list => {
+    const indents = [...new Set(list.items.map(item => item.indent))].sort((a, b) => a - b);
+    return {
+      ordered: list.ordered,
+      start: list.items[0].start,
+      end: list.items[list.items.length - 1].end,
+      items: list.items.map(({ indent, ...item }) => ({ ...item, level: indents.indexOf(indent) + 1 }))
+    };
+  });
+}
+
+/**
+ * Group table rows into tables
+ * A pipe separator row marks the row above it as the header.
+ * @param {Array<Object>} lines - Classified lines; rows of runs too short to be tables become text lines
+ * @returns {Array<Object>} Tables: { header, rows, columns, start, end }
+ */
+function collectTables(lines) {
+  const tables = [];
+  let run = [];
+
+  const finish = () => {
+    const rows = run.filter(line => line.kind === 'tableRow');
+    const separator = run.findIndex(line => line.kind === 'tableSeparator');
+    if (rows.length >= MIN_TABLE_ROWS) {
+      const header = separator === 1 ? run[0].cells : null;
+      const body = header ? rows.slice(1) : rows;
+      tables.push({
+        header,
+        rows: body.map(line => line.cells),
+        columns: Math.max(...rows.map(line => line.cells.length)),
+        start: run[0].contentStart,
+        end: run[run.length - 1].end,
+        lines: rows
+      });
+    } else {
+      rows.forEach(line => Object.assign(line, { kind: 'text', fields: readFields(line.content, line.contentStart) }));
+    }
+    run = [];
+  };
+
+  lines.forEach(line => {
+    if (line.kind === 'tableRow' || line.kind === 'tableSeparator') {
+      run.push(line);
+    } else if (run.length > 0) {
+      finish();
+    }
+  });
+  if (run.length > 0) {
+    finish();
+  }
+
+  return tables;
+}
+
+/**
+ * Read the fields of a table: a two-cell row whose first cell ends with a colon is a field, and so
+ * is any cell written as "Label: value"
+ * @param {Object} table - Table from collectTables
+ * @returns {Array<Object>} Fields: { label, value, start, end }
+ */
+function tableFields(table) {
+  return table.lines.flatMap(line => {
+    let searchFrom = line.contentStart;
+    const offsets = line.cells.map(cell => {
+      const start = cell ? line.text.indexOf(cell, searchFrom - line.start) + line.start : searchFrom;
+      searchFrom = start + cell.length;
+      return start;
+    });
+
+    if (line.cells.length === 2 && /:$/.test(line.cells[0]) && line.cells[0].length > 1) {
+      return [{
+        label: line.cells[0].slice(0, -1).trim(),
+        value: line.cells[1] || null,
+        start: offsets[0],
+        end: offsets[1] + line.cells[1].length
+      }];
+    }
+    return line.cells.flatMap((cell, index) => (cell ? readFields(cell, offsets[index]) : []));
+  });
+}
+
+/**
+ * Parse the structure of extracted text
+ * @param {Object} extracted - Extraction result: { text, pages, sections }
+ * @returns {Object} { title, outline, sections, lists, tables, fields, values, statistics } where lists,
+ *   tables and fields carry the section and page they are in; values maps each field key to the first value found
+ */
+function parse(extracted) {
+  const text = extracted.text || '';
+  const pages = extracted.pages || [];
+  const reported = (extracted.sections || []).filter(section => section.title);
+  const lines = classifyLines(splitLines(text), reported);
+
+  const headings = lines
+    .filter(line => line.kind === 'heading')
+    .map(line => ({
+      title: line.title,
+      level: line.level,
+      number: line.number,
+      start: line.contentStart,
+      end: line.headingEnd || line.contentStart + line.content.length
+    }));
+  const sections = buildSections(text, headings);
+
+  // Elements are placed in the innermost titled section that contains them
+  const place = start => {
+    const section = sections.filter(candidate => candidate.title && candidate.start <= start && start < candidate.end).pop();
+    const page = pages.find(candidate => start >= candidate.start && start <= candidate.end);
+    return { section: section ? section.title : null, ...(page && { page: page.number }) };
+  };
+
+  const tables = collectTables(lines);
+  const lists = collectLists(lines);
+  const fields = [
+    ...lines.filter(line => line.kind === 'text' && !line.inList).flatMap(line => line.fields),
+    ...tables.flatMap(tableFields)
+  ]
+    .sort((a, b) => a.start - b.start)
+    .map(field => ({ label: field.label, key: fieldKey(field.label), value: field.value, start: field.start, end: field.end, ...place(field.start) }));
+
+  const values = {};
+  fields.forEach(field => {
+    if (field.key && field.value !== null && values[field.key] === undefined) {
+      values[field.key] = field.value;
+    }
+  });
+
+  // A single heading above all the others is the document's title
+  const topLevel = headings.length > 0 ? Math.min(...headings.map(heading => heading.level)) : null;
+  const titleHeading = headings.length > 1 && headings[0].level === topLevel &&
+    headings.filter(heading => heading.level === topLevel).length === 1 ? headings[0] : null;
+
+  return {
+    title: titleHeading ? titleHeading.title : null,
+    outline: buildOutline(headings),
+    sections: sections.map(section => {
+      const { page } = place(section.start);
+      return { ...section, ...(page && { page }) };
+    }),
+    lists: lists.map(list => ({ ...list, ...place(list.start) })),
+    tables: tables.map(({ lines: rows, ...table }) => ({ ...table, ...place(table.start) })),
+    fields,
+    values,
+    statistics: {
+      words: countWords(text),
+      headings: headings.length,
+      sections: sections.length,
+      lists: lists.length,
+      tables: tables.length,
+      fields: fields.length
+    }
+  };
+}
+
+module.exports = {
+  parse
+};
@@ -0,0 +1,212 @@
+/**
+ * Line Classification
+ * Splits extracted text into lines and recognizes what each one is: a heading, a list item, a
+ * table row or form-style "Label: value" fields
+ */
+
+const { looksLikeHeading } = require('../comparison/diff');
+
+const MARKDOWN_HEADING = /^(#{1,6})\s+(.+?)(?:\s+#+)?$/;
+const SETEXT_UNDERLINE = /^(=+|-+)$/;
+const LIST_ITEM = /^([-*+•●▪◦‣]|\(?(?:\d{1,3}|[a-z]|[ivxlc]{1,6})[.)])\s+(\S.*)$/i;
+const BULLET = /^[-*+•●▪◦‣]$/;
+const HEADING_NUMBER = /^((?:\d+\.)*\d+|[IVXLC]+|[A-Z])[.)]?\s+(?=\S)/;
+const PIPE_ROW = /^\|(.*)\|$/;
+const PIPE_SEPARATOR = /^\|?\s*:?-{3,}:?\s*(?:\|\s*:?-{3,}:?\s*)*\|?$/;
+const FIELD_PATTERN = /^(\p{L}[\p{L}\p{N} .,'’&/#()-]{0,48}?)\s*:\s+(\S.*)$/u;
+const BLANK_VALUE = /^[_.\s]+$/;
+const MAX_FIELD_LABEL_WORDS = 6;
+
+/**
+ * Split text into lines with their offsets
+ * @param {string} text - Extracted text
+ * @returns {Array<Object>} Lines: { text, content (trimmed), start, end, contentStart, indent }
+ */
+function splitLines(text) {
+  let start = 0;
+  return text.split('\n').map(line => {
+    const content = line.trim();
+    const indent = content ? line.indexOf(content) : 0;
+    const entry = {
+      text: line,
+      content,
+      start,
+      end: start + line.length,
+      contentStart: start + indent,
+      indent: line.slice(0, indent).replace(/\t/g, '    ').length
+    };
+    start += line.length + 1;
+    return entry;
+  });
+}
+
+/**
+ * Read "Label: value" fields from a piece of text, which may hold several separated by tabs or wide gaps
+ * @param {string} text - Text of a line or table cell
+ * @param {number} start - Offset of the text
+ * @returns {Array<Object>} Fields: { label, value, start, end }; an underscore blank gives a null value
+ */
+function readFields(text, start) {
+  const segments = [];
+  const separator = /\t+|\s{3,}/g;
+  let last = 0;
+  let match;
+  while ((match = separator.exec(text)) !== null) {
+    segments.push({ text: text.slice(last, match.index), offset: last });
+    last = match.index + match[0].length;
+  }
+  segments.push({ text: text.slice(last), offset: last });
+
+  const read = segment => {
+    const field = FIELD_PATTERN.exec(segment.text.trim());
+    if (!field || field[1].trim().split(/\s+/).length > MAX_FIELD_LABEL_WORDS || field[2].startsWith('//')) {
+      return null;
+    }
+    const offset = start + segment.offset + segment.text.indexOf(segment.text.trim());
+    return {
+      label: field[1].trim(),
+      value: BLANK_VALUE.test(field[2]) ? null : field[2].trim(),
+      start: offset,
+      end: offset + segment.text.trim().length
+    };
+  };
+
+  // Several fields on a line only count when every part of it is a field
+  const fields = segments.length > 1 ? segments.map(read) : [];
+  if (fields.length > 1 && fields.every(Boolean)) {
+    return fields;
+  }
+  const whole = read({ text, offset: 0 });
+  return whole ? [whole] : [];
+}
+
+/**
+ * Split a table row into cells
+ * @param {Object} line - Line
+ * @returns {Array<string>|null} Cells, or null if the line is not a table row
+ */
+function tableCells(line) {
+  const pipes = PIPE_ROW.exec(line.content);
+  if (pipes) {
+    return pipes[1].split('|').map(cell => cell.trim());
+  }
+  if (line.content.includes('\t')) {
+    return line.content.split('\t').map(cell => cell.trim());
+  }
+  return null;
+}
+
+/**
+ * Work out the heading style of a line that looks like a heading
+ * @param {string} content - Line text
+ * @returns {Object} Style key used to rank heading levels, and the heading's number (if any)
+ */
+function headingStyle(content) {
+  const number = HEADING_NUMBER.exec(content);
+  if (number && /^\d/.test(number[1])) {
+    return { style: `number-${number[1].split('.').length}`, number: number[1] };
+  }
+  if (number && content !== content.toUpperCase()) {
+    return { style: /^[IVXLC]+$/.test(number[1]) && number[1] !== 'C' ? 'roman' : 'letter', number: number[1] };
+  }
+  return { style: 'caps', number: null };
+}
+
+/**
+ * Classify the lines of a text
+ * Headings reported by extraction are used when there are any; otherwise Markdown headings,
+ * underlined headings and lines that look like headings (numbered or all capitals, no closing
+ * punctuation) are. A numbered line next to another list item is a list item, not a heading.
+ * @param {Array<Object>} lines - Lines from splitLines
+ * @param {Array<Object>} reported - Headings reported by extraction: { title, level, start }
+ * @returns {Array<Object>} The lines, each with a kind ('blank', 'heading', 'underline', 'listItem', 'tableRow',
+ *   'tableSeparator', 'text') and its details
+ */
+function classifyLines(lines, reported) {
+  const headingStarts = new Map(reported.map(heading => [heading.start, heading]));
+  const isItem = line => !!line && !!line.content && LIST_ITEM.test(line.content);
+
+  lines.forEach((line, index) => {
+    if (line.kind === 'underline') {
+      return;
+    }
+    if (!line.content) {
+      line.kind = 'blank';
+      return;
+    }
+
+    if (reported.length > 0) {
+      const heading = headingStarts.get(line.contentStart);
+      if (heading) {
+        Object.assign(line, { kind: 'heading', title: heading.title, level: heading.level, ...headingStyle(heading.title), style: null });
+        return;
+      }
+    } else {
+      const markdown = MARKDOWN_HEADING.exec(line.content);
+      const next = lines[index + 1];
+      if (markdown) {
+        Object.assign(line, { kind: 'heading', title: markdown[2], level: markdown[1].length, style: null, number: headingStyle(markdown[2]).number });
+        return;
+      }
+      if (next && SETEXT_UNDERLINE.test(next.content) && next.content.length >= 3 && !isItem(line) && !tableCells(line)) {
+        Object.assign(line, {
+          kind: 'heading',
+          title: line.content,
+          level: next.content[0] === '=' ? 1 : 2,
+          style: null,
+          number: headingStyle(line.content).number,
+          headingEnd: next.contentStart + next.content.length
+        });
+        next.kind = 'underline';
+        return;
+      }
+    }
+
+    const cells = tableCells(line);
+    if (cells && PIPE_SEPARATOR.test(line.content)) {
+      line.kind = 'tableSeparator';
+      return;
+    }
+    if (cells && cells.length > 1) {
+      Object.assign(line, { kind: 'tableRow', cells });
+      return;
+    }
+
+    const item = LIST_ITEM.exec(line.content);
+    const inList = isItem(lines[index - 1]) || isItem(lines[index + 1]);
+    if (item && (BULLET.test(item[1]) || inList || reported.length > 0)) {
+      Object.assign(line, { kind: 'listItem', marker: item[1], itemText: item[2] });
+      return;
+    }
+
+    const fields = readFields(line.content, line.contentStart);
+    if (reported.length === 0 && fields.length === 0 && looksLikeHeading(line.content)) {
+      Object.assign(line, { kind: 'heading', title: line.content, level: null, ...headingStyle(line.content) });
+      return;
+    }
+
+    if (item) {
+      Object.assign(line, { kind: 'listItem', marker: item[1], itemText: item[2] });
+      return;
+    }
+    Object.assign(line, { kind: 'text', fields });
+  });
+
+  // Headings found by their look rank by the order their styles first appear, as a reader would read them
+  const styles = [];
+  lines.filter(line => line.kind === 'heading' && line.level === null).forEach(line => {
+    if (!styles.includes(line.style)) {
+      styles.push(line.style);
+    }
+    line.level = styles.indexOf(line.style) + 1;
+  });
+
+  return lines;
+}
+
+module.exports = {
+  BULLET,
+  classifyLines,
+  readFields,
+  splitLines
+};
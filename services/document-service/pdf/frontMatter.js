@@ -0,0 +1,159 @@
+/**
+ * PDF Front Matter
+ * Generates a branded cover page and a table of contents for merged documents
+ */
+
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const { registerFonts } = require('../conversion/pdfWriter');
+
+const MARGIN = 72;
+const CONTENTS_TOP = 150;
+const LINE_HEIGHT = 22;
+const PAGE_NUMBER_WIDTH = 48;
+
+/**
+ * Shorten text with an ellipsis until it fits a width at the current font
+ * @param {PDFDocument} doc - pdfkit document
+ * @param {string} text - Text to fit
+ * @param {number} width - Available width in points
+ * @returns {string} Text that fits
+ */
+function fitText(doc, text, width) {
+  if (doc.widthOfString(text) <= width) {
+    return text;
+  }
+
+  let fitted = text;
+  while (fitted && doc.widthOfString(`${fitted}…`) > width) {
+    fitted = fitted.slice(0, -1);
+  }
+  return `${fitted.trimEnd()}…`;
+}
+
+/**
+ * Draw the cover page
+ * @param {PDFDocument} doc - pdfkit document
+ * @param {Object} fonts - Registered font names
+ * @param {Object} options - Front matter options (see createFrontMatter)
+ */
+function drawCover(doc, fonts, options) {
+  const branding = options.branding;
+  const width = doc.page.width - MARGIN * 2;
+
+  if (branding.logoPath && fs.existsSync(branding.logoPath)) {
+    doc.image(branding.logoPath, MARGIN, MARGIN, { fit: [160, 60] });
+  }
+  doc.font(fonts.bold).fontSize(12).fillColor(branding.primaryColor)
+    .text(branding.organizationName || '', MARGIN, MARGIN + 22, { width, align: 'right' });
+
+  const titleTop = doc.page.height / 3;
+  doc.moveTo(MARGIN, titleTop - 24).lineTo(MARGIN + width, titleTop - 24)
+    .lineWidth(2).strokeColor(branding.primaryColor).stroke();
+  doc.font(fonts.bold).fontSize(28).fillColor(branding.primaryColor)
+    .text(options.title, MARGIN, titleTop, { width });
+
+  doc.moveDown(0.6).font(fonts.regular).fontSize(13).fillColor('#333333');
+  if (options.subtitle) {
+    doc.text(options.subtitle, { width });
+  }
+  doc.text(`${options.entries.length} documents`, { width });
+  doc.text(options.date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }), { width });
+
+  if (branding.footerText) {
+    doc.font(fonts.regular).fontSize(8).fillColor('#666666')
+      .text(branding.footerText, MARGIN, doc.page.height - MARGIN, { width, lineBreak: false });
+  }
+}
+
+/**
+ * Create the cover page and table of contents that go in front of merged documents
+ * @param {Object} options - Front matter options
+ * @param {string} options.title - Title shown on the cover
+ * @param {string} options.subtitle - Line shown under the title, such as the case file (optional)
+ * @param {Array<Object>} options.entries - Contents entries: { title, startPage } where startPage is the
+ *   zero-based page index within the merged documents, before any front matter
+ * @param {boolean} options.coverPage - Include a cover page
+ * @param {boolean} options.tableOfContents - Include a table of contents
+ * @param {Object} options.branding - Branding settings
+ * @param {string} options.pageSize - Page size such as 'LETTER' or 'A4' (default 'LETTER')
+ * @param {Date} options.date - Date shown on the cover (defaults to now)
+ * @returns {Promise<Object>} PDF bytes, the number of pages, and the contents links:
+ *   { pageIndex, rect, entryIndex } with rect in PDF user space
+ */
+function createFrontMatter(options) {
+  const branding = { ...options.branding, primaryColor: (options.branding || {}).primaryColor || '#000000' };
+  const doc = new PDFDocument({
+    size: options.pageSize || 'LETTER',
+    margin: MARGIN,
+    autoFirstPage: false,
+    info: { Title: options.title }
+  });
+
+  const chunks = [];
+  const finished = new Promise((resolve, reject) => {
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const fonts = registerFonts(doc, branding);
+  const links = [];
+  let pageCount = 0;
+
+  if (options.coverPage) {
+    doc.addPage();
+    pageCount += 1;
+    drawCover(doc, fonts, { ...options, branding, date: options.date || new Date() });
+  }
+
+  if (options.tableOfContents && options.entries.length > 0) {
+    doc.addPage();
+    const linesPerPage = Math.floor((doc.page.height - MARGIN - CONTENTS_TOP) / LINE_HEIGHT);
+    const contentsPages = Math.ceil(options.entries.length / linesPerPage);
+    // Page numbers count the front matter, so they match what a PDF viewer shows
+    const firstBodyPage = pageCount + contentsPages + 1;
+    const width = doc.page.width - MARGIN * 2;
+    const titleWidth = width - PAGE_NUMBER_WIDTH - 12;
+
+    options.entries.forEach((entry, index) => {
+      const line = index % linesPerPage;
+      if (line === 0) {
+        if (index > 0) {
+          doc.addPage();
+        }
+        doc.font(fonts.bold).fontSize(20).fillColor(branding.primaryColor)
+          .text(index === 0 ? 'Contents' : 'Contents (continued)', MARGIN, MARGIN + 12, { width });
+      }
+
+      const y = CONTENTS_TOP + line * LINE_HEIGHT;
+      const pageLabel = String(firstBodyPage + entry.startPage);
+      doc.font(fonts.regular).fontSize(11).fillColor('#000000');
+      const title = fitText(doc, entry.title, titleWidth);
+      doc.text(title, MARGIN, y, { width: titleWidth, lineBreak: false });
+      doc.text(pageLabel, MARGIN + width - PAGE_NUMBER_WIDTH, y, { width: PAGE_NUMBER_WIDTH, align: 'right', lineBreak: false });
+
+      const leaderStart = MARGIN + doc.widthOfString(title) + 6;
+      const leaderEnd = MARGIN + width - doc.widthOfString(pageLabel) - 6;
+      if (leaderEnd > leaderStart) {
+        doc.moveTo(leaderStart, y + 9).lineTo(leaderEnd, y + 9)
+          .dash(1, { space: 3 }).lineWidth(0.75).strokeColor('#999999').stroke().undash();
+      }
+
+      links.push({
+        pageIndex: pageCount + Math.floor(index / linesPerPage),
+        rect: [MARGIN, doc.page.height - y - LINE_HEIGHT + 4, MARGIN + width, doc.page.height - y + 2],
+        entryIndex: index
+      });
+    });
+
+    pageCount += contentsPages;
+  }
+
+  doc.end();
+  return finished.then(buffer => ({ buffer, pageCount, links }));
+}
+
+module.exports = {
+  createFrontMatter
+};
@@ -0,0 +1,163 @@
+/**
+ * PDF Assembly
+ * Page-level PDF operations: merging documents with bookmarks, a cover page and a table of contents,
+ * and splitting documents into parts
+ */
+
+const { PDFDocument } = require('pdf-lib');
+const { createFrontMatter } = require('./frontMatter');
+const { addPageLink, setOutline } = require('./outline');
+const split = require('./split');
+const { createError } = require('../../errors');
+
+const SPLIT_MODES = ['ranges', 'bookmarks', 'every', 'blank'];
+
+/**
+ * Load a PDF for page manipulation
+ * @param {Buffer} buffer - PDF bytes
+ * @param {string} name - Name used in error messages (optional)
+ * @returns {Promise<PDFDocument>} pdf-lib document
+ */
+async function loadPdf(buffer, name = 'Document') {
+  let pdf;
+  try {
+    pdf = await PDFDocument.load(buffer, { updateMetadata: false });
+  } catch (error) {
+    if (error.name === 'EncryptedPDFError') {
+      throw createError(`${name} is password protected`, 422);
+    }
+    throw createError(`${name} is not a valid PDF: ${error.message}`, 422);
+  }
+
+  if (pdf.getPageCount() === 0) {
+    throw createError(`${name} has no pages`, 422);
+  }
+  return pdf;
+}
+
+/**
+ * Merge PDFs into one, keeping the given order, with a bookmark for each source
+ * @param {Array<Object>} sources - Documents to merge: { title, buffer }
+ * @param {Object} options - Merge options
+ * @param {string} options.title - Title of the merged document
+ * @param {string} options.subtitle - Line shown under the title on the cover (optional)
+ * @param {boolean} options.coverPage - Prepend a cover page
+ * @param {boolean} options.tableOfContents - Prepend a table of contents with page numbers
+ * @param {Object} options.branding - Branding for the generated pages
+ * @param {string} options.pageSize - Size of the generated pages (default 'LETTER')
+ * @returns {Promise<Object>} PDF bytes, total page count, front matter page count and the
+ *   sections: { title, startPage, pageCount } with 1-based page numbers in the merged document
+ */
+async function mergePdfs(sources, options = {}) {
+  const loaded = [];
+  for (const source of sources) {
+    loaded.push(await loadPdf(source.buffer, source.title));
+  }
+
+  const entries = [];
+  let bodyPages = 0;
+  loaded.forEach((pdf, index) => {
+    entries.push({ title: sources[index].title, startPage: bodyPages });
+    bodyPages += pdf.getPageCount();
+  });
+
+  const merged = await PDFDocument.create();
+  merged.setTitle(options.title);
+  if (options.branding && options.branding.organizationName) {
+    merged.setAuthor(options.branding.organizationName);
+  }
+
+  let frontMatter = { pageCount: 0, links: [] };
+  if (options.coverPage || options.tableOfContents) {
+    frontMatter = await createFrontMatter({ ...options, entries });
+    const front = await PDFDocument.load(frontMatter.buffer);
+    const pages = await merged.copyPages(front, front.getPageIndices());
+    pages.forEach(page => merged.addPage(page));
+  }
+
+  for (const pdf of loaded) {
+    const pages = await merged.copyPages(pdf, pdf.getPageIndices());
+    pages.forEach(page => merged.addPage(page));
+  }
+
+  const sections = entries.map((entry, index) => ({
+    title: entry.title,
+    startPage: frontMatter.pageCount + entry.startPage + 1,
+    pageCount: loaded[index].getPageCount()
+  }));
+
+  frontMatter.links.forEach(link => {
+    addPageLink(merged, link.pageIndex, link.rect, sections[link.entryIndex].startPage - 1);
+  });
+
+  const bookmarks = sections.map(section => ({ title: section.title, pageIndex: section.startPage - 1 }));
+  if (options.tableOfContents) {
+    bookmarks.unshift({ title: 'Contents', pageIndex: options.coverPage ? 1 : 0 });
+  }
+  setOutline(merged, bookmarks);
+
+  return {
+    buffer: Buffer.from(await merged.save()),
+    pageCount: merged.getPageCount(),
+    frontMatterPages: frontMatter.pageCount,
+    sections
+  };
+}
+
+/**
+ * Split a PDF into parts
+ * @param {Buffer} buffer - PDF bytes
+ * @param {Object} options - Split options
+ * @param {string} options.mode - 'ranges', 'bookmarks' (one part per top-level bookmark),
+ *   'every' (fixed number of pages per part) or 'blank' (parts separated by blank pages)
+ * @param {Array<string|Object>} options.ranges - Page ranges for 'ranges' mode, e.g. ['1-3', '4-']
+ * @param {number} options.pages - Pages per part for 'every' mode
+ * @param {number} options.blankThreshold - Largest share of dark pixels on a blank page for 'blank' mode
+ * @param {string} options.name - Name used in error messages (optional)
+ * @returns {Promise<Object>} Parts ({ start, end, title, buffer }), the source page count and,
+ *   in 'blank' mode, the separator pages that were left out
+ */
+async function splitPdf(buffer, options = {}) {
+  const mode = options.mode || 'ranges';
+  if (!SPLIT_MODES.includes(mode)) {
+    throw createError(`Unknown split mode "${mode}". Supported modes: ${SPLIT_MODES.join(', ')}`, 400);
+  }
+
+  const source = await loadPdf(buffer, options.name);
+  const pageCount = source.getPageCount();
+  let ranges;
+  let separatorPages;
+
+  switch (mode) {
+    case 'bookmarks':
+      ranges = await split.bookmarkRanges(buffer);
+      break;
+    case 'every':
+      ranges = split.chunkPages(Number(options.pages), pageCount);
+      break;
+    case 'blank':
+      ({ ranges, blankPages: separatorPages } = await split.blankPageRanges(buffer, { threshold: options.blankThreshold }));
+      if (ranges.length === 0) {
+        throw createError('Every page of the document is blank', 422);
+      }
+      break;
+    default:
+      ranges = split.parsePageRanges(options.ranges, pageCount);
+  }
+
+  const buffers = await split.extractRanges(source, ranges);
+
+  return {
+    mode,
+    pageCount,
+    parts: ranges.map((range, index) => ({ ...range, buffer: buffers[index] })),
+    ...(separatorPages && { separatorPages })
+  };
+}
+
+module.exports = {
+  SPLIT_MODES,
+  loadPdf,
+  mergePdfs,
+  splitPdf
+};
@@ -0,0 +1,110 @@
+/**
+ * PDF Outline
+ * Writes bookmarks (the document outline) and internal links into a pdf-lib document
+ */
+
+const { PDFArray, PDFHexString, PDFName, PDFNumber } = require('pdf-lib');
+
+/**
+ * Build an explicit destination that shows a whole page
+ * @param {PDFDocument} pdf - pdf-lib document
+ * @param {number} pageIndex - Zero-based page index
+ * @returns {PDFArray} Destination array
+ */
+function pageDestination(pdf, pageIndex) {
+  const destination = PDFArray.withContext(pdf.context);
+  destination.push(pdf.getPage(pageIndex).ref);
+  destination.push(PDFName.of('Fit'));
+  return destination;
+}
+
+/**
+ * Write outline items as siblings under a parent, recursing into children
+ * @param {PDFDocument} pdf - pdf-lib document
+ * @param {PDFRef} parentRef - Reference to the parent outline dictionary
+ * @param {Array<Object>} entries - Bookmarks with title, pageIndex and optional children
+ * @returns {Object} References to the first and last items and the number of visible descendants
+ */
+function writeItems(pdf, parentRef, entries) {
+  const refs = entries.map(() => pdf.context.nextRef());
+  let count = entries.length;
+
+  entries.forEach((entry, index) => {
+    const item = pdf.context.obj({});
+    item.set(PDFName.of('Title'), PDFHexString.fromText(entry.title));
+    item.set(PDFName.of('Parent'), parentRef);
+    item.set(PDFName.of('Dest'), pageDestination(pdf, entry.pageIndex));
+    if (index > 0) {
+      item.set(PDFName.of('Prev'), refs[index - 1]);
+    }
+    if (index < entries.length - 1) {
+      item.set(PDFName.of('Next'), refs[index + 1]);
+    }
+
+    if (entry.children && entry.children.length > 0) {
+      const children = writeItems(pdf, refs[index], entry.children);
+      item.set(PDFName.of('First'), children.first);
+      item.set(PDFName.of('Last'), children.last);
+      item.set(PDFName.of('Count'), PDFNumber.of(children.count));
+      count += children.count;
+    }
+
+    pdf.context.assign(refs[index], item);
+  });
+
+  return { first: refs[0], last: refs[refs.length - 1], count };
+}
+
+/**
+ * Replace a document's outline with the given bookmarks and open it with the bookmarks panel shown
+ * @param {PDFDocument} pdf - pdf-lib document
+ * @param {Array<Object>} entries - Bookmarks: { title, pageIndex, children }
+ */
+function setOutline(pdf, entries) {
+  if (entries.length === 0) {
+    return;
+  }
+
+  const outlinesRef = pdf.context.nextRef();
+  const items = writeItems(pdf, outlinesRef, entries);
+
+  pdf.context.assign(outlinesRef, pdf.context.obj({
+    Type: 'Outlines',
+    First: items.first,
+    Last: items.last,
+    Count: items.count
+  }));
+
+  pdf.catalog.set(PDFName.of('Outlines'), outlinesRef);
+  pdf.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+}
+
+/**
+ * Add a clickable area on a page that jumps to another page
+ * @param {PDFDocument} pdf - pdf-lib document
+ * @param {number} pageIndex - Page holding the link
+ * @param {Array<number>} rect - Link area in PDF user space: [left, bottom, right, top]
+ * @param {number} targetPageIndex - Page the link jumps to
+ */
+function addPageLink(pdf, pageIndex, rect, targetPageIndex) {
+  const page = pdf.getPage(pageIndex);
+  const link = pdf.context.register(pdf.context.obj({
+    Type: 'Annot',
+    Subtype: 'Link',
+    Rect: rect,
+    Border: [0, 0, 0],
+    Dest: pageDestination(pdf, targetPageIndex)
+  }));
+
+  let annotations = page.node.lookup(PDFName.of('Annots'));
+  if (!(annotations instanceof PDFArray)) {
+    annotations = pdf.context.obj([]);
+    page.node.set(PDFName.of('Annots'), annotations);
+  }
+  annotations.push(link);
+}
+
+module.exports = {
+  addPageLink,
+  setOutline
+};
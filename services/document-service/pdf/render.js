@@ -0,0 +1,33 @@
+/**
+ * PDF Rendering
+ * Rasterizes PDF pages with pdf.js onto a native canvas
+ */
+
+const { createCanvas } = require('@napi-rs/canvas');
+
+/**
+ * Render a page at a given pixel width, keeping its aspect ratio
+ * @param {Object} page - pdf.js page proxy
+ * @param {number} width - Output width in pixels
+ * @param {Object} options - Render options
+ * @param {number} options.rotation - Rotation to render at instead of the page's own (optional)
+ * @param {number} options.annotationMode - pdf.js annotation mode, e.g. to leave annotations out (optional)
+ * @returns {Promise<Object>} Canvas holding the rendered page on a white background, and the viewport used
+ */
+async function renderPage(page, width, options = {}) {
+  const unscaled = page.getViewport({ scale: 1, rotation: options.rotation });
+  const viewport = page.getViewport({ scale: width / unscaled.width, rotation: options.rotation });
+  const canvas = createCanvas(Math.max(Math.round(viewport.width), 1), Math.max(Math.round(viewport.height), 1));
+  const context = canvas.getContext('2d');
+
+  // Pages are transparent where nothing is painted
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+
+  await page.render({ canvasContext: context, viewport, annotationMode: options.annotationMode }).promise;
+  return { canvas, viewport };
+}
+
+module.exports = {
+  renderPage
+};
@@ -0,0 +1,239 @@
+/**
+ * PDF Splitting
+ * Works out which pages go in each part and copies them into separate PDFs
+ */
+
+const { PDFDocument } = require('pdf-lib');
+const { openPdf } = require('../extraction/pdfExtractor');
+const { createError } = require('../../errors');
+const { renderPage } = require('./render');
+
+const BLANK_RENDER_WIDTH = 200;
+const BLANK_MARGIN = 0.05;
+const INK_LUMINANCE = 160;
+const DEFAULT_BLANK_THRESHOLD = 0.005;
+
+/**
+ * Parse explicit page ranges
+ * @param {Array<string|Object>} ranges - Ranges such as '1-3', '4', '5-' (to the end) or { start, end, title }
+ * @param {number} pageCount - Number of pages in the document
+ * @returns {Array<Object>} Ranges: { start, end, title } with 1-based inclusive page numbers
+ */
+function parsePageRanges(ranges, pageCount) {
+  if (!Array.isArray(ranges) || ranges.length === 0) {
+    throw createError('At least one page range is required', 400);
+  }
+
+  return ranges.map(range => {
+    let start;
+    let end;
+    let title;
+
+    if (typeof range === 'string') {
+      const match = range.trim().match(/^(\d+)\s*(?:(-)\s*(\d+)?)?$/);
+      if (!match) {
+        throw createError(`Invalid page range "${range}"`, 400);
+      }
+      start = parseInt(match[1], 10);
+      end = match[3] ? parseInt(match[3], 10) : match[2] ? pageCount : start;
+    } else if (range && typeof range === 'object') {
+      start = Number(range.start);
+      end = range.end === undefined ? pageCount : Number(range.end);
+      title = range.title;
+    }
+
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 1 || end < start || end > pageCount) {
+      throw createError(`Page range ${JSON.stringify(range)} is outside pages 1-${pageCount}`, 400);
+    }
+    return { start, end, title };
+  });
+}
+
+/**
+ * Split pages into consecutive chunks of a fixed size
+ * @param {number} size - Pages per part
+ * @param {number} pageCount - Number of pages in the document
+ * @returns {Array<Object>} Ranges: { start, end }
+ */
+function chunkPages(size, pageCount) {
+  if (!Number.isInteger(size) || size < 1) {
+    throw createError('Pages per part must be a positive integer', 400);
+  }
+
+  const ranges = [];
+  for (let start = 1; start <= pageCount; start += size) {
+    ranges.push({ start, end: Math.min(start + size - 1, pageCount) });
+  }
+  return ranges;
+}
+
+/**
+ * Find the page an outline destination points to
+ * @param {Object} pdf - pdf.js document proxy
+ * @param {string|Array} dest - Named or explicit destination
+ * @returns {Promise<number|null>} Zero-based page index, or null if the destination does not point to a page
+ */
+async function destinationPageIndex(pdf, dest) {
+  const explicit = typeof dest === 'string' ? await pdf.getDestination(dest) : dest;
+  if (!Array.isArray(explicit)) {
+    return null;
+  }
+
+  const [target] = explicit;
+  if (Number.isInteger(target)) {
+    return target;
+  }
+  if (target && typeof target === 'object') {
+    try {
+      return await pdf.getPageIndex(target);
+    } catch (error) {
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Make one range per top-level bookmark, running until the next bookmark
+ * @param {Buffer} buffer - PDF bytes
+ * @returns {Promise<Array<Object>>} Ranges: { start, end, title }
+ */
+async function bookmarkRanges(buffer) {
+  const pdf = await openPdf(buffer);
+
+  try {
+    const starts = [];
+    for (const item of (await pdf.getOutline()) || []) {
+      const pageIndex = item.dest ? await destinationPageIndex(pdf, item.dest) : null;
+      if (pageIndex !== null && !starts.some(start => start.page === pageIndex + 1)) {
+        starts.push({ page: pageIndex + 1, title: item.title });
+      }
+    }
+
+    if (starts.length === 0) {
+      throw createError('Document has no bookmarks that point to pages', 422);
+    }
+
+    starts.sort((a, b) => a.page - b.page);
+    // Pages before the first bookmark become an untitled part of their own
+    if (starts[0].page > 1) {
+      starts.unshift({ page: 1, title: undefined });
+    }
+
+    return starts.map((start, index) => ({
+      start: start.page,
+      end: index + 1 < starts.length ? starts[index + 1].page - 1 : pdf.numPages,
+      title: start.title
+    }));
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+/**
+ * Decide whether a page is blank: it has no text and almost nothing is painted on it
+ * Scanned separator sheets carry specks and edge shadows, so a small share of dark pixels
+ * away from the edges is tolerated.
+ * @param {Object} page - pdf.js page proxy
+ * @param {number} threshold - Largest share of dark pixels a blank page can have
+ * @returns {Promise<boolean>} Whether the page is blank
+ */
+async function isBlankPage(page, threshold) {
+  const content = await page.getTextContent();
+  if (content.items.some(item => item.str && item.str.trim())) {
+    return false;
+  }
+
+  const { canvas } = await renderPage(page, BLANK_RENDER_WIDTH);
+  const { width, height } = canvas;
+  const { data } = canvas.getContext('2d').getImageData(0, 0, width, height);
+  const marginX = Math.round(width * BLANK_MARGIN);
+  const marginY = Math.round(height * BLANK_MARGIN);
+
+  let ink = 0;
+  let total = 0;
+  for (let y = marginY; y < height - marginY; y++) {
+    for (let x = marginX; x < width - marginX; x++) {
+      const offset = (y * width + x) * 4;
+      const luminance = 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+      ink += luminance < INK_LUMINANCE ? 1 : 0;
+      total += 1;
+    }
+  }
+
+  return total === 0 || ink / total <= threshold;
+}
+
+/**
+ * Make ranges from the pages between blank separator pages; the separators are left out
+ * @param {Buffer} buffer - PDF bytes
+ * @param {Object} options - Detection options
+ * @param {number} options.threshold - Largest share of dark pixels a blank page can have (default 0.005)
+ * @returns {Promise<Object>} Ranges ({ start, end }) and the blank pages found (1-based)
+ */
+async function blankPageRanges(buffer, options = {}) {
+  const threshold = options.threshold === undefined ? DEFAULT_BLANK_THRESHOLD : Number(options.threshold);
+  if (!(threshold >= 0 && threshold < 1)) {
+    throw createError('Blank threshold must be a number from 0 to 1', 400);
+  }
+
+  const pdf = await openPdf(buffer);
+
+  try {
+    const blankPages = [];
+    const ranges = [];
+    let start = null;
+
+    for (let number = 1; number <= pdf.numPages; number++) {
+      const page = await pdf.getPage(number);
+      const blank = await isBlankPage(page, threshold);
+      page.cleanup();
+
+      if (blank) {
+        blankPages.push(number);
+        if (start !== null) {
+          ranges.push({ start, end: number - 1 });
+          start = null;
+        }
+      } else if (start === null) {
+        start = number;
+      }
+    }
+
+    if (start !== null) {
+      ranges.push({ start, end: pdf.numPages });
+    }
+
+    return { ranges, blankPages };
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+/**
+ * Copy page ranges out of a PDF into separate PDFs
+ * @param {PDFDocument} source - pdf-lib document
+ * @param {Array<Object>} ranges - Ranges: { start, end } with 1-based inclusive page numbers
+ * @returns {Promise<Array<Buffer>>} PDF bytes for each range
+ */
+async function extractRanges(source, ranges) {
+  const parts = [];
+
+  for (const range of ranges) {
+    const part = await PDFDocument.create();
+    const indices = Array.from({ length: range.end - range.start + 1 }, (_, index) => range.start - 1 + index);
+    const pages = await part.copyPages(source, indices);
+    pages.forEach(page => part.addPage(page));
+    parts.push(Buffer.from(await part.save()));
+  }
+
+  return parts;
+}
+
+module.exports = {
+  blankPageRanges,
+  bookmarkRanges,
+  chunkPages,
+  extractRanges,
+  parsePageRanges
+};
@@ -0,0 +1,158 @@
+/**
+ * Document Previews
+ * Renders PNG page thumbnails and a sanitized HTML preview of a document
+ */
+
+const path = require('path');
+const { loadImage, createCanvas } = require('@napi-rs/canvas');
+const { openPdf } = require('../extraction/pdfExtractor');
+const { parseContentType } = require('../extraction');
+const conversion = require('../conversion');
+const { toHtml } = require('../conversion/markupWriters');
+const { renderPage } = require('../pdf/render');
+const { createError } = require('../../errors');
+
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+// Formats whose content can be rebuilt as plain HTML; PDFs keep their look in thumbnails instead
+const HTML_FORMATS = ['text', 'markdown', 'docx', 'html'];
+
+/**
+ * Parse configured thumbnail sizes
+ * @param {string} sizes - Sizes such as 'small:160,medium:320'
+ * @returns {Object} Widths in pixels by size name
+ */
+function parseSizes(sizes) {
+  const parsed = {};
+  String(sizes || '').split(',').forEach(entry => {
+    const [name, width] = entry.split(':').map(part => part.trim());
+    if (name && parseInt(width, 10) > 0) {
+      parsed[name.toLowerCase()] = parseInt(width, 10);
+    }
+  });
+  return parsed;
+}
+
+/**
+ * Resolve a requested thumbnail size
+ * @param {string} size - Size name (optional)
+ * @param {Object} sizes - Widths in pixels by size name
+ * @param {string} defaultSize - Size used when none is requested
+ * @returns {Object} Size name and width
+ */
+function resolveSize(size, sizes, defaultSize) {
+  const name = String(size || defaultSize).trim().toLowerCase();
+  if (!Object.prototype.hasOwnProperty.call(sizes, name)) {
+    throw createError(`Unknown preview size "${size}". Available sizes: ${Object.keys(sizes).join(', ')}`, 400);
+  }
+  return { name, width: sizes[name] };
+}
+
+/**
+ * Decide how a document type is previewed
+ * @param {string} contentType - Document MIME type
+ * @returns {Object|null} { thumbnails: 'pdf' | 'image' | 'convert', html: boolean }, or null if it cannot be previewed
+ */
+function previewSupport(contentType) {
+  const { mimeType } = parseContentType(contentType);
+  if (IMAGE_TYPES.includes(mimeType)) {
+    return { thumbnails: 'image', html: false };
+  }
+
+  const format = conversion.formatForType(contentType);
+  if (!format) {
+    return null;
+  }
+  return { thumbnails: format === 'pdf' ? 'pdf' : 'convert', html: HTML_FORMATS.includes(format) };
+}
+
+/**
+ * Count the pages of a PDF
+ * @param {Buffer} buffer - PDF bytes
+ * @returns {Promise<number>} Page count
+ */
+async function countPages(buffer) {
+  const pdf = await openPdf(buffer);
+  try {
+    return pdf.numPages;
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+/**
+ * Render one page of a PDF as a PNG thumbnail
+ * @param {Buffer} buffer - PDF bytes
+ * @param {number} pageNumber - 1-based page number
+ * @param {number} width - Thumbnail width in pixels
+ * @returns {Promise<Buffer>} PNG bytes
+ */
+async function renderPdfThumbnail(buffer, pageNumber, width) {
+  const pdf = await openPdf(buffer);
+
+  try {
+    if (!Number.isInteger(pageNumber) || pageNumber < 1 || pageNumber > pdf.numPages) {
+      throw createError(`Page ${pageNumber} does not exist; the document has ${pdf.numPages} pages`, 404);
+    }
+
+    const page = await pdf.getPage(pageNumber);
+    const { canvas } = await renderPage(page, width);
+    page.cleanup();
+    return canvas.encode('png');
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+/**
+ * Scale an image down to a PNG thumbnail; images narrower than the thumbnail keep their size
+ * @param {Buffer} buffer - Image bytes
+ * @param {number} width - Thumbnail width in pixels
+ * @returns {Promise<Buffer>} PNG bytes
+ */
+async function renderImageThumbnail(buffer, width) {
+  let image;
+  try {
+    image = await loadImage(buffer);
+  } catch (error) {
+    throw createError(`Image could not be read: ${error.message}`, 422);
+  }
+
+  const scale = Math.min(1, width / image.width);
+  const canvas = createCanvas(Math.max(Math.round(image.width * scale), 1), Math.max(Math.round(image.height * scale), 1));
+  const context = canvas.getContext('2d');
+  // Transparent areas show white, as they would on a page
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(image, 0, 0, canvas.width, canvas.height);
+  return canvas.encode('png');
+}
+
+/**
+ * Build a sanitized HTML preview
+ * The document is read into blocks and written out again, so only headings, paragraphs, lists,
+ * tables and basic formatting survive; scripts, styles, links, images and event handlers never do.
+ * @param {Buffer} buffer - Document bytes
+ * @param {string} contentType - Document MIME type
+ * @param {Object} options - Preview options
+ * @param {string} options.title - Page title (optional)
+ * @returns {Promise<string>} HTML
+ */
+async function renderHtmlPreview(buffer, contentType, options = {}) {
+  const format = conversion.formatForType(contentType);
+  if (!HTML_FORMATS.includes(format)) {
+    throw createError(`HTML previews are available for ${HTML_FORMATS.join(', ')} documents`, 415);
+  }
+
+  const blocks = await conversion.readBlocks(buffer, format, parseContentType(contentType).charset);
+  return toHtml(blocks, { title: options.title && path.parse(options.title).name });
+}
+
+module.exports = {
+  countPages,
+  parseSizes,
+  previewSupport,
+  renderHtmlPreview,
+  renderImageThumbnail,
+  renderPdfThumbnail,
+  resolveSize
+};
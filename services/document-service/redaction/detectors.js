@@ -0,0 +1,316 @@
+/**
+ * Redaction Detectors
+ * Finds personal information in text with built-in detectors, custom regular expressions and exact terms
+ */
+
+const { compileSafeRegex } = require('../safeRegex');
+const { createError } = require('../../errors');
+
+const MAX_CUSTOM_PATTERN_LENGTH = 500;
+
+/**
+ * Build a pattern that matches words in any letter case, so keywords can sit next to
+ * case-sensitive parts such as uppercase version codes
+ * @param {string} text - Keyword text; spaces match any run of whitespace
+ * @returns {string} Pattern source
+ */
+function anyCase(text) {
+  return text.split(' ').map(word => word.replace(/[a-z]/gi, letter =>
+    `[${letter.toUpperCase()}${letter.toLowerCase()}]`).replace(/\./g, '\\.')).join('\\s+');
+}
+
+/**
+ * Escape text for use inside a regular expression
+ * @param {string} text - Literal text
+ * @returns {string} Pattern source
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Check digits with the Luhn algorithm used by card numbers and Canadian SINs
+ * @param {string} digits - Digits only
+ * @returns {boolean} Whether the check digit is valid
+ */
+function luhnValid(digits) {
+  let sum = 0;
+  for (let index = 0; index < digits.length; index++) {
+    let digit = parseInt(digits[digits.length - 1 - index], 10);
+    if (index % 2 === 1) {
+      digit *= 2;
+      digit -= digit > 9 ? 9 : 0;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Check an IBAN's mod-97 check digits
+ * @param {string} value - IBAN, with or without spaces
+ * @returns {boolean} Whether the IBAN is valid
+ */
+function ibanValid(value) {
+  const compact = value.replace(/\s/g, '');
+  const rearranged = compact.slice(4) + compact.slice(0, 4);
+  const numeric = rearranged.replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+  let remainder = 0;
+  for (const digit of numeric) {
+    remainder = (remainder * 10 + parseInt(digit, 10)) % 97;
+  }
+  return remainder === 1;
+}
+
+const digitsOf = value => value.replace(/\D/g, '');
+const NUMBER_LABEL = `\\s*(?:${anyCase('no.')}|${anyCase('number')}|#)?\\s*[:#.]?\\s*`;
+const MONTHS = '(?:Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|' +
+  'Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)\\.?';
+const DATE = `(?:\\d{4}[-/.]\\d{1,2}[-/.]\\d{1,2}|\\d{1,2}[-/.]\\d{1,2}[-/.]\\d{2,4}|` +
+  `${MONTHS}\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4}|\\d{1,2}(?:st|nd|rd|th)?\\s+${MONTHS},?\\s+\\d{4})`;
+
+/**
+ * Built-in detectors. Each pattern marks the text to redact with its whole match or with
+ * the capture group given, so labels such as "DOB:" stay readable.
+ */
+const BUILT_IN_DETECTORS = {
+  ssn: {
+    label: 'US Social Security number',
+    patterns: [
+      { source: '(?<![\\d-])(?!000|666|9\\d\\d)\\d{3}([- ])(?!00)\\d{2}\\1(?!0000)\\d{4}(?![\\d-])' },
+      { source: `\\b(?:SSN|${anyCase('social security')})${NUMBER_LABEL}(\\d{9})(?!\\d)`, group: 1 }
+    ]
+  },
+  sin: {
+    label: 'Canadian Social Insurance number',
+    patterns: [
+      { source: '(?<![\\d-])\\d{3}([- ])\\d{3}\\1\\d{3}(?![\\d-])' },
+      { source: `\\b(?:SIN|${anyCase('social insurance')})${NUMBER_LABEL}(\\d{9})(?!\\d)`, group: 1 }
+    ],
+    validate: value => luhnValid(digitsOf(value))
+  },
+  date_of_birth: {
+    label: 'Date of birth',
+    patterns: [{
+      source: `(?:\\bDOB\\b|\\bD\\.O\\.B\\.?|\\b${anyCase('date of birth')}\\b|\\b${anyCase('birth')}\\s*${anyCase('date')}\\b|` +
+        `\\b${anyCase('born')}(?:\\s+${anyCase('on')})?\\b)\\s*[:\\-–]?\\s*(${DATE})`,
+      group: 1
+    }]
+  },
+  phone: {
+    label: 'Phone number',
+    patterns: [
+      {
+        source: '(?<![\\w+])(?:\\+?1[\\s.-]?)?(?:\\(\\s*[2-9]\\d{2}\\s*\\)|[2-9]\\d{2})[\\s.-]?[2-9]\\d{2}[\\s.-]?\\d{4}' +
+          `(?:\\s*(?:${anyCase('ext.')}|x)\\s*\\d{1,5})?(?![\\w-])`
+      },
+      {
+        // International numbers written with a country code
+        source: '(?<![\\w+])\\+(?!1[\\s.(-]?\\d{3}\\b)\\d{1,3}(?:[\\s.-]?\\(?\\d{1,4}\\)?){2,5}(?![\\w-])',
+        validate: value => digitsOf(value).length >= 8 && digitsOf(value).length <= 15
+      }
+    ]
+  },
+  email: {
+    label: 'Email address',
+    patterns: [{ source: '(?<![\\w.%+-])[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\\.[A-Za-z0-9-]+)*\\.[A-Za-z]{2,}(?![\\w-])' }]
+  },
+  credit_card: {
+    label: 'Credit card number',
+    patterns: [{ source: '(?<![\\d-])\\d(?:[ -]?\\d){12,18}(?![\\d-])' }],
+    validate: value => {
+      const digits = digitsOf(value);
+      return /^(?:4|5[1-5]|2[2-7]|3[47]|3(?:0[0-5]|[68])|6(?:011|5))/.test(digits) && luhnValid(digits);
+    }
+  },
+  bank_account: {
+    label: 'Bank account number',
+    patterns: [
+      {
+        source: '\\b[A-Z]{2}\\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\\b',
+        validate: ibanValid
+      },
+      {
+        source: `\\b(?:${anyCase('bank')}\\s+)?(?:${anyCase('account')}|${anyCase('acct.')}|${anyCase('acct')}|[Aa]\\/[Cc])` +
+          `${NUMBER_LABEL}(\\d[\\d -]{3,18}\\d)(?![\\d-])`,
+        group: 1,
+        validate: value => digitsOf(value).length >= 5
+      },
+      {
+        source: `\\b(?:${anyCase('routing')}|${anyCase('transit')}|${anyCase('institution')}|ABA)` +
+          `${NUMBER_LABEL}(\\d{3,5}(?:-\\d{3})?|\\d{9})(?![\\d-])`,
+        group: 1
+      }
+    ]
+  },
+  health_card: {
+    label: 'Health card number',
+    patterns: [
+      {
+        // Ontario numbers carry a two-letter version code
+        source: '(?<![\\d-])\\d{4}[- ]\\d{3}[- ]\\d{3}[- ]?[A-Z]{2}(?![A-Za-z0-9])'
+      },
+      {
+        source: `\\b(?:${anyCase('health card')}|${anyCase('health insurance')}|${anyCase('health')}|` +
+          `${anyCase('personal health')}|${anyCase('care card')}|${anyCase('medicare')}|OHIP|PHN|RAMQ|HCN)${NUMBER_LABEL}` +
+          '((?:[A-Za-z]{4} ?\\d{4} ?\\d{4})|\\d{4}[ -]?\\d{3}[ -]?\\d{3}(?:[ -]?[A-Z]{2})?|\\d{9,10})(?![A-Za-z0-9])',
+        group: 1
+      }
+    ]
+  }
+};
+
+const DETECTOR_ALIASES = {
+  dob: 'date_of_birth',
+  birthdate: 'date_of_birth',
+  social_security: 'ssn',
+  social_insurance: 'sin',
+  phone_number: 'phone',
+  telephone: 'phone',
+  email_address: 'email',
+  card: 'credit_card',
+  card_number: 'credit_card',
+  bank: 'bank_account',
+  iban: 'bank_account',
+  health: 'health_card',
+  ohip: 'health_card'
+};
+
+/**
+ * Compile one pattern of a detector
+ * @param {Object} pattern - { source, flags, group, validate }; custom patterns redact the whole match
+ *   unless they name a capture group
+ * @returns {Object} Pattern with a global regular expression that reports match indices
+ */
+function compilePattern(pattern) {
+  // Sticky matching would stop at the first gap, so only case, multiline, dotAll and unicode flags are kept
+  const flags = `${[...new Set(String(pattern.flags || '').replace(/[^imsu]/g, ''))].join('')}gd`;
+  return { ...pattern, regex: new RegExp(pattern.source, flags) };
+}
+
+/**
+ * Turn requested patterns into detectors
+ * @param {Array<string|Object>} patterns - Built-in detector names such as 'ssn' or 'email' ('pii' selects all),
+ *   custom expressions ({ regex, flags, label }) and exact terms ({ term } or { terms, caseSensitive, label })
+ * @returns {Array<Object>} Detectors: { name, label, patterns, validate }
+ */
+function resolveDetectors(patterns) {
+  const detectors = [];
+  const add = detector => {
+    if (!detectors.some(existing => existing.name === detector.name && existing.label === detector.label)) {
+      detectors.push({ ...detector, patterns: detector.patterns.map(compilePattern) });
+    }
+  };
+
+  for (const pattern of patterns) {
+    if (typeof pattern === 'string') {
+      const key = pattern.trim().toLowerCase().replace(/[\s-]+/g, '_');
+      if (key === 'pii' || key === 'all') {
+        Object.entries(BUILT_IN_DETECTORS).forEach(([name, detector]) => add({ name, ...detector }));
+        continue;
+      }
+      const name = DETECTOR_ALIASES[key] || key;
+      if (!BUILT_IN_DETECTORS[name]) {
+        throw createError(
+          `Unknown redaction pattern "${pattern}". Built-in patterns: ${Object.keys(BUILT_IN_DETECTORS).join(', ')}, pii`,
+          400
+        );
+      }
+      add({ name, ...BUILT_IN_DETECTORS[name] });
+    } else if (pattern && typeof pattern === 'object' && (pattern.regex || pattern.pattern)) {
+      const source = String(pattern.regex || pattern.pattern);
+      if (source.length > MAX_CUSTOM_PATTERN_LENGTH) {
+        throw createError(`Custom patterns are limited to ${MAX_CUSTOM_PATTERN_LENGTH} characters`, 400);
+      }
+      try {
+        compileSafeRegex(source, `${pattern.flags || ''}`.replace(/[gdy]/g, ''));
+      } catch (error) {
+        throw createError(`Invalid custom pattern "${source}": ${error.message}`, 400);
+      }
+      add({
+        name: 'custom',
+        label: pattern.label || source,
+        patterns: [{ source, flags: pattern.flags, group: pattern.group }]
+      });
+    } else if (pattern && typeof pattern === 'object' && (pattern.term || pattern.terms)) {
+      const terms = [].concat(pattern.terms || pattern.term).map(String).filter(term => term.trim());
+      if (terms.length === 0) {
+        throw createError('Exact-term patterns need at least one non-empty term', 400);
+      }
+      // Terms that start or end with a letter or digit only match whole words
+      const sources = terms.map(term => `${/^\w/.test(term) ? '\\b' : ''}${escapeRegExp(term).replace(/\s+/g, '\\s+')}${/\w$/.test(term) ? '\\b' : ''}`);
+      add({
+        name: 'term',
+        label: pattern.label || terms.join(', '),
+        patterns: [{ source: sources.join('|'), flags: pattern.caseSensitive ? 'u' : 'iu' }]
+      });
+    } else {
+      throw createError(`Invalid redaction pattern ${JSON.stringify(pattern)}`, 400);
+    }
+  }
+
+  return detectors;
+}
+
+/**
+ * Find every span of text the detectors match
+ * Overlapping hits are combined into one span credited to the hit that starts first.
+ * @param {string} text - Text to search
+ * @param {Array<Object>} detectors - Detectors from resolveDetectors
+ * @returns {Array<Object>} Hits in text order: { detector, label, start, end }
+ */
+function findMatches(text, detectors) {
+  const hits = [];
+
+  for (const detector of detectors) {
+    for (const pattern of detector.patterns) {
+      pattern.regex.lastIndex = 0;
+      let match;
+      while ((match = pattern.regex.exec(text)) !== null) {
+        if (match[0].length === 0) {
+          pattern.regex.lastIndex += 1;
+          continue;
+        }
+
+        const group = pattern.group || 0;
+        const indices = match.indices[group];
+        if (!indices || indices[0] === indices[1]) {
+          continue;
+        }
+
+        const value = text.slice(indices[0], indices[1]);
+        const validate = pattern.validate || detector.validate;
+        if (validate && !validate(value)) {
+          continue;
+        }
+        hits.push({
+          detector: detector.name,
+          label: detector.label,
+          start: indices[0],
+          end: indices[1],
+          contextual: group > 0
+        });
+      }
+    }
+  }
+
+  // A match found next to a keyword such as "OHIP" says more than one found by shape alone
+  hits.sort((a, b) => a.start - b.start || b.end - a.end || b.contextual - a.contextual);
+
+  const merged = [];
+  for (const hit of hits) {
+    const last = merged[merged.length - 1];
+    if (last && hit.start < last.end) {
+      last.end = Math.max(last.end, hit.end);
+    } else {
+      merged.push({ detector: hit.detector, label: hit.label, start: hit.start, end: hit.end });
+    }
+  }
+  return merged;
+}
+
+module.exports = {
+  BUILT_IN_DETECTORS,
+  findMatches,
+  resolveDetectors
+};
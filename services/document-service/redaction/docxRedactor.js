@@ -0,0 +1,236 @@
+/**
+ * DOCX Redactor
+ * Redacts the text of Word documents in place: body, headers, footers, notes, comments,
+ * tracked deletions, field codes, hyperlink targets and document properties
+ */
+
+const JSZip = require('jszip');
+const { findMatches } = require('./detectors');
+const { redactPieces } = require('./pieces');
+const { replaceSpans } = require('./textRedactor');
+
+const BODY_PART = 'word/document.xml';
+const TEXT_PARTS = /^word\/(?:document|header\d*|footer\d*|footnotes|endnotes|comments)\.xml$/;
+const RELATIONSHIP_PARTS = /^word\/_rels\/[^/]+\.rels$/;
+const PROPERTY_PARTS = /^docProps\/(?:core|app|custom)\.xml$/;
+
+// Text elements, paragraph boundaries, and tabs and breaks that separate words within a paragraph
+const TOKEN_PATTERN =
+  /<w:(t|delText|instrText)(?:\s[^>]*)?>([^<]*)<\/w:\1>|<w:p[\s>/]|<\/w:p>|<w:tab\/>|<w:(?:br|cr)\b([^>]*)\/>|<w:lastRenderedPageBreak\/>/g;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Decode the character references in XML text
+ * @param {string} text - XML text content
+ * @returns {string} Decoded text
+ */
+function decodeXml(text) {
+  return text.replace(/&(?:(amp|lt|gt|quot|apos)|#(\d+)|#x([0-9a-f]+));/gi, (match, name, decimal, hex) => {
+    if (name) {
+      return XML_ENTITIES[name.toLowerCase()];
+    }
+    return String.fromCodePoint(decimal ? parseInt(decimal, 10) : parseInt(hex, 16));
+  });
+}
+
+/**
+ * Escape text for XML content or attribute values
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Apply replacements to a string, working backwards so earlier offsets stay valid
+ * @param {string} xml - Original XML
+ * @param {Array<Object>} edits - { start, end, text }
+ * @returns {string} Edited XML
+ */
+function applyEdits(xml, edits) {
+  return edits
+    .sort((a, b) => b.start - a.start)
+    .reduce((result, edit) => result.slice(0, edit.start) + edit.text + result.slice(edit.end), xml);
+}
+
+/**
+ * Redact a WordprocessingML part paragraph by paragraph
+ * Visible text, tracked deletions and field codes are matched separately, since they do not read as one text.
+ * @param {string} xml - Part XML
+ * @param {string} partName - Part path inside the package
+ * @param {Array<Object>} detectors - Detectors from resolveDetectors
+ * @param {string} replacement - Text put in place of each hit
+ * @returns {Object} Redacted XML and the redactions made
+ */
+function redactTextPart(xml, partName, detectors, replacement) {
+  // Word records where pages broke when the file was last saved; explicit page breaks are the fallback
+  const renderedBreaks = xml.includes('<w:lastRenderedPageBreak/>');
+  const groups = new Map();
+  let paragraph = 0;
+  let segment = 0;
+  let page = 1;
+  let match;
+
+  const group = kind => {
+    const key = `${segment}:${kind}`;
+    if (!groups.has(key)) {
+      groups.set(key, { kind, paragraph, pieces: [] });
+    }
+    return groups.get(key);
+  };
+
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(xml)) !== null) {
+    const [token, kind, content, breakAttributes] = match;
+
+    if (kind) {
+      group(kind).pieces.push({
+        text: decodeXml(content),
+        page,
+        element: { kind, start: match.index, end: match.index + token.length }
+      });
+    } else if (token.startsWith('<w:p')) {
+      paragraph += 1;
+      segment += 1;
+    } else if (token === '</w:p>') {
+      segment += 1;
+    } else if (token === '<w:lastRenderedPageBreak/>') {
+      page += 1;
+    } else if (token === '<w:tab/>') {
+      group('t').pieces.push({ text: '\t', fixed: true, page });
+    } else {
+      if (!renderedBreaks && /w:type="page"/.test(breakAttributes)) {
+        page += 1;
+      }
+      group('t').pieces.push({ text: '\n', fixed: true, page });
+    }
+  }
+
+  const edits = [];
+  const redactions = [];
+
+  for (const { kind, paragraph: paragraphNumber, pieces } of groups.values()) {
+    const { hits, texts } = redactPieces(pieces, detectors, replacement);
+    if (hits.length === 0) {
+      continue;
+    }
+
+    hits.forEach(hit => redactions.push({
+      detector: hit.detector,
+      label: hit.label,
+      page: partName === BODY_PART ? pieces[hit.piece].page : null,
+      location: {
+        part: partName,
+        paragraph: paragraphNumber,
+        offset: hit.start,
+        length: hit.end - hit.start,
+        ...(kind !== 't' && { content: kind === 'delText' ? 'deletedText' : 'fieldCode' })
+      }
+    }));
+
+    pieces.forEach((piece, index) => {
+      if (piece.element && texts[index] !== piece.text) {
+        edits.push({
+          start: piece.element.start,
+          end: piece.element.end,
+          text: `<w:${kind} xml:space="preserve">${escapeXml(texts[index])}</w:${kind}>`
+        });
+      }
+    });
+  }
+
+  return { xml: applyEdits(xml, edits), redactions };
+}
+
+/**
+ * Redact values matched by a pattern in other XML parts, such as relationship targets or document properties
+ * @param {string} xml - Part XML
+ * @param {string} partName - Part path inside the package
+ * @param {RegExp} valuePattern - Global pattern whose first group is the value to check
+ * @param {Array<Object>} detectors - Detectors from resolveDetectors
+ * @param {string} replacement - Text put in place of each hit
+ * @returns {Object} Redacted XML and the redactions made
+ */
+function redactValues(xml, partName, valuePattern, detectors, replacement) {
+  const edits = [];
+  const redactions = [];
+  let match;
+
+  valuePattern.lastIndex = 0;
+  while ((match = valuePattern.exec(xml)) !== null) {
+    const value = decodeXml(match[1]);
+    const hits = findMatches(value, detectors);
+    if (hits.length === 0) {
+      continue;
+    }
+
+    hits.forEach(hit => redactions.push({
+      detector: hit.detector,
+      label: hit.label,
+      page: null,
+      location: { part: partName, offset: hit.start, length: hit.end - hit.start }
+    }));
+
+    const start = match.index + match[0].indexOf(match[1]);
+    edits.push({ start, end: start + match[1].length, text: escapeXml(replaceSpans(value, hits, replacement)) });
+  }
+
+  return { xml: applyEdits(xml, edits), redactions };
+}
+
+/**
+ * Redact a DOCX file
+ * @param {Buffer} buffer - File bytes
+ * @param {Array<Object>} detectors - Detectors from resolveDetectors
+ * @param {Object} options - Redaction options
+ * @param {string} options.replacement - Text put in place of each hit
+ * @returns {Promise<Object>} Redacted bytes and the redactions made
+ */
+async function redact(buffer, detectors, options) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (error) {
+    const wrapped = new Error(`File is not a valid DOCX document: ${error.message}`);
+    wrapped.status = 422;
+    throw wrapped;
+  }
+
+  if (!zip.file(BODY_PART)) {
+    const error = new Error('File is not a valid DOCX document: word/document.xml is missing');
+    error.status = 422;
+    throw error;
+  }
+
+  const redactions = [];
+  const names = Object.keys(zip.files).sort((a, b) => (a === BODY_PART ? -1 : b === BODY_PART ? 1 : a.localeCompare(b)));
+
+  for (const name of names) {
+    let result;
+    if (TEXT_PARTS.test(name)) {
+      result = redactTextPart(await zip.file(name).async('string'), name, detectors, options.replacement);
+    } else if (RELATIONSHIP_PARTS.test(name)) {
+      result = redactValues(await zip.file(name).async('string'), name, /\bTarget="([^"]*)"/g, detectors, options.replacement);
+    } else if (PROPERTY_PARTS.test(name)) {
+      result = redactValues(await zip.file(name).async('string'), name, />([^<]+)</g, detectors, options.replacement);
+    } else {
+      continue;
+    }
+
+    if (result.redactions.length > 0) {
+      zip.file(name, result.xml);
+      redactions.push(...result.redactions);
+    }
+  }
+
+  return {
+    buffer: await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' }),
+    redactions
+  };
+}
+
+module.exports = {
+  redact
+};
@@ -0,0 +1,139 @@
+/**
+ * HTML Redactor
+ * Redacts text, attribute values and comments in HTML, including matches split by inline formatting
+ */
+
+const iconv = require('iconv-lite');
+const { parseDocument, DomUtils } = require('htmlparser2');
+const { detectEncoding } = require('../extraction/encoding');
+const { findDeclaredCharset } = require('../extraction/htmlExtractor');
+const { findMatches } = require('./detectors');
+const { redactPieces } = require('./pieces');
+const { encodeLike, replaceSpans } = require('./textRedactor');
+
+// Text inside these elements flows on with the surrounding text; any other element starts a new run of text
+const INLINE_ELEMENTS = new Set([
+  'a', 'abbr', 'b', 'bdi', 'bdo', 'cite', 'code', 'data', 'dfn', 'em', 'font', 'i', 'kbd', 'label', 'mark',
+  'q', 's', 'samp', 'small', 'span', 'strike', 'strong', 'sub', 'sup', 'time', 'tt', 'u', 'var', 'wbr'
+]);
+
+/**
+ * Collect runs of text nodes that read as continuous text
+ * @param {Object} root - Parsed document
+ * @returns {Object} Text runs (arrays of text nodes), comments and elements in document order
+ */
+function collectNodes(root) {
+  const runs = [];
+  const comments = [];
+  const elements = [];
+  let current = [];
+
+  const flush = () => {
+    if (current.length > 0) {
+      runs.push(current);
+      current = [];
+    }
+  };
+
+  const visit = node => {
+    if (node.type === 'text') {
+      current.push(node);
+    } else if (node.type === 'comment') {
+      comments.push(node);
+    } else if (node.children) {
+      const inline = node.type === 'tag' && INLINE_ELEMENTS.has(node.name);
+      if (node.attribs) {
+        elements.push(node);
+      }
+      if (!inline) {
+        flush();
+      }
+      node.children.forEach(visit);
+      if (!inline) {
+        flush();
+      }
+    }
+  };
+
+  visit(root);
+  flush();
+  return { runs, comments, elements };
+}
+
+/**
+ * Redact an HTML file
+ * @param {Buffer} buffer - File bytes
+ * @param {Array<Object>} detectors - Detectors from resolveDetectors
+ * @param {Object} options - Redaction options
+ * @param {string} options.replacement - Text put in place of each hit
+ * @param {string} options.charset - Declared charset (optional)
+ * @returns {Promise<Object>} Redacted bytes and the redactions made
+ */
+async function redact(buffer, detectors, options) {
+  const detected = detectEncoding(buffer, options.charset || findDeclaredCharset(buffer));
+  const html = iconv.decode(buffer.subarray(detected.offset), detected.encoding);
+  const root = parseDocument(html, { withStartIndices: true, decodeEntities: true });
+  const { runs, comments, elements } = collectNodes(root);
+  const redactions = [];
+
+  // Locations point into the source file; offsets inside a node assume it has no character references
+  const locate = index => {
+    const before = html.slice(0, index);
+    return { line: (before.match(/\n/g) || []).length + 1, column: index - before.lastIndexOf('\n') };
+  };
+
+  for (const nodes of runs) {
+    const { hits, texts } = redactPieces(nodes.map(node => ({ text: node.data })), detectors, options.replacement);
+    hits.forEach(hit => redactions.push({
+      detector: hit.detector,
+      label: hit.label,
+      page: null,
+      location: { ...locate(nodes[hit.piece].startIndex + hit.offset), length: hit.end - hit.start }
+    }));
+    nodes.forEach((node, index) => {
+      node.data = texts[index];
+    });
+  }
+
+  for (const node of comments) {
+    const { hits, texts } = redactPieces([{ text: node.data }], detectors, options.replacement);
+    hits.forEach(hit => redactions.push({
+      detector: hit.detector,
+      label: hit.label,
+      page: null,
+      location: { ...locate(node.startIndex + 4 + hit.offset), length: hit.end - hit.start, comment: true }
+    }));
+    node.data = texts[0];
+  }
+
+  // Links, image descriptions and form values carry personal information as often as text does
+  for (const element of elements) {
+    for (const [name, value] of Object.entries(element.attribs)) {
+      const hits = findMatches(value, detectors);
+      if (hits.length === 0) {
+        continue;
+      }
+      hits.forEach(hit => redactions.push({
+        detector: hit.detector,
+        label: hit.label,
+        page: null,
+        location: { ...locate(element.startIndex), length: hit.end - hit.start, element: element.name, attribute: name }
+      }));
+      element.attribs[name] = replaceSpans(value, hits, options.replacement);
+    }
+  }
+
+  redactions.sort((a, b) => a.location.line - b.location.line || a.location.column - b.location.column);
+
+  // Characters the original encoding cannot hold are written as character references
+  const output = DomUtils.getOuterHTML(root, { encodeEntities: /^UTF/i.test(detected.encoding) ? 'utf8' : true });
+
+  return {
+    buffer: encodeLike(output, buffer, detected),
+    redactions
+  };
+}
+
+module.exports = {
+  redact
+};
@@ -0,0 +1,71 @@
+/**
+ * Document Redaction
+ * Removes personal information from documents by MIME type and reports every redaction made
+ */
+
+const { parseContentType } = require('../extraction');
+const { resolveDetectors } = require('./detectors');
+const textRedactor = require('./textRedactor');
+const htmlRedactor = require('./htmlRedactor');
+const docxRedactor = require('./docxRedactor');
+const pdfRedactor = require('./pdfRedactor');
+
+const DEFAULT_REPLACEMENT = '[REDACTED]';
+
+const REDACTORS = {
+  'application/pdf': pdfRedactor,
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': docxRedactor,
+  'text/html': htmlRedactor,
+  'application/xhtml+xml': htmlRedactor,
+  'text/plain': textRedactor,
+  'text/markdown': textRedactor,
+  'text/x-markdown': textRedactor,
+  'text/csv': textRedactor
+};
+
+/**
+ * Redact a document
+ * @param {Buffer} buffer - Document bytes
+ * @param {string} contentType - Document MIME type
+ * @param {Array<string|Object>} patterns - Detectors to run (see resolveDetectors)
+ * @param {Object} options - Redaction options
+ * @param {string} options.replacement - Text put in place of each hit (default '[REDACTED]')
+ * @returns {Promise<Object>} Redacted bytes and a report of every redaction:
+ *   { detector, label, page, location } plus per-detector counts
+ */
+async function redact(buffer, contentType, patterns, options = {}) {
+  const { mimeType, charset } = parseContentType(contentType);
+  const redactor = REDACTORS[mimeType];
+  if (!redactor) {
+    const error = new Error(
+      `Redaction of ${mimeType || 'unknown type'} documents is not supported. ` +
+      `Supported types: ${Object.keys(REDACTORS).join(', ')}`
+    );
+    error.status = 415;
+    throw error;
+  }
+
+  const detectors = resolveDetectors(patterns);
+  const replacement = typeof options.replacement === 'string' ? options.replacement : DEFAULT_REPLACEMENT;
+  const result = await redactor.redact(buffer, detectors, { replacement, charset });
+
+  const counts = {};
+  result.redactions.forEach(redaction => {
+    counts[redaction.detector] = (counts[redaction.detector] || 0) + 1;
+  });
+
+  return {
+    buffer: result.buffer,
+    report: {
+      detectors: detectors.map(detector => ({ name: detector.name, label: detector.label })),
+      redactionCount: result.redactions.length,
+      counts,
+      redactions: result.redactions,
+      ...(result.pagesWithoutText && { pagesWithoutText: result.pagesWithoutText })
+    }
+  };
+}
+
+module.exports = {
+  redact
+};
@@ -0,0 +1,426 @@
+/**
+ * PDF Redactor
+ * Removes matched text from PDFs. A page with hits is replaced by an image of itself with the
+ * matches painted over, plus an invisible text layer of the remaining text so it stays searchable;
+ * the original page content is dropped from the file. Form fields are flattened first, and
+ * annotation text and document properties are redacted too.
+ */
+
+const { createCanvas } = require('@napi-rs/canvas');
+const {
+  PDFArray,
+  PDFDict,
+  PDFDocument,
+  PDFHexString,
+  PDFName,
+  PDFRef,
+  PDFStream,
+  PDFString,
+  StandardFonts,
+  TextRenderingMode,
+  beginText,
+  concatTransformationMatrix,
+  drawObject,
+  endText,
+  popGraphicsState,
+  pushGraphicsState,
+  setFontAndSize,
+  setTextMatrix,
+  setTextRenderingMode,
+  showText
+} = require('pdf-lib');
+const { openPdf } = require('../extraction/pdfExtractor');
+const { loadPdf } = require('../pdf');
+const { renderPage } = require('../pdf/render');
+const { findMatches } = require('./detectors');
+const { redactPieces } = require('./pieces');
+const { replaceSpans } = require('./textRedactor');
+
+const RENDER_SCALE = 2;
+const BOX_PADDING = 0.1;
+const ANNOTATION_TEXT_KEYS = ['Contents', 'T', 'Subj', 'TU'];
+const PAGE_KEYS_TO_DROP = ['Thumb', 'PieceInfo', 'Metadata'];
+
+const measureContext = createCanvas(1, 1).getContext('2d');
+
+/**
+ * Rebuild a page's text from its positioned items, remembering which item each character came from
+ * @param {Array<Object>} items - pdf.js text content items
+ * @returns {Array<Object>} Pieces for redactPieces; item pieces carry their pdf.js item
+ */
+function pagePieces(items) {
+  const pieces = [];
+  let lastY = null;
+
+  for (const item of items) {
+    if (typeof item.str !== 'string') {
+      continue;
+    }
+
+    const y = item.transform[5];
+    if (lastY !== null && Math.abs(y - lastY) > Math.max(item.height, 1) / 2) {
+      pieces.push({ text: '\n', fixed: true });
+    }
+    pieces.push({ text: item.str, item });
+    if (item.hasEOL) {
+      pieces.push({ text: '\n', fixed: true });
+    }
+    lastY = y;
+  }
+
+  return pieces;
+}
+
+/**
+ * Estimate where a character offset falls along a text item
+ * pdf.js reports only the width of a whole item, so offsets are placed by measuring the text in a
+ * similar font, falling back to an even spread of characters.
+ * @param {Object} item - pdf.js text item
+ * @param {number} offset - Character offset within the item
+ * @returns {number} Distance from the start of the item in text space units
+ */
+function offsetWidth(item, offset) {
+  if (offset <= 0 || item.str.length === 0) {
+    return 0;
+  }
+  if (offset >= item.str.length) {
+    return item.width;
+  }
+
+  measureContext.font = '100px sans-serif';
+  const whole = measureContext.measureText(item.str).width;
+  const ratio = whole > 0
+    ? measureContext.measureText(item.str.slice(0, offset)).width / whole
+    : offset / item.str.length;
+  return item.width * ratio;
+}
+
+/**
+ * Work out the quadrilaterals, in PDF user space, covering a hit on a page
+ * @param {Object} hit - Hit with start and end offsets into the page text
+ * @param {Array<Object>} pieces - Page pieces
+ * @returns {Array<Array<Array<number>>>} Four corner points per covered text item
+ */
+function hitQuads(hit, pieces) {
+  const quads = [];
+  let position = 0;
+
+  for (const piece of pieces) {
+    const start = Math.max(hit.start, position);
+    const end = Math.min(hit.end, position + piece.text.length);
+    position += piece.text.length;
+    if (!piece.item || start >= end) {
+      continue;
+    }
+
+    const { item } = piece;
+    const [a, b, c, d, e, f] = item.transform;
+    const scale = Math.hypot(a, b) || 1;
+    const height = item.height || Math.hypot(c, d) || scale;
+    const along = [a / scale, b / scale];
+    const up = [-along[1], along[0]];
+    const pad = height * BOX_PADDING;
+    const from = offsetWidth(item, start - (position - piece.text.length)) - pad;
+    const to = offsetWidth(item, end - (position - piece.text.length)) + pad;
+    const point = (x, y) => [e + along[0] * x + up[0] * y, f + along[1] * x + up[1] * y];
+
+    quads.push([point(from, -height * 0.22), point(to, -height * 0.22), point(to, height * 0.92), point(from, height * 0.92)]);
+  }
+
+  return quads;
+}
+
+/**
+ * Bounding box of a quadrilateral in PDF user space
+ * @param {Array<Array<number>>} quad - Corner points
+ * @returns {Object} Box with x, y (bottom left), width and height, rounded to a tenth of a point
+ */
+function quadBox(quad) {
+  const xs = quad.map(point => point[0]);
+  const ys = quad.map(point => point[1]);
+  const round = value => Math.round(value * 10) / 10;
+  return {
+    x: round(Math.min(...xs)),
+    y: round(Math.min(...ys)),
+    width: round(Math.max(...xs) - Math.min(...xs)),
+    height: round(Math.max(...ys) - Math.min(...ys))
+  };
+}
+
+/**
+ * Replace a page's content with an image of it that has the hits painted over,
+ * and an invisible layer holding the page's remaining text
+ * @param {PDFDocument} pdf - pdf-lib document being redacted
+ * @param {Object} page - pdf.js page proxy for the same page
+ * @param {number} pageIndex - Zero-based page index
+ * @param {Array<Array<Array<number>>>} quads - Areas to paint over, in user space
+ * @param {Array<Object>} textLayer - Remaining text: { item, text }
+ * @param {Object} fonts - Lazily embedded font for the text layer
+ */
+async function rasterizePage(pdf, page, pageIndex, quads, textLayer, fonts) {
+  // Render unrotated so the image lines up with the page's own coordinates, and leave annotations
+  // to be drawn by the viewer as before
+  const unscaled = page.getViewport({ scale: 1, rotation: 0 });
+  const { canvas, viewport } = await renderPage(page, unscaled.width * RENDER_SCALE, { rotation: 0, annotationMode: 0 });
+  const context = canvas.getContext('2d');
+
+  context.fillStyle = '#000000';
+  for (const quad of quads) {
+    const points = quad.map(([x, y]) => viewport.convertToViewportPoint(x, y));
+    context.beginPath();
+    points.forEach(([x, y], index) => (index === 0 ? context.moveTo(x, y) : context.lineTo(x, y)));
+    context.closePath();
+    context.fill();
+  }
+
+  const image = await pdf.embedPng(canvas.toBuffer('image/png'));
+  const [left, bottom, right, top] = page.view;
+  const operators = [
+    pushGraphicsState(),
+    concatTransformationMatrix(right - left, 0, 0, top - bottom, left, bottom),
+    drawObject('Im0'),
+    popGraphicsState()
+  ];
+
+  const resources = { XObject: { Im0: image.ref } };
+  const lines = textLayer.filter(line => line.text.trim());
+  if (lines.length > 0) {
+    if (!fonts.text) {
+      fonts.text = await pdf.embedFont(StandardFonts.Helvetica);
+      fonts.characters = new Set(fonts.text.getCharacterSet());
+    }
+    resources.Font = { F0: fonts.text.ref };
+
+    operators.push(beginText(), setTextRenderingMode(TextRenderingMode.Invisible), setFontAndSize('F0', 1));
+    for (const { item, text } of lines) {
+      const encodable = [...text].filter(character => fonts.characters.has(character.codePointAt(0))).join('');
+      if (encodable) {
+        operators.push(setTextMatrix(...item.transform), showText(fonts.text.encodeText(encodable)));
+      }
+    }
+    operators.push(endText());
+  }
+
+  const node = pdf.getPage(pageIndex).node;
+  node.set(PDFName.of('Contents'), pdf.context.register(pdf.context.contentStream(operators)));
+  node.set(PDFName.of('Resources'), pdf.context.obj(resources));
+  PAGE_KEYS_TO_DROP.forEach(key => node.delete(PDFName.of(key)));
+}
+
+/**
+ * Read a PDF text string
+ * @param {Object} value - PDF object
+ * @returns {string|null} Decoded text, or null if the value is not a string
+ */
+function decodePdfText(value) {
+  return value instanceof PDFString || value instanceof PDFHexString ? value.decodeText() : null;
+}
+
+/**
+ * Redact text held in annotations: comments, their authors, tooltips and link targets
+ * An annotation that had hits loses its stored appearance so the old text is not drawn.
+ * @param {PDFDocument} pdf - pdf-lib document
+ * @param {Array<Object>} detectors - Detectors from resolveDetectors
+ * @param {string} replacement - Text put in place of each hit
+ * @returns {Array<Object>} Redactions made
+ */
+function redactAnnotations(pdf, detectors, replacement) {
+  const redactions = [];
+
+  pdf.getPages().forEach((page, pageIndex) => {
+    const annotations = page.node.lookup(PDFName.of('Annots'));
+    if (!(annotations instanceof PDFArray)) {
+      return;
+    }
+
+    annotations.asArray().forEach(entry => {
+      const annotation = pdf.context.lookup(entry);
+      if (!(annotation instanceof PDFDict)) {
+        return;
+      }
+
+      const action = annotation.lookup(PDFName.of('A'));
+      const fields = ANNOTATION_TEXT_KEYS.map(key => ({ dict: annotation, key }));
+      if (action instanceof PDFDict) {
+        fields.push({ dict: action, key: 'URI' });
+      }
+
+      let changed = false;
+      for (const { dict, key } of fields) {
+        const value = decodePdfText(dict.lookup(PDFName.of(key)));
+        const hits = value ? findMatches(value, detectors) : [];
+        if (hits.length === 0) {
+          continue;
+        }
+
+        const subtype = annotation.lookup(PDFName.of('Subtype'));
+        hits.forEach(hit => redactions.push({
+          detector: hit.detector,
+          label: hit.label,
+          page: pageIndex + 1,
+          location: {
+            annotation: subtype instanceof PDFName ? subtype.decodeText() : 'Annot',
+            field: key,
+            offset: hit.start,
+            length: hit.end - hit.start
+          }
+        }));
+
+        const redacted = replaceSpans(value, hits, replacement);
+        dict.set(PDFName.of(key), key === 'URI' ? PDFString.of(redacted) : PDFHexString.fromText(redacted));
+        changed = true;
+      }
+
+      if (changed) {
+        annotation.delete(PDFName.of('AP'));
+        annotation.delete(PDFName.of('RC'));
+      }
+    });
+  });
+
+  return redactions;
+}
+
+/**
+ * Redact the document information dictionary (title, author, subject, keywords and so on)
+ * @param {PDFDocument} pdf - pdf-lib document
+ * @param {Array<Object>} detectors - Detectors from resolveDetectors
+ * @param {string} replacement - Text put in place of each hit
+ * @returns {Array<Object>} Redactions made
+ */
+function redactInfo(pdf, detectors, replacement) {
+  const info = pdf.context.lookup(pdf.context.trailerInfo.Info);
+  if (!(info instanceof PDFDict)) {
+    return [];
+  }
+
+  const redactions = [];
+  for (const [name, value] of info.entries()) {
+    const text = decodePdfText(value instanceof PDFRef ? pdf.context.lookup(value) : value);
+    const hits = text ? findMatches(text, detectors) : [];
+    if (hits.length === 0) {
+      continue;
+    }
+
+    hits.forEach(hit => redactions.push({
+      detector: hit.detector,
+      label: hit.label,
+      page: null,
+      location: { property: name.decodeText(), offset: hit.start, length: hit.end - hit.start }
+    }));
+    info.set(name, PDFHexString.fromText(replaceSpans(text, hits, replacement)));
+  }
+
+  return redactions;
+}
+
+/**
+ * Delete objects nothing refers to any more, such as replaced page content
+ * pdf-lib writes every object it has loaded, so without this the removed text would stay in the file.
+ * @param {PDFDocument} pdf - pdf-lib document
+ */
+function removeUnreachableObjects(pdf) {
+  const { context } = pdf;
+  const reachable = new Set();
+  const pending = [context.trailerInfo.Root, context.trailerInfo.Info].filter(Boolean);
+
+  while (pending.length > 0) {
+    const object = pending.pop();
+    if (object instanceof PDFRef) {
+      if (!reachable.has(object.tag)) {
+        reachable.add(object.tag);
+        pending.push(context.lookup(object));
+      }
+    } else if (object instanceof PDFDict) {
+      object.entries().forEach(([, value]) => pending.push(value));
+    } else if (object instanceof PDFArray) {
+      pending.push(...object.asArray());
+    } else if (object instanceof PDFStream) {
+      pending.push(object.dict);
+    }
+  }
+
+  context.enumerateIndirectObjects().forEach(([ref]) => {
+    if (!reachable.has(ref.tag)) {
+      context.delete(ref);
+    }
+  });
+}
+
+/**
+ * Redact a PDF file
+ * @param {Buffer} buffer - File bytes
+ * @param {Array<Object>} detectors - Detectors from resolveDetectors
+ * @param {Object} options - Redaction options
+ * @param {string} options.replacement - Text put in the invisible text layer in place of each hit
+ * @returns {Promise<Object>} Redacted bytes, the redactions made, and the pages that had no text to search
+ */
+async function redact(buffer, detectors, options) {
+  let pdf = await loadPdf(buffer);
+  let bytes = buffer;
+
+  // Field values are not part of the page text, so fill them into the pages before searching
+  if (pdf.catalog.has(PDFName.of('AcroForm')) && pdf.getForm().getFields().length > 0) {
+    try {
+      pdf.getForm().flatten();
+    } catch (error) {
+      const wrapped = new Error(`Form fields could not be flattened for redaction: ${error.message}`);
+      wrapped.status = 422;
+      throw wrapped;
+    }
+    bytes = Buffer.from(await pdf.save());
+    pdf = await PDFDocument.load(bytes);
+  }
+
+  const view = await openPdf(bytes);
+  const redactions = [];
+  const pagesWithoutText = [];
+  const fonts = {};
+
+  try {
+    for (let number = 1; number <= view.numPages; number++) {
+      const page = await view.getPage(number);
+      const pieces = pagePieces((await page.getTextContent()).items);
+      if (!pieces.some(piece => piece.item && piece.text.trim())) {
+        pagesWithoutText.push(number);
+      }
+
+      const { hits, texts } = redactPieces(pieces, detectors, options.replacement);
+      if (hits.length > 0) {
+        const quads = hits.map(hit => hitQuads(hit, pieces));
+        hits.forEach((hit, index) => redactions.push({
+          detector: hit.detector,
+          label: hit.label,
+          page: number,
+          location: { boxes: quads[index].map(quadBox), length: hit.end - hit.start }
+        }));
+
+        const textLayer = pieces
+          .map((piece, index) => ({ item: piece.item, text: texts[index] }))
+          .filter(line => line.item);
+        await rasterizePage(pdf, page, number - 1, quads.flat(), textLayer, fonts);
+      }
+
+      page.cleanup();
+    }
+  } finally {
+    await view.destroy();
+  }
+
+  redactions.push(...redactAnnotations(pdf, detectors, options.replacement));
+  redactions.push(...redactInfo(pdf, detectors, options.replacement));
+
+  // XMP metadata repeats the document properties and cannot be redacted piecemeal
+  pdf.catalog.delete(PDFName.of('Metadata'));
+  removeUnreachableObjects(pdf);
+
+  return {
+    buffer: Buffer.from(await pdf.save({ updateFieldAppearances: false })),
+    redactions,
+    pagesWithoutText
+  };
+}
+
+module.exports = {
+  redact
+};
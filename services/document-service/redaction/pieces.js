@@ -0,0 +1,61 @@
+/**
+ * Piecewise Redaction
+ * Redacts text that a file stores in several pieces, such as the text nodes of an HTML paragraph
+ * or the runs of a Word paragraph, so matches that cross formatting changes are still found
+ */
+
+const { findMatches } = require('./detectors');
+
+/**
+ * Find and remove matches in text split across pieces
+ * The replacement goes in the piece where a hit starts; the rest of the hit is removed from the
+ * pieces it continues into.
+ * @param {Array<Object>} pieces - Pieces in reading order: { text, fixed }; fixed pieces such as tabs
+ *   count towards matching but are never changed
+ * @param {Array<Object>} detectors - Detectors from resolveDetectors
+ * @param {string} replacement - Text put in place of each hit
+ * @returns {Object} Hits ({ detector, label, start, end, piece, offset } where piece and offset
+ *   locate the start of the hit) and the new text of every piece
+ */
+function redactPieces(pieces, detectors, replacement) {
+  const starts = [];
+  let text = '';
+  pieces.forEach(piece => {
+    starts.push(text.length);
+    text += piece.text;
+  });
+
+  const hits = findMatches(text, detectors);
+  const cuts = pieces.map(() => []);
+
+  const located = hits.map(hit => {
+    let first = null;
+    let placed = false;
+    pieces.forEach((piece, index) => {
+      const start = Math.max(hit.start, starts[index]);
+      const end = Math.min(hit.end, starts[index] + piece.text.length);
+      if (start >= end) {
+        return;
+      }
+      if (first === null) {
+        first = index;
+      }
+      if (!piece.fixed) {
+        cuts[index].push({ start: start - starts[index], end: end - starts[index], replacement: placed ? '' : replacement });
+        placed = true;
+      }
+    });
+    return { ...hit, piece: first, offset: hit.start - starts[first] };
+  });
+
+  const texts = pieces.map((piece, index) => cuts[index].reduceRight(
+    (result, cut) => result.slice(0, cut.start) + cut.replacement + result.slice(cut.end),
+    piece.text
+  ));
+
+  return { hits: located, texts };
+}
+
+module.exports = {
+  redactPieces
+};
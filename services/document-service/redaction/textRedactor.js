@@ -0,0 +1,86 @@
+/**
+ * Text Redactor
+ * Redacts plain text, Markdown and CSV files in their original encoding
+ */
+
+const iconv = require('iconv-lite');
+const { detectEncoding } = require('../extraction/encoding');
+const { findMatches } = require('./detectors');
+
+/**
+ * Replace spans of text, working backwards so earlier offsets stay valid
+ * @param {string} text - Original text
+ * @param {Array<Object>} spans - Spans in text order: { start, end }
+ * @param {string} replacement - Text put in place of each span
+ * @returns {string} Redacted text
+ */
+function replaceSpans(text, spans, replacement) {
+  let result = text;
+  for (let index = spans.length - 1; index >= 0; index--) {
+    result = result.slice(0, spans[index].start) + replacement + result.slice(spans[index].end);
+  }
+  return result;
+}
+
+/**
+ * Work out the page (split at form feeds), line and column of an offset
+ * @param {string} text - Text
+ * @param {number} offset - Character offset
+ * @returns {Object} 1-based page, line and column
+ */
+function locate(text, offset) {
+  const before = text.slice(0, offset);
+  const lineStart = before.lastIndexOf('\n') + 1;
+  return {
+    page: (before.match(/\f/g) || []).length + 1,
+    line: (before.match(/\n/g) || []).length + 1,
+    column: offset - lineStart + 1
+  };
+}
+
+/**
+ * Encode text back to the encoding a file was read with, keeping its byte order mark
+ * @param {string} text - Text
+ * @param {Buffer} original - Original bytes
+ * @param {Object} detected - Encoding and byte order mark length from detectEncoding
+ * @returns {Buffer} Encoded bytes
+ */
+function encodeLike(text, original, detected) {
+  return Buffer.concat([original.subarray(0, detected.offset), iconv.encode(text, detected.encoding)]);
+}
+
+/**
+ * Redact a text file
+ * @param {Buffer} buffer - File bytes
+ * @param {Array<Object>} detectors - Detectors from resolveDetectors
+ * @param {Object} options - Redaction options
+ * @param {string} options.replacement - Text put in place of each hit
+ * @param {string} options.charset - Declared charset (optional)
+ * @returns {Promise<Object>} Redacted bytes and the redactions made
+ */
+async function redact(buffer, detectors, options) {
+  const detected = detectEncoding(buffer, options.charset);
+  const text = iconv.decode(buffer.subarray(detected.offset), detected.encoding);
+  const hits = findMatches(text, detectors);
+
+  const redactions = hits.map(hit => {
+    const { page, line, column } = locate(text, hit.start);
+    return {
+      detector: hit.detector,
+      label: hit.label,
+      page,
+      location: { line, column, offset: hit.start, length: hit.end - hit.start }
+    };
+  });
+
+  return {
+    buffer: encodeLike(replaceSpans(text, hits, options.replacement), buffer, detected),
+    redactions
+  };
+}
+
+module.exports = {
+  encodeLike,
+  redact,
+  replaceSpans
+};
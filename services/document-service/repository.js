@@ -0,0 +1,614 @@
+/**
+ * Document Repository
+ * Persists document metadata in PostgreSQL
+ */
+
+const { v4: uuidv4, validate: isUuid } = require('uuid');
+const database = require('../database/service');
+const { createError } = require('../errors');
+const { escapeHtml } = require('./conversion/markupWriters');
+
+const SORT_COLUMNS = {
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  name: 'name',
+  size: 'size'
+};
+
+// Control characters mark matches in search headlines; they are stripped from the text first so only the markers use them
+const MATCH_START = '\u0001';
+const MATCH_END = '\u0002';
+const HEADLINE_OPTIONS = `StartSel="${MATCH_START}", StopSel="${MATCH_END}", MaxFragments=3, MinWords=5, MaxWords=20`;
+
+/**
+ * Encode the position after a document as an opaque cursor
+ * @param {Object} document - Last document on the page
+ * @param {string} sort - Sort field
+ * @param {string} order - Sort order
+ * @returns {string} Cursor
+ */
+function encodeCursor(document, sort, order) {
+  return Buffer.from(JSON.stringify({ sort, order, value: document[sort], id: document.id })).toString('base64url');
+}
+
+/**
+ * Decode a cursor, checking it was issued for the same sort
+ * @param {string} cursor - Cursor from a previous page
+ * @param {string} sort - Sort field
+ * @param {string} order - Sort order
+ * @returns {Object} Sort value and document ID to continue after
+ */
+function decodeCursor(cursor, sort, order) {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw createError('Invalid cursor', 400);
+  }
+
+  if (!position || position.sort !== sort || position.order !== order || !isUuid(position.id)) {
+    throw createError('Cursor does not match the requested sort', 400);
+  }
+
+  return position;
+}
+
+/**
+ * Turn a search headline into HTML, escaping the document text and wrapping matches in <mark>
+ * @param {string} headline - Headline with matches between MATCH_START and MATCH_END
+ * @returns {string} HTML snippet
+ */
+function toSnippet(headline) {
+  return escapeHtml(headline || '')
+    .split(MATCH_START).join('<mark>')
+    .split(MATCH_END).join('</mark>');
+}
+
+/**
+ * Map a database row to a document object
+ * @param {Object} row - Database row
+ * @returns {Object} Document
+ */
+function toDocument(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    type: row.mime_type,
+    size: parseInt(row.size, 10),
+    storageKey: row.storage_key,
+    checksum: row.checksum,
+    source: row.source,
+    status: row.status,
+    caseFileId: row.case_file_id,
+    currentVersion: row.current_version,
+    metadata: row.metadata || {},
+    createdAt: row.created_at.toISOString(),
+    updatedAt: row.updated_at.toISOString()
+  };
+}
+
+/**
+ * Map a database row to a document version object
+ * @param {Object} row - Database row
+ * @returns {Object} Document version
+ */
+function toVersion(row) {
+  return {
+    id: row.id,
+    documentId: row.document_id,
+    version: row.version,
+    parentVersionId: row.parent_version_id,
+    operation: row.operation,
+    triggeredBy: row.triggered_by,
+    name: row.name,
+    type: row.mime_type,
+    size: parseInt(row.size, 10),
+    storageKey: row.storage_key,
+    checksum: row.checksum,
+    metadata: row.metadata || {},
+    createdAt: row.created_at.toISOString()
+  };
+}
+
+/**
+ * Map a database row to a stored text object
+ * @param {Object} row - Database row
+ * @returns {Object} Stored text
+ */
+function toText(row) {
+  return {
+    documentId: row.document_id,
+    version: row.version,
+    source: row.source,
+    content: row.content,
+    ocr: row.ocr,
+    updatedAt: row.updated_at.toISOString()
+  };
+}
+
+/**
+ * Map a database row to a signature record
+ * @param {Object} row - Database row
+ * @returns {Object} Signature record
+ */
+function toSignature(row) {
+  return {
+    id: row.id,
+    documentId: row.document_id,
+    version: row.version,
+    mode: row.mode,
+    storageKey: row.storage_key,
+    signatureDigest: row.signature_digest,
+    signer: row.signer,
+    signedBy: row.signed_by,
+    reason: row.reason,
+    location: row.location,
+    triggeredBy: row.triggered_by,
+    signedAt: row.signed_at.toISOString(),
+    createdAt: row.created_at.toISOString()
+  };
+}
+
+class DocumentRepository {
+  /**
+   * Insert a document record and its first version
+   * @param {Object} document - Document data
+   * @param {string} document.triggeredBy - Who created the document (optional)
+   * @param {string} document.operation - Operation that produced the bytes (defaults to 'upload')
+   * @returns {Promise<Object>} Stored document
+   */
+  async create(document) {
+    // Timestamps come from JavaScript so they keep millisecond precision and round-trip through cursors
+    const now = new Date();
+
+    return database.transaction(async client => {
+      const { rows } = await client.query(
+        `INSERT INTO documents (id, name, mime_type, size, storage_key, checksum, source, status, case_file_id, metadata,
+           current_version, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 1, $11, $11)
+         RETURNING *`,
+        [
+          document.id,
+          document.name,
+          document.type,
+          document.size || 0,
+          document.storageKey,
+          document.checksum || null,
+          document.source || 'upload',
+          document.status || 'active',
+          document.caseFileId || null,
+          JSON.stringify(document.metadata || {}),
+          now
+        ]
+      );
+
+      await client.query(
+        `INSERT INTO document_versions (id, document_id, version, operation, triggered_by, name, mime_type, size,
+           storage_key, checksum, created_at)
+         VALUES ($1, $2, 1, $3, $4, $5, $6, $7, $8, $9, $10)`,
+        [
+          uuidv4(),
+          document.id,
+          document.operation || 'upload',
+          document.triggeredBy || null,
+          document.name,
+          document.type,
+          document.size || 0,
+          document.storageKey,
+          document.checksum || null,
+          now
+        ]
+      );
+
+      return toDocument(rows[0]);
+    });
+  }
+
+  /**
+   * Append a version to a document and make it current
+   * @param {string} documentId - Document ID
+   * @param {Object} version - Version data
+   * @param {string} version.operation - Operation that produced the version
+   * @param {string} version.triggeredBy - Who triggered the operation (optional)
+   * @param {string} version.name - File name
+   * @param {string} version.type - MIME type
+   * @param {number} version.size - Size in bytes
+   * @param {string} version.storageKey - Storage key of the bytes
+   * @param {string} version.checksum - SHA-256 of the bytes
+   * @param {Object} version.metadata - Operation details (optional)
+   * @returns {Promise<Object|null>} Created version, or null if the document is not found
+   */
+  async addVersion(documentId, version) {
+    if (!isUuid(documentId)) {
+      return null;
+    }
+
+    const now = new Date();
+
+    return database.transaction(async client => {
+      const { rows: documents } = await client.query(
+        'SELECT current_version FROM documents WHERE id = $1 FOR UPDATE',
+        [documentId]
+      );
+      if (documents.length === 0) {
+        return null;
+      }
+
+      const { rows: parents } = await client.query(
+        'SELECT id FROM document_versions WHERE document_id = $1 AND version = $2',
+        [documentId, documents[0].current_version]
+      );
+      const { rows: latest } = await client.query(
+        'SELECT MAX(version) AS version FROM document_versions WHERE document_id = $1',
+        [documentId]
+      );
+      const versionNumber = (latest[0].version || 0) + 1;
+
+      const { rows } = await client.query(
+        `INSERT INTO document_versions (id, document_id, version, parent_version_id, operation, triggered_by, name,
+           mime_type, size, storage_key, checksum, metadata, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+         RETURNING *`,
+        [
+          uuidv4(),
+          documentId,
+          versionNumber,
+          parents.length > 0 ? parents[0].id : null,
+          version.operation,
+          version.triggeredBy || null,
+          version.name,
+          version.type,
+          version.size || 0,
+          version.storageKey,
+          version.checksum || null,
+          JSON.stringify(version.metadata || {}),
+          now
+        ]
+      );
+
+      await client.query(
+        `UPDATE documents SET current_version = $2, name = $3, mime_type = $4, size = $5, storage_key = $6,
+           checksum = $7, updated_at = $8
+         WHERE id = $1`,
+        [documentId, versionNumber, version.name, version.type, version.size || 0, version.storageKey,
+          version.checksum || null, now]
+      );
+
+      return toVersion(rows[0]);
+    });
+  }
+
+  /**
+   * List the versions of a document, newest first
+   * @param {string} documentId - Document ID
+   * @returns {Promise<Array>} Versions
+   */
+  async listVersions(documentId) {
+    if (!isUuid(documentId)) {
+      return [];
+    }
+
+    const { rows } = await database.query(
+      'SELECT * FROM document_versions WHERE document_id = $1 ORDER BY version DESC',
+      [documentId]
+    );
+    return rows.map(toVersion);
+  }
+
+  /**
+   * Find a specific document version
+   * @param {string} documentId - Document ID
+   * @param {number} version - Version number
+   * @returns {Promise<Object|null>} Version, or null if not found
+   */
+  async findVersion(documentId, version) {
+    const versionNumber = parseInt(version, 10);
+    if (!isUuid(documentId) || !Number.isInteger(versionNumber)) {
+      return null;
+    }
+
+    const { rows } = await database.query(
+      'SELECT * FROM document_versions WHERE document_id = $1 AND version = $2',
+      [documentId, versionNumber]
+    );
+    return rows.length > 0 ? toVersion(rows[0]) : null;
+  }
+
+  /**
+   * Find a document by ID
+   * @param {string} documentId - Document ID
+   * @returns {Promise<Object|null>} Document, or null if not found
+   */
+  async findById(documentId) {
+    if (!isUuid(documentId)) {
+      return null;
+    }
+
+    const { rows } = await database.query('SELECT * FROM documents WHERE id = $1', [documentId]);
+    return rows.length > 0 ? toDocument(rows[0]) : null;
+  }
+
+  /**
+   * List documents using keyset (cursor) pagination
+   * @param {Object} filters - Listing filters
+   * @param {string} filters.caseFileId - Filter by case file (optional)
+   * @param {Array<string>} filters.mimeTypes - Filter by MIME type (optional)
+   * @param {Array<string>} filters.sources - Filter by source (optional)
+   * @param {Array<string>} filters.statuses - Filter by status (optional)
+   * @param {Date} filters.createdFrom - Earliest creation time, inclusive (optional)
+   * @param {Date} filters.createdTo - Latest creation time, inclusive (optional)
+   * @param {string} filters.sort - Sort field: createdAt, updatedAt, name or size (default createdAt)
+   * @param {string} filters.order - Sort order: asc or desc (default desc)
+   * @param {number} filters.limit - Page size (default 50, maximum 200)
+   * @param {string} filters.cursor - Cursor from a previous page (optional)
+   * @returns {Promise<Object>} Documents and the cursor for the next page
+   */
+  async list(filters = {}) {
+    const sort = filters.sort || 'createdAt';
+    const order = filters.order === 'asc' ? 'asc' : 'desc';
+    const column = SORT_COLUMNS[sort];
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 50, 1), 200);
+
+    if (!column) {
+      throw createError(`Unsupported sort field: ${sort}`, 400);
+    }
+
+    const conditions = [];
+    const params = [];
+    const addCondition = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace('?', `$${params.length}`));
+    };
+
+    if (filters.caseFileId) {
+      addCondition('case_file_id = ?', filters.caseFileId);
+    }
+
+    if (filters.mimeTypes && filters.mimeTypes.length > 0) {
+      addCondition('mime_type = ANY(?)', filters.mimeTypes);
+    }
+
+    if (filters.sources && filters.sources.length > 0) {
+      addCondition('source = ANY(?)', filters.sources);
+    }
+
+    if (filters.statuses && filters.statuses.length > 0) {
+      addCondition('status = ANY(?)', filters.statuses);
+    }
+
+    if (filters.createdFrom) {
+      addCondition('created_at >= ?', filters.createdFrom);
+    }
+
+    if (filters.createdTo) {
+      addCondition('created_at <= ?', filters.createdTo);
+    }
+
+    if (filters.cursor) {
+      const position = decodeCursor(filters.cursor, sort, order);
+      const operator = order === 'asc' ? '>' : '<';
+      params.push(position.value, position.id);
+      const valueParam = `$${params.length - 1}`;
+      const idParam = `$${params.length}`;
+      conditions.push(
+        `(${column} ${operator} ${valueParam} OR (${column} = ${valueParam} AND id ${operator} ${idParam}))`
+      );
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const direction = order.toUpperCase();
+
+    // Fetch one extra row to learn whether another page exists
+    const { rows } = await database.query(
+      `SELECT * FROM documents ${where} ORDER BY ${column} ${direction}, id ${direction} LIMIT ${limit + 1}`,
+      params
+    );
+
+    const page = rows.slice(0, limit).map(toDocument);
+    const last = page[page.length - 1];
+
+    return {
+      documents: page,
+      nextCursor: rows.length > limit ? encodeCursor(last, sort, order) : null
+    };
+  }
+
+  /**
+   * Store the text extracted from a document's current version for searching
+   * @param {string} documentId - Document ID
+   * @param {Object} text - Extracted text
+   * @param {number} text.version - Document version the text was extracted from
+   * @param {string} text.source - How the text was obtained: 'extraction' or 'ocr'
+   * @param {string} text.content - Extracted text
+   * @param {Object} text.ocr - Pages, word positions and settings of an OCR run (OCR text only)
+   */
+  async saveText(documentId, text) {
+    // Postgres rejects NUL bytes in text columns, and some extractors leave them behind
+    const content = (text.content || '').replace(/\u0000/g, '');
+
+    await database.query(
+      `INSERT INTO document_text (document_id, version, source, content, ocr, updated_at)
+       VALUES ($1, $2, $3, $4, $5, NOW())
+       ON CONFLICT (document_id) DO UPDATE
+       SET version = EXCLUDED.version, source = EXCLUDED.source, content = EXCLUDED.content,
+         ocr = EXCLUDED.ocr, updated_at = NOW()`,
+      [documentId, text.version, text.source, content, text.ocr ? JSON.stringify(text.ocr) : null]
+    );
+  }
+
+  /**
+   * Find the stored text of a document
+   * @param {string} documentId - Document ID
+   * @returns {Promise<Object|null>} Stored text, or null if none has been stored
+   */
+  async findText(documentId) {
+    const { rows } = await database.query('SELECT * FROM document_text WHERE document_id = $1', [documentId]);
+    return rows.length > 0 ? toText(rows[0]) : null;
+  }
+
+  /**
+   * Search document text with Postgres full-text search
+   * @param {Object} filters - Search filters
+   * @param {string} filters.query - Search terms; "quoted phrases", OR and -exclusions are supported
+   * @param {string} filters.caseFileId - Filter by case file (optional)
+   * @param {number} filters.limit - Page size (default 20, maximum 100)
+   * @param {number} filters.offset - Number of results to skip (default 0)
+   * @returns {Promise<Object>} Matching documents with rank and an HTML snippet (text escaped, matches in <mark>), and the total match count
+   */
+  async search(filters) {
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 20, 1), 100);
+    const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+    const params = [filters.query, MATCH_START + MATCH_END, HEADLINE_OPTIONS];
+    let caseFileCondition = '';
+
+    if (filters.caseFileId) {
+      params.push(filters.caseFileId);
+      caseFileCondition = `AND d.case_file_id = $${params.length}`;
+    }
+
+    const { rows } = await database.query(
+      `SELECT d.*, t.version AS text_version, t.source AS text_source,
+         ts_rank_cd(t.search_vector, q.query) AS rank,
+         ts_headline('english', translate(t.content, $2, ''), q.query, $3) AS snippet,
+         COUNT(*) OVER () AS total
+       FROM document_text t
+       JOIN documents d ON d.id = t.document_id
+       CROSS JOIN websearch_to_tsquery('english', $1) AS q(query)
+       WHERE t.search_vector @@ q.query ${caseFileCondition}
+       ORDER BY rank DESC, d.updated_at DESC, d.id
+       LIMIT ${limit} OFFSET ${offset}`,
+      params
+    );
+
+    return {
+      results: rows.map(row => ({
+        document: toDocument(row),
+        rank: parseFloat(row.rank),
+        snippet: toSnippet(row.snippet),
+        textVersion: row.text_version,
+        textSource: row.text_source
+      })),
+      total: rows.length > 0 ? parseInt(rows[0].total, 10) : 0
+    };
+  }
+
+  /**
+   * Record a signature made on a document
+   * @param {Object} signature - Signature record
+   * @param {string} signature.id - Signature ID
+   * @param {string} signature.documentId - Document ID
+   * @param {number} signature.version - Version that was signed
+   * @param {string} signature.mode - 'embedded' or 'detached'
+   * @param {string} signature.storageKey - Storage key of a detached signature (optional)
+   * @param {string} signature.signatureDigest - SHA-256 of the signature bytes
+   * @param {Object} signature.signer - Description of the signing certificate
+   * @param {string} signature.signedBy - Person the signature was made for (optional)
+   * @param {string} signature.reason - Reason for signing (optional)
+   * @param {string} signature.location - Where the document was signed (optional)
+   * @param {string} signature.triggeredBy - Who requested the signature (optional)
+   * @param {Date} signature.signedAt - Signing time recorded in the signature
+   * @returns {Promise<Object>} Stored signature record
+   */
+  async addSignature(signature) {
+    const { rows } = await database.query(
+      `INSERT INTO document_signatures (id, document_id, version, mode, storage_key, signature_digest, signer,
+         signed_by, reason, location, triggered_by, signed_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       RETURNING *`,
+      [
+        signature.id,
+        signature.documentId,
+        signature.version,
+        signature.mode,
+        signature.storageKey || null,
+        signature.signatureDigest,
+        JSON.stringify(signature.signer),
+        signature.signedBy || null,
+        signature.reason || null,
+        signature.location || null,
+        signature.triggeredBy || null,
+        signature.signedAt
+      ]
+    );
+    return toSignature(rows[0]);
+  }
+
+  /**
+   * List the signatures recorded for a document, oldest first
+   * @param {string} documentId - Document ID
+   * @returns {Promise<Array>} Signature records
+   */
+  async listSignatures(documentId) {
+    if (!isUuid(documentId)) {
+      return [];
+    }
+
+    const { rows } = await database.query(
+      'SELECT * FROM document_signatures WHERE document_id = $1 ORDER BY signed_at, created_at',
+      [documentId]
+    );
+    return rows.map(toSignature);
+  }
+
+  /**
+   * Find a signature recorded for a document
+   * @param {string} documentId - Document ID
+   * @param {string} signatureId - Signature ID
+   * @returns {Promise<Object|null>} Signature record, or null if not found
+   */
+  async findSignature(documentId, signatureId) {
+    if (!isUuid(documentId) || !isUuid(signatureId)) {
+      return null;
+    }
+
+    const { rows } = await database.query(
+      'SELECT * FROM document_signatures WHERE document_id = $1 AND id = $2',
+      [documentId, signatureId]
+    );
+    return rows.length > 0 ? toSignature(rows[0]) : null;
+  }
+
+  /**
+   * Record the storage key of a rendered preview, so it is removed with the document
+   * @param {string} documentId - Document ID
+   * @param {string} storageKey - Preview storage key
+   */
+  async addPreview(documentId, storageKey) {
+    await database.query(
+      `INSERT INTO document_previews (document_id, storage_key)
+       VALUES ($1, $2)
+       ON CONFLICT DO NOTHING`,
+      [documentId, storageKey]
+    );
+  }
+
+  /**
+   * List the storage keys of a document's rendered previews
+   * @param {string} documentId - Document ID
+   * @returns {Promise<Array<string>>} Preview storage keys
+   */
+  async listPreviews(documentId) {
+    if (!isUuid(documentId)) {
+      return [];
+    }
+
+    const { rows } = await database.query('SELECT storage_key FROM document_previews WHERE document_id = $1', [documentId]);
+    return rows.map(row => row.storage_key);
+  }
+
+  /**
+   * Delete a document record
+   * @param {string} documentId - Document ID
+   * @returns {Promise<boolean>} True if a record was deleted
+   */
+  async delete(documentId) {
+    if (!isUuid(documentId)) {
+      return false;
+    }
+
+    const { rowCount } = await database.query('DELETE FROM documents WHERE id = $1', [documentId]);
+    return rowCount > 0;
+  }
+}
+
+module.exports = new DocumentRepository();
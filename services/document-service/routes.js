@@ -16,6 +16,151 @@ const upload = multer({
   }
 });
 
+/**
+ * Split a comma-separated query parameter into a list
+ * @param {string|Array} value - Query parameter value
+ * @returns {Array<string>} Values
+ */
+function parseList(value) {
+  if (!value) {
+    return [];
+  }
+  return (Array.isArray(value) ? value : value.split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Send a 404 response for a missing document version
+ * @param {Object} res - Express response object
+ * @param {string} documentId - Document ID
+ * @param {string} version - Version number
+ */
+function sendVersionNotFound(res, documentId, version) {
+  res.status(404).json({
+    error: {
+      message: `Version ${version} of document ${documentId} not found`,
+      status: 404
+    }
+  });
+}
+
+/**
+ * @route   GET /api/documents
+ * @desc    List documents with filters, sorting and cursor pagination
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { caseFileId, createdFrom, createdTo, sort, order, limit, cursor } = req.query;
+    const range = {};
+
+    for (const [name, value] of Object.entries({ createdFrom, createdTo })) {
+      if (value) {
+        range[name] = new Date(value);
+        if (Number.isNaN(range[name].getTime())) {
+          return res.status(400).json({
+            error: {
+              message: `${name} must be a valid date`,
+              status: 400
+            }
+          });
+        }
+      }
+    }
+
+    if (order && !['asc', 'desc'].includes(order)) {
+      return res.status(400).json({
+        error: {
+          message: 'Order must be asc or desc',
+          status: 400
+        }
+      });
+    }
+
+    if (limit !== undefined && !(parseInt(limit, 10) > 0)) {
+      return res.status(400).json({
+        error: {
+          message: 'Limit must be a positive number',
+          status: 400
+        }
+      });
+    }
+
+    const result = await documentService.listDocuments({
+      caseFileId,
+      mimeTypes: parseList(req.query.mimeType),
+      sources: parseList(req.query.source),
+      statuses: parseList(req.query.status),
+      createdFrom: range.createdFrom,
+      createdTo: range.createdTo,
+      sort,
+      order,
+      limit,
+      cursor
+    });
+
+    res.json(result);
+  } catch (error) {
+    const status = error.status || 500;
+    res.status(status).json({
+      error: {
+        message: error.message,
+        status
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/documents/search
+ * @desc    Search document text; supports "quoted phrases", OR and -exclusions
+ * @access  Private
+ */
+router.get('/search', async (req, res) => {
+  try {
+    const { q, caseFileId, limit, offset } = req.query;
+
+    if (q !== undefined && typeof q !== 'string') {
+      return res.status(400).json({
+        error: {
+          message: 'Search query must be given once, as text',
+          status: 400
+        }
+      });
+    }
+
+    if (!q || !q.trim()) {
+      return res.status(400).json({
+        error: {
+          message: 'Search query is required',
+          status: 400
+        }
+      });
+    }
+
+    if (limit !== undefined && !(parseInt(limit, 10) > 0)) {
+      return res.status(400).json({
+        error: {
+          message: 'Limit must be a positive number',
+          status: 400
+        }
+      });
+    }
+
+    const result = await documentService.searchDocuments({ query: q.trim(), caseFileId, limit, offset });
+    res.json(result);
+  } catch (error) {
+    const status = error.status || 500;
+    res.status(status).json({
+      error: {
+        message: error.message,
+        status
+      }
+    });
+  }
+});
+
 /**
  * @route   GET /api/documents/:id
  * @desc    Get document by ID
@@ -25,6 +170,16 @@ router.get('/:id', async (req, res) => {
   try {
     const documentId = req.params.id;
     const document = await documentService.getDocument(documentId);
+
+    if (!document) {
+      return res.status(404).json({
+        error: {
+          message: `Document ${documentId} not found`,
+          status: 404
+        }
+      });
+    }
+
     res.json(document);
   } catch (error) {
     res.status(500).json({
@@ -36,6 +191,140 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/documents/:id/content
+ * @desc    Download a document's stored bytes
+ * @access  Private
+ */
+router.get('/:id/content', async (req, res) => {
+  try {
+    const documentId = req.params.id;
+    const result = await documentService.streamDocumentContent(documentId);
+
+    if (!result) {
+      return res.status(404).json({
+        error: {
+          message: `Document ${documentId} not found`,
+          status: 404
+        }
+      });
+    }
+
+    const { document, stream } = result;
+    res.setHeader('Content-Type', document.type);
+    res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(document.name)}"`);
+    stream.on('error', error => res.destroy(error));
+    stream.pipe(res);
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        message: error.message,
+        status: 500
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/documents/:id/index
+ * @desc    Get whether a document's text has been indexed for search; indexing runs after upload
+ * @access  Private
+ */
+router.get('/:id/index', async (req, res) => {
+  try {
+    const documentId = req.params.id;
+    const status = await documentService.getIndexStatus(documentId);
+
+    if (!status) {
+      return res.status(404).json({
+        error: {
+          message: `Document ${documentId} not found`,
+          status: 404
+        }
+      });
+    }
+
+    res.json(status);
+  } catch (error) {
+    const status = error.status || 500;
+    res.status(status).json({
+      error: {
+        message: error.message,
+        status
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/documents/:id/preview
+ * @desc    Get a page thumbnail (?page=1&size=medium) or the HTML preview (?format=html)
+ * @access  Private
+ */
+router.get('/:id/preview', async (req, res) => {
+  try {
+    const documentId = req.params.id;
+    const { format, page, size } = req.query;
+    const result = await documentService.getPreview(documentId, { format, page, size });
+
+    if (!result) {
+      return res.status(404).json({
+        error: {
+          message: `Document ${documentId} not found`,
+          status: 404
+        }
+      });
+    }
+
+    res.setHeader('Content-Type', result.contentType);
+    // Revalidated on every use, since the URL stays the same when a new version is uploaded
+    res.setHeader('Cache-Control', 'private, no-cache');
+    // The HTML preview is rebuilt from text, but is still kept from running or loading anything
+    res.setHeader('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'");
+    res.send(result.buffer);
+  } catch (error) {
+    const status = error.status || 500;
+    res.status(status).json({
+      error: {
+        message: error.message,
+        status
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/documents/:id/signatures/:signatureId
+ * @desc    Download a detached signature (PKCS#7, DER)
+ * @access  Private
+ */
+router.get('/:id/signatures/:signatureId', async (req, res) => {
+  try {
+    const { id: documentId, signatureId } = req.params;
+    const result = await documentService.getSignature(documentId, signatureId);
+
+    if (!result) {
+      return res.status(404).json({
+        error: {
+          message: `Signature ${signatureId} not found for document ${documentId}`,
+          status: 404
+        }
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/pkcs7-signature');
+    res.setHeader('Content-Disposition', `attachment; filename="${signatureId}.p7s"`);
+    res.send(result.buffer);
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        message: error.message,
+        status: 500
+      }
+    });
+  }
+});
+
 /**
  * @route   POST /api/documents/upload
  * @desc    Upload a document
@@ -74,6 +363,16 @@ router.delete('/:id', async (req, res) => {
   try {
     const documentId = req.params.id;
     const result = await documentService.deleteDocument(documentId);
+
+    if (!result) {
+      return res.status(404).json({
+        error: {
+          message: `Document ${documentId} not found`,
+          status: 404
+        }
+      });
+    }
+
     res.json(result);
   } catch (error) {
     res.status(500).json({
@@ -85,6 +384,163 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/documents/:id/versions
+ * @desc    List a document's versions, newest first
+ * @access  Private
+ */
+router.get('/:id/versions', async (req, res) => {
+  try {
+    const documentId = req.params.id;
+    const versions = await documentService.listVersions(documentId);
+
+    if (!versions) {
+      return res.status(404).json({
+        error: {
+          message: `Document ${documentId} not found`,
+          status: 404
+        }
+      });
+    }
+
+    res.json({ documentId, versions });
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        message: error.message,
+        status: 500
+      }
+    });
+  }
+});
+
+/**
+ * @route   POST /api/documents/:id/versions
+ * @desc    Upload new bytes for a document, e.g. after re-generating it
+ * @access  Private
+ */
+router.post('/:id/versions', upload.single('file'), async (req, res) => {
+  try {
+    const documentId = req.params.id;
+
+    if (!req.file) {
+      return res.status(400).json({
+        error: {
+          message: 'No file uploaded',
+          status: 400
+        }
+      });
+    }
+
+    const metadata = req.body.metadata ? JSON.parse(req.body.metadata) : {};
+    const version = await documentService.addVersion(documentId, {
+      operation: req.body.operation || 'regenerate',
+      triggeredBy: req.body.triggeredBy,
+      file: req.file,
+      metadata
+    });
+
+    if (!version) {
+      return res.status(404).json({
+        error: {
+          message: `Document ${documentId} not found`,
+          status: 404
+        }
+      });
+    }
+
+    res.status(201).json(version);
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        message: error.message,
+        status: 500
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/documents/:id/versions/:version
+ * @desc    Get a document version
+ * @access  Private
+ */
+router.get('/:id/versions/:version', async (req, res) => {
+  try {
+    const { id: documentId, version: versionNumber } = req.params;
+    const version = await documentService.getVersion(documentId, versionNumber);
+
+    if (!version) {
+      return sendVersionNotFound(res, documentId, versionNumber);
+    }
+
+    res.json(version);
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        message: error.message,
+        status: 500
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/documents/:id/versions/:version/content
+ * @desc    Download a document version's stored bytes
+ * @access  Private
+ */
+router.get('/:id/versions/:version/content', async (req, res) => {
+  try {
+    const { id: documentId, version: versionNumber } = req.params;
+    const result = await documentService.streamVersionContent(documentId, versionNumber);
+
+    if (!result) {
+      return sendVersionNotFound(res, documentId, versionNumber);
+    }
+
+    const { version, stream } = result;
+    res.setHeader('Content-Type', version.type);
+    res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(version.name)}"`);
+    stream.on('error', error => res.destroy(error));
+    stream.pipe(res);
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        message: error.message,
+        status: 500
+      }
+    });
+  }
+});
+
+/**
+ * @route   POST /api/documents/:id/versions/:version/restore
+ * @desc    Restore an earlier version as the current version
+ * @access  Private
+ */
+router.post('/:id/versions/:version/restore', async (req, res) => {
+  try {
+    const { id: documentId, version: versionNumber } = req.params;
+    const version = await documentService.restoreVersion(documentId, versionNumber, {
+      triggeredBy: req.body.triggeredBy
+    });
+
+    if (!version) {
+      return sendVersionNotFound(res, documentId, versionNumber);
+    }
+
+    res.status(201).json(version);
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        message: error.message,
+        status: 500
+      }
+    });
+  }
+});
+
 /**
  * @route   POST /api/documents/parse
  * @desc    Parse a document to extract structured data
@@ -104,12 +560,23 @@ router.post('/parse', async (req, res) => {
     }
 
     const result = await documentService.parseDocument(documentId, options);
+
+    if (!result) {
+      return res.status(404).json({
+        error: {
+          message: 'Document not found',
+          status: 404
+        }
+      });
+    }
+
     res.json(result);
   } catch (error) {
-    res.status(500).json({
+    const status = error.status || 500;
+    res.status(status).json({
       error: {
         message: error.message,
-        status: 500
+        status
       }
     });
   }
@@ -143,12 +610,23 @@ router.post('/validate', async (req, res) => {
     }
 
     const result = await documentService.validateDocument(documentId, schema);
+
+    if (!result) {
+      return res.status(404).json({
+        error: {
+          message: 'Document not found',
+          status: 404
+        }
+      });
+    }
+
     res.json(result);
   } catch (error) {
-    res.status(500).json({
+    const status = error.status || 500;
+    res.status(status).json({
       error: {
         message: error.message,
-        status: 500
+        status
       }
     });
   }
@@ -161,7 +639,7 @@ router.post('/validate', async (req, res) => {
  */
 router.post('/convert', async (req, res) => {
   try {
-    const { documentId, targetFormat, options } = req.body;
+    const { documentId, targetFormat, options, triggeredBy } = req.body;
 
     if (!documentId) {
       return res.status(400).json({
@@ -181,13 +659,24 @@ router.post('/convert', async (req, res) => {
       });
     }
 
-    const result = await documentService.convertDocument(documentId, targetFormat, options);
+    const result = await documentService.convertDocument(documentId, targetFormat, { ...options, triggeredBy });
+
+    if (!result) {
+      return res.status(404).json({
+        error: {
+          message: `Document ${documentId} not found`,
+          status: 404
+        }
+      });
+    }
+
     res.json(result);
   } catch (error) {
-    res.status(500).json({
+    const status = error.status || 500;
+    res.status(status).json({
       error: {
         message: error.message,
-        status: 500
+        status
       }
     });
   }
@@ -200,7 +689,7 @@ router.post('/convert', async (req, res) => {
  */
 router.post('/merge', async (req, res) => {
   try {
-    const { documentIds, options } = req.body;
+    const { documentIds, options, triggeredBy } = req.body;
 
     if (!documentIds || !Array.isArray(documentIds) || documentIds.length < 2) {
       return res.status(400).json({
@@ -211,13 +700,14 @@ router.post('/merge', async (req, res) => {
       });
     }
 
-    const result = await documentService.mergeDocuments(documentIds, options);
+    const result = await documentService.mergeDocuments(documentIds, { ...options, triggeredBy });
     res.json(result);
   } catch (error) {
-    res.status(500).json({
+    const status = error.status || 500;
+    res.status(status).json({
       error: {
         message: error.message,
-        status: 500
+        status
       }
     });
   }
@@ -230,7 +720,7 @@ router.post('/merge', async (req, res) => {
  */
 router.post('/split', async (req, res) => {
   try {
-    const { documentId, options } = req.body;
+    const { documentId, options, triggeredBy } = req.body;
 
     if (!documentId) {
       return res.status(400).json({
@@ -241,13 +731,24 @@ router.post('/split', async (req, res) => {
       });
     }
 
-    const result = await documentService.splitDocument(documentId, options);
+    const result = await documentService.splitDocument(documentId, { ...options, triggeredBy });
+
+    if (!result) {
+      return res.status(404).json({
+        error: {
+          message: `Document ${documentId} not found`,
+          status: 404
+        }
+      });
+    }
+
     res.json(result);
   } catch (error) {
-    res.status(500).json({
+    const status = error.status || 500;
+    res.status(status).json({
       error: {
         message: error.message,
-        status: 500
+        status
       }
     });
   }
@@ -272,12 +773,23 @@ router.post('/extract-text', async (req, res) => {
     }
 
     const result = await documentService.extractText(documentId, options);
+
+    if (!result) {
+      return res.status(404).json({
+        error: {
+          message: `Document ${documentId} not found`,
+          status: 404
+        }
+      });
+    }
+
     res.json(result);
   } catch (error) {
-    res.status(500).json({
+    const status = error.status || 500;
+    res.status(status).json({
       error: {
         message: error.message,
-        status: 500
+        status
       }
     });
   }
@@ -290,7 +802,7 @@ router.post('/extract-text', async (req, res) => {
  */
 router.post('/redact', async (req, res) => {
   try {
-    const { documentId, patterns, options } = req.body;
+    const { documentId, patterns, options, triggeredBy } = req.body;
 
     if (!documentId) {
       return res.status(400).json({
@@ -310,13 +822,24 @@ router.post('/redact', async (req, res) => {
       });
     }
 
-    const result = await documentService.redactDocument(documentId, patterns, options);
+    const result = await documentService.redactDocument(documentId, patterns, { ...options, triggeredBy });
+
+    if (!result) {
+      return res.status(404).json({
+        error: {
+          message: `Document ${documentId} not found`,
+          status: 404
+        }
+      });
+    }
+
     res.json(result);
   } catch (error) {
-    res.status(500).json({
+    const status = error.status || 500;
+    res.status(status).json({
       error: {
         message: error.message,
-        status: 500
+        status
       }
     });
   }
@@ -329,7 +852,7 @@ router.post('/redact', async (req, res) => {
  */
 router.post('/compare', async (req, res) => {
   try {
-    const { documentId1, documentId2, options } = req.body;
+    const { documentId1, documentId2, options, triggeredBy } = req.body;
 
     if (!documentId1 || !documentId2) {
       return res.status(400).json({
@@ -340,13 +863,14 @@ router.post('/compare', async (req, res) => {
       });
     }
 
-    const result = await documentService.compareDocuments(documentId1, documentId2, options);
+    const result = await documentService.compareDocuments(documentId1, documentId2, { ...options, triggeredBy });
     res.json(result);
   } catch (error) {
-    res.status(500).json({
+    const status = error.status || 500;
+    res.status(status).json({
       error: {
         message: error.message,
-        status: 500
+        status
       }
     });
   }
@@ -371,12 +895,23 @@ router.post('/preview', async (req, res) => {
     }
 
     const result = await documentService.generatePreview(documentId, options);
+
+    if (!result) {
+      return res.status(404).json({
+        error: {
+          message: `Document ${documentId} not found`,
+          status: 404
+        }
+      });
+    }
+
     res.json(result);
   } catch (error) {
-    res.status(500).json({
+    const status = error.status || 500;
+    res.status(status).json({
       error: {
         message: error.message,
-        status: 500
+        status
       }
     });
   }
@@ -401,12 +936,23 @@ router.post('/ocr', async (req, res) => {
     }
 
     const result = await documentService.processOcr(documentId, options);
+
+    if (!result) {
+      return res.status(404).json({
+        error: {
+          message: 'Document not found',
+          status: 404
+        }
+      });
+    }
+
     res.json(result);
   } catch (error) {
-    res.status(500).json({
+    const status = error.status || 500;
+    res.status(status).json({
       error: {
         message: error.message,
-        status: 500
+        status
       }
     });
   }
@@ -419,7 +965,7 @@ router.post('/ocr', async (req, res) => {
  */
 router.post('/sign', async (req, res) => {
   try {
-    const { documentId, signatureData, options } = req.body;
+    const { documentId, signatureData, options, triggeredBy } = req.body;
 
     if (!documentId) {
       return res.status(400).json({
@@ -439,13 +985,24 @@ router.post('/sign', async (req, res) => {
       });
     }
 
-    const result = await documentService.signDocument(documentId, signatureData, options);
+    const result = await documentService.signDocument(documentId, signatureData, { ...options, triggeredBy });
+
+    if (!result) {
+      return res.status(404).json({
+        error: {
+          message: `Document ${documentId} not found`,
+          status: 404
+        }
+      });
+    }
+
     res.json(result);
   } catch (error) {
-    res.status(500).json({
+    const status = error.status || 500;
+    res.status(status).json({
       error: {
         message: error.message,
-        status: 500
+        status
       }
     });
   }
@@ -458,7 +1015,7 @@ router.post('/sign', async (req, res) => {
  */
 router.post('/verify-signature', async (req, res) => {
   try {
-    const { documentId } = req.body;
+    const { documentId, options } = req.body;
 
     if (!documentId) {
       return res.status(400).json({
@@ -469,13 +1026,24 @@ router.post('/verify-signature', async (req, res) => {
       });
     }
 
-    const result = await documentService.verifySignature(documentId);
+    const result = await documentService.verifySignature(documentId, options);
+
+    if (!result) {
+      return res.status(404).json({
+        error: {
+          message: `Document ${documentId} not found`,
+          status: 404
+        }
+      });
+    }
+
     res.json(result);
   } catch (error) {
-    res.status(500).json({
+    const status = error.status || 500;
+    res.status(status).json({
       error: {
         message: error.message,
-        status: 500
+        status
       }
     });
   }
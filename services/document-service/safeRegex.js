@@ -0,0 +1,118 @@
+/**
+ * Safe Regular Expressions
+ * Checks caller-supplied regular expressions before they run on the request thread. JavaScript
+ * regular expressions backtrack, so a repeated group that can match the same text in more than one
+ * way ((a+)+, (a|a)*, (a?a)*) takes exponential time on a near miss and would stall the server.
+ * Such groups, and backreferences, are rejected when the pattern is compiled.
+ */
+
+const QUANTIFIER = /^(?:[*+?]|\{(\d+)(?:(,)(\d*))?\})\??/;
+
+/**
+ * Read the quantifier at a position
+ * @param {string} source - Pattern source
+ * @param {number} index - Position after an atom
+ * @returns {Object|null} { length, repeats, varies }: whether the atom can match more than once, and
+ * whether the number of times it matches can vary
+ */
+function readQuantifier(source, index) {
+  const match = QUANTIFIER.exec(source.slice(index));
+  if (!match) {
+    return null;
+  }
+  const symbol = match[0][0];
+  if (symbol !== '{') {
+    return { length: match[0].length, repeats: symbol !== '?', varies: true };
+  }
+  const min = parseInt(match[1], 10);
+  const max = match[2] ? (match[3] === '' ? Infinity : parseInt(match[3], 10)) : min;
+  return { length: match[0].length, repeats: max > 1, varies: max !== min };
+}
+
+/**
+ * Find why a pattern could take exponential time, if it could
+ * @param {string} source - Pattern source
+ * @returns {string|null} Reason, or null if the pattern is safe to run
+ */
+function findUnsafeConstruct(source) {
+  // Each open group notes whether it holds a quantifier that can match a varying number of times, or an alternation
+  const groups = [{ quantified: false, alternation: false }];
+  let index = 0;
+
+  while (index < source.length) {
+    const char = source[index];
+    let atomEnd = index + 1;
+    let closed = null;
+
+    if (char === '\\') {
+      const next = source[index + 1];
+      if (/[1-9]/.test(next) || next === 'k') {
+        return 'backreferences are not supported';
+      }
+      // \p{...}, \u{...}, \x.., \cX and single-character escapes
+      const escape = /^\\(?:[pP]\{[^}]*\}|u\{[^}]*\}|u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|c[A-Za-z]|[\s\S])/.exec(source.slice(index));
+      atomEnd = index + escape[0].length;
+    } else if (char === '[') {
+      let end = index + 1;
+      if (source[end] === '^') {
+        end++;
+      }
+      if (source[end] === ']') {
+        end++;
+      }
+      while (end < source.length && source[end] !== ']') {
+        end += source[end] === '\\' ? 2 : 1;
+      }
+      atomEnd = end + 1;
+    } else if (char === '(') {
+      const prefix = /^\((?:\?(?:[:=!]|<[=!]|<[^>]*>))?/.exec(source.slice(index))[0];
+      groups.push({ quantified: false, alternation: false });
+      index += prefix.length;
+      continue;
+    } else if (char === ')') {
+      if (groups.length > 1) {
+        closed = groups.pop();
+      }
+    } else if (char === '|') {
+      groups[groups.length - 1].alternation = true;
+      index++;
+      continue;
+    }
+
+    const quantifier = readQuantifier(source, atomEnd);
+    const current = groups[groups.length - 1];
+    if (closed) {
+      if (quantifier && quantifier.repeats && (closed.quantified || closed.alternation)) {
+        return 'a repeated group cannot contain a quantifier or alternation (nested quantifiers)';
+      }
+      current.quantified = current.quantified || closed.quantified || !!(quantifier && quantifier.varies);
+      current.alternation = current.alternation || closed.alternation;
+    } else if (quantifier && quantifier.varies) {
+      current.quantified = true;
+    }
+    index = atomEnd + (quantifier ? quantifier.length : 0);
+  }
+
+  return null;
+}
+
+/**
+ * Compile a caller-supplied regular expression, refusing patterns that could stall the server
+ * @param {string} source - Pattern source
+ * @param {string} flags - Pattern flags
+ * @returns {RegExp} Regular expression
+ * @throws {Error} When the pattern is invalid or could take exponential time
+ */
+function compileSafeRegex(source, flags) {
+  const regex = new RegExp(source, flags);
+  const reason = findUnsafeConstruct(source);
+  if (reason) {
+    throw new Error(`Pattern could take too long to run: ${reason}`);
+  }
+  return regex;
+}
+
+module.exports = {
+  compileSafeRegex,
+  findUnsafeConstruct
+};
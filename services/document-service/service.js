@@ -3,54 +3,155 @@
  * Handles document processing, conversion, and management
  */
 
-const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
 const axios = require('axios');
 const config = require('../../config');
 const { v4: uuidv4 } = require('uuid');
+const documentRepository = require('./repository');
+const { createStorageDriver } = require('./storage');
+const extraction = require('./extraction');
+const conversion = require('./conversion');
+const pdf = require('./pdf');
+const redaction = require('./redaction');
+const comparison = require('./comparison');
+const preview = require('./preview');
+const ocr = require('./ocr');
+const signing = require('./signing');
+const validation = require('./validation');
+const parsing = require('./parsing');
+
+/**
+ * Describe the verification of one signature
+ * The signature's own certificate and signing time must agree with the record made when it was
+ * signed; a mismatch means the signature was swapped. A signature with no record is only valid when
+ * it was made with the organization's own signing certificate.
+ * @param {Object} result - Verification from the signing module
+ * @param {Object} record - Signature record, if the signature was made here (optional)
+ * @param {Object} entry - Signature found in a PDF (optional)
+ * @param {number} version - Version being verified
+ * @param {X509Certificate} signer - The keystore's signing certificate (optional)
+ * @returns {Object} Signature verification
+ */
+function describeVerification(result, record, entry, version, signer) {
+  const errors = [...result.errors];
+  if (record && result.signer && record.signer.fingerprint !== result.signer.fingerprint) {
+    errors.push('Signing certificate differs from the one recorded when the document was signed');
+  }
+  if (!record && result.signer && (!signer || signer.fingerprint256 !== result.signer.fingerprint)) {
+    errors.push('Signature was not made here and its certificate is not the organization\'s signing certificate');
+  }
+  if (record && result.signedAt && record.signedAt !== result.signedAt) {
+    errors.push('Signing time differs from the one recorded when the document was signed');
+  }
+
+  return {
+    signatureId: record ? record.id : null,
+    mode: record ? record.mode : 'embedded',
+    signedVersion: record ? record.version : version,
+    signedBy: record ? record.signedBy : (entry && entry.name) || null,
+    reason: record ? record.reason : (entry && entry.reason) || null,
+    location: record ? record.location : (entry && entry.location) || null,
+    signer: result.signer,
+    signedAt: result.signedAt,
+    integrity: result.integrity,
+    trusted: result.trusted,
+    certificateValidAtSigning: result.certificateValidAtSigning,
+    modifiedAfterSigning: result.modifiedAfterSigning,
+    valid: result.integrity && result.trusted && result.certificateValidAtSigning && !result.modifiedAfterSigning &&
+      errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Remove storage internals from a document before returning it to callers
+ * @param {Object} document - Stored document
+ * @returns {Object} Document without its storage key
+ */
+function toResponse(document) {
+  const { storageKey, ...rest } = document;
+  return rest;
+}
 
 class DocumentService {
   constructor() {
-    this.uploadDir = config.storage.local.uploadDir;
     this.storageType = config.storage.type;
-    
-    // Initialize S3 client if using S3 storage
-    if (this.storageType === 's3') {
-      const AWS = require('aws-sdk');
-      this.s3 = new AWS.S3({
-        region: config.storage.s3.region,
-        accessKeyId: config.storage.s3.accessKeyId,
-        secretAccessKey: config.storage.s3.secretAccessKey
-      });
-      this.s3Bucket = config.storage.s3.bucket;
-    }
+    this.storage = createStorageDriver(config.storage);
+    // Documents waiting to be indexed, being indexed, or whose indexing failed, by ID
+    this.indexing = new Map();
+    this.indexQueue = Promise.resolve();
   }
 
   /**
    * Get document by ID
    * @param {string} documentId - Document ID
-   * @returns {Promise<Object>} Document data
+   * @returns {Promise<Object|null>} Document data, or null if not found
    */
   async getDocument(documentId) {
     try {
-      // In a real implementation, this would fetch from a database
-      // For now, we'll simulate by returning a mock document
+      const document = await documentRepository.findById(documentId);
+      return document ? toResponse(document) : null;
+    } catch (error) {
+      throw new Error(`Failed to get document: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read a document's stored bytes
+   * @param {string} documentId - Document ID
+   * @returns {Promise<Object|null>} Document and its bytes, or null if not found
+   */
+  async getDocumentContent(documentId) {
+    try {
+      const document = await documentRepository.findById(documentId);
+      if (!document) {
+        return null;
+      }
+
+      const buffer = await this.storage.get(document.storageKey);
+      return { document: toResponse(document), buffer };
+    } catch (error) {
+      throw new Error(`Failed to read document content: ${error.message}`);
+    }
+  }
+
+  /**
+   * Open a stream over a document's stored bytes
+   * @param {string} documentId - Document ID
+   * @returns {Promise<Object|null>} Document and a readable stream, or null if not found
+   */
+  async streamDocumentContent(documentId) {
+    try {
+      const document = await documentRepository.findById(documentId);
+      if (!document) {
+        return null;
+      }
+
+      const stream = await this.storage.stream(document.storageKey);
+      return { document: toResponse(document), stream };
+    } catch (error) {
+      throw new Error(`Failed to stream document content: ${error.message}`);
+    }
+  }
+
+  /**
+   * List documents with filtering, sorting and cursor pagination
+   * @param {Object} filters - Listing filters (see DocumentRepository.list)
+   * @returns {Promise<Object>} Documents and the cursor for the next page
+   */
+  async listDocuments(filters = {}) {
+    try {
+      const result = await documentRepository.list(filters);
       return {
-        id: documentId,
-        name: `Document-${documentId}`,
-        type: 'application/pdf',
-        size: 1024 * 1024, // 1MB
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-        status: 'active',
-        metadata: {
-          pages: 10,
-          author: 'John Doe',
-          keywords: ['legal', 'document', 'case']
-        }
+        documents: result.documents.map(toResponse),
+        nextCursor: result.nextCursor
       };
     } catch (error) {
-      throw new Error(`Failed to get document: ${error.message}`);
+      if (error.status) {
+        throw error;
+      }
+      throw new Error(`Failed to list documents: ${error.message}`);
     }
   }
 
@@ -58,56 +159,345 @@ class DocumentService {
    * Upload a document
    * @param {Object} file - File object
    * @param {Object} metadata - Document metadata
+   * @param {Object} options - Upload options
+   * @param {string} options.source - Where the document came from (defaults to 'upload')
+   * @param {string} options.triggeredBy - Who uploaded the document (optional)
+   * @param {string} options.operation - Operation recorded for the first version (defaults to 'upload')
    * @returns {Promise<Object>} Uploaded document data
    */
-  async uploadDocument(file, metadata = {}) {
+  async uploadDocument(file, metadata = {}, options = {}) {
     try {
       const documentId = uuidv4();
-      const fileName = `${documentId}-${file.originalname}`;
+      const fileName = `${documentId}-${path.basename(file.originalname)}`;
+      const buffer = file.buffer || Buffer.alloc(0);
       
-      if (this.storageType === 'local') {
-        // Ensure upload directory exists
-        await fs.mkdir(this.uploadDir, { recursive: true });
-        
-        // Save file to local storage
-        await fs.writeFile(path.join(this.uploadDir, fileName), file.buffer);
-      } else if (this.storageType === 's3') {
-        // Upload file to S3
-        await this.s3.upload({
-          Bucket: this.s3Bucket,
-          Key: fileName,
-          Body: file.buffer,
-          ContentType: file.mimetype
-        }).promise();
-      }
+      await this.storage.put(fileName, buffer, { contentType: file.mimetype });
       
-      // In a real implementation, save document metadata to database
-      return {
+      const document = await documentRepository.create({
         id: documentId,
         name: file.originalname,
         type: file.mimetype,
-        size: file.size,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-        status: 'active',
+        size: buffer.length,
+        storageKey: fileName,
+        checksum: crypto.createHash('sha256').update(buffer).digest('hex'),
+        source: options.source || 'upload',
+        caseFileId: metadata.caseFileId,
+        triggeredBy: options.triggeredBy,
+        operation: options.operation,
         metadata: {
           ...metadata,
           originalName: file.originalname
         }
-      };
+      });
+
+      this.queueIndexing(documentId);
+
+      return toResponse(document);
     } catch (error) {
       throw new Error(`Failed to upload document: ${error.message}`);
     }
   }
 
   /**
-   * Delete a document
+   * Search the text of stored documents
+   * @param {Object} filters - Search filters (see DocumentRepository.search)
+   * @returns {Promise<Object>} Matching documents with highlighted snippets
+   */
+  async searchDocuments(filters) {
+    try {
+      const result = await documentRepository.search(filters);
+      return {
+        query: filters.query,
+        total: result.total,
+        results: result.results.map(match => ({ ...match, document: toResponse(match.document) }))
+      };
+    } catch (error) {
+      throw new Error(`Failed to search documents: ${error.message}`);
+    }
+  }
+
+  /**
+   * Queue a document to be indexed, so storing it does not wait for text extraction or OCR
+   * Documents are indexed one at a time, in the order they were queued. A document that is still
+   * waiting is not queued again; it is indexed at its current version when its turn comes.
+   * @param {string} documentId - Document ID
+   */
+  queueIndexing(documentId) {
+    const pending = this.indexing.get(documentId);
+    if (pending && pending.status === 'queued') {
+      return;
+    }
+
+    const entry = { status: 'queued', error: null, queuedAt: new Date().toISOString() };
+    this.indexing.set(documentId, entry);
+    this.indexQueue = this.indexQueue.then(async () => {
+      entry.status = 'indexing';
+      try {
+        await this.indexDocument(documentId);
+        // Indexed text is read back from the database, so only unfinished or failed indexing is kept here
+        if (this.indexing.get(documentId) === entry) {
+          this.indexing.delete(documentId);
+        }
+      } catch (error) {
+        // A document whose text can't be read is still stored; it just won't turn up in searches
+        entry.status = error.status === 415 ? 'unsupported' : 'failed';
+        entry.error = error.message;
+        if (error.status !== 415) {
+          console.error(`Failed to index document ${documentId}:`, error.message);
+        }
+      }
+    });
+  }
+
+  /**
+   * Get whether a document's current version is in the search index
    * @param {string} documentId - Document ID
-   * @returns {Promise<Object>} Deletion result
+   * @returns {Promise<Object|null>} Status ('queued', 'indexing', 'indexed', 'unsupported', 'failed' or
+   *   'not_indexed'), with the source and version of the indexed text, or null if the document is not found
+   */
+  async getIndexStatus(documentId) {
+    try {
+      const document = await documentRepository.findById(documentId);
+      if (!document) {
+        return null;
+      }
+
+      const pending = this.indexing.get(documentId);
+      const stored = await documentRepository.findText(documentId);
+      const indexed = !!stored && stored.version === document.currentVersion;
+
+      return {
+        documentId,
+        version: document.currentVersion,
+        status: pending ? pending.status : (indexed ? 'indexed' : 'not_indexed'),
+        error: pending ? pending.error : null,
+        source: indexed ? stored.source : null,
+        indexedVersion: stored ? stored.version : null,
+        indexedAt: stored ? stored.updatedAt : null
+      };
+    } catch (error) {
+      throw new Error(`Failed to get index status: ${error.message}`);
+    }
+  }
+
+  /**
+   * Extract the text of a document's current version and store it in the search index.
+   * Images and scanned documents go through OCR; everything else through text extraction.
+   * @param {string} documentId - Document ID
+   * @returns {Promise<Object|null>} Indexing result, or null if the document no longer exists
+   */
+  async indexDocument(documentId) {
+    const document = await documentRepository.findById(documentId);
+    if (!document) {
+      return null;
+    }
+
+    let useOcr = document.type.startsWith('image/') || document.source === 'scanner';
+    let content = null;
+
+    if (!useOcr) {
+      const extracted = await this.extractText(documentId);
+      content = extracted.text;
+      // A PDF without a text layer is a scan, even when it was uploaded rather than sent by a scanner
+      useOcr = extracted.source === 'ocr' || (!content.trim() && conversion.formatForType(document.type) === 'pdf');
+    }
+
+    if (useOcr) {
+      // OCR stores its text itself, along with the pages and word positions
+      ({ ocrText: content } = await this.processOcr(documentId));
+    } else {
+      await documentRepository.saveText(documentId, {
+        version: document.currentVersion,
+        source: 'extraction',
+        content
+      });
+    }
+
+    return {
+      documentId,
+      version: document.currentVersion,
+      source: useOcr ? 'ocr' : 'extraction',
+      length: content.length
+    };
+  }
+
+  /**
+   * List a document's versions, newest first
+   * @param {string} documentId - Document ID
+   * @returns {Promise<Array|null>} Versions, or null if the document is not found
+   */
+  async listVersions(documentId) {
+    try {
+      const document = await documentRepository.findById(documentId);
+      if (!document) {
+        return null;
+      }
+
+      const versions = await documentRepository.listVersions(documentId);
+      return versions.map(toResponse);
+    } catch (error) {
+      throw new Error(`Failed to list document versions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a specific document version
+   * @param {string} documentId - Document ID
+   * @param {number} version - Version number
+   * @returns {Promise<Object|null>} Version, or null if not found
+   */
+  async getVersion(documentId, version) {
+    try {
+      const found = await documentRepository.findVersion(documentId, version);
+      return found ? toResponse(found) : null;
+    } catch (error) {
+      throw new Error(`Failed to get document version: ${error.message}`);
+    }
+  }
+
+  /**
+   * Open a stream over a document version's stored bytes
+   * @param {string} documentId - Document ID
+   * @param {number} version - Version number
+   * @returns {Promise<Object|null>} Version and a readable stream, or null if not found
+   */
+  async streamVersionContent(documentId, version) {
+    try {
+      const found = await documentRepository.findVersion(documentId, version);
+      if (!found) {
+        return null;
+      }
+
+      const stream = await this.storage.stream(found.storageKey);
+      return { version: toResponse(found), stream };
+    } catch (error) {
+      throw new Error(`Failed to stream document version content: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a new version of a document and make it current
+   * @param {string} documentId - Document ID
+   * @param {Object} change - What produced the version
+   * @param {string} change.operation - Operation name, e.g. 'redact', 'sign', 'convert', 'regenerate'
+   * @param {string} change.triggeredBy - Who triggered the operation (optional)
+   * @param {Object} change.file - New bytes as an uploaded file; omit to carry the current bytes forward
+   * @param {Object} change.metadata - Operation details (optional)
+   * @returns {Promise<Object|null>} Created version, or null if the document is not found
+   */
+  async addVersion(documentId, change) {
+    try {
+      const document = await documentRepository.findById(documentId);
+      if (!document) {
+        return null;
+      }
+
+      let content = {
+        name: document.name,
+        type: document.type,
+        size: document.size,
+        storageKey: document.storageKey,
+        checksum: document.checksum
+      };
+
+      if (change.file) {
+        const buffer = change.file.buffer || Buffer.alloc(0);
+        const storageKey = `${documentId}-${uuidv4()}-${path.basename(change.file.originalname)}`;
+        await this.storage.put(storageKey, buffer, { contentType: change.file.mimetype });
+
+        content = {
+          name: change.file.originalname,
+          type: change.file.mimetype,
+          size: buffer.length,
+          storageKey,
+          checksum: crypto.createHash('sha256').update(buffer).digest('hex')
+        };
+      }
+
+      const version = await documentRepository.addVersion(documentId, {
+        ...content,
+        operation: change.operation,
+        triggeredBy: change.triggeredBy,
+        metadata: change.metadata
+      });
+
+      if (!version) {
+        return null;
+      }
+
+      this.queueIndexing(documentId);
+
+      return toResponse(version);
+    } catch (error) {
+      throw new Error(`Failed to add document version: ${error.message}`);
+    }
+  }
+
+  /**
+   * Restore an earlier version by recording a new current version with its bytes
+   * @param {string} documentId - Document ID
+   * @param {number} version - Version number to restore
+   * @param {Object} options - Restore options
+   * @param {string} options.triggeredBy - Who restored the version (optional)
+   * @returns {Promise<Object|null>} Created version, or null if the document or version is not found
+   */
+  async restoreVersion(documentId, version, options = {}) {
+    try {
+      const restored = await documentRepository.findVersion(documentId, version);
+      if (!restored) {
+        return null;
+      }
+
+      // Versions are immutable, so the restored version's bytes can be shared rather than copied
+      const created = await documentRepository.addVersion(documentId, {
+        name: restored.name,
+        type: restored.type,
+        size: restored.size,
+        storageKey: restored.storageKey,
+        checksum: restored.checksum,
+        operation: 'restore',
+        triggeredBy: options.triggeredBy,
+        metadata: { restoredFrom: restored.version }
+      });
+
+      if (!created) {
+        return null;
+      }
+
+      this.queueIndexing(documentId);
+
+      return toResponse(created);
+    } catch (error) {
+      throw new Error(`Failed to restore document version: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a document's stored bytes, versions and metadata record
+   * @param {string} documentId - Document ID
+   * @returns {Promise<Object|null>} Deletion result, or null if not found
    */
   async deleteDocument(documentId) {
     try {
-      // In a real implementation, this would delete from storage and database
+      const document = await documentRepository.findById(documentId);
+      if (!document) {
+        return null;
+      }
+
+      const versions = await documentRepository.listVersions(documentId);
+      const storageKeys = new Set([document.storageKey, ...versions.map(version => version.storageKey)]);
+
+      const signatures = await documentRepository.listSignatures(documentId);
+      signatures.filter(signature => signature.storageKey).forEach(signature => storageKeys.add(signature.storageKey));
+
+      const previews = await documentRepository.listPreviews(documentId);
+      previews.forEach(storageKey => storageKeys.add(storageKey));
+
+      await documentRepository.delete(documentId);
+      for (const storageKey of storageKeys) {
+        await this.storage.delete(storageKey);
+      }
+
       return {
         success: true,
         message: `Document ${documentId} deleted successfully`,
@@ -119,297 +509,1004 @@ class DocumentService {
   }
 
   /**
-   * Parse a document to extract structured data
+   * Parse a document's structure: heading hierarchy, sections, lists, tables and "Label: value" fields
+   * Scanned documents are parsed from their OCR text.
    * @param {string} documentId - Document ID
    * @param {Object} options - Parsing options
-   * @returns {Promise<Object>} Parsed data
+   * @param {string} options.source - Where the document came from, such as 'email' (optional)
+   * @returns {Promise<Object|null>} Parsed structure, or null if the document is not found
    */
   async parseDocument(documentId, options = {}) {
     try {
-      // In a real implementation, this would use a document parsing library
-      // For now, we'll simulate by returning mock parsed data
+      const document = await documentRepository.findById(documentId);
+      if (!document) {
+        return null;
+      }
+
+      const extracted = await this.extractText(documentId);
+      const parsedData = parsing.parse(extracted);
+
       return {
         documentId,
+        version: extracted.version,
+        type: extracted.type,
+        source: extracted.source,
         parsedData: {
-          title: `Document Title for ${documentId}`,
-          sections: [
-            { title: 'Introduction', content: 'Introduction content...' },
-            { title: 'Main Section', content: 'Main section content...' },
-            { title: 'Conclusion', content: 'Conclusion content...' }
-          ],
-          metadata: {
-            author: 'John Doe',
-            createdDate: '2025-01-01',
-            keywords: ['legal', 'document', 'case']
-          }
+          ...parsedData,
+          title: parsedData.title || path.parse(document.name).name
         },
         options,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
-      throw new Error(`Failed to parse document: ${error.message}`);
+      const wrapped = new Error(`Failed to parse document: ${error.message}`);
+      wrapped.status = error.status;
+      throw wrapped;
     }
   }
 
   /**
-   * Validate a document against a schema or set of rules
+   * Validate a document's current text against a schema of rules
+   * Scanned documents are checked against their OCR text.
    * @param {string} documentId - Document ID
-   * @param {Object} schema - Validation schema or rules
-   * @returns {Promise<Object>} Validation results
+   * @param {Object|Array<Object>} schema - { rules, data } or a list of rules; rule types are requiredSection,
+   *   requiredPhrase, forbiddenPhrase, maxLength, mergeFields, noPlaceholders and dates
+   * @returns {Promise<Object|null>} Validation results with located errors and warnings, or null if the document is not found
    */
   async validateDocument(documentId, schema) {
     try {
-      // In a real implementation, this would use a validation library
-      // For now, we'll simulate by returning mock validation results
+      const document = await documentRepository.findById(documentId);
+      if (!document) {
+        return null;
+      }
+
+      const rules = validation.compileSchema(schema);
+      const extracted = await this.extractText(documentId);
+      const result = validation.validate(extracted, rules);
+
       return {
         documentId,
-        valid: true,
-        errors: [],
-        warnings: [
-          { field: 'section3', message: 'Section is optional but recommended' }
-        ],
+        version: extracted.version,
+        valid: result.valid,
+        errors: result.errors,
+        warnings: result.warnings,
+        summary: result.summary,
         schema,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
-      throw new Error(`Failed to validate document: ${error.message}`);
+      const wrapped = new Error(`Failed to validate document: ${error.message}`);
+      wrapped.status = error.status;
+      throw wrapped;
     }
   }
 
   /**
-   * Convert a document to a different format
+   * Convert a document to a different format and store the result as a new document linked to its source
    * @param {string} documentId - Document ID
-   * @param {string} targetFormat - Format to convert to (e.g., 'pdf', 'docx', 'html')
+   * @param {string} targetFormat - Format to convert to: 'html', 'markdown', 'text', 'docx' or 'pdf'
    * @param {Object} options - Conversion options
-   * @returns {Promise<Object>} Conversion result
+   * @param {string} options.title - Title for the converted document (defaults to the source file name)
+   * @param {string} options.pageSize - PDF page size such as 'LETTER' or 'A4' (optional)
+   * @param {Object} options.branding - Overrides for the configured PDF branding (optional)
+   * @param {string} options.triggeredBy - Who requested the conversion (optional)
+   * @returns {Promise<Object|null>} Conversion result, or null if the document is not found
    */
   async convertDocument(documentId, targetFormat, options = {}) {
     try {
-      // In a real implementation, this would use a document conversion library
-      // For now, we'll simulate by returning a mock result
+      const document = await documentRepository.findById(documentId);
+      if (!document) {
+        return null;
+      }
+
+      const baseName = path.parse(document.name).name;
+      const buffer = await this.storage.get(document.storageKey);
+      const converted = await conversion.convert(buffer, document.type, targetFormat, {
+        title: options.title || baseName,
+        pageSize: options.pageSize,
+        branding: { ...config.branding, ...options.branding }
+      });
+
+      const convertedDocument = await this.uploadDocument(
+        {
+          originalname: `${baseName}.${converted.extension}`,
+          mimetype: converted.mimeType,
+          buffer: converted.buffer
+        },
+        {
+          ...(document.caseFileId && { caseFileId: document.caseFileId }),
+          sourceDocumentId: documentId,
+          sourceVersion: document.currentVersion,
+          convertedFrom: converted.sourceFormat
+        },
+        { source: 'conversion', operation: 'convert', triggeredBy: options.triggeredBy }
+      );
+
       return {
         documentId,
-        originalFormat: 'pdf',
-        targetFormat,
-        convertedDocumentId: uuidv4(),
+        originalFormat: converted.sourceFormat,
+        targetFormat: converted.targetFormat,
+        convertedDocumentId: convertedDocument.id,
+        convertedDocument,
         options,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
-      throw new Error(`Failed to convert document: ${error.message}`);
+      const wrapped = new Error(`Failed to convert document: ${error.message}`);
+      wrapped.status = error.status;
+      throw wrapped;
     }
   }
 
   /**
-   * Merge multiple documents into a single document
-   * @param {Array} documentIds - IDs of the documents to merge
+   * Merge documents into a single PDF stored as a new document that references its sources
+   * Pages keep the order the documents are given in, and each source gets a bookmark.
+   * Documents that are not PDFs are converted to PDF first.
+   * @param {Array<string>} documentIds - IDs of the documents to merge, in order
    * @param {Object} options - Merge options
-   * @returns {Promise<Object>} Merge result
+   * @param {string} options.title - Title of the merged document (defaults to 'Merged Document')
+   * @param {Array<string>} options.titles - Bookmark titles, one per document (defaults to the file names)
+   * @param {boolean} options.coverPage - Prepend a branded cover page
+   * @param {boolean} options.tableOfContents - Prepend a table of contents with page numbers
+   * @param {string} options.pageSize - Size of generated and converted pages such as 'LETTER' or 'A4' (optional)
+   * @param {Object} options.branding - Overrides for the configured branding (optional)
+   * @param {string} options.triggeredBy - Who requested the merge (optional)
+   * @returns {Promise<Object>} Merge result with the merged document and where each source starts
    */
   async mergeDocuments(documentIds, options = {}) {
     try {
-      // In a real implementation, this would use a document manipulation library
-      // For now, we'll simulate by returning a mock result
+      const title = options.title || 'Merged Document';
+      const titles = options.titles || [];
+      const branding = { ...config.branding, ...options.branding };
+      const documents = [];
+      const sources = [];
+
+      for (const [index, documentId] of documentIds.entries()) {
+        const document = await documentRepository.findById(documentId);
+        if (!document) {
+          const error = new Error(`Document ${documentId} not found`);
+          error.status = 404;
+          throw error;
+        }
+
+        const sourceTitle = titles[index] || path.parse(document.name).name;
+        let buffer = await this.storage.get(document.storageKey);
+        if (conversion.formatForType(document.type) !== 'pdf') {
+          ({ buffer } = await conversion.convert(buffer, document.type, 'pdf', {
+            title: sourceTitle,
+            pageSize: options.pageSize,
+            branding
+          }));
+        }
+
+        documents.push(document);
+        sources.push({ title: sourceTitle, buffer });
+      }
+
+      // A merge of one case file's documents stays in that case file
+      const caseFileIds = [...new Set(documents.map(document => document.caseFileId))];
+      const caseFileId = options.caseFileId || (caseFileIds.length === 1 ? caseFileIds[0] : undefined);
+
+      const merged = await pdf.mergePdfs(sources, {
+        title,
+        subtitle: caseFileId ? `Case file ${caseFileId}` : undefined,
+        coverPage: !!options.coverPage,
+        tableOfContents: !!options.tableOfContents,
+        pageSize: options.pageSize,
+        branding
+      });
+
+      const sourceDocuments = documents.map((document, index) => ({
+        documentId: document.id,
+        version: document.currentVersion,
+        name: document.name,
+        startPage: merged.sections[index].startPage,
+        pageCount: merged.sections[index].pageCount
+      }));
+
+      const mergedDocument = await this.uploadDocument(
+        {
+          originalname: `${title}.pdf`,
+          mimetype: 'application/pdf',
+          buffer: merged.buffer
+        },
+        {
+          ...(caseFileId && { caseFileId }),
+          title,
+          sourceDocuments
+        },
+        { source: 'merge', operation: 'merge', triggeredBy: options.triggeredBy }
+      );
+
       return {
         documentIds,
-        mergedDocumentId: uuidv4(),
+        mergedDocumentId: mergedDocument.id,
+        mergedDocument,
+        pageCount: merged.pageCount,
+        frontMatterPages: merged.frontMatterPages,
+        sections: sourceDocuments,
         options,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
-      throw new Error(`Failed to merge documents: ${error.message}`);
+      const wrapped = new Error(`Failed to merge documents: ${error.message}`);
+      wrapped.status = error.status;
+      throw wrapped;
     }
   }
 
   /**
-   * Split a document into multiple documents
+   * Split a PDF into parts, storing each part as a new document that points back to the original
    * @param {string} documentId - ID of the document to split
    * @param {Object} options - Split options
-   * @returns {Promise<Object>} Split result
+   * @param {string} options.mode - 'ranges' (default), 'bookmarks', 'every' or 'blank'
+   * @param {Array<string|Object>} options.ranges - Page ranges for 'ranges' mode, e.g. ['1-3', '4-']
+   *   or [{ start: 1, end: 3, title: 'Claim form' }]
+   * @param {number} options.pages - Pages per part for 'every' mode
+   * @param {number} options.blankThreshold - Largest share of dark pixels on a blank separator page (default 0.005)
+   * @param {string} options.triggeredBy - Who requested the split (optional)
+   * @returns {Promise<Object|null>} Split result with each part's document and page range, or null if not found
    */
   async splitDocument(documentId, options = {}) {
     try {
-      // In a real implementation, this would use a document manipulation library
-      // For now, we'll simulate by returning a mock result
-      const splitDocumentIds = [uuidv4(), uuidv4(), uuidv4()];
-      
+      const document = await documentRepository.findById(documentId);
+      if (!document) {
+        return null;
+      }
+
+      if (conversion.formatForType(document.type) !== 'pdf') {
+        const error = new Error(`Only PDF documents can be split; convert ${document.name} to PDF first`);
+        error.status = 415;
+        throw error;
+      }
+
+      const baseName = path.parse(document.name).name;
+      const buffer = await this.storage.get(document.storageKey);
+      const result = await pdf.splitPdf(buffer, {
+        mode: options.mode,
+        ranges: options.ranges,
+        pages: options.pages,
+        blankThreshold: options.blankThreshold,
+        name: document.name
+      });
+
+      const parts = [];
+      for (const [index, part] of result.parts.entries()) {
+        const pageRange = part.start === part.end ? `page ${part.start}` : `pages ${part.start}-${part.end}`;
+        const label = part.title ? part.title.replace(/[\\/:*?"<>|]+/g, '-').trim() : `part ${index + 1} (${pageRange})`;
+
+        const partDocument = await this.uploadDocument(
+          {
+            originalname: `${baseName} - ${label}.pdf`,
+            mimetype: 'application/pdf',
+            buffer: part.buffer
+          },
+          {
+            ...(document.caseFileId && { caseFileId: document.caseFileId }),
+            sourceDocumentId: documentId,
+            sourceVersion: document.currentVersion,
+            splitMode: result.mode,
+            part: index + 1,
+            partCount: result.parts.length,
+            pageRange: { start: part.start, end: part.end },
+            ...(part.title && { title: part.title })
+          },
+          { source: 'split', operation: 'split', triggeredBy: options.triggeredBy }
+        );
+
+        parts.push({
+          documentId: partDocument.id,
+          document: partDocument,
+          title: part.title || null,
+          startPage: part.start,
+          endPage: part.end,
+          pageCount: part.end - part.start + 1
+        });
+      }
+
       return {
         documentId,
-        splitDocumentIds,
+        mode: result.mode,
+        pageCount: result.pageCount,
+        splitDocumentIds: parts.map(part => part.documentId),
+        parts,
+        ...(result.separatorPages && { separatorPages: result.separatorPages }),
         options,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
-      throw new Error(`Failed to split document: ${error.message}`);
+      const wrapped = new Error(`Failed to split document: ${error.message}`);
+      wrapped.status = error.status;
+      throw wrapped;
     }
   }
 
   /**
-   * Extract text from a document
+   * Extract text from a document's current version
    * @param {string} documentId - ID of the document to extract text from
    * @param {Object} options - Extraction options
-   * @returns {Promise<Object>} Extraction result
+   * @returns {Promise<Object|null>} Text with detected encoding and page or section offsets, or null if not found
    */
   async extractText(documentId, options = {}) {
     try {
-      // In a real implementation, this would use a text extraction library
-      // For now, we'll simulate by returning mock extracted text
+      const document = await documentRepository.findById(documentId);
+      if (!document) {
+        return null;
+      }
+
+      // Text read by OCR stands in for extraction, which finds nothing in a scan. Stored OCR text is
+      // used as it is, whatever languages and settings it was read with; images without any are read now.
+      const stored = await documentRepository.findText(documentId);
+      const storedOcr = !!stored && stored.source === 'ocr' && !!stored.ocr && stored.version === document.currentVersion;
+      if (storedOcr || document.type.startsWith('image/')) {
+        const result = storedOcr
+          ? { ocrText: stored.content, confidence: stored.ocr.confidence, pages: stored.ocr.pages }
+          : await this.processOcr(documentId);
+        return {
+          documentId,
+          version: document.currentVersion,
+          type: document.type,
+          source: 'ocr',
+          encoding: null,
+          text: result.ocrText,
+          confidence: result.confidence,
+          pages: result.pages.map(({ number, start, end, confidence }) => ({ number, start, end, confidence })),
+          sections: [],
+          options,
+          timestamp: new Date().toISOString()
+        };
+      }
+
+      const buffer = await this.storage.get(document.storageKey);
+      const result = await extraction.extractText(buffer, document.type);
+
       return {
         documentId,
-        text: `This is the extracted text from document ${documentId}. It contains multiple paragraphs and sections that have been extracted from the original document.`,
+        version: document.currentVersion,
+        type: result.type,
+        source: 'extraction',
+        encoding: result.encoding,
+        text: result.text,
+        pages: result.pages,
+        sections: result.sections,
         options,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
-      throw new Error(`Failed to extract text: ${error.message}`);
+      const wrapped = new Error(`Failed to extract text: ${error.message}`);
+      // Unsupported or unreadable files are the caller's problem, not a server failure
+      wrapped.status = error.status;
+      throw wrapped;
     }
   }
 
   /**
-   * Redact sensitive information from a document
+   * Redact personal information from a document, recording the redacted bytes as a new version
+   * Matched text is removed from the file itself, not just covered. The report lists the detector,
+   * page and location of every hit but never the text that was removed.
    * @param {string} documentId - ID of the document to redact
-   * @param {Array} patterns - Patterns to redact (e.g., SSNs, credit card numbers)
+   * @param {Array<string|Object>} patterns - Built-in detectors ('ssn', 'sin', 'date_of_birth', 'phone', 'email',
+   *   'credit_card', 'bank_account', 'health_card', or 'pii' for all), custom expressions ({ regex, flags, label })
+   *   and exact terms ({ term } or { terms, caseSensitive, label })
    * @param {Object} options - Redaction options
-   * @returns {Promise<Object>} Redaction result
+   * @param {string} options.replacement - Text put in place of each hit (default '[REDACTED]')
+   * @param {string} options.triggeredBy - Who requested the redaction (optional)
+   * @returns {Promise<Object|null>} Redaction result with its report, or null if the document is not found
    */
   async redactDocument(documentId, patterns, options = {}) {
     try {
-      // In a real implementation, this would use a document redaction library
-      // For now, we'll simulate by returning a mock result
+      const document = await documentRepository.findById(documentId);
+      if (!document) {
+        return null;
+      }
+
+      const buffer = await this.storage.get(document.storageKey);
+      const { buffer: redacted, report } = await redaction.redact(buffer, document.type, patterns, {
+        replacement: options.replacement
+      });
+
+      const version = await this.addVersion(documentId, {
+        operation: 'redact',
+        triggeredBy: options.triggeredBy,
+        file: { originalname: document.name, mimetype: document.type, buffer: redacted },
+        metadata: { patterns, redactedFromVersion: document.currentVersion, report }
+      });
+      if (!version) {
+        return null;
+      }
+
       return {
         documentId,
-        redactedDocumentId: uuidv4(),
+        redactedDocumentId: documentId,
+        version: version.version,
         patterns,
-        redactionCount: patterns.length * 3, // Simulate finding multiple matches per pattern
+        redactionCount: report.redactionCount,
+        report,
         options,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
-      throw new Error(`Failed to redact document: ${error.message}`);
+      const wrapped = new Error(`Failed to redact document: ${error.message}`);
+      wrapped.status = error.status;
+      throw wrapped;
     }
   }
 
   /**
-   * Compare two documents and highlight differences
-   * @param {string} documentId1 - ID of the first document
-   * @param {string} documentId2 - ID of the second document
+   * Compare two documents word by word and store the redline as a new document
+   * The extracted text of each document's current version is compared, so documents of different
+   * formats can be compared with each other, and scanned documents are compared by their OCR text.
+   * Moved text is reported once, as a move, rather than as a deletion and an insertion.
+   * @param {string} documentId1 - ID of the original document
+   * @param {string} documentId2 - ID of the revised document
    * @param {Object} options - Comparison options
-   * @returns {Promise<Object>} Comparison result
+   * @param {string} options.format - Redline format, 'html' (default) or 'pdf'
+   * @param {string} options.title - Title of the redline (defaults to naming both documents)
+   * @param {string} options.pageSize - PDF page size such as 'LETTER' or 'A4' (optional)
+   * @param {Object} options.branding - Overrides for the configured branding (optional)
+   * @param {string} options.triggeredBy - Who requested the comparison (optional)
+   * @returns {Promise<Object>} Comparison with change counts in total and per section, every change
+   *   with its location in both documents, and the stored redline document
    */
   async compareDocuments(documentId1, documentId2, options = {}) {
     try {
-      // In a real implementation, this would use a document comparison library
-      // For now, we'll simulate by returning a mock result
+      const documents = [];
+      const extracted = [];
+
+      for (const documentId of [documentId1, documentId2]) {
+        const document = await documentRepository.findById(documentId);
+        if (!document) {
+          const error = new Error(`Document ${documentId} not found`);
+          error.status = 404;
+          throw error;
+        }
+
+        documents.push(document);
+        extracted.push(await this.extractText(documentId));
+      }
+
+      const [original, revised] = documents;
+      const title = options.title ||
+        `Comparison of ${path.parse(original.name).name} and ${path.parse(revised.name).name}`;
+      const result = comparison.compare(extracted[0], extracted[1]);
+      const redline = await comparison.renderRedline(result, options.format || 'html', {
+        title,
+        originalName: `${original.name} (version ${original.currentVersion})`,
+        revisedName: `${revised.name} (version ${revised.currentVersion})`,
+        pageSize: options.pageSize,
+        branding: { ...config.branding, ...options.branding }
+      });
+
+      const caseFileId = original.caseFileId && original.caseFileId === revised.caseFileId
+        ? original.caseFileId
+        : undefined;
+
+      const comparisonDocument = await this.uploadDocument(
+        {
+          originalname: `${title}.${redline.extension}`,
+          mimetype: redline.mimeType,
+          buffer: redline.buffer
+        },
+        {
+          ...(caseFileId && { caseFileId }),
+          title,
+          originalDocumentId: documentId1,
+          originalVersion: original.currentVersion,
+          revisedDocumentId: documentId2,
+          revisedVersion: revised.currentVersion,
+          differences: result.differences
+        },
+        { source: 'compare', operation: 'compare', triggeredBy: options.triggeredBy }
+      );
+
       return {
         documentId1,
         documentId2,
-        comparisonDocumentId: uuidv4(),
-        differences: {
-          additions: 15,
-          deletions: 8,
-          modifications: 23
-        },
+        comparisonDocumentId: comparisonDocument.id,
+        comparisonDocument,
+        identical: result.identical,
+        differences: result.differences,
+        sections: result.sections,
+        changes: result.changes,
         options,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
-      throw new Error(`Failed to compare documents: ${error.message}`);
+      const wrapped = new Error(`Failed to compare documents: ${error.message}`);
+      wrapped.status = error.status;
+      throw wrapped;
     }
   }
 
   /**
-   * Generate a document preview
+   * Render previews of a document's current version: PNG page thumbnails, and a sanitized HTML
+   * preview for text, Markdown, HTML and DOCX files
+   * The requested previews are rendered now, or taken from storage if already rendered, so the
+   * returned URLs respond immediately; thumbnails of other pages are rendered when first requested.
    * @param {string} documentId - ID of the document to preview
    * @param {Object} options - Preview options
-   * @returns {Promise<Object>} Preview result
+   * @param {string} options.size - Thumbnail size name from the configured sizes (optional)
+   * @param {Array<number>|string} options.pages - Pages to render now, or 'all' (default [1])
+   * @returns {Promise<Object|null>} Page count and preview URLs, or null if the document is not found
    */
   async generatePreview(documentId, options = {}) {
     try {
-      // In a real implementation, this would generate a preview image or HTML
-      // For now, we'll simulate by returning a mock result
+      const document = await documentRepository.findById(documentId);
+      if (!document) {
+        return null;
+      }
+
+      const sizes = preview.parseSizes(config.preview.thumbnailSizes);
+      const size = preview.resolveSize(options.size, sizes, config.preview.defaultSize);
+      const support = this.previewSupport(document);
+      const { pageCount } = await this.previewSource(document, support);
+
+      const pages = options.pages === 'all'
+        ? Array.from({ length: pageCount }, (_, index) => index + 1)
+        : [].concat(options.pages || [1]).map(Number);
+      const invalid = pages.filter(page => !Number.isInteger(page) || page < 1 || page > pageCount);
+      if (invalid.length > 0) {
+        const error = new Error(`Pages must be from 1 to ${pageCount}; got ${invalid.join(', ')}`);
+        error.status = 400;
+        throw error;
+      }
+      const baseUrl = `/api/documents/${documentId}/preview`;
+
+      for (const page of pages) {
+        await this.getPreview(documentId, { page, size: size.name });
+      }
+      if (support.html) {
+        await this.getPreview(documentId, { format: 'html' });
+      }
+
       return {
         documentId,
-        previewUrl: `/api/documents/${documentId}/preview`,
-        previewType: options.type || 'image',
+        version: document.currentVersion,
+        type: document.type,
+        pageCount,
+        size,
+        sizes,
+        thumbnails: Array.from({ length: pageCount }, (_, index) => ({
+          page: index + 1,
+          contentType: 'image/png',
+          url: `${baseUrl}?page=${index + 1}&size=${size.name}`,
+          rendered: pages.includes(index + 1)
+        })),
+        html: support.html ? { contentType: 'text/html', url: `${baseUrl}?format=html` } : null,
         options,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
-      throw new Error(`Failed to generate preview: ${error.message}`);
+      const wrapped = new Error(`Failed to generate preview: ${error.message}`);
+      wrapped.status = error.status;
+      throw wrapped;
+    }
+  }
+
+  /**
+   * Get a page thumbnail or the HTML preview of a document's current version, rendering and
+   * storing it on first request
+   * @param {string} documentId - Document ID
+   * @param {Object} options - Preview options
+   * @param {string} options.format - 'png' (default) or 'html'
+   * @param {number} options.page - Page to show as a thumbnail (default 1)
+   * @param {string} options.size - Thumbnail size name from the configured sizes (optional)
+   * @returns {Promise<Object|null>} Preview bytes with their content type, or null if the document is not found
+   */
+  async getPreview(documentId, options = {}) {
+    try {
+      const document = await documentRepository.findById(documentId);
+      if (!document) {
+        return null;
+      }
+
+      const format = String(options.format || 'png').toLowerCase();
+      const support = this.previewSupport(document);
+
+      if (format === 'html') {
+        if (!support.html) {
+          const error = new Error(`HTML previews are not available for ${document.type} documents`);
+          error.status = 415;
+          throw error;
+        }
+
+        const buffer = await this.cachedPreview(document, 'preview.html', async () => {
+          const content = await this.storage.get(document.storageKey);
+          return Buffer.from(await preview.renderHtmlPreview(content, document.type, { title: document.name }), 'utf8');
+        });
+        return { document: toResponse(document), contentType: 'text/html; charset=utf-8', buffer };
+      }
+
+      if (format !== 'png') {
+        const error = new Error(`Unsupported preview format ${format}. Supported formats: png, html`);
+        error.status = 400;
+        throw error;
+      }
+
+      const size = preview.resolveSize(options.size, preview.parseSizes(config.preview.thumbnailSizes),
+        config.preview.defaultSize);
+      const page = options.page === undefined ? 1 : Number(options.page);
+
+      const buffer = await this.cachedPreview(document, `page-${page}-${size.width}.png`, async () => {
+        const source = await this.previewSource(document, support);
+        if (support.thumbnails === 'image') {
+          if (page !== 1) {
+            const error = new Error(`Page ${page} does not exist; images have one page`);
+            error.status = 404;
+            throw error;
+          }
+          return preview.renderImageThumbnail(source.buffer, size.width);
+        }
+        return preview.renderPdfThumbnail(source.buffer, page, size.width);
+      });
+      return { document: toResponse(document), contentType: 'image/png', buffer };
+    } catch (error) {
+      const wrapped = new Error(`Failed to get preview: ${error.message}`);
+      wrapped.status = error.status;
+      throw wrapped;
+    }
+  }
+
+  /**
+   * Check that a document can be previewed
+   * @param {Object} document - Stored document
+   * @returns {Object} How its thumbnails are made and whether it has an HTML preview
+   */
+  previewSupport(document) {
+    const support = preview.previewSupport(document.type);
+    if (!support) {
+      const error = new Error(`Previews are not available for ${document.type} documents`);
+      error.status = 415;
+      throw error;
+    }
+    return support;
+  }
+
+  /**
+   * Get the bytes thumbnails are rendered from: the PDF itself, the image itself, or the
+   * document converted to PDF, which is stored so it is only converted once per version
+   * @param {Object} document - Stored document
+   * @param {Object} support - Result of previewSupport
+   * @returns {Promise<Object>} Source bytes and page count
+   */
+  async previewSource(document, support) {
+    if (support.thumbnails === 'image') {
+      return { buffer: await this.storage.get(document.storageKey), pageCount: 1 };
+    }
+
+    const buffer = support.thumbnails === 'pdf'
+      ? await this.storage.get(document.storageKey)
+      : await this.cachedPreview(document, 'document.pdf', async () => {
+        const content = await this.storage.get(document.storageKey);
+        const converted = await conversion.convert(content, document.type, 'pdf', {
+          title: path.parse(document.name).name,
+          branding: config.branding
+        });
+        return converted.buffer;
+      });
+
+    return { buffer, pageCount: await preview.countPages(buffer) };
+  }
+
+  /**
+   * Read a rendered preview from storage, rendering and storing it if it is not there yet
+   * Previews are stored per version, so a new version never shows an old preview. Every stored key
+   * is recorded against the document, before it is written, so the previews are removed with the document.
+   * @param {Object} document - Stored document
+   * @param {string} name - Preview file name within the version
+   * @param {Function} render - Produces the preview bytes
+   * @returns {Promise<Buffer>} Preview bytes
+   */
+  async cachedPreview(document, name, render) {
+    const key = `previews/${document.id}/${document.currentVersion}/${name}`;
+    if (await this.storage.exists(key)) {
+      return this.storage.get(key);
     }
+
+    const buffer = await render();
+    await documentRepository.addPreview(document.id, key);
+    await this.storage.put(key, buffer);
+    return buffer;
   }
 
   /**
-   * Process a document using OCR (Optical Character Recognition)
+   * Read the text of a scanned PDF or image with OCR and store it as the document's text, so it is
+   * searchable and used wherever the document's text is needed
+   * The result for the current version is kept, and returned again while the same languages and
+   * settings are asked for.
    * @param {string} documentId - ID of the document to process
    * @param {Object} options - OCR options
-   * @returns {Promise<Object>} OCR result
+   * @param {Array<string>|string} options.languages - Tesseract language codes, e.g. ['eng', 'fra'] (defaults to configuration)
+   * @param {boolean} options.deskew - Straighten slightly skewed pages (defaults to configuration)
+   * @param {boolean} options.detectRotation - Turn sideways and upside-down pages upright (defaults to configuration)
+   * @param {boolean} options.force - Read the document again even if it has been read with these settings
+   * @returns {Promise<Object|null>} Text, mean word confidence, and per-page text, confidence, rotation,
+   *   skew and words with confidence and bounding box, or null if the document is not found
    */
   async processOcr(documentId, options = {}) {
     try {
-      // In a real implementation, this would use an OCR library
-      // For now, we'll simulate by returning a mock result
+      const document = await documentRepository.findById(documentId);
+      if (!document) {
+        return null;
+      }
+
+      const settings = {
+        languages: ocr.resolveLanguages(options.languages || config.ocr.languages, config.ocr.langPath).codes,
+        deskew: options.deskew === undefined ? config.ocr.deskew : !!options.deskew,
+        detectRotation: options.detectRotation === undefined ? config.ocr.detectRotation : !!options.detectRotation,
+        dpi: config.ocr.dpi
+      };
+
+      const stored = await documentRepository.findText(documentId);
+      const reusable = !options.force && stored && stored.source === 'ocr' && stored.ocr &&
+        stored.version === document.currentVersion &&
+        Object.keys(settings).every(key => JSON.stringify(stored.ocr.settings[key]) === JSON.stringify(settings[key]));
+
+      let result;
+      if (reusable) {
+        result = { text: stored.content, ...stored.ocr };
+      } else {
+        const buffer = await this.storage.get(document.storageKey);
+        result = await ocr.recognize(buffer, document.type, { ...settings, langPath: config.ocr.langPath });
+
+        await documentRepository.saveText(documentId, {
+          version: document.currentVersion,
+          source: 'ocr',
+          content: result.text,
+          ocr: { settings, confidence: result.confidence, languages: result.languages, pages: result.pages }
+        });
+      }
+
       return {
         documentId,
-        ocrText: `This is the OCR-extracted text from document ${documentId}. The quality of the extraction depends on the clarity of the original document.`,
-        confidence: 0.92,
+        version: document.currentVersion,
+        ocrText: result.text,
+        confidence: result.confidence,
+        languages: result.languages,
+        pageCount: result.pages.length,
+        pages: result.pages,
+        settings,
         options,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
-      throw new Error(`Failed to process OCR: ${error.message}`);
+      const wrapped = new Error(`Failed to process OCR: ${error.message}`);
+      wrapped.status = error.status;
+      throw wrapped;
     }
   }
 
   /**
-   * Add a digital signature to a document
+   * Sign a document with the organization's key and certificate from the configured keystore
+   * PDFs get the signature embedded in the file, recorded as a new version; other documents, or PDFs
+   * signed with mode 'detached', get a separate PKCS#7 signature stored beside them.
    * @param {string} documentId - ID of the document to sign
-   * @param {Object} signatureData - Signature data
+   * @param {Object} signatureData - Signature details
+   * @param {string} signatureData.signedBy - Person the document is signed for, e.g. the acknowledging employee (optional)
+   * @param {string} signatureData.reason - Reason for signing (optional)
+   * @param {string} signatureData.location - Where the document was signed (optional)
+   * @param {string} signatureData.contactInfo - How to reach the signer (optional)
    * @param {Object} options - Signature options
-   * @returns {Promise<Object>} Signature result
+   * @param {string} options.mode - 'embedded' (default for PDFs) or 'detached' (default for everything else)
+   * @param {string} options.triggeredBy - Who requested the signature (optional)
+   * @returns {Promise<Object|null>} Signature result, or null if the document is not found
    */
   async signDocument(documentId, signatureData, options = {}) {
     try {
-      // In a real implementation, this would use a digital signature library
-      // For now, we'll simulate by returning a mock result
+      const document = await documentRepository.findById(documentId);
+      if (!document) {
+        return null;
+      }
+
+      const isPdf = conversion.formatForType(document.type) === 'pdf';
+      const mode = options.mode || (isPdf ? 'embedded' : 'detached');
+      if (!signing.SIGNATURE_MODES.includes(mode)) {
+        const error = new Error(`Unsupported signature mode ${mode}. Supported modes: ${signing.SIGNATURE_MODES.join(', ')}`);
+        error.status = 400;
+        throw error;
+      }
+      if (mode === 'embedded' && !isPdf) {
+        const error = new Error('Only PDFs can carry an embedded signature; sign other documents with mode "detached"');
+        error.status = 415;
+        throw error;
+      }
+
+      const keystore = signing.loadKeystore(config.signing);
+      const signer = signing.describeCertificate(keystore.signer);
+      const signatureId = uuidv4();
+      // Signing times are recorded to the second
+      const signedAt = new Date(Math.floor(Date.now() / 1000) * 1000);
+      const buffer = await this.storage.get(document.storageKey);
+
+      let signed;
+      let storageKey = null;
+      if (mode === 'embedded') {
+        signed = await signing.signPdf(buffer, keystore, {
+          signedAt,
+          name: signatureData.signedBy || signer.commonName,
+          reason: signatureData.reason,
+          location: signatureData.location,
+          contactInfo: signatureData.contactInfo
+        });
+      } else {
+        signed = signing.signDetached(buffer, keystore, signedAt);
+        storageKey = `signatures/${documentId}/${signatureId}.p7s`;
+        await this.storage.put(storageKey, signed.signature, { contentType: 'application/pkcs7-signature' });
+      }
+
+      // A detached signature leaves the bytes alone; its version only records the signing in the history
+      const version = await this.addVersion(documentId, {
+        operation: 'sign',
+        triggeredBy: options.triggeredBy || signatureData.signedBy,
+        file: mode === 'embedded' ? { originalname: document.name, mimetype: document.type, buffer: signed.buffer } : undefined,
+        metadata: { signatureId, mode, signedFromVersion: document.currentVersion }
+      });
+      if (!version) {
+        return null;
+      }
+
+      await documentRepository.addSignature({
+        id: signatureId,
+        documentId,
+        version: version.version,
+        mode,
+        storageKey,
+        signatureDigest: signed.digest,
+        signer,
+        signedBy: signatureData.signedBy,
+        reason: signatureData.reason,
+        location: signatureData.location,
+        triggeredBy: options.triggeredBy,
+        signedAt
+      });
+
       return {
         documentId,
-        signedDocumentId: uuidv4(),
-        signatureData: {
-          ...signatureData,
-          timestamp: new Date().toISOString(),
-          signatureId: uuidv4()
-        },
+        signedDocumentId: documentId,
+        version: version.version,
+        signatureId,
+        mode,
+        signer,
+        signedAt: signedAt.toISOString(),
+        signatureUrl: storageKey ? `/api/documents/${documentId}/signatures/${signatureId}` : null,
+        signatureData: { ...signatureData, signatureId, timestamp: signedAt.toISOString() },
         options,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
-      throw new Error(`Failed to sign document: ${error.message}`);
+      const wrapped = new Error(`Failed to sign document: ${error.message}`);
+      wrapped.status = error.status;
+      throw wrapped;
+    }
+  }
+
+  /**
+   * Get a detached signature made on a document
+   * @param {string} documentId - Document ID
+   * @param {string} signatureId - Signature ID
+   * @returns {Promise<Object|null>} The signature record and its DER bytes, or null if not found
+   */
+  async getSignature(documentId, signatureId) {
+    try {
+      const record = await documentRepository.findSignature(documentId, signatureId);
+      if (!record || !record.storageKey) {
+        return null;
+      }
+
+      const { storageKey, ...signature } = record;
+      return { signature, buffer: await this.storage.get(storageKey) };
+    } catch (error) {
+      throw new Error(`Failed to get signature: ${error.message}`);
     }
   }
 
   /**
-   * Verify a document's digital signature
+   * Verify the signatures on a document
+   * Every signature embedded in the file is checked, along with every signature recorded for the
+   * document up to the version being verified. Each is checked for integrity (the signed digest
+   * matches and the signer's key verifies it), for a signer certificate that chains to a trusted
+   * certificate and was valid at the signing time, and for changes made to the document after
+   * signing. Only the bytes are trusted; the records just say where to look and what to expect.
    * @param {string} documentId - ID of the document to verify
-   * @returns {Promise<Object>} Verification result
+   * @param {Object} options - Verification options
+   * @param {number} options.version - Version to verify (defaults to the current version)
+   * @returns {Promise<Object|null>} Whether the document is signed and every signature verified, with
+   *   a result per signature, or null if the document or version is not found
    */
-  async verifySignature(documentId) {
+  async verifySignature(documentId, options = {}) {
     try {
-      // In a real implementation, this would verify the digital signature
-      // For now, we'll simulate by returning a mock result
+      const document = await documentRepository.findById(documentId);
+      if (!document) {
+        return null;
+      }
+
+      const target = options.version !== undefined
+        ? await documentRepository.findVersion(documentId, options.version)
+        : { version: document.currentVersion, type: document.type, storageKey: document.storageKey };
+      if (!target) {
+        return null;
+      }
+
+      const buffer = await this.storage.get(target.storageKey);
+      const trust = signing.loadTrust(config.signing);
+      const records = (await documentRepository.listSignatures(documentId))
+        .filter(record => record.version <= target.version);
+      const signatures = [];
+
+      let embedded = [];
+      if (conversion.formatForType(target.type) === 'pdf') {
+        try {
+          embedded = await signing.findPdfSignatures(buffer);
+        } catch (error) {
+          // A file damaged after signing carries no readable signature; recorded signatures still report it
+          if (error.status !== 422) {
+            throw error;
+          }
+        }
+      }
+
+      const readVersion = async versionNumber => {
+        const version = await documentRepository.findVersion(documentId, versionNumber);
+        return version ? this.storage.get(version.storageKey) : null;
+      };
+
+      for (const entry of embedded) {
+        const record = records.find(candidate => candidate.mode === 'embedded' && candidate.signatureDigest === entry.digest);
+        signatures.push(describeVerification(signing.verifyPdfSignature(buffer, entry, trust), record, entry, target.version, trust.signer));
+      }
+
+      for (const record of records) {
+        if (record.mode === 'embedded') {
+          if (embedded.some(entry => entry.digest === record.signatureDigest)) {
+            continue;
+          }
+          // The signed file has since been replaced: the signature is checked where it was made
+          const signedBuffer = await readVersion(record.version);
+          const entry = signedBuffer && (await signing.findPdfSignatures(signedBuffer))
+            .find(candidate => candidate.digest === record.signatureDigest);
+          const result = entry
+            ? signing.verifyPdfSignature(signedBuffer, entry, trust)
+            : {
+              integrity: false,
+              trusted: false,
+              certificateValidAtSigning: false,
+              signer: null,
+              signedAt: null,
+              errors: [`Version ${record.version} no longer holds the recorded signature`]
+            };
+          result.modifiedAfterSigning = true;
+          result.errors.push(`Version ${target.version} does not contain the signature made on version ${record.version}`);
+          signatures.push(describeVerification(result, record, entry, target.version));
+          continue;
+        }
+
+        const signature = await this.storage.get(record.storageKey);
+        let result = signing.verifyDetached(signature, buffer, trust);
+        result.modifiedAfterSigning = false;
+        if (!result.integrity) {
+          // The signature may still hold for the bytes that were signed, in which case the document changed since
+          const signedBuffer = await readVersion(record.version);
+          const original = signedBuffer ? signing.verifyDetached(signature, signedBuffer, trust) : null;
+          result = original && original.integrity ? original : result;
+          result.modifiedAfterSigning = true;
+          result.errors.push(`Version ${target.version} differs from the signed version ${record.version}`);
+        }
+        signatures.push(describeVerification(result, record, null, target.version));
+      }
+
       return {
         documentId,
-        verified: true,
-        signatureData: {
-          signedBy: 'John Doe',
-          signedAt: '2025-03-15T10:30:00Z',
-          signatureId: uuidv4(),
-          valid: true
-        },
+        version: target.version,
+        signed: signatures.length > 0,
+        verified: signatures.length > 0 && signatures.every(signature => signature.valid),
+        signatures,
+        options,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
-      throw new Error(`Failed to verify signature: ${error.message}`);
+      const wrapped = new Error(`Failed to verify signature: ${error.message}`);
+      wrapped.status = error.status;
+      throw wrapped;
     }
   }
 
@@ -438,7 +1535,7 @@ class DocumentService {
       };
       
       // Upload the document
-      const uploadResult = await this.uploadDocument(file, metadata);
+      const uploadResult = await this.uploadDocument(file, metadata, { source });
       
       // Process the document based on source or type
       let processingResult = {};
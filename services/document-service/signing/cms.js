@@ -0,0 +1,292 @@
+/**
+ * CMS Signatures
+ * Creates detached PKCS#7 / CMS signatures with the organization key, and checks signatures:
+ * that they match the signed bytes, who made them, when, and whether their certificate chains to a trusted one
+ */
+
+const crypto = require('crypto');
+const forge = require('node-forge');
+const { describeCertificate } = require('./keystore');
+
+const { asn1 } = forge;
+const { oids } = forge.pki;
+
+const DIGEST_ALGORITHMS = {
+  [oids.sha1]: 'sha1',
+  [oids.sha256]: 'sha256',
+  [oids.sha384]: 'sha384',
+  [oids.sha512]: 'sha512'
+};
+// Signature algorithms Node verifies from the key alone; the digest comes from the signer info
+const SIGNATURE_ALGORITHMS = [
+  oids.rsaEncryption,
+  oids.sha1WithRSAEncryption,
+  oids.sha256WithRSAEncryption,
+  oids.sha384WithRSAEncryption,
+  oids.sha512WithRSAEncryption,
+  '1.2.840.10045.4.3.2',
+  '1.2.840.10045.4.3.3',
+  '1.2.840.10045.4.3.4'
+];
+const MAX_CHAIN_LENGTH = 10;
+// Signing times this far ahead of the verifier's clock are treated as clock drift rather than forgery
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * Sign bytes, producing a detached signature that carries the signing time and the signer's certificates
+ * @param {Buffer} content - Bytes to sign
+ * @param {Object} keystore - Loaded keystore
+ * @param {Date} signedAt - Signing time recorded in the signature
+ * @returns {Buffer} DER-encoded CMS SignedData
+ */
+function createSignature(content, keystore, signedAt) {
+  const p7 = forge.pkcs7.createSignedData();
+  p7.content = forge.util.createBuffer(content.toString('binary'));
+  [keystore.certificate, ...keystore.chain].forEach(certificate => p7.addCertificate(certificate));
+  p7.addSigner({
+    key: keystore.privateKey,
+    certificate: keystore.certificate,
+    digestAlgorithm: oids.sha256,
+    authenticatedAttributes: [
+      { type: oids.contentType, value: oids.data },
+      { type: oids.signingTime, value: signedAt },
+      { type: oids.messageDigest }
+    ]
+  });
+  p7.sign({ detached: true });
+  return Buffer.from(asn1.toDer(p7.toAsn1()).getBytes(), 'binary');
+}
+
+/**
+ * Encode an ASN.1 node as DER
+ * @param {Object} node - node-forge ASN.1 node
+ * @returns {Buffer} DER bytes
+ */
+function toDer(node) {
+  return Buffer.from(asn1.toDer(node).getBytes(), 'binary');
+}
+
+/**
+ * Check whether an ASN.1 node is a context-specific tag
+ * @param {Object} node - ASN.1 node
+ * @param {number} tag - Tag number
+ * @returns {boolean} Whether the node carries the tag
+ */
+function isContextTag(node, tag) {
+  return !!node && node.tagClass === asn1.Class.CONTEXT_SPECIFIC && node.type === tag;
+}
+
+/**
+ * Read the issuer name and serial number of a certificate without decoding its key,
+ * so certificates with any key type can be matched to a signer
+ * @param {Buffer} der - Certificate DER
+ * @returns {Object} Issuer DER and serial number in hex
+ */
+function certificateIdentity(der) {
+  const tbs = asn1.fromDer(der.toString('binary')).value[0].value;
+  const fields = isContextTag(tbs[0], 0) ? tbs.slice(1) : tbs;
+  return { issuer: toDer(fields[2]).toString('hex'), serial: normalizeSerial(forge.util.bytesToHex(fields[0].value)) };
+}
+
+/**
+ * Normalize a hex serial number for comparison
+ * @param {string} serial - Serial number in hex
+ * @returns {string} Upper-case hex without leading zeros
+ */
+function normalizeSerial(serial) {
+  return serial.replace(/^0+(?=.)/, '').toUpperCase();
+}
+
+/**
+ * Read the parts of a CMS SignedData needed to verify its first signer
+ * @param {Buffer} signature - DER-encoded CMS SignedData; trailing padding is ignored
+ * @returns {Object} Certificates, and the signer's issuer, serial, digest algorithm, signed attributes and signature
+ */
+function parseSignature(signature) {
+  const contentInfo = asn1.fromDer(signature.toString('binary'), { parseAllBytes: false });
+  if (asn1.derToOid(contentInfo.value[0].value) !== oids.signedData) {
+    throw new Error('not a CMS signed-data structure');
+  }
+
+  const signedData = contentInfo.value[1].value[0].value;
+  const certificates = signedData.filter(node => isContextTag(node, 0)).flatMap(node => node.value);
+  const signerInfos = signedData[signedData.length - 1].value;
+  if (signerInfos.length !== 1) {
+    throw new Error(`expected one signer, found ${signerInfos.length}`);
+  }
+
+  const [, signerIdentifier, digestAlgorithm, ...rest] = signerInfos[0].value;
+  if (signerIdentifier.type !== asn1.Type.SEQUENCE) {
+    throw new Error('signers identified by key identifier are not supported');
+  }
+  const attributes = isContextTag(rest[0], 0) ? rest.shift() : null;
+  const [signatureAlgorithm, signatureValue] = rest;
+
+  return {
+    certificates: certificates.map(toDer),
+    issuer: toDer(signerIdentifier.value[0]).toString('hex'),
+    serial: normalizeSerial(forge.util.bytesToHex(signerIdentifier.value[1].value)),
+    digestAlgorithm: asn1.derToOid(digestAlgorithm.value[0].value),
+    signatureAlgorithm: asn1.derToOid(signatureAlgorithm.value[0].value),
+    attributes,
+    signature: Buffer.from(signatureValue.value, 'binary')
+  };
+}
+
+/**
+ * Read the signed attributes of a signer
+ * @param {Object} attributes - [0] node holding the attributes
+ * @returns {Object} Content type, message digest and signing time, where present
+ */
+function readAttributes(attributes) {
+  const values = {};
+  attributes.value.forEach(attribute => {
+    const type = asn1.derToOid(attribute.value[0].value);
+    const value = attribute.value[1].value[0];
+    if (type === oids.contentType) {
+      values.contentType = asn1.derToOid(value.value);
+    } else if (type === oids.messageDigest) {
+      values.messageDigest = Buffer.from(value.value, 'binary');
+    } else if (type === oids.signingTime) {
+      values.signingTime = value.type === asn1.Type.UTCTIME ? asn1.utcTimeToDate(value.value) : asn1.generalizedTimeToDate(value.value);
+    }
+  });
+  return values;
+}
+
+/**
+ * Build the chain from a certificate to a trust anchor
+ * Only an anchor ends the chain; other certificates, whether carried in the signature or held in the
+ * keystore, can issue a link but are never trusted on their own.
+ * @param {X509Certificate} certificate - Signer certificate
+ * @param {Array<X509Certificate>} candidates - Certificates that may have issued it
+ * @param {Array<X509Certificate>} anchors - Trust anchors
+ * @returns {Object} The chain found, whether it ends at a trust anchor, and why not
+ */
+function buildChain(certificate, candidates, anchors) {
+  const isAnchor = cert => anchors.some(anchor => anchor.fingerprint256 === cert.fingerprint256);
+  const chain = [certificate];
+
+  while (!isAnchor(chain[chain.length - 1])) {
+    const current = chain[chain.length - 1];
+    if (chain.length >= MAX_CHAIN_LENGTH) {
+      return { chain, trusted: false, reason: 'Certificate chain is too long' };
+    }
+    const issuer = [...anchors, ...candidates].find(candidate =>
+      candidate.fingerprint256 !== current.fingerprint256 && current.checkIssued(candidate) && current.verify(candidate.publicKey));
+    if (!issuer) {
+      return { chain, trusted: false, reason: `Certificate of ${current.subject.replace(/\n/g, ', ')} is not issued by a trusted certificate` };
+    }
+    if (!issuer.ca) {
+      return { chain, trusted: false, reason: 'Certificate chain contains an issuer that is not a certificate authority' };
+    }
+    chain.push(issuer);
+  }
+
+  return { chain, trusted: true };
+}
+
+/**
+ * Verify a detached CMS signature over some bytes
+ * The signature is valid when the signed digest matches the bytes, the signer's key verifies the
+ * signed attributes, its certificate chains to a trusted certificate, and every certificate in that
+ * chain was valid at the signing time.
+ * @param {Buffer} signature - DER-encoded CMS SignedData
+ * @param {Buffer} content - Bytes the signature is meant to cover
+ * @param {Object} trust - Trust anchors and intermediate certificates: { anchors, intermediates }
+ * @returns {Object} { integrity, trusted, certificateValidAtSigning, contentMatches, signer, signedAt, digestAlgorithm, errors }
+ */
+function verifySignature(signature, content, trust) {
+  const result = {
+    integrity: false,
+    trusted: false,
+    certificateValidAtSigning: false,
+    contentMatches: false,
+    signer: null,
+    signedAt: null,
+    digestAlgorithm: null,
+    errors: []
+  };
+
+  let parsed;
+  try {
+    parsed = parseSignature(signature);
+  } catch (error) {
+    result.errors.push(`Signature could not be read: ${error.message}`);
+    return result;
+  }
+
+  const certificates = parsed.certificates.map(der => ({ der, x509: new crypto.X509Certificate(der) }));
+  const signerEntry = certificates.find(({ der }) => {
+    const identity = certificateIdentity(der);
+    return identity.serial === parsed.serial && identity.issuer === parsed.issuer;
+  });
+  if (!signerEntry) {
+    result.errors.push('Signature does not include the signer\'s certificate');
+    return result;
+  }
+  const signerCertificate = signerEntry.x509;
+  result.signer = describeCertificate(signerCertificate);
+
+  const digestAlgorithm = DIGEST_ALGORITHMS[parsed.digestAlgorithm];
+  if (!digestAlgorithm || !SIGNATURE_ALGORITHMS.includes(parsed.signatureAlgorithm)) {
+    result.errors.push(`Unsupported signature algorithm ${parsed.signatureAlgorithm} with digest ${parsed.digestAlgorithm}`);
+    return result;
+  }
+  result.digestAlgorithm = digestAlgorithm;
+
+  // Without signed attributes the signature covers the content directly, and carries no signing time
+  let signedBytes = content;
+  if (parsed.attributes) {
+    const attributes = readAttributes(parsed.attributes);
+    result.signedAt = attributes.signingTime ? attributes.signingTime.toISOString() : null;
+
+    const digest = crypto.createHash(digestAlgorithm).update(content).digest();
+    result.contentMatches = !!attributes.messageDigest && attributes.messageDigest.equals(digest);
+    if (!result.contentMatches) {
+      result.errors.push('Document content does not match the signed digest');
+    }
+    if (attributes.contentType !== oids.data) {
+      result.errors.push('Signed content type is not data');
+    }
+    // The signature is computed over the attributes encoded as a SET, not with their [0] tag
+    signedBytes = toDer(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, parsed.attributes.value));
+  }
+
+  const signatureMatches = crypto.verify(digestAlgorithm, signedBytes, signerCertificate.publicKey, parsed.signature);
+  if (!parsed.attributes) {
+    result.contentMatches = signatureMatches;
+  }
+  if (!signatureMatches) {
+    result.errors.push('Signature does not verify with the signer\'s certificate');
+  }
+  result.integrity = signatureMatches && result.errors.length === 0;
+
+  const chain = buildChain(signerCertificate, [...certificates.map(({ x509 }) => x509), ...trust.intermediates], trust.anchors);
+  result.trusted = chain.trusted;
+  if (!chain.trusted) {
+    result.errors.push(chain.reason);
+  }
+
+  if (!result.signedAt) {
+    result.errors.push('Signature does not record when it was made');
+  } else {
+    const signedAt = new Date(result.signedAt);
+    if (signedAt.getTime() > Date.now() + CLOCK_SKEW_MS) {
+      result.errors.push('Signing time is in the future');
+    }
+    const expired = chain.chain.find(certificate =>
+      signedAt < new Date(certificate.validFrom) || signedAt > new Date(certificate.validTo));
+    if (expired) {
+      result.errors.push(`Certificate of ${expired.subject.replace(/\n/g, ', ')} was not valid at the signing time`);
+    }
+    result.certificateValidAtSigning = !expired && signedAt.getTime() <= Date.now() + CLOCK_SKEW_MS;
+  }
+
+  return result;
+}
+
+module.exports = {
+  createSignature,
+  verifySignature
+};
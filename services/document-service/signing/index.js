@@ -0,0 +1,236 @@
+/**
+ * Document Signing
+ * Signs documents with the organization's key: PDFs get a signature embedded in the file, anything
+ * else a detached signature kept beside it. Verification works from the bytes alone, so a stored
+ * record can never make a tampered document look signed.
+ */
+
+const crypto = require('crypto');
+const { PDFDict, PDFName, PDFArray, PDFDocument } = require('pdf-lib');
+const { SignPdf, Signer } = require('@signpdf/signpdf');
+const { pdflibAddPlaceholder } = require('@signpdf/placeholder-pdf-lib');
+const { loadPdf } = require('../pdf');
+const { createError } = require('../../errors');
+const cms = require('./cms');
+const { describeCertificate, loadKeystore, loadTrust, toX509 } = require('./keystore');
+
+const SIGNATURE_MODES = ['embedded', 'detached'];
+// Room left in the placeholder for the signature itself and its signed attributes, beyond the certificates
+const SIGNATURE_OVERHEAD = 4096;
+
+/**
+ * Signs the byte ranges @signpdf prepares with the keystore, keeping the signature it made
+ */
+class KeystoreSigner extends Signer {
+  constructor(keystore, signedAt) {
+    super();
+    this.keystore = keystore;
+    this.signedAt = signedAt;
+    this.signature = null;
+  }
+
+  async sign(content) {
+    this.signature = cms.createSignature(content, this.keystore, this.signedAt);
+    return this.signature;
+  }
+}
+
+/**
+ * Find the length of a DER structure from its header
+ * @param {Buffer} der - Bytes starting with a DER structure, possibly followed by padding
+ * @returns {number} Length of the structure including its header
+ */
+function derLength(der) {
+  if (der.length < 2 || der[1] < 0x80) {
+    return Math.min(2 + (der[1] || 0), der.length);
+  }
+  const lengthBytes = der[1] & 0x7f;
+  const length = der.subarray(2, 2 + lengthBytes).reduce((total, byte) => total * 256 + byte, 0);
+  return Math.min(2 + lengthBytes + length, der.length);
+}
+
+/**
+ * Fingerprint a signature, so a signature found in a file can be matched to the record of its signing
+ * @param {Buffer} signature - DER-encoded signature
+ * @returns {string} SHA-256 in hex
+ */
+function signatureDigest(signature) {
+  return crypto.createHash('sha256').update(signature).digest('hex');
+}
+
+/**
+ * Read a text entry of a signature dictionary
+ * @param {PDFDict} dict - Signature dictionary
+ * @param {string} key - Entry name
+ * @returns {string|null} Text, or null if absent
+ */
+function dictText(dict, key) {
+  const value = dict.lookup(PDFName.of(key));
+  return value && typeof value.decodeText === 'function' ? value.decodeText() : null;
+}
+
+/**
+ * Find the signatures embedded in a PDF
+ * The signed bytes and the signature are read from the file through each signature's byte range,
+ * never from the parsed document, so they are exactly what the signer covered.
+ * @param {Buffer} buffer - PDF bytes
+ * @returns {Promise<Array<Object>>} Signatures: { byteRange, signature, digest, name, reason, location, problem }
+ *   where problem describes a byte range that does not describe a valid signed file
+ */
+async function findPdfSignatures(buffer) {
+  let pdf;
+  try {
+    pdf = await PDFDocument.load(buffer, { ignoreEncryption: true, updateMetadata: false });
+  } catch (error) {
+    throw createError(`Document is not a valid PDF: ${error.message}`, 422);
+  }
+
+  const signatures = [];
+  for (const [, object] of pdf.context.enumerateIndirectObjects()) {
+    const byteRange = object instanceof PDFDict && object.lookup(PDFName.of('ByteRange'));
+    if (!(byteRange instanceof PDFArray) || !object.has(PDFName.of('Contents'))) {
+      continue;
+    }
+
+    const range = byteRange.asArray().map(value => (typeof value.asNumber === 'function' ? value.asNumber() : NaN));
+    const entry = {
+      byteRange: range,
+      signature: null,
+      digest: null,
+      name: dictText(object, 'Name'),
+      reason: dictText(object, 'Reason'),
+      location: dictText(object, 'Location'),
+      problem: null
+    };
+
+    const [start, gapStart, gapEnd, tailLength] = range;
+    const hex = range.length === 4 && range.every(Number.isInteger) && gapEnd > gapStart
+      ? buffer.subarray(gapStart, gapEnd).toString('latin1')
+      : '';
+    if (start !== 0 || gapEnd + tailLength > buffer.length || !/^<[0-9A-Fa-f]*>$/.test(hex)) {
+      entry.problem = 'Signature byte range does not match the file';
+    } else {
+      const padded = Buffer.from(hex.slice(1, -1), 'hex');
+      entry.signature = padded.subarray(0, derLength(padded));
+      entry.digest = signatureDigest(entry.signature);
+    }
+    signatures.push(entry);
+  }
+
+  return signatures;
+}
+
+/**
+ * Embed a signature in a PDF
+ * The PDF is rewritten with a signature field, so it cannot already carry signatures that the
+ * rewrite would break.
+ * @param {Buffer} buffer - PDF bytes
+ * @param {Object} keystore - Loaded keystore
+ * @param {Object} details - Signature details
+ * @param {Date} details.signedAt - Signing time, to the second
+ * @param {string} details.name - Name shown as the signer
+ * @param {string} details.reason - Reason for signing (optional)
+ * @param {string} details.location - Where the document was signed (optional)
+ * @param {string} details.contactInfo - How to reach the signer (optional)
+ * @returns {Promise<Object>} Signed PDF bytes and the signature
+ */
+async function signPdf(buffer, keystore, details) {
+  const pdf = await loadPdf(buffer);
+  if ((await findPdfSignatures(buffer)).length > 0) {
+    throw createError('Document already has an embedded signature, which signing it again would break; sign it with mode "detached"', 409);
+  }
+
+  const certificateBytes = [keystore.certificate, ...keystore.chain]
+    .reduce((total, certificate) => total + toX509(certificate).raw.length, 0);
+  pdflibAddPlaceholder({
+    pdfDoc: pdf,
+    name: details.name,
+    reason: details.reason || '',
+    location: details.location || '',
+    contactInfo: details.contactInfo || '',
+    signingTime: details.signedAt,
+    signatureLength: 2 * (certificateBytes + SIGNATURE_OVERHEAD)
+  });
+
+  // The placeholder is found by searching the bytes, so the signature dictionary must not be compressed
+  const prepared = Buffer.from(await pdf.save({ useObjectStreams: false }));
+  const signer = new KeystoreSigner(keystore, details.signedAt);
+  const signed = await new SignPdf().sign(prepared, signer);
+
+  return { buffer: signed, signature: signer.signature, digest: signatureDigest(signer.signature) };
+}
+
+/**
+ * Create a detached signature over a document's bytes
+ * @param {Buffer} buffer - Document bytes
+ * @param {Object} keystore - Loaded keystore
+ * @param {Date} signedAt - Signing time, to the second
+ * @returns {Object} DER-encoded signature and its digest
+ */
+function signDetached(buffer, keystore, signedAt) {
+  const signature = cms.createSignature(buffer, keystore, signedAt);
+  return { signature, digest: signatureDigest(signature) };
+}
+
+/**
+ * Verify a signature embedded in a PDF
+ * Signed bytes that no longer match, or bytes added after the signed range, mean the file was
+ * changed after signing; added bytes leave the signature itself intact.
+ * @param {Buffer} buffer - PDF bytes
+ * @param {Object} entry - Signature found by findPdfSignatures
+ * @param {Object} trust - Anchors and intermediate certificates from loadTrust
+ * @returns {Object} Verification of the signature, with whether it covers the whole file
+ */
+function verifyPdfSignature(buffer, entry, trust) {
+  if (entry.problem) {
+    return {
+      integrity: false,
+      trusted: false,
+      certificateValidAtSigning: false,
+      contentMatches: false,
+      signer: null,
+      signedAt: null,
+      digestAlgorithm: null,
+      coversWholeDocument: false,
+      modifiedAfterSigning: true,
+      errors: [entry.problem]
+    };
+  }
+
+  const [, gapStart, gapEnd, tailLength] = entry.byteRange;
+  const signedEnd = gapEnd + tailLength;
+  const signedBytes = Buffer.concat([buffer.subarray(0, gapStart), buffer.subarray(gapEnd, signedEnd)]);
+  const result = cms.verifySignature(entry.signature, signedBytes, trust);
+
+  // Some writers end the file with a newline after the signed range; that is not a change
+  const coversWholeDocument = buffer.subarray(signedEnd).toString('latin1').trim() === '';
+  if (!coversWholeDocument) {
+    result.errors.push(`${buffer.length - signedEnd} bytes were added to the file after it was signed`);
+  }
+
+  return { ...result, coversWholeDocument, modifiedAfterSigning: !coversWholeDocument || !result.contentMatches };
+}
+
+/**
+ * Verify a detached signature over a document's bytes
+ * @param {Buffer} signature - DER-encoded signature
+ * @param {Buffer} buffer - Document bytes
+ * @param {Object} trust - Anchors and intermediate certificates from loadTrust
+ * @returns {Object} Verification of the signature
+ */
+function verifyDetached(signature, buffer, trust) {
+  return cms.verifySignature(signature, buffer, trust);
+}
+
+module.exports = {
+  SIGNATURE_MODES,
+  describeCertificate,
+  findPdfSignatures,
+  loadKeystore,
+  loadTrust,
+  signatureDigest,
+  signDetached,
+  signPdf,
+  verifyDetached,
+  verifyPdfSignature
+};
@@ -0,0 +1,149 @@
+/**
+ * Signing Keystore
+ * Loads the organization's signing key and certificate from a PKCS#12 file, and the certificates
+ * a signature has to chain to before it is trusted
+ */
+
+const fs = require('fs');
+const { X509Certificate } = require('crypto');
+const forge = require('node-forge');
+const { createError } = require('../../errors');
+
+const PEM_CERTIFICATE = /-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g;
+
+/**
+ * Convert a node-forge certificate to a Node certificate
+ * @param {Object} certificate - node-forge certificate
+ * @returns {X509Certificate} Certificate
+ */
+function toX509(certificate) {
+  return new X509Certificate(Buffer.from(forge.asn1.toDer(forge.pki.certificateToAsn1(certificate)).getBytes(), 'binary'));
+}
+
+/**
+ * Read one attribute of a distinguished name as Node prints it
+ * @param {string} name - Distinguished name, one 'KEY=value' per line
+ * @param {string} key - Attribute such as 'CN' or 'O'
+ * @returns {string|null} Attribute value, or null if the name does not have it
+ */
+function nameAttribute(name, key) {
+  const line = (name || '').split('\n').find(entry => entry.startsWith(`${key}=`));
+  return line ? line.slice(key.length + 1) : null;
+}
+
+/**
+ * Describe a certificate's holder and issuer
+ * @param {X509Certificate} certificate - Certificate
+ * @returns {Object} Common name, organization, email, serial number, SHA-256 fingerprint, validity and issuer
+ */
+function describeCertificate(certificate) {
+  return {
+    commonName: nameAttribute(certificate.subject, 'CN'),
+    organization: nameAttribute(certificate.subject, 'O'),
+    organizationalUnit: nameAttribute(certificate.subject, 'OU'),
+    email: nameAttribute(certificate.subject, 'emailAddress'),
+    serialNumber: certificate.serialNumber,
+    fingerprint: certificate.fingerprint256,
+    validFrom: new Date(certificate.validFrom).toISOString(),
+    validTo: new Date(certificate.validTo).toISOString(),
+    issuer: {
+      commonName: nameAttribute(certificate.issuer, 'CN'),
+      organization: nameAttribute(certificate.issuer, 'O')
+    }
+  };
+}
+
+/**
+ * Read the certificates of a PEM bundle
+ * @param {string} filePath - Bundle path
+ * @returns {Array<X509Certificate>} Certificates
+ */
+function readCertificateBundle(filePath) {
+  let pem;
+  try {
+    pem = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw createError(`Trusted certificates could not be read: ${error.message}`, 500);
+  }
+  return (pem.match(PEM_CERTIFICATE) || []).map(block => new X509Certificate(block));
+}
+
+/**
+ * Load the signing key and certificates from the configured PKCS#12 keystore
+ * The keystore holds one RSA private key, its certificate and optionally the certificates of the
+ * authorities that issued it.
+ * @param {Object} settings - Signing configuration
+ * @param {string} settings.keystorePath - PKCS#12 (.p12 / .pfx) file
+ * @param {string} settings.keystorePassword - Keystore password
+ * @returns {Object} { privateKey (node-forge), certificate (node-forge), chain (node-forge issuers), signer (X509Certificate) }
+ */
+function loadKeystore(settings) {
+  if (!settings.keystorePath) {
+    throw createError('Document signing is not configured: set SIGNING_KEYSTORE_PATH to a PKCS#12 keystore', 503);
+  }
+
+  let p12;
+  try {
+    const der = fs.readFileSync(settings.keystorePath).toString('binary');
+    p12 = forge.pkcs12.pkcs12FromAsn1(forge.asn1.fromDer(der), false, settings.keystorePassword || '');
+  } catch (error) {
+    throw createError(`Signing keystore could not be opened: ${error.message}`, 500);
+  }
+
+  const keyBags = [
+    ...(p12.getBags({ bagType: forge.pki.oids.pkcs8ShroudedKeyBag })[forge.pki.oids.pkcs8ShroudedKeyBag] || []),
+    ...(p12.getBags({ bagType: forge.pki.oids.keyBag })[forge.pki.oids.keyBag] || [])
+  ];
+  const certificates = (p12.getBags({ bagType: forge.pki.oids.certBag })[forge.pki.oids.certBag] || [])
+    .map(bag => bag.cert)
+    .filter(Boolean);
+
+  if (keyBags.length !== 1 || !keyBags[0].key) {
+    throw createError(`Signing keystore must hold exactly one RSA private key; found ${keyBags.length}`, 500);
+  }
+
+  const privateKey = keyBags[0].key;
+  const certificate = certificates.find(candidate =>
+    candidate.publicKey.n && candidate.publicKey.n.equals(privateKey.n) && candidate.publicKey.e.equals(privateKey.e));
+  if (!certificate) {
+    throw createError('Signing keystore has no certificate for its private key', 500);
+  }
+
+  return {
+    privateKey,
+    certificate,
+    chain: certificates.filter(candidate => candidate !== certificate),
+    signer: toX509(certificate)
+  };
+}
+
+/**
+ * Load what signatures are checked against: the anchors a signer's chain must end at, which are the
+ * keystore's own signing certificate and the configured trusted certificates (so signatures made with
+ * an earlier key still verify after it is replaced), and the keystore's issuer certificates, which
+ * only help build a chain to an anchor and are never trusted themselves
+ * @param {Object} settings - Signing configuration
+ * @param {string} settings.keystorePath - PKCS#12 file (optional)
+ * @param {string} settings.trustedCertificatesPath - PEM bundle of further trusted certificates (optional)
+ * @returns {Object} { anchors, intermediates, signer }: X509Certificates; signer is null without a keystore
+ */
+function loadTrust(settings) {
+  const trust = { anchors: [], intermediates: [], signer: null };
+  if (settings.keystorePath) {
+    const keystore = loadKeystore(settings);
+    trust.signer = keystore.signer;
+    trust.anchors.push(keystore.signer);
+    trust.intermediates.push(...keystore.chain.map(toX509));
+  }
+  if (settings.trustedCertificatesPath) {
+    trust.anchors.push(...readCertificateBundle(settings.trustedCertificatesPath));
+  }
+  return trust;
+}
+
+module.exports = {
+  describeCertificate,
+  loadKeystore,
+  loadTrust,
+  toX509
+};
@@ -0,0 +1,68 @@
+/**
+ * Storage Driver Interface
+ * Base class every document storage backend extends
+ */
+
+class StorageDriver {
+  /**
+   * Store bytes under a key, replacing any existing object
+   * @param {string} key - Storage key
+   * @param {Buffer} buffer - Bytes to store
+   * @param {Object} options - Put options
+   * @param {string} options.contentType - MIME type of the bytes (optional)
+   * @returns {Promise<void>}
+   */
+  async put(key, buffer, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement put`);
+  }
+
+  /**
+   * Read the bytes stored under a key
+   * @param {string} key - Storage key
+   * @returns {Promise<Buffer>} Stored bytes
+   */
+  async get(key) {
+    throw new Error(`${this.constructor.name} does not implement get`);
+  }
+
+  /**
+   * Open a readable stream over the bytes stored under a key
+   * @param {string} key - Storage key
+   * @returns {Promise<Readable>} Readable stream
+   */
+  async stream(key) {
+    throw new Error(`${this.constructor.name} does not implement stream`);
+  }
+
+  /**
+   * Delete the object stored under a key; missing objects are ignored
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    throw new Error(`${this.constructor.name} does not implement delete`);
+  }
+
+  /**
+   * Check whether an object exists
+   * @param {string} key - Storage key
+   * @returns {Promise<boolean>} True if the object exists
+   */
+  async exists(key) {
+    throw new Error(`${this.constructor.name} does not implement exists`);
+  }
+
+  /**
+   * Create the error raised when a key has no stored object
+   * @param {string} key - Storage key
+   * @returns {Error} Error with a 404 status
+   */
+  notFound(key) {
+    const error = new Error(`Stored object ${key} not found`);
+    error.status = 404;
+    error.code = 'NOT_FOUND';
+    return error;
+  }
+}
+
+module.exports = StorageDriver;
@@ -0,0 +1,33 @@
+/**
+ * Storage Drivers
+ * Selects the document storage backend from configuration
+ */
+
+const LocalStorageDriver = require('./localDriver');
+const MemoryStorageDriver = require('./memoryDriver');
+const S3StorageDriver = require('./s3Driver');
+
+/**
+ * Create the storage driver for a storage configuration
+ * @param {Object} storageConfig - Storage configuration (config.storage)
+ * @returns {StorageDriver} Storage driver
+ */
+function createStorageDriver(storageConfig) {
+  switch (storageConfig.type) {
+    case 'local':
+      return new LocalStorageDriver(storageConfig.local);
+    case 'memory':
+      return new MemoryStorageDriver();
+    case 's3':
+      return new S3StorageDriver(storageConfig.s3);
+    default:
+      throw new Error(`Unsupported storage type: ${storageConfig.type}`);
+  }
+}
+
+module.exports = {
+  createStorageDriver,
+  LocalStorageDriver,
+  MemoryStorageDriver,
+  S3StorageDriver
+};
@@ -0,0 +1,74 @@
+/**
+ * Local Storage Driver
+ * Stores document bytes on the local filesystem
+ */
+
+const fs = require('fs');
+const path = require('path');
+const StorageDriver = require('./baseDriver');
+
+class LocalStorageDriver extends StorageDriver {
+  /**
+   * @param {Object} options - Driver options
+   * @param {string} options.uploadDir - Root directory for stored objects
+   */
+  constructor(options) {
+    super();
+    this.root = path.resolve(options.uploadDir);
+  }
+
+  /**
+   * Resolve a key to a path inside the root directory
+   * @param {string} key - Storage key
+   * @returns {string} Absolute file path
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+  }
+
+  async get(key) {
+    try {
+      return await fs.promises.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw this.notFound(key);
+      }
+      throw error;
+    }
+  }
+
+  async stream(key) {
+    if (!(await this.exists(key))) {
+      throw this.notFound(key);
+    }
+    return fs.createReadStream(this.resolve(key));
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+
+  async exists(key) {
+    try {
+      const stats = await fs.promises.stat(this.resolve(key));
+      return stats.isFile();
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = LocalStorageDriver;
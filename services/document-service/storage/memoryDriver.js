@@ -0,0 +1,41 @@
+/**
+ * Memory Storage Driver
+ * Keeps document bytes in process memory; intended for tests and local demos
+ */
+
+const { Readable } = require('stream');
+const StorageDriver = require('./baseDriver');
+
+class MemoryStorageDriver extends StorageDriver {
+  constructor() {
+    super();
+    this.objects = new Map();
+  }
+
+  async put(key, buffer, options = {}) {
+    // Copy so later changes to the caller's buffer do not alter the stored object
+    this.objects.set(key, { buffer: Buffer.from(buffer), contentType: options.contentType || null });
+  }
+
+  async get(key) {
+    const object = this.objects.get(key);
+    if (!object) {
+      throw this.notFound(key);
+    }
+    return Buffer.from(object.buffer);
+  }
+
+  async stream(key) {
+    return Readable.from([await this.get(key)]);
+  }
+
+  async delete(key) {
+    this.objects.delete(key);
+  }
+
+  async exists(key) {
+    return this.objects.has(key);
+  }
+}
+
+module.exports = MemoryStorageDriver;
@@ -0,0 +1,250 @@
+/**
+ * S3 Storage Driver
+ * Stores document bytes in Amazon S3 or an S3-compatible service such as MinIO,
+ * signing requests with AWS Signature Version 4
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const StorageDriver = require('./baseDriver');
+
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+/**
+ * Hex-encoded SHA-256 digest
+ * @param {string|Buffer} data - Data to hash
+ * @returns {string} Hex digest
+ */
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * HMAC-SHA256
+ * @param {string|Buffer} key - HMAC key
+ * @param {string} data - Data to sign
+ * @returns {Buffer} HMAC digest
+ */
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * Encode a URI component as S3 expects (RFC 3986)
+ * @param {string} value - Value to encode
+ * @returns {string} Encoded value
+ */
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Sign a request with AWS Signature Version 4
+ * @param {Object} request - Request to sign
+ * @param {string} request.method - HTTP method
+ * @param {string} request.path - Encoded request path
+ * @param {Object} request.headers - Headers to sign; must include host
+ * @param {string} request.payloadHash - Hex SHA-256 of the body
+ * @param {Object} credentials - Access key, secret key and region
+ * @param {Date} date - Signing time
+ * @returns {string} Authorization header value
+ */
+function signRequest(request, credentials, date) {
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const shortDate = amzDate.slice(0, 8);
+  const scope = `${shortDate}/${credentials.region}/s3/aws4_request`;
+
+  const headerNames = Object.keys(request.headers).map(name => name.toLowerCase()).sort();
+  const lowerHeaders = Object.fromEntries(
+    Object.entries(request.headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])
+  );
+  const canonicalHeaders = headerNames.map(name => `${name}:${lowerHeaders[name]}\n`).join('');
+  const signedHeaders = headerNames.join(';');
+
+  const canonicalRequest = [
+    request.method,
+    request.path,
+    '',
+    canonicalHeaders,
+    signedHeaders,
+    request.payloadHash
+  ].join('\n');
+
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${credentials.secretAccessKey}`, shortDate), credentials.region)
+  );
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+}
+
+class S3StorageDriver extends StorageDriver {
+  /**
+   * @param {Object} options - Driver options
+   * @param {string} options.bucket - Bucket name
+   * @param {string} options.region - Bucket region
+   * @param {string} options.accessKeyId - Access key ID
+   * @param {string} options.secretAccessKey - Secret access key
+   * @param {string} options.endpoint - Service endpoint, e.g. http://localhost:9000 for MinIO (optional)
+   * @param {boolean} options.forcePathStyle - Address the bucket in the path instead of the host name (optional)
+   */
+  constructor(options) {
+    super();
+
+    if (!options.bucket) {
+      throw new Error('S3 storage requires a bucket');
+    }
+
+    this.bucket = options.bucket;
+    this.credentials = {
+      accessKeyId: options.accessKeyId,
+      secretAccessKey: options.secretAccessKey,
+      region: options.region || 'us-east-1'
+    };
+
+    // Custom endpoints (MinIO and friends) rarely support virtual-hosted buckets
+    this.forcePathStyle = options.forcePathStyle || !!options.endpoint;
+    const endpoint = new URL(options.endpoint || `https://s3.${this.credentials.region}.amazonaws.com`);
+    this.protocol = endpoint.protocol;
+    this.host = this.forcePathStyle ? endpoint.host : `${this.bucket}.${endpoint.host}`;
+
+    this.client = axios.create({
+      // Let callers inspect 404s instead of treating every non-2xx as an exception
+      validateStatus: () => true,
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity
+    });
+  }
+
+  /**
+   * Build the encoded request path for a key
+   * @param {string} key - Storage key
+   * @returns {string} Encoded path
+   */
+  objectPath(key) {
+    const encodedKey = key.split('/').map(encodeRfc3986).join('/');
+    return this.forcePathStyle ? `/${encodeRfc3986(this.bucket)}/${encodedKey}` : `/${encodedKey}`;
+  }
+
+  /**
+   * Send a signed request for an object
+   * @param {string} method - HTTP method
+   * @param {string} key - Storage key
+   * @param {Object} options - Request options
+   * @param {Buffer} options.body - Request body (optional)
+   * @param {string} options.contentType - Body MIME type (optional)
+   * @param {string} options.responseType - Axios response type (optional)
+   * @returns {Promise<Object>} Axios response
+   */
+  async request(method, key, options = {}) {
+    const requestPath = this.objectPath(key);
+    const payloadHash = options.body ? sha256(options.body) : EMPTY_PAYLOAD_HASH;
+    const date = new Date();
+    const headers = {
+      host: this.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': date.toISOString().replace(/[:-]|\.\d{3}/g, '')
+    };
+
+    if (options.contentType) {
+      headers['content-type'] = options.contentType;
+    }
+
+    headers.authorization = signRequest(
+      { method, path: requestPath, headers: { ...headers }, payloadHash },
+      this.credentials,
+      date
+    );
+
+    // Node sets the Host header itself from the URL
+    delete headers.host;
+
+    return this.client.request({
+      method,
+      url: `${this.protocol}//${this.host}${requestPath}`,
+      headers,
+      data: options.body,
+      responseType: options.responseType || 'arraybuffer'
+    });
+  }
+
+  /**
+   * Turn an unexpected S3 response into an error
+   * @param {Object} response - Axios response
+   * @param {string} action - Action being performed
+   * @param {string} key - Storage key
+   * @returns {Error} Error describing the failure
+   */
+  responseError(response, action, key) {
+    const body = Buffer.isBuffer(response.data) ? response.data.toString('utf8') : '';
+    const code = (body.match(/<Code>([^<]+)<\/Code>/) || [])[1] || `HTTP ${response.status}`;
+    return new Error(`S3 ${action} of ${key} failed: ${code}`);
+  }
+
+  async put(key, buffer, options = {}) {
+    const response = await this.request('PUT', key, {
+      body: buffer,
+      contentType: options.contentType || 'application/octet-stream'
+    });
+
+    if (response.status !== 200) {
+      throw this.responseError(response, 'put', key);
+    }
+  }
+
+  async get(key) {
+    const response = await this.request('GET', key);
+
+    if (response.status === 404) {
+      throw this.notFound(key);
+    }
+
+    if (response.status !== 200) {
+      throw this.responseError(response, 'get', key);
+    }
+
+    return Buffer.from(response.data);
+  }
+
+  async stream(key) {
+    const response = await this.request('GET', key, { responseType: 'stream' });
+
+    if (response.status !== 200) {
+      response.data.destroy();
+      if (response.status === 404) {
+        throw this.notFound(key);
+      }
+      throw new Error(`S3 get of ${key} failed: HTTP ${response.status}`);
+    }
+
+    return response.data;
+  }
+
+  async delete(key) {
+    const response = await this.request('DELETE', key);
+
+    // S3 answers 204 whether or not the object existed
+    if (response.status !== 204 && response.status !== 200 && response.status !== 404) {
+      throw this.responseError(response, 'delete', key);
+    }
+  }
+
+  async exists(key) {
+    const response = await this.request('HEAD', key);
+
+    if (response.status === 200) {
+      return true;
+    }
+
+    if (response.status === 404) {
+      return false;
+    }
+
+    throw new Error(`S3 exists check of ${key} failed: HTTP ${response.status}`);
+  }
+}
+
+module.exports = S3StorageDriver;
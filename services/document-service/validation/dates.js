@@ -0,0 +1,114 @@
+/**
+ * Date Finder
+ * Finds written dates in text (2024-03-15, 03/15/2024, March 15, 2024, 15th of March 2024) with
+ * any weekday written before them, and checks them against the calendar
+ */
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october',
+  'november', 'december'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const MONTH_NAME = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const DAY = '(\\d{1,2})(?:st|nd|rd|th)?';
+const WEEKDAY_BEFORE = /\b(sun|mon|tue|tues|wed|thu|thur|thurs|fri|sat)(?:day|nesday|sday|urday|rsday)?\.?,?\s+$/i;
+
+const DATE_PATTERNS = [
+  { regex: /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g, parts: match => ({ year: match[1], month: match[2], day: match[3] }) },
+  { regex: /\b(\d{1,2})[/.](\d{1,2})[/.](\d{4})\b/g, numeric: true },
+  { regex: new RegExp(`\\b${MONTH_NAME}\\s+${DAY},?\\s+(\\d{4})\\b`, 'gi'), parts: match => ({ year: match[3], month: match[1], day: match[2] }) },
+  { regex: new RegExp(`\\b${DAY}(?:\\s+of)?\\s+${MONTH_NAME},?\\s+(\\d{4})\\b`, 'gi'), parts: match => ({ year: match[3], month: match[2], day: match[1] }) }
+];
+
+/**
+ * Turn a month name or number into a month number
+ * @param {string} month - Month name, abbreviation or number
+ * @returns {number} Month from 1 to 12, or NaN
+ */
+function monthNumber(month) {
+  if (/^\d+$/.test(month)) {
+    return parseInt(month, 10);
+  }
+  const prefix = month.toLowerCase().replace(/\.$/, '').slice(0, 3);
+  return MONTHS.findIndex(name => name.startsWith(prefix)) + 1 || NaN;
+}
+
+/**
+ * Build a calendar date, if the parts name one
+ * @param {number} year - Year
+ * @param {number} month - Month from 1 to 12
+ * @param {number} day - Day of the month
+ * @returns {Date|null} UTC midnight of the date, or null if there is no such day
+ */
+function calendarDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+}
+
+/**
+ * Find the dates written in a text
+ * @param {string} text - Text to search
+ * @param {Object} options - Finder options
+ * @param {string} options.dateOrder - Order of numeric dates: 'mdy' (default) or 'dmy'
+ * @returns {Array<Object>} Dates in text order: { text, start, end, date (null if not a real day), weekday, weekdayMatches }
+ */
+function findDates(text, options = {}) {
+  const found = [];
+
+  for (const pattern of DATE_PATTERNS) {
+    pattern.regex.lastIndex = 0;
+    let match;
+    while ((match = pattern.regex.exec(text)) !== null) {
+      const parts = pattern.numeric
+        ? (options.dateOrder === 'dmy' ? { day: match[1], month: match[2], year: match[3] } : { month: match[1], day: match[2], year: match[3] })
+        : pattern.parts(match);
+      found.push({
+        start: match.index,
+        end: match.index + match[0].length,
+        year: parseInt(parts.year, 10),
+        month: monthNumber(parts.month),
+        day: parseInt(parts.day, 10)
+      });
+    }
+  }
+
+  // Patterns can overlap (a numeric date inside a longer one); the first and longest match wins
+  found.sort((a, b) => a.start - b.start || b.end - a.end);
+  const dates = [];
+  for (const candidate of found) {
+    if (dates.length > 0 && candidate.start < dates[dates.length - 1].end) {
+      continue;
+    }
+
+    const date = calendarDate(candidate.year, candidate.month, candidate.day);
+    const before = WEEKDAY_BEFORE.exec(text.slice(Math.max(candidate.start - 12, 0), candidate.start));
+    const start = before ? candidate.start - before[0].length : candidate.start;
+    const weekday = before ? WEEKDAYS.findIndex(name => name.startsWith(before[1].toLowerCase().slice(0, 3))) : null;
+
+    dates.push({
+      text: text.slice(start, candidate.end),
+      start,
+      end: candidate.end,
+      date,
+      weekday: weekday === null ? null : WEEKDAYS[weekday],
+      weekdayMatches: weekday === null || !date ? null : date.getUTCDay() === weekday
+    });
+  }
+
+  return dates;
+}
+
+/**
+ * Name the weekday of a date
+ * @param {Date} date - UTC date
+ * @returns {string} Weekday name, capitalized
+ */
+function weekdayName(date) {
+  const name = WEEKDAYS[date.getUTCDay()];
+  return name[0].toUpperCase() + name.slice(1);
+}
+
+module.exports = {
+  calendarDate,
+  findDates,
+  weekdayName
+};
@@ -0,0 +1,117 @@
+/**
+ * Validation Document Model
+ * Wraps extracted text with its sections, and turns character offsets into the line, column,
+ * page and section a reader would look at
+ */
+
+const { looksLikeHeading } = require('../comparison/diff');
+
+const DEFAULT_HEADING_LEVEL = 2;
+const LINE_PATTERN = /[^\n]+/g;
+const HEADING_PREFIX = /^(?:(?:section|article|part|chapter|schedule)\s+)?(?:\d+(?:\.\d+)*[.):]?|[IVXLC]+[.):]|[A-Z][.)])\s+/i;
+
+/**
+ * Normalize a heading for comparison: numbering, letter case, quote styles, spacing and a closing colon are ignored
+ * @param {string} text - Heading text
+ * @returns {string} Normalized heading
+ */
+function normalizeHeading(text) {
+  return String(text)
+    .normalize('NFKC')
+    .trim()
+    .replace(HEADING_PREFIX, '')
+    .replace(/[‘’]/g, '\'')
+    .replace(/[“”]/g, '"')
+    .replace(/\s*:$/, '')
+    .replace(/\s+/g, ' ')
+    .toLowerCase();
+}
+
+/**
+ * Find the sections of a text
+ * Sections reported by extraction are used when there are any; otherwise lines that look like
+ * headings start sections. A section runs until the next heading at its level or above, so it
+ * includes its subsections.
+ * @param {string} text - Extracted text
+ * @param {Array<Object>} reported - Sections reported by extraction: { title, level, start, end }
+ * @returns {Array<Object>} Sections in text order: { title, level, start, headingEnd, end }
+ */
+function findSections(text, reported) {
+  let headings = reported
+    .filter(section => section.title)
+    .map(section => ({
+      title: section.title,
+      level: section.level || DEFAULT_HEADING_LEVEL,
+      start: section.start,
+      headingEnd: Math.min(section.start + section.title.length, text.length)
+    }));
+
+  if (headings.length === 0) {
+    for (const line of text.matchAll(LINE_PATTERN)) {
+      const content = line[0].trim();
+      if (content && looksLikeHeading(content)) {
+        const start = line.index + line[0].indexOf(content);
+        headings.push({ title: content, level: DEFAULT_HEADING_LEVEL, start, headingEnd: start + content.length });
+      }
+    }
+  }
+
+  return headings.map((heading, index) => {
+    const next = headings.slice(index + 1).find(candidate => candidate.level <= heading.level);
+    return { ...heading, end: next ? next.start : text.length };
+  });
+}
+
+/**
+ * Build the document rules are checked against
+ * @param {Object} extracted - Extraction result: { text, pages, sections }
+ * @returns {Object} Document: { text, pages, sections, locate(start, end) }
+ */
+function buildDocument(extracted) {
+  const text = extracted.text || '';
+  const pages = extracted.pages || [];
+  const sections = findSections(text, extracted.sections || []);
+
+  const lineStarts = [0];
+  for (let index = text.indexOf('\n'); index !== -1; index = text.indexOf('\n', index + 1)) {
+    lineStarts.push(index + 1);
+  }
+
+  /**
+   * Describe where a span of the text is
+   * @param {number} start - Offset of the span's first character
+   * @param {number} end - Offset after the span's last character
+   * @returns {Object} Location: { start, end, line, column, page?, section? }
+   */
+  const locate = (start, end) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (lineStarts[middle] <= start) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    const page = pages.find(candidate => start >= candidate.start && start <= candidate.end);
+    // The innermost section is the last one to start before the offset that still contains it
+    const section = sections.filter(candidate => candidate.start <= start && start < candidate.end).pop();
+    return {
+      start,
+      end,
+      line: low + 1,
+      column: start - lineStarts[low] + 1,
+      ...(page && { page: page.number }),
+      ...(section && { section: section.title })
+    };
+  };
+
+  return { text, pages, sections, locate };
+}
+
+module.exports = {
+  buildDocument,
+  normalizeHeading
+};
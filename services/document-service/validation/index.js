@@ -0,0 +1,96 @@
+/**
+ * Document Validation
+ * Checks a document's text against a schema of rules: required sections and phrases, forbidden
+ * phrases, length limits, merge fields, leftover placeholders and date sanity. Every problem is
+ * reported with where it is, as an error or a warning.
+ *
+ * A schema is { rules: [...], data } or just the list of rules. Each rule has a type, plus an
+ * optional id, severity ('error' or 'warning') and message used in place of the generated one.
+ */
+
+const RULE_TYPES = require('./rules');
+const { buildDocument } = require('./document');
+const { createError } = require('../../errors');
+
+const SEVERITIES = ['error', 'warning'];
+const MAX_RULES = 200;
+
+/**
+ * Compile a validation schema, so a bad rule is reported before any document is read
+ * @param {Object|Array<Object>} schema - { rules, data } or a list of rules
+ * @returns {Array<Object>} Compiled rules: { id, type, severity, message, check }
+ */
+function compileSchema(schema) {
+  const rules = Array.isArray(schema) ? schema : schema && schema.rules;
+  if (!Array.isArray(rules) || rules.length === 0) {
+    throw createError('Validation schema needs a non-empty list of rules', 400);
+  }
+  if (rules.length > MAX_RULES) {
+    throw createError(`Validation schemas are limited to ${MAX_RULES} rules`, 400);
+  }
+  const settings = { data: Array.isArray(schema) ? undefined : schema.data };
+
+  return rules.map((rule, index) => {
+    const type = rule && rule.type;
+    const fail = message => {
+      throw createError(`Rule ${index + 1}${type ? ` (${type})` : ''} ${message}`, 400);
+    };
+
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      fail('must be an object');
+    }
+    const definition = Object.prototype.hasOwnProperty.call(RULE_TYPES, type) ? RULE_TYPES[type] : null;
+    if (!definition) {
+      fail(`has ${type ? 'an unknown' : 'no'} type. Rule types: ${Object.keys(RULE_TYPES).join(', ')}`);
+    }
+    const severity = rule.severity || definition.severity;
+    if (!SEVERITIES.includes(severity)) {
+      fail(`needs "severity" to be one of ${SEVERITIES.join(', ')}`);
+    }
+
+    return {
+      id: rule.id ? String(rule.id) : `rule-${index + 1}`,
+      type,
+      severity,
+      message: rule.message ? String(rule.message) : null,
+      check: definition.compile(rule, fail, settings)
+    };
+  });
+}
+
+/**
+ * Check extracted text against compiled rules
+ * @param {Object} extracted - Extraction result: { text, pages, sections }
+ * @param {Array<Object>} rules - Rules from compileSchema
+ * @returns {Object} { valid, errors, warnings, summary } where each problem is { rule, type, severity,
+ *   message, detail?, text?, location: { start, end, line, column, page?, section? } or null when
+ *   the problem is something missing }
+ */
+function validate(extracted, rules) {
+  const document = buildDocument(extracted);
+
+  const issues = rules.flatMap(rule => rule.check(document).map(problem => ({
+    rule: rule.id,
+    type: rule.type,
+    severity: rule.severity,
+    message: rule.message || problem.message,
+    ...(rule.message && { detail: problem.message }),
+    ...(problem.text !== undefined && { text: problem.text }),
+    location: problem.span ? document.locate(problem.span.start, problem.span.end) : null
+  })));
+
+  const errors = issues.filter(issue => issue.severity === 'error');
+  const warnings = issues.filter(issue => issue.severity === 'warning');
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings,
+    summary: { rules: rules.length, errors: errors.length, warnings: warnings.length }
+  };
+}
+
+module.exports = {
+  RULE_TYPES: Object.keys(RULE_TYPES),
+  compileSchema,
+  validate
+};
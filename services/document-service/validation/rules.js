@@ -0,0 +1,517 @@
+/**
+ * Validation Rules
+ * Each rule type compiles its settings once, failing with the reason a setting is wrong, into a
+ * check that returns the problems it finds in a document: { message, span?, text? }
+ */
+
+const { calendarDate, findDates, weekdayName } = require('./dates');
+const { normalizeHeading } = require('./document');
+const { compileSafeRegex } = require('../safeRegex');
+
+const MAX_CUSTOM_PATTERN_LENGTH = 500;
+const MAX_LABEL_LENGTH = 60;
+const WORD_PATTERN = /[\p{L}\p{N}][\p{L}\p{N}'’_-]*/gu;
+const PLACEHOLDER_PATTERN = /\{\{[^{}]*\}\}/g;
+const STRAY_BRACES_PATTERN = /\{\{|\}\}/g;
+const RELATIVE_DATE = /^([+-])\s*(\d+)\s*([dwmy])$/i;
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DATE_ORDERS = ['mdy', 'dmy'];
+
+/**
+ * Escape text for use inside a regular expression
+ * @param {string} text - Literal text
+ * @returns {string} Pattern source
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Shorten text for use in a message
+ * @param {string} text - Text
+ * @returns {string} Text on one line, cut to a readable length
+ */
+function label(text) {
+  const line = String(text).replace(/\s+/g, ' ').trim();
+  return line.length > MAX_LABEL_LENGTH ? `${line.slice(0, MAX_LABEL_LENGTH - 1)}…` : line;
+}
+
+/**
+ * Compile a rule's custom regular expression
+ * Sticky matching would stop at the first gap, so only case, multiline, dotAll and unicode flags are kept.
+ * @param {string} source - Pattern source
+ * @param {string} flags - Pattern flags (optional)
+ * @param {Function} fail - Reports an invalid setting
+ * @returns {RegExp} Global regular expression
+ */
+function compileRegex(source, flags, fail) {
+  if (source.length > MAX_CUSTOM_PATTERN_LENGTH) {
+    fail(`pattern is limited to ${MAX_CUSTOM_PATTERN_LENGTH} characters`);
+  }
+  try {
+    return compileSafeRegex(source, `${[...new Set(String(flags || '').replace(/[^imsu]/g, ''))].join('')}g`);
+  } catch (error) {
+    return fail(`has an invalid pattern "${source}": ${error.message}`);
+  }
+}
+
+/**
+ * Build the expression for a phrase
+ * Runs of whitespace match any whitespace, straight and curly quotes match each other, and
+ * phrases that start or end with a letter or digit only match whole words.
+ * @param {string} phrase - Phrase
+ * @param {boolean} caseSensitive - Whether letter case must match
+ * @returns {RegExp} Global regular expression
+ */
+function phraseRegex(phrase, caseSensitive) {
+  const text = phrase.trim();
+  const source = escapeRegExp(text)
+    .replace(/\s+/g, '\\s+')
+    .replace(/["“”]/g, '["“”]')
+    .replace(/['‘’]/g, '[\'‘’]');
+  return new RegExp(`${/^\w/.test(text) ? '\\b' : ''}${source}${/\w$/.test(text) ? '\\b' : ''}`, caseSensitive ? 'gu' : 'giu');
+}
+
+/**
+ * Read the phrases or pattern a rule looks for
+ * @param {Object} rule - Rule settings: phrase, phrases, or pattern with flags; caseSensitive
+ * @param {Function} fail - Reports an invalid setting
+ * @returns {Array<Object>} Searches: { label, regex }
+ */
+function compileSearches(rule, fail) {
+  const phrases = [].concat(rule.phrases || rule.phrase || []).map(String).filter(phrase => phrase.trim());
+  const searches = phrases.map(phrase => ({ label: label(phrase), regex: phraseRegex(phrase, !!rule.caseSensitive) }));
+  if (rule.pattern) {
+    const source = String(rule.pattern);
+    searches.push({ label: `/${source}/`, regex: compileRegex(source, rule.flags, fail) });
+  }
+  if (searches.length === 0) {
+    fail('needs a phrase, phrases or a pattern');
+  }
+  return searches;
+}
+
+/**
+ * Find every match of an expression within a stretch of text
+ * @param {RegExp} regex - Global regular expression
+ * @param {string} text - Full text
+ * @param {Object} scope - Stretch to search: { start, end }
+ * @returns {Array<Object>} Matches: { start, end, text }
+ */
+function findAll(regex, text, scope) {
+  const matches = [];
+  regex.lastIndex = scope.start;
+  let match;
+  while ((match = regex.exec(text)) !== null && match.index < scope.end) {
+    if (match[0].length === 0) {
+      regex.lastIndex += 1;
+      continue;
+    }
+    if (match.index + match[0].length <= scope.end) {
+      matches.push({ start: match.index, end: match.index + match[0].length, text: match[0] });
+    }
+  }
+  return matches;
+}
+
+/**
+ * Read the section a rule is limited to
+ * @param {Object} rule - Rule settings: section, a heading or list of alternative headings (optional)
+ * @returns {Object|null} { label, headings } or null for the whole document
+ */
+function compileSection(rule) {
+  const headings = [].concat(rule.section || []).map(String).filter(heading => heading.trim());
+  return headings.length > 0 ? { label: label(headings[0]), headings: headings.map(normalizeHeading) } : null;
+}
+
+/**
+ * Find the first section with one of the given headings
+ * @param {Object} document - Validation document
+ * @param {Object} section - Section from compileSection
+ * @returns {Object|undefined} Matching section
+ */
+function findSection(document, section) {
+  return document.sections.find(candidate => section.headings.includes(normalizeHeading(candidate.title)));
+}
+
+/**
+ * Read a positive whole-number setting
+ * @param {*} value - Setting value
+ * @param {string} name - Setting name
+ * @param {Function} fail - Reports an invalid setting
+ * @returns {number|null} Value, or null if not set
+ */
+function positiveInteger(value, name, fail) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (!Number.isInteger(value) || value < 1) {
+    fail(`needs "${name}" to be a positive whole number`);
+  }
+  return value;
+}
+
+/**
+ * Resolve a dotted field path in merge data
+ * @param {Object} data - Merge data
+ * @param {string} path - Dotted path such as 'client.name'
+ * @returns {*} Value, or undefined if any part of the path is not the data's own
+ */
+function resolvePath(data, path) {
+  return path.split('.').reduce((value, key) => (
+    value !== null && value !== undefined && Object.prototype.hasOwnProperty.call(value, key) ? value[key] : undefined
+  ), data);
+}
+
+/**
+ * List the paths of every value in merge data that is not itself an object
+ * @param {Object} data - Merge data
+ * @param {string} prefix - Path of the data (internal)
+ * @returns {Array<string>} Dotted paths
+ */
+function leafPaths(data, prefix = '') {
+  return Object.entries(data).flatMap(([key, value]) => (
+    value && typeof value === 'object' && !Array.isArray(value)
+      ? leafPaths(value, `${prefix}${key}.`)
+      : [`${prefix}${key}`]
+  ));
+}
+
+/**
+ * Format a merge-field value the way templates write it
+ * @param {*} value - Field value
+ * @returns {string} Formatted value
+ */
+function formatValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(formatValue).filter(Boolean).join(', ');
+  }
+  return value === undefined || value === null ? '' : String(value);
+}
+
+/**
+ * Read a date bound: 'today', an ISO date, or days, weeks, months or years from the reference date ('-30d', '+1y')
+ * @param {*} value - Bound setting
+ * @param {string} name - Setting name
+ * @param {Date} reference - Date relative bounds count from
+ * @param {Function} fail - Reports an invalid setting
+ * @returns {Date|null} UTC date, or null if not set
+ */
+function dateBound(value, name, reference, fail) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  const text = String(value).trim();
+  if (text.toLowerCase() === 'today') {
+    return reference;
+  }
+
+  const iso = ISO_DATE.exec(text);
+  if (iso) {
+    return calendarDate(Number(iso[1]), Number(iso[2]), Number(iso[3])) ||
+      fail(`has an invalid "${name}" date "${text}"`);
+  }
+
+  const relative = RELATIVE_DATE.exec(text);
+  if (!relative) {
+    return fail(`needs "${name}" to be "today", a YYYY-MM-DD date or an offset such as "-30d" or "+1y"`);
+  }
+  const amount = Number(relative[2]) * (relative[1] === '-' ? -1 : 1);
+  const unit = relative[3].toLowerCase();
+  const date = new Date(reference);
+  if (unit === 'd' || unit === 'w') {
+    date.setUTCDate(date.getUTCDate() + amount * (unit === 'w' ? 7 : 1));
+  } else {
+    date.setUTCMonth(date.getUTCMonth() + amount * (unit === 'y' ? 12 : 1));
+  }
+  return date;
+}
+
+/**
+ * Write a date as YYYY-MM-DD
+ * @param {Date} date - UTC date
+ * @returns {string} ISO date
+ */
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+const RULE_TYPES = {
+  /**
+   * A section with one of the given headings must exist, optionally with a minimum number of words
+   * Settings: heading (or headings, alternatives), pattern matched against headings, minWords
+   */
+  requiredSection: {
+    severity: 'error',
+    compile(rule, fail) {
+      const headings = [].concat(rule.headings || rule.heading || []).map(String).filter(heading => heading.trim());
+      const pattern = rule.pattern ? compileRegex(String(rule.pattern), rule.flags, fail) : null;
+      if (headings.length === 0 && !pattern) {
+        fail('needs a heading, headings or a pattern');
+      }
+      const minWords = positiveInteger(rule.minWords, 'minWords', fail);
+      const normalized = headings.map(normalizeHeading);
+      const name = headings.length > 0 ? label(headings[0]) : `/${rule.pattern}/`;
+
+      const matches = title => {
+        if (pattern) {
+          pattern.lastIndex = 0;
+        }
+        return normalized.includes(normalizeHeading(title)) || (!!pattern && pattern.test(title));
+      };
+
+      return document => {
+        const section = document.sections.find(candidate => matches(candidate.title));
+        if (!section) {
+          return [{ message: `Required section "${name}" is missing` }];
+        }
+
+        const words = (document.text.slice(section.headingEnd, section.end).match(WORD_PATTERN) || []).length;
+        if (minWords && words < minWords) {
+          return [{
+            message: `Section "${label(section.title)}" has ${words} word${words === 1 ? '' : 's'}; at least ${minWords} are required`,
+            span: { start: section.start, end: section.headingEnd }
+          }];
+        }
+        return [];
+      };
+    }
+  },
+
+  /**
+   * Phrases that must appear, in the whole document or one section
+   * Settings: phrase, phrases or pattern; match 'all' (default) or 'any'; section; caseSensitive
+   */
+  requiredPhrase: {
+    severity: 'error',
+    compile(rule, fail) {
+      const searches = compileSearches(rule, fail);
+      const section = compileSection(rule);
+      const match = rule.match || 'all';
+      if (!['all', 'any'].includes(match)) {
+        fail('needs "match" to be "all" or "any"');
+      }
+
+      return document => {
+        const whole = { start: 0, end: document.text.length };
+        const found = section && findSection(document, section);
+        if (section && !found) {
+          return [{ message: `Section "${section.label}" is missing, so its required ${searches.length === 1 ? `phrase "${searches[0].label}"` : 'phrases'} could not be checked` }];
+        }
+
+        const scope = found || whole;
+        const where = found ? ` from section "${label(found.title)}"` : '';
+        const span = found ? { start: found.start, end: found.headingEnd } : undefined;
+        const missing = searches.filter(search => findAll(search.regex, document.text, scope).length === 0);
+
+        if (match === 'any') {
+          return missing.length === searches.length
+            ? [{ message: `None of the phrases ${searches.map(search => `"${search.label}"`).join(', ')} appears${where}`, span }]
+            : [];
+        }
+
+        return missing.map(search => {
+          const elsewhere = found && findAll(search.regex, document.text, whole)[0];
+          const outside = elsewhere ? ` (it appears at line ${document.locate(elsewhere.start, elsewhere.end).line}, outside the section)` : '';
+          return { message: `Required phrase "${search.label}" is missing${where}${outside}`, span };
+        });
+      };
+    }
+  },
+
+  /**
+   * Phrases that must not appear; every occurrence is reported
+   * Settings: phrase, phrases or pattern; section; caseSensitive
+   */
+  forbiddenPhrase: {
+    severity: 'error',
+    compile(rule, fail) {
+      const searches = compileSearches(rule, fail);
+      const section = compileSection(rule);
+
+      return document => {
+        const scope = section ? findSection(document, section) : { start: 0, end: document.text.length };
+        if (!scope) {
+          return [];
+        }
+        return searches
+          .flatMap(search => findAll(search.regex, document.text, scope).map(found => ({
+            message: `Forbidden phrase "${search.label}" found`,
+            span: found,
+            text: found.text
+          })))
+          .sort((a, b) => a.span.start - b.span.start);
+      };
+    }
+  },
+
+  /**
+   * Limits on the length of the document or one section
+   * Settings: words, characters, pages (whole document only); section
+   */
+  maxLength: {
+    severity: 'error',
+    compile(rule, fail) {
+      const limits = {
+        words: positiveInteger(rule.words, 'words', fail),
+        characters: positiveInteger(rule.characters, 'characters', fail),
+        pages: positiveInteger(rule.pages, 'pages', fail)
+      };
+      if (!limits.words && !limits.characters && !limits.pages) {
+        fail('needs a words, characters or pages limit');
+      }
+      const section = compileSection(rule);
+      if (section && limits.pages) {
+        fail('cannot limit the pages of a section');
+      }
+
+      return document => {
+        const scope = section ? findSection(document, section) : { start: 0, end: document.text.length };
+        if (!scope) {
+          return [];
+        }
+        const subject = section ? `Section "${label(scope.title)}"` : 'Document';
+        const problems = [];
+
+        if (limits.words) {
+          const words = [...document.text.slice(scope.start, scope.end).matchAll(WORD_PATTERN)];
+          if (words.length > limits.words) {
+            problems.push({
+              message: `${subject} has ${words.length.toLocaleString('en-US')} words; the limit is ${limits.words.toLocaleString('en-US')}`,
+              span: { start: scope.start + words[limits.words].index, end: scope.end }
+            });
+          }
+        }
+
+        if (limits.characters) {
+          const body = document.text.slice(scope.start, scope.end);
+          const start = scope.start + body.search(/\S|$/);
+          const characters = body.trim().length;
+          if (characters > limits.characters) {
+            problems.push({
+              message: `${subject} has ${characters.toLocaleString('en-US')} characters; the limit is ${limits.characters.toLocaleString('en-US')}`,
+              span: { start: start + limits.characters, end: start + characters }
+            });
+          }
+        }
+
+        if (limits.pages && document.pages.length > limits.pages) {
+          problems.push({
+            message: `Document has ${document.pages.length} pages; the limit is ${limits.pages}`,
+            span: { start: document.pages[limits.pages].start, end: document.text.length }
+          });
+        }
+
+        return problems;
+      };
+    }
+  },
+
+  /**
+   * Merge fields that must have a value, and whose value must appear in the document
+   * Settings: fields (default: every field of the data); data (default: the schema's data)
+   */
+  mergeFields: {
+    severity: 'error',
+    compile(rule, fail, schema) {
+      const data = rule.data || schema.data;
+      if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        fail('needs merge data, as "data" on the rule or the schema');
+      }
+      const fields = rule.fields ? [].concat(rule.fields).map(String).filter(field => field.trim()) : leafPaths(data);
+      if (fields.length === 0) {
+        fail('needs at least one field');
+      }
+
+      return document => fields.flatMap(field => {
+        const value = resolvePath(data, field);
+        if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+          return [];
+        }
+        const text = formatValue(value);
+        if (!text.trim()) {
+          return [{ message: `Merge field "${field}" has no value` }];
+        }
+        if (findAll(phraseRegex(text, false), document.text, { start: 0, end: document.text.length }).length === 0) {
+          return [{ message: `Merge field "${field}" value "${label(text)}" does not appear in the document` }];
+        }
+        return [];
+      });
+    }
+  },
+
+  /**
+   * Template placeholders left in the text: {{fields}}, stray braces, and any further markers given
+   * Settings: patterns, custom markers such as '\\[INSERT [^\\]]*\\]' (strings or { pattern, flags })
+   */
+  noPlaceholders: {
+    severity: 'error',
+    compile(rule, fail) {
+      const markers = [].concat(rule.patterns || []).map(marker => {
+        const source = String(marker && typeof marker === 'object' ? marker.pattern : marker);
+        return compileRegex(source, marker && marker.flags, fail);
+      });
+
+      return document => {
+        const whole = { start: 0, end: document.text.length };
+        const placeholders = findAll(PLACEHOLDER_PATTERN, document.text, whole);
+        const inside = offset => placeholders.some(found => offset >= found.start && offset < found.end);
+        const problems = placeholders.map(found => ({ message: `Unfilled placeholder "${label(found.text)}"`, span: found, text: found.text }));
+
+        findAll(STRAY_BRACES_PATTERN, document.text, whole)
+          .filter(found => !inside(found.start))
+          .forEach(found => problems.push({ message: `Unmatched "${found.text}" left from a template`, span: found, text: found.text }));
+
+        markers.forEach(regex => findAll(regex, document.text, whole)
+          .filter(found => !inside(found.start))
+          .forEach(found => problems.push({ message: `Unfilled placeholder "${label(found.text)}"`, span: found, text: found.text })));
+
+        return problems.sort((a, b) => a.span.start - b.span.start);
+      };
+    }
+  },
+
+  /**
+   * Dates that do not exist, fall outside a window, or name the wrong weekday
+   * Settings: earliest, latest ('today', YYYY-MM-DD, or an offset such as '-10y'); referenceDate for
+   * offsets (default today); dateOrder of numeric dates, 'mdy' (default) or 'dmy'; checkWeekday (default true)
+   */
+  dates: {
+    severity: 'warning',
+    compile(rule, fail) {
+      const now = new Date();
+      const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+      const reference = dateBound(rule.referenceDate, 'referenceDate', today, fail) || today;
+      const earliest = dateBound(rule.earliest, 'earliest', reference, fail);
+      const latest = dateBound(rule.latest, 'latest', reference, fail);
+      if (earliest && latest && earliest > latest) {
+        fail('has an earliest date after its latest date');
+      }
+      const dateOrder = rule.dateOrder || 'mdy';
+      if (!DATE_ORDERS.includes(dateOrder)) {
+        fail(`needs "dateOrder" to be one of ${DATE_ORDERS.join(', ')}`);
+      }
+      const checkWeekday = rule.checkWeekday !== false;
+
+      return document => findDates(document.text, { dateOrder }).flatMap(found => {
+        const span = { start: found.start, end: found.end };
+        if (!found.date) {
+          return [{ message: `"${found.text}" is not a real date`, span, text: found.text }];
+        }
+        if (checkWeekday && found.weekdayMatches === false) {
+          return [{ message: `"${found.text}" names the wrong weekday: ${isoDate(found.date)} is a ${weekdayName(found.date)}`, span, text: found.text }];
+        }
+        if (earliest && found.date < earliest) {
+          return [{ message: `"${found.text}" is before the earliest allowed date, ${isoDate(earliest)}`, span, text: found.text }];
+        }
+        if (latest && found.date > latest) {
+          return [{ message: `"${found.text}" is after the latest allowed date, ${isoDate(latest)}`, span, text: found.text }];
+        }
+        return [];
+      });
+    }
+  }
+};
+
+module.exports = RULE_TYPES;
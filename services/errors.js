@@ -0,0 +1,20 @@
+/**
+ * Errors
+ * Errors shared by the services
+ */
+
+/**
+ * Create an error carrying an HTTP status code
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status code
+ * @returns {Error} Error with status
+ */
+function createError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+module.exports = {
+  createError
+};
@@ -86,10 +86,12 @@ router.post('/templates', async (req, res) => {
     const result = await integrationService.generateTemplateDocument(templateId, caseFileId, additionalData);
     res.json(result);
   } catch (error) {
-    res.status(500).json({
+    const status = error.status || 500;
+    res.status(status).json({
       error: {
         message: error.message,
-        status: 500
+        status,
+        ...(error.missingFields && { missingFields: error.missingFields })
       }
     });
   }
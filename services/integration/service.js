@@ -4,7 +4,9 @@
  */
 
 const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
 const config = require('../../config');
+const templateService = require('../template-service/service');
 
 class IntegrationService {
   constructor() {
@@ -115,20 +117,49 @@ class IntegrationService {
     }
 
     try {
+      // Render locally so the case file receives the exact template wording
+      const caseFileData = await this.getCaseFileData(caseFileId);
+      const mergeData = templateService.buildMergeData(additionalData, caseFileData);
+      const rendered = await templateService.renderTemplate(templateId, mergeData);
+
+      if (!rendered) {
+        throw new Error(`Template ${templateId} not found`);
+      }
+
+      // The case file is sent the ID up front, but the document is only recorded once it has accepted it
+      const generatedDocumentId = uuidv4();
       const payload = {
         templateId,
+        templateVersion: rendered.templateVersion,
+        generatedDocumentId,
         caseFileId,
-        additionalData
+        additionalData,
+        documentType: rendered.documentType,
+        content: rendered.content
       };
 
       const response = await this.apiClient.post('/templates', payload);
-      
+
+      const generation = await templateService.recordGeneration({
+        id: generatedDocumentId,
+        rendered,
+        source: 'integration',
+        content: rendered.content,
+        caseFileId
+      });
+
       return {
         message: 'Template document integrated successfully',
+        templateVersion: rendered.templateVersion,
+        generatedDocumentId: generation.id,
+        content: rendered.content,
         result: response.data
       };
     } catch (error) {
-      throw new Error(`Failed to generate template document: ${error.message}`);
+      const wrapped = new Error(`Failed to generate template document: ${error.message}`);
+      wrapped.status = error.status;
+      wrapped.missingFields = error.missingFields;
+      throw wrapped;
     }
   }
 
@@ -0,0 +1,258 @@
+/**
+ * Clause Library Routes
+ * API routes for managing reusable clauses and tracing where templates use them
+ */
+
+const express = require('express');
+const router = express.Router();
+const clauseService = require('./clauseService');
+const templateService = require('./service');
+const integrationService = require('../integration/service');
+
+/**
+ * Send an error response using the error's status when it has one
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error to report
+ */
+function sendError(res, error) {
+  const status = error.status || 500;
+  res.status(status).json({
+    error: {
+      message: error.message,
+      status,
+      ...(error.templates && { templates: error.templates })
+    }
+  });
+}
+
+/**
+ * Send a 404 response for a missing clause
+ * @param {Object} res - Express response object
+ * @param {string} name - Clause name
+ */
+function sendNotFound(res, name) {
+  res.status(404).json({
+    error: {
+      message: `Clause ${name} not found`,
+      status: 404
+    }
+  });
+}
+
+/**
+ * @route   GET /api/clauses
+ * @desc    List clauses with their current wording
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const clauses = await clauseService.listClauses({ search: req.query.search });
+    res.json({ clauses });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   POST /api/clauses
+ * @desc    Create a clause
+ * @access  Private
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, title, description, body, author, changeNotes } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        error: {
+          message: 'Clause name is required',
+          status: 400
+        }
+      });
+    }
+
+    if (!body) {
+      return res.status(400).json({
+        error: {
+          message: 'Clause body is required',
+          status: 400
+        }
+      });
+    }
+
+    const clause = await clauseService.createClause({ name, title, description, body, author, changeNotes });
+    res.status(201).json(clause);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   GET /api/clauses/:name
+ * @desc    Get a clause with its current wording
+ * @access  Private
+ */
+router.get('/:name', async (req, res) => {
+  try {
+    const clause = await clauseService.getClause(req.params.name);
+
+    if (!clause) {
+      return sendNotFound(res, req.params.name);
+    }
+
+    res.json(clause);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   PUT /api/clauses/:name
+ * @desc    Update a clause; new wording becomes a new version. Returns the affected templates.
+ * @access  Private
+ */
+router.put('/:name', async (req, res) => {
+  try {
+    const { title, description, body, author, changeNotes } = req.body;
+    const clause = await clauseService.updateClause(req.params.name, { title, description, body, author, changeNotes });
+
+    if (!clause) {
+      return sendNotFound(res, req.params.name);
+    }
+
+    const usage = await clauseService.findClauseUsage(req.params.name);
+    res.json({
+      clause,
+      affectedTemplates: usage.filter(entry => entry.followsLatest)
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   DELETE /api/clauses/:name
+ * @desc    Delete a clause that no template uses
+ * @access  Private
+ */
+router.delete('/:name', async (req, res) => {
+  try {
+    const deleted = await clauseService.deleteClause(req.params.name);
+
+    if (!deleted) {
+      return sendNotFound(res, req.params.name);
+    }
+
+    res.json({
+      success: true,
+      message: `Clause ${req.params.name} deleted successfully`,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   GET /api/clauses/:name/versions
+ * @desc    List clause versions
+ * @access  Private
+ */
+router.get('/:name/versions', async (req, res) => {
+  try {
+    const versions = await clauseService.listClauseVersions(req.params.name);
+
+    if (!versions) {
+      return sendNotFound(res, req.params.name);
+    }
+
+    res.json({ name: req.params.name, versions });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   GET /api/clauses/:name/versions/:version
+ * @desc    Get a clause version
+ * @access  Private
+ */
+router.get('/:name/versions/:version', async (req, res) => {
+  try {
+    const version = await clauseService.getClauseVersion(req.params.name, req.params.version);
+
+    if (!version) {
+      return res.status(404).json({
+        error: {
+          message: `Version ${req.params.version} of clause ${req.params.name} not found`,
+          status: 404
+        }
+      });
+    }
+
+    res.json(version);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   GET /api/clauses/:name/usage
+ * @desc    List the template versions that include a clause
+ * @access  Private
+ */
+router.get('/:name/usage', async (req, res) => {
+  try {
+    const clause = await clauseService.getClause(req.params.name);
+
+    if (!clause) {
+      return sendNotFound(res, req.params.name);
+    }
+
+    const usage = await clauseService.findClauseUsage(req.params.name);
+    res.json({ name: req.params.name, currentVersion: clause.currentVersion, templates: usage });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   POST /api/clauses/:name/previews
+ * @desc    Regenerate previews of every template version following the clause's latest wording
+ * @access  Private
+ */
+router.post('/:name/previews', async (req, res) => {
+  try {
+    const { context, caseFileId } = req.body;
+
+    if (context !== undefined && typeof context !== 'object') {
+      return res.status(400).json({
+        error: {
+          message: 'Context data must be an object',
+          status: 400
+        }
+      });
+    }
+
+    const clause = await clauseService.getClause(req.params.name);
+
+    if (!clause) {
+      return sendNotFound(res, req.params.name);
+    }
+
+    const caseFileData = caseFileId ? await integrationService.getCaseFileData(caseFileId) : null;
+    const data = templateService.buildMergeData(context, caseFileData);
+    const previews = await templateService.previewClauseUsage(req.params.name, data);
+
+    res.json({
+      name: req.params.name,
+      currentVersion: clause.currentVersion,
+      previews,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
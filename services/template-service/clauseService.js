@@ -0,0 +1,366 @@
+/**
+ * Clause Service
+ * Handles the library of reusable, versioned clauses that templates include by reference
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const database = require('../database/service');
+const { createError } = require('../errors');
+const renderer = require('./renderer');
+
+const NAME_PATTERN = /^[A-Za-z][\w-]*$/;
+
+/**
+ * Check a clause body parses and does not include other clauses
+ * @param {string} body - Clause body
+ */
+function validateBody(body) {
+  if (!body) {
+    throw createError('Clause body is required', 400);
+  }
+
+  if (renderer.collectClauses(body).length > 0) {
+    throw createError('Clauses cannot include other clauses', 400);
+  }
+}
+
+/**
+ * Map database rows to a clause object
+ * @param {Object} row - Clause row joined with its current version
+ * @returns {Object} Clause
+ */
+function toClause(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    title: row.title,
+    description: row.description || '',
+    currentVersion: row.current_version,
+    body: row.body,
+    author: row.author,
+    createdAt: row.created_at.toISOString(),
+    updatedAt: row.updated_at.toISOString()
+  };
+}
+
+/**
+ * Map a database row to a clause version object
+ * @param {Object} row - Database row
+ * @returns {Object} Clause version
+ */
+function toClauseVersion(row) {
+  return {
+    id: row.id,
+    version: row.version,
+    body: row.body,
+    author: row.author,
+    changeNotes: row.change_notes || '',
+    createdAt: row.created_at.toISOString()
+  };
+}
+
+const CLAUSE_SELECT = `
+  SELECT c.*, v.body, v.author
+  FROM clauses c
+  JOIN clause_versions v ON v.clause_id = c.id AND v.version = c.current_version
+`;
+
+class ClauseService {
+  /**
+   * List clauses
+   * @param {Object} filters - Listing filters
+   * @param {string} filters.search - Case-insensitive name or title search (optional)
+   * @returns {Promise<Array>} Clauses with their current wording
+   */
+  async listClauses(filters = {}) {
+    const params = [];
+    let where = '';
+
+    if (filters.search) {
+      params.push(`%${filters.search}%`);
+      where = 'WHERE c.name ILIKE $1 OR c.title ILIKE $1';
+    }
+
+    try {
+      const { rows } = await database.query(`${CLAUSE_SELECT} ${where} ORDER BY c.name ASC`, params);
+      return rows.map(toClause);
+    } catch (error) {
+      throw new Error(`Failed to list clauses: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a clause with its current wording
+   * @param {string} name - Clause name
+   * @returns {Promise<Object|null>} Clause, or null if not found
+   */
+  async getClause(name) {
+    try {
+      const { rows } = await database.query(`${CLAUSE_SELECT} WHERE c.name = $1`, [name]);
+      return rows.length > 0 ? toClause(rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Failed to get clause: ${error.message}`);
+    }
+  }
+
+  /**
+   * List the versions of a clause
+   * @param {string} name - Clause name
+   * @returns {Promise<Array|null>} Versions, newest first, or null if the clause is not found
+   */
+  async listClauseVersions(name) {
+    try {
+      const { rows: clauses } = await database.query('SELECT id FROM clauses WHERE name = $1', [name]);
+      if (clauses.length === 0) {
+        return null;
+      }
+
+      const { rows } = await database.query(
+        'SELECT * FROM clause_versions WHERE clause_id = $1 ORDER BY version DESC',
+        [clauses[0].id]
+      );
+      return rows.map(toClauseVersion);
+    } catch (error) {
+      throw new Error(`Failed to list clause versions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a specific clause version
+   * @param {string} name - Clause name
+   * @param {number} version - Version number
+   * @returns {Promise<Object|null>} Clause version, or null if not found
+   */
+  async getClauseVersion(name, version) {
+    const versionNumber = parseInt(version, 10);
+    if (!Number.isInteger(versionNumber)) {
+      return null;
+    }
+
+    try {
+      const { rows } = await database.query(
+        `SELECT v.* FROM clause_versions v
+         JOIN clauses c ON c.id = v.clause_id
+         WHERE c.name = $1 AND v.version = $2`,
+        [name, versionNumber]
+      );
+      return rows.length > 0 ? toClauseVersion(rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Failed to get clause version: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a clause and its first version
+   * @param {Object} data - Clause data
+   * @param {string} data.name - Unique clause name used in {{> name}} references
+   * @param {string} data.title - Human-readable title
+   * @param {string} data.body - Clause wording
+   * @param {string} data.author - Author of the wording
+   * @param {string} data.description - Clause description (optional)
+   * @param {string} data.changeNotes - Notes for the first version (optional)
+   * @returns {Promise<Object>} Created clause
+   */
+  async createClause(data) {
+    const { name, title, body, author, description, changeNotes } = data;
+
+    if (!name || !NAME_PATTERN.test(name)) {
+      throw createError('Clause name must start with a letter and contain only letters, digits, "_" or "-"', 400);
+    }
+
+    if (!title) {
+      throw createError('Clause title is required', 400);
+    }
+
+    if (!author) {
+      throw createError('Clause author is required', 400);
+    }
+
+    validateBody(body);
+
+    try {
+      await database.transaction(async client => {
+        const { rows: existing } = await client.query('SELECT id FROM clauses WHERE name = $1', [name]);
+        if (existing.length > 0) {
+          throw createError(`Clause ${name} already exists`, 409);
+        }
+
+        const clauseId = uuidv4();
+        await client.query(
+          'INSERT INTO clauses (id, name, title, description, current_version) VALUES ($1, $2, $3, $4, 1)',
+          [clauseId, name, title, description || null]
+        );
+        await client.query(
+          `INSERT INTO clause_versions (id, clause_id, version, body, author, change_notes)
+           VALUES ($1, $2, 1, $3, $4, $5)`,
+          [uuidv4(), clauseId, body, author, changeNotes || null]
+        );
+      });
+    } catch (error) {
+      if (error.status) {
+        throw error;
+      }
+      throw new Error(`Failed to create clause: ${error.message}`);
+    }
+
+    return this.getClause(name);
+  }
+
+  /**
+   * Update a clause; new wording creates a new version that becomes current
+   * @param {string} name - Clause name
+   * @param {Object} updates - Changes to apply
+   * @param {string} updates.body - New wording (optional)
+   * @param {string} updates.author - Author of the new wording (required with body)
+   * @returns {Promise<Object|null>} Updated clause, or null if not found
+   */
+  async updateClause(name, updates) {
+    const { title, description, body, author, changeNotes } = updates;
+
+    if (body !== undefined) {
+      validateBody(body);
+      if (!author) {
+        throw createError('Clause author is required', 400);
+      }
+    }
+
+    if (title !== undefined && !title) {
+      throw createError('Clause title cannot be empty', 400);
+    }
+
+    if (title === undefined && description === undefined && body === undefined) {
+      throw createError('No clause fields to update', 400);
+    }
+
+    try {
+      const updated = await database.transaction(async client => {
+        const { rows } = await client.query('SELECT * FROM clauses WHERE name = $1 FOR UPDATE', [name]);
+        if (rows.length === 0) {
+          return false;
+        }
+
+        const clause = rows[0];
+        let currentVersion = clause.current_version;
+
+        if (body !== undefined) {
+          currentVersion += 1;
+          await client.query(
+            `INSERT INTO clause_versions (id, clause_id, version, body, author, change_notes)
+             VALUES ($1, $2, $3, $4, $5, $6)`,
+            [uuidv4(), clause.id, currentVersion, body, author, changeNotes || null]
+          );
+        }
+
+        await client.query(
+          `UPDATE clauses SET title = $2, description = $3, current_version = $4, updated_at = NOW()
+           WHERE id = $1`,
+          [
+            clause.id,
+            title !== undefined ? title : clause.title,
+            description !== undefined ? description : clause.description,
+            currentVersion
+          ]
+        );
+        return true;
+      });
+
+      return updated ? this.getClause(name) : null;
+    } catch (error) {
+      throw new Error(`Failed to update clause: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find template versions that include a clause
+   * @param {string} name - Clause name
+   * @returns {Promise<Array>} Template versions still in use (draft, in review or published)
+   */
+  async findClauseUsage(name) {
+    try {
+      const { rows } = await database.query(
+        `SELECT v.*, t.name AS template_name
+         FROM template_versions v
+         JOIN templates t ON t.id = v.template_id
+         WHERE v.status IN ('draft', 'in_review', 'published') AND v.body LIKE $1
+         ORDER BY t.name ASC, v.version DESC`,
+        [`%${name}%`]
+      );
+
+      const usage = [];
+      for (const row of rows) {
+        const references = renderer.collectClauses(row.body).filter(reference => reference.name === name);
+        if (references.length === 0) {
+          continue;
+        }
+
+        usage.push({
+          templateId: row.template_id,
+          templateName: row.template_name,
+          templateVersion: row.version,
+          status: row.status,
+          // Pinned references keep their wording when the clause changes
+          pinnedVersions: references.filter(reference => reference.version).map(reference => reference.version),
+          followsLatest: references.some(reference => !reference.version)
+        });
+      }
+      return usage;
+    } catch (error) {
+      throw new Error(`Failed to find clause usage: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a clause and all its versions
+   * A clause that template versions still include cannot be deleted, since they could no longer render.
+   * @param {string} name - Clause name
+   * @returns {Promise<boolean>} True if a clause was deleted
+   */
+  async deleteClause(name) {
+    const usage = await this.findClauseUsage(name);
+    if (usage.length > 0) {
+      const templates = usage.map(entry => `${entry.templateName} version ${entry.templateVersion} (${entry.status})`);
+      const error = createError(`Clause ${name} is used by ${usage.length} template version(s): ${templates.join(', ')}`, 409);
+      error.templates = usage;
+      throw error;
+    }
+
+    try {
+      const { rowCount } = await database.query('DELETE FROM clauses WHERE name = $1', [name]);
+      return rowCount > 0;
+    } catch (error) {
+      throw new Error(`Failed to delete clause: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load the wording for a set of clause references
+   * @param {Array<Object>} references - Clause references with name and pinned version (or null)
+   * @returns {Promise<Object>} Clause bodies keyed for the renderer, and the exact versions used
+   */
+  async resolveClauses(references) {
+    const bodies = {};
+    const versions = [];
+
+    for (const reference of references) {
+      const clause = reference.version
+        ? await this.getClauseVersion(reference.name, reference.version)
+        : await this.getClause(reference.name);
+
+      if (!clause) {
+        const label = renderer.clauseKey(reference.name, reference.version);
+        throw createError(`Clause ${label} does not exist`, 422);
+      }
+
+      bodies[renderer.clauseKey(reference.name, reference.version)] = clause.body;
+      versions.push({
+        name: reference.name,
+        version: reference.version || clause.currentVersion,
+        pinned: !!reference.version
+      });
+    }
+
+    return { bodies, versions };
+  }
+}
+
+module.exports = new ClauseService();
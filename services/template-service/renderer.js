@@ -0,0 +1,518 @@
+/**
+ * Template Renderer
+ * Parses and renders the CaseWrite merge-field template language
+ *
+ * Syntax:
+ *   {{caseFile.clientName}}                  Merge field
+ *   {{#if accommodation.approved}}...{{else}}...{{/if}}
+ *   {{#if caseFile.status == "active"}}...{{/if}}
+ *   {{#unless caseFile.returnDate}}...{{/unless}}
+ *   {{#each restrictions}}{{@number}}. {{description}}{{/each}}
+ *   {{> confidentiality-notice}}              Latest version of a library clause
+ *   {{> appeal-rights@2}}                     Specific version of a library clause
+ *   {{! comment }}
+ */
+
+const TAG_PATTERN = /\{\{\s*([\s\S]*?)\s*\}\}/g;
+const BLOCK_TYPES = ['if', 'unless', 'each'];
+const COMPARISON_PATTERN = /^(.+?)\s*(==|!=)\s*(.+)$/;
+const INCLUDE_PATTERN = /^>\s*([A-Za-z][\w-]*)(?:@(\d+))?$/;
+const PATH_PATTERN = /^(this|@index|@number|[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*|\.\d+)*)$/;
+
+/**
+ * Create a template syntax error
+ * @param {string} message - Error message
+ * @param {number} line - Line number of the offending tag
+ * @returns {Error} Error with a 400 status
+ */
+function syntaxError(message, line) {
+  const error = new Error(`Template syntax error on line ${line}: ${message}`);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Parse an operand into a literal or path reference
+ * @param {string} source - Operand source text
+ * @param {number} line - Line number for error reporting
+ * @returns {Object} Operand node
+ */
+function parseOperand(source, line) {
+  const text = source.trim();
+
+  if (/^"[^"]*"$/.test(text) || /^'[^']*'$/.test(text)) {
+    return { type: 'literal', value: text.slice(1, -1) };
+  }
+
+  if (/^-?\d+(\.\d+)?$/.test(text)) {
+    return { type: 'literal', value: parseFloat(text) };
+  }
+
+  if (text === 'true' || text === 'false') {
+    return { type: 'literal', value: text === 'true' };
+  }
+
+  if (text === 'null') {
+    return { type: 'literal', value: null };
+  }
+
+  if (!PATH_PATTERN.test(text)) {
+    throw syntaxError(`invalid field reference "${text}"`, line);
+  }
+
+  return { type: 'path', path: text };
+}
+
+/**
+ * Parse a condition expression (a path, or a path compared with a value)
+ * @param {string} source - Expression source text
+ * @param {number} line - Line number for error reporting
+ * @returns {Object} Condition node
+ */
+function parseCondition(source, line) {
+  if (!source) {
+    throw syntaxError('missing condition', line);
+  }
+
+  const comparison = source.match(COMPARISON_PATTERN);
+  if (comparison) {
+    return {
+      left: parseOperand(comparison[1], line),
+      operator: comparison[2],
+      right: parseOperand(comparison[3], line)
+    };
+  }
+
+  return { left: parseOperand(source, line) };
+}
+
+/**
+ * Parse a template body into a syntax tree
+ * @param {string} body - Template body
+ * @returns {Array} Syntax tree nodes
+ */
+function parse(body) {
+  const root = { children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(body)) !== null) {
+    const current = stack[stack.length - 1];
+    const line = body.slice(0, match.index).split('\n').length;
+    const tag = match[1];
+
+    if (match.index > lastIndex) {
+      current.children.push({ type: 'text', value: body.slice(lastIndex, match.index) });
+    }
+    lastIndex = TAG_PATTERN.lastIndex;
+
+    if (tag.startsWith('!')) {
+      continue;
+    }
+
+    if (tag.startsWith('>')) {
+      const include = tag.match(INCLUDE_PATTERN);
+      if (!include) {
+        throw syntaxError(`invalid clause reference "${tag}"`, line);
+      }
+      current.children.push({
+        type: 'include',
+        name: include[1],
+        version: include[2] ? parseInt(include[2], 10) : null,
+        line
+      });
+      continue;
+    }
+
+    if (tag.startsWith('#')) {
+      const [, keyword, rest] = tag.match(/^#(\w+)\s*([\s\S]*)$/) || [];
+
+      if (!BLOCK_TYPES.includes(keyword)) {
+        throw syntaxError(`unknown block "#${keyword || ''}"`, line);
+      }
+
+      const node = { type: keyword, line, children: [], alternate: null };
+      if (keyword === 'each') {
+        const operand = parseOperand(rest, line);
+        if (operand.type !== 'path') {
+          throw syntaxError('#each requires a field reference', line);
+        }
+        node.path = operand.path;
+      } else {
+        node.condition = parseCondition(rest.trim(), line);
+      }
+
+      current.children.push(node);
+      stack.push(node);
+      continue;
+    }
+
+    if (tag === 'else') {
+      const block = stack[stack.length - 1];
+      if (block === root || block.alternate) {
+        throw syntaxError('unexpected {{else}}', line);
+      }
+      block.alternate = [];
+      block.consequent = block.children;
+      block.children = block.alternate;
+      continue;
+    }
+
+    if (tag.startsWith('/')) {
+      const keyword = tag.slice(1).trim();
+      const block = stack.pop();
+      if (block === root || block.type !== keyword) {
+        throw syntaxError(`unexpected {{/${keyword}}}`, line);
+      }
+      if (block.alternate) {
+        block.children = block.consequent;
+        delete block.consequent;
+      }
+      continue;
+    }
+
+    const operand = parseOperand(tag, line);
+    if (operand.type !== 'path') {
+      throw syntaxError(`expected a field reference, found "${tag}"`, line);
+    }
+    current.children.push({ type: 'field', path: operand.path, line });
+  }
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw syntaxError(`{{#${open.type}}} is never closed`, open.line);
+  }
+
+  if (lastIndex < body.length) {
+    root.children.push({ type: 'text', value: body.slice(lastIndex) });
+  }
+
+  return root.children;
+}
+
+/**
+ * Check whether a value has a key of its own, so paths never reach inherited members like constructor
+ * @param {*} value - Object, array or string
+ * @param {string} key - Key to look for
+ * @returns {boolean} True if the key is the value's own
+ */
+function hasOwn(value, key) {
+  return Object.prototype.hasOwnProperty.call(value, key);
+}
+
+/**
+ * Resolve a path against the scope chain
+ * @param {string} path - Dotted field path
+ * @param {Array} scopes - Scope chain, innermost last
+ * @returns {*} Resolved value, or undefined
+ */
+function resolvePath(path, scopes) {
+  const scope = scopes[scopes.length - 1];
+
+  if (path === 'this') {
+    return scope.item;
+  }
+
+  if (path === '@index') {
+    return scope.index;
+  }
+
+  if (path === '@number') {
+    return scope.index === undefined ? undefined : scope.index + 1;
+  }
+
+  const [head, ...rest] = path.split('.');
+  let value;
+
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const item = scopes[i].item;
+    if (item !== null && typeof item === 'object' && hasOwn(item, head)) {
+      value = item[head];
+      break;
+    }
+  }
+
+  for (const key of rest) {
+    if (value === null || value === undefined || !hasOwn(value, key)) {
+      return undefined;
+    }
+    value = value[key];
+  }
+
+  return value;
+}
+
+/**
+ * Check whether a value counts as missing
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value is missing
+ */
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Evaluate a condition node
+ * @param {Object} condition - Condition node
+ * @param {Array} scopes - Scope chain
+ * @returns {boolean} Condition result
+ */
+function evaluateCondition(condition, scopes) {
+  const valueOf = operand => (operand.type === 'literal' ? operand.value : resolvePath(operand.path, scopes));
+  const left = valueOf(condition.left);
+
+  if (!condition.operator) {
+    return Array.isArray(left) ? left.length > 0 : !!left;
+  }
+
+  const right = valueOf(condition.right);
+  // Compare loosely on string form so "3" in case data matches 3 in the template
+  const equal = left === right || (!isMissing(left) && !isMissing(right) && String(left) === String(right));
+  return condition.operator === '==' ? equal : !equal;
+}
+
+/**
+ * Format a merge-field value for output
+ * @param {*} value - Field value
+ * @returns {string} Formatted value
+ */
+function formatValue(value) {
+  if (isMissing(value)) {
+    return '';
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString().slice(0, 10);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(formatValue).join(', ');
+  }
+
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+
+  return String(value);
+}
+
+/**
+ * Describe a path for missing-field reports, including loop positions
+ * @param {string} path - Field path
+ * @param {Array} scopes - Scope chain
+ * @returns {string} Fully qualified path
+ */
+function describePath(path, scopes) {
+  const [head] = path.split('.');
+
+  for (let i = scopes.length - 1; i > 0; i--) {
+    const { item, label } = scopes[i];
+    if (path === 'this') {
+      return label;
+    }
+    if (item !== null && typeof item === 'object' && hasOwn(item, head)) {
+      return `${label}.${path}`;
+    }
+  }
+
+  if (scopes.length > 1 && !(scopes[0].item && typeof scopes[0].item === 'object' && hasOwn(scopes[0].item, head))) {
+    // Not found anywhere: inside a loop, the field most likely belongs to the current item
+    return `${scopes[scopes.length - 1].label}.${path}`;
+  }
+
+  return path;
+}
+
+/**
+ * Walk nodes, producing output and recording missing fields
+ * @param {Array} nodes - Syntax tree nodes
+ * @param {Array} scopes - Scope chain
+ * @param {Object} state - Output buffer and missing-field set
+ */
+function walk(nodes, scopes, state) {
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        state.output += node.value;
+        break;
+
+      case 'field': {
+        const value = resolvePath(node.path, scopes);
+        if (isMissing(value) && !node.path.startsWith('@')) {
+          state.missing.add(describePath(node.path, scopes));
+        }
+        state.output += formatValue(value);
+        break;
+      }
+
+      case 'if':
+      case 'unless': {
+        const result = evaluateCondition(node.condition, scopes);
+        const branch = (node.type === 'if') === result ? node.children : node.alternate;
+        if (branch) {
+          walk(branch, scopes, state);
+        }
+        break;
+      }
+
+      case 'each': {
+        const list = resolvePath(node.path, scopes);
+        const label = describePath(node.path, scopes);
+
+        if (!Array.isArray(list) || list.length === 0) {
+          if (isMissing(list)) {
+            state.missing.add(label);
+          }
+          if (node.alternate) {
+            walk(node.alternate, scopes, state);
+          }
+          break;
+        }
+
+        list.forEach((item, index) => {
+          walk(node.children, [...scopes, { item, index, label: `${label}[${index}]` }], state);
+        });
+        break;
+      }
+
+      case 'include': {
+        const key = clauseKey(node.name, node.version);
+        const clause = state.clauses[key];
+        if (clause === undefined) {
+          const error = new Error(`Clause "${key}" referenced on line ${node.line} is not available`);
+          error.status = 422;
+          throw error;
+        }
+        walk(parse(clause), scopes, state);
+        break;
+      }
+
+      default:
+        break;
+    }
+  }
+}
+
+/**
+ * Build the lookup key for a clause reference
+ * @param {string} name - Clause name
+ * @param {number} version - Pinned version, or null for the latest
+ * @returns {string} Clause key
+ */
+function clauseKey(name, version) {
+  return version ? `${name}@${version}` : name;
+}
+
+/**
+ * Collect every clause a template includes
+ * @param {string} body - Template body
+ * @returns {Array<Object>} Clause references with name and pinned version (or null)
+ */
+function collectClauses(body) {
+  const clauses = new Map();
+
+  const visit = nodes => {
+    for (const node of nodes) {
+      if (node.type === 'include') {
+        clauses.set(clauseKey(node.name, node.version), { name: node.name, version: node.version });
+      }
+      if (node.children) {
+        visit(node.children);
+      }
+      if (node.alternate) {
+        visit(node.alternate);
+      }
+    }
+  };
+
+  visit(parse(body));
+  return Array.from(clauses.values());
+}
+
+/**
+ * Collect every field path referenced by a template
+ * @param {string} body - Template body
+ * @returns {Array<string>} Referenced field paths
+ */
+function collectFields(body) {
+  const fields = new Set();
+
+  const visit = (nodes, loopDepth) => {
+    for (const node of nodes) {
+      if (node.type === 'field' && loopDepth === 0 && !node.path.startsWith('@')) {
+        fields.add(node.path);
+      }
+      if (node.type === 'each') {
+        if (loopDepth === 0) {
+          fields.add(node.path);
+        }
+        visit(node.children, loopDepth + 1);
+        if (node.alternate) {
+          visit(node.alternate, loopDepth);
+        }
+      } else if (node.type === 'if' || node.type === 'unless') {
+        for (const operand of [node.condition.left, node.condition.right]) {
+          if (operand && operand.type === 'path' && loopDepth === 0 && !operand.path.startsWith('@')) {
+            fields.add(operand.path);
+          }
+        }
+        visit(node.children, loopDepth);
+        if (node.alternate) {
+          visit(node.alternate, loopDepth);
+        }
+      }
+    }
+  };
+
+  visit(parse(body), 0);
+  return Array.from(fields);
+}
+
+/**
+ * Find fields the data does not supply, without producing output
+ * @param {string} body - Template body
+ * @param {Object} data - Merge data
+ * @param {Array} schema - Merge-field schema (optional)
+ * @param {Object} clauses - Clause bodies keyed by name or name@version (optional)
+ * @returns {Array<string>} Missing field paths
+ */
+function findMissingFields(body, data, schema = [], clauses = {}) {
+  return render(body, data, schema, clauses).missingFields;
+}
+
+/**
+ * Render a template with merge data
+ * @param {string} body - Template body
+ * @param {Object} data - Merge data
+ * @param {Array} schema - Merge-field schema (optional)
+ * @param {Object} clauses - Clause bodies keyed by name or name@version (optional)
+ * @returns {Object} Rendered content and missing field paths
+ */
+function render(body, data = {}, schema = [], clauses = {}) {
+  const state = { output: '', missing: new Set(), clauses };
+  const scopes = [{ item: data, label: '' }];
+
+  for (const field of schema) {
+    if (field.required && isMissing(resolvePath(field.name, scopes))) {
+      state.missing.add(field.name);
+    }
+  }
+
+  walk(parse(body), scopes, state);
+
+  return {
+    content: state.output,
+    missingFields: Array.from(state.missing)
+  };
+}
+
+module.exports = {
+  parse,
+  render,
+  clauseKey,
+  collectFields,
+  collectClauses,
+  findMissingFields
+};
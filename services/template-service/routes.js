@@ -0,0 +1,519 @@
+/**
+ * Template Service Routes
+ * API routes for creating and managing document templates
+ */
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const router = express.Router();
+const config = require('../../config');
+const templateService = require('./service');
+const integrationService = require('../integration/service');
+const aiService = require('../ai-service/service');
+
+/**
+ * Send an error response using the error's status when it has one
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error to report
+ */
+function sendError(res, error) {
+  const status = error.status || 500;
+  res.status(status).json({
+    error: {
+      message: error.message,
+      status,
+      ...(error.missingFields && { missingFields: error.missingFields })
+    }
+  });
+}
+
+/**
+ * Identify the signed-in user making a request, from their session or from a bearer token
+ * signed with the JWT secret
+ * @param {Object} req - Express request object
+ * @returns {string|null} Username, or null if nobody is signed in
+ */
+function currentUser(req) {
+  const sessionUser = req.session && req.session.user;
+  if (sessionUser) {
+    return sessionUser.username || null;
+  }
+
+  const [scheme, token] = (req.get('authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return null;
+  }
+
+  try {
+    const payload = jwt.verify(token, config.auth.jwtSecret);
+    return payload.username || payload.sub || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Send a 404 response for a missing template version
+ * @param {Object} res - Express response object
+ * @param {Object} params - Route parameters with id and version
+ */
+function sendVersionNotFound(res, params) {
+  res.status(404).json({
+    error: {
+      message: `Version ${params.version} of template ${params.id} not found`,
+      status: 404
+    }
+  });
+}
+
+/**
+ * Build merge data from a request body, fetching case file data when a case file ID is given
+ * @param {Object} body - Request body with context and caseFileId
+ * @returns {Promise<Object>} Merge data
+ */
+async function buildMergeData(body) {
+  const { context, caseFileId } = body;
+  const caseFileData = caseFileId ? await integrationService.getCaseFileData(caseFileId) : null;
+  return templateService.buildMergeData(context, caseFileData);
+}
+
+/**
+ * Send a 404 response for a missing template
+ * @param {Object} res - Express response object
+ * @param {string} templateId - Template ID
+ */
+function sendNotFound(res, templateId) {
+  res.status(404).json({
+    error: {
+      message: `Template ${templateId} not found`,
+      status: 404
+    }
+  });
+}
+
+/**
+ * @route   GET /api/templates
+ * @desc    List templates
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { documentType, owner, search, limit, offset } = req.query;
+    const result = await templateService.listTemplates({ documentType, owner, search, limit, offset });
+    res.json(result);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   POST /api/templates
+ * @desc    Create a template
+ * @access  Private
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, description, documentType, body, fields, owner, author, changeNotes } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        error: {
+          message: 'Template name is required',
+          status: 400
+        }
+      });
+    }
+
+    if (!documentType) {
+      return res.status(400).json({
+        error: {
+          message: 'Document type is required',
+          status: 400
+        }
+      });
+    }
+
+    if (!body) {
+      return res.status(400).json({
+        error: {
+          message: 'Template body is required',
+          status: 400
+        }
+      });
+    }
+
+    const template = await templateService.createTemplate({
+      name,
+      description,
+      documentType,
+      body,
+      fields,
+      owner,
+      author,
+      changeNotes
+    });
+
+    res.status(201).json(template);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   GET /api/templates/:id
+ * @desc    Get template by ID
+ * @access  Private
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const template = await templateService.getTemplate(req.params.id);
+
+    if (!template) {
+      return sendNotFound(res, req.params.id);
+    }
+
+    res.json(template);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   PUT /api/templates/:id
+ * @desc    Update a template; body, fields or document type changes create a new draft version
+ * @access  Private
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const { name, description, documentType, body, fields, owner, author, changeNotes } = req.body;
+    const template = await templateService.updateTemplate(req.params.id, {
+      name,
+      description,
+      documentType,
+      body,
+      fields,
+      owner,
+      author,
+      changeNotes
+    });
+
+    if (!template) {
+      return sendNotFound(res, req.params.id);
+    }
+
+    res.json(template);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   POST /api/templates/:id/check
+ * @desc    Report merge fields that the supplied data does not fill
+ * @access  Private
+ */
+router.post('/:id/check', async (req, res) => {
+  try {
+    if (req.body.context !== undefined && typeof req.body.context !== 'object') {
+      return res.status(400).json({
+        error: {
+          message: 'Context data must be an object',
+          status: 400
+        }
+      });
+    }
+
+    const data = await buildMergeData(req.body);
+    const result = await templateService.checkTemplate(req.params.id, data, { version: req.body.version });
+
+    if (!result) {
+      return sendNotFound(res, req.params.id);
+    }
+
+    res.json(result);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   POST /api/templates/:id/render
+ * @desc    Render a template with merge data, optionally polishing the result with AI
+ * @access  Private
+ */
+router.post('/:id/render', async (req, res) => {
+  try {
+    const { context, allowMissing, polish, version, caseFileId } = req.body;
+
+    if (context !== undefined && typeof context !== 'object') {
+      return res.status(400).json({
+        error: {
+          message: 'Context data must be an object',
+          status: 400
+        }
+      });
+    }
+
+    if (polish && !aiService.isConfigured()) {
+      return res.status(503).json({
+        error: {
+          message: 'AI service is not properly configured',
+          status: 503
+        }
+      });
+    }
+
+    const data = await buildMergeData(req.body);
+    const result = await templateService.renderTemplate(req.params.id, data, {
+      allowMissing: !!allowMissing,
+      version
+    });
+
+    if (!result) {
+      return sendNotFound(res, req.params.id);
+    }
+
+    let content = result.content;
+    let metadata = null;
+    if (polish) {
+      const polished = await aiService.polishDocument({
+        content: result.content,
+        documentType: result.documentType
+      });
+      content = polished.content;
+      metadata = polished.metadata;
+    }
+
+    // Only published wording can reach an employee; renders of other versions are previews
+    let generation = null;
+    if (result.templateVersionStatus === 'published') {
+      generation = await templateService.recordGeneration({
+        rendered: result,
+        source: 'render',
+        content,
+        draft: result.content,
+        caseFileId,
+        metadata: metadata ? { model: metadata.model, usage: metadata.usage } : {}
+      });
+    }
+
+    res.json({
+      ...result,
+      content,
+      draft: polish ? result.content : undefined,
+      polished: !!polish,
+      preview: !generation,
+      generatedDocumentId: generation ? generation.id : null,
+      metadata: metadata || undefined
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   GET /api/templates/:id/generations
+ * @desc    List documents generated from a template, with the version each used
+ * @access  Private
+ */
+router.get('/:id/generations', async (req, res) => {
+  try {
+    const { version, caseFileId } = req.query;
+    const generations = await templateService.listGenerations(req.params.id, { version, caseFileId });
+
+    if (!generations) {
+      return sendNotFound(res, req.params.id);
+    }
+
+    res.json({ templateId: req.params.id, generations });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   GET /api/templates/:id/versions
+ * @desc    List template versions
+ * @access  Private
+ */
+router.get('/:id/versions', async (req, res) => {
+  try {
+    const versions = await templateService.listVersions(req.params.id);
+
+    if (!versions) {
+      return sendNotFound(res, req.params.id);
+    }
+
+    res.json({ templateId: req.params.id, versions });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   POST /api/templates/:id/versions
+ * @desc    Create a new draft version
+ * @access  Private
+ */
+router.post('/:id/versions', async (req, res) => {
+  try {
+    const { documentType, body, fields, author, changeNotes } = req.body;
+
+    if (!author) {
+      return res.status(400).json({
+        error: {
+          message: 'Version author is required',
+          status: 400
+        }
+      });
+    }
+
+    const version = await templateService.createVersion(req.params.id, {
+      documentType,
+      body,
+      fields,
+      author,
+      changeNotes
+    });
+
+    if (!version) {
+      return sendNotFound(res, req.params.id);
+    }
+
+    res.status(201).json(version);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   GET /api/templates/:id/versions/:version
+ * @desc    Get a template version
+ * @access  Private
+ */
+router.get('/:id/versions/:version', async (req, res) => {
+  try {
+    const version = await templateService.getVersion(req.params.id, req.params.version);
+
+    if (!version) {
+      return sendVersionNotFound(res, req.params);
+    }
+
+    res.json(version);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   POST /api/templates/:id/versions/:version/submit
+ * @desc    Submit a draft version for review
+ * @access  Private
+ */
+router.post('/:id/versions/:version/submit', async (req, res) => {
+  try {
+    const version = await templateService.submitVersion(req.params.id, req.params.version, req.body.submittedBy);
+
+    if (!version) {
+      return sendVersionNotFound(res, req.params);
+    }
+
+    res.json(version);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   POST /api/templates/:id/versions/:version/approve
+ * @desc    Approve and publish a version under review; the signed-in approver must not be the author
+ * @access  Private
+ */
+router.post('/:id/versions/:version/approve', async (req, res) => {
+  try {
+    const approver = currentUser(req);
+
+    if (!approver) {
+      return res.status(401).json({
+        error: {
+          message: 'Sign in to approve a template version',
+          status: 401
+        }
+      });
+    }
+
+    const version = await templateService.approveVersion(req.params.id, req.params.version, approver, req.body.notes);
+
+    if (!version) {
+      return sendVersionNotFound(res, req.params);
+    }
+
+    res.json(version);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   POST /api/templates/:id/versions/:version/reject
+ * @desc    Return a version under review to draft
+ * @access  Private
+ */
+router.post('/:id/versions/:version/reject', async (req, res) => {
+  try {
+    const { reviewer, notes } = req.body;
+    const version = await templateService.rejectVersion(req.params.id, req.params.version, reviewer, notes);
+
+    if (!version) {
+      return sendVersionNotFound(res, req.params);
+    }
+
+    res.json(version);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   POST /api/templates/:id/versions/:version/retire
+ * @desc    Retire a published version
+ * @access  Private
+ */
+router.post('/:id/versions/:version/retire', async (req, res) => {
+  try {
+    const version = await templateService.retireVersion(req.params.id, req.params.version, req.body.retiredBy);
+
+    if (!version) {
+      return sendVersionNotFound(res, req.params);
+    }
+
+    res.json(version);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route   DELETE /api/templates/:id
+ * @desc    Delete a template
+ * @access  Private
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await templateService.deleteTemplate(req.params.id);
+
+    if (!deleted) {
+      return sendNotFound(res, req.params.id);
+    }
+
+    res.json({
+      success: true,
+      message: `Template ${req.params.id} deleted successfully`,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,856 @@
+/**
+ * Template Service
+ * Handles storage, versioning and review of document templates
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4, validate: isUuid } = require('uuid');
+const database = require('../database/service');
+const { createError } = require('../errors');
+const renderer = require('./renderer');
+const clauseService = require('./clauseService');
+
+const FIELD_TYPES = ['string', 'number', 'date', 'boolean', 'list', 'object'];
+
+/**
+ * Validate and normalize a merge-field schema
+ * @param {Array} fields - Merge-field definitions
+ * @returns {Array} Normalized merge-field definitions
+ */
+function normalizeFields(fields = []) {
+  if (!Array.isArray(fields)) {
+    throw createError('Fields must be an array', 400);
+  }
+
+  const names = new Set();
+  return fields.map(field => {
+    if (!field || typeof field.name !== 'string' || !field.name.trim()) {
+      throw createError('Every field requires a name', 400);
+    }
+
+    const name = field.name.trim();
+    if (names.has(name)) {
+      throw createError(`Duplicate field name: ${name}`, 400);
+    }
+    names.add(name);
+
+    const type = field.type || 'string';
+    if (!FIELD_TYPES.includes(type)) {
+      throw createError(`Unsupported type "${type}" for field ${name}`, 400);
+    }
+
+    return {
+      name,
+      type,
+      required: !!field.required,
+      description: field.description || ''
+    };
+  });
+}
+
+/**
+ * Map a database row to a template object
+ * @param {Object} row - Database row
+ * @returns {Object} Template
+ */
+function toTemplate(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description || '',
+    documentType: row.document_type,
+    body: row.body,
+    fields: row.fields || [],
+    owner: row.owner,
+    latestVersion: row.latest_version,
+    publishedVersion: row.published_version,
+    createdAt: row.created_at.toISOString(),
+    updatedAt: row.updated_at.toISOString()
+  };
+}
+
+/**
+ * Map a database row to a template version object
+ * @param {Object} row - Database row
+ * @returns {Object} Template version
+ */
+function toVersion(row) {
+  const timestamp = value => (value ? value.toISOString() : null);
+  return {
+    id: row.id,
+    templateId: row.template_id,
+    version: row.version,
+    status: row.status,
+    documentType: row.document_type,
+    body: row.body,
+    fields: row.fields || [],
+    author: row.author,
+    changeNotes: row.change_notes || '',
+    submittedBy: row.submitted_by,
+    submittedAt: timestamp(row.submitted_at),
+    reviewedBy: row.reviewed_by,
+    reviewedAt: timestamp(row.reviewed_at),
+    reviewNotes: row.review_notes || '',
+    publishedAt: timestamp(row.published_at),
+    retiredBy: row.retired_by,
+    retiredAt: timestamp(row.retired_at),
+    createdAt: timestamp(row.created_at)
+  };
+}
+
+/**
+ * Map a database row to a generated document record
+ * @param {Object} row - Database row
+ * @returns {Object} Generated document record
+ */
+function toGeneration(row) {
+  return {
+    id: row.id,
+    templateId: row.template_id,
+    templateVersionId: row.template_version_id,
+    templateVersion: row.template_version,
+    documentType: row.document_type,
+    source: row.source,
+    caseFileId: row.case_file_id,
+    content: row.content,
+    contentHash: row.content_hash,
+    draft: row.draft,
+    clauseVersions: row.clause_versions || [],
+    metadata: row.metadata || {},
+    createdAt: row.created_at.toISOString()
+  };
+}
+
+/**
+ * Check that two people are different, ignoring case and surrounding whitespace
+ * @param {string} a - First person
+ * @param {string} b - Second person
+ * @returns {boolean} True if they are the same person
+ */
+function isSamePerson(a, b) {
+  return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+/**
+ * Insert a new draft version and point the template at it
+ * @param {Object} client - Transaction client
+ * @param {string} templateId - Template ID
+ * @param {Object} content - Version content
+ * @returns {Promise<Object>} Inserted version row
+ */
+async function insertVersion(client, templateId, content) {
+  const { rows: locked } = await client.query(
+    'SELECT latest_version FROM templates WHERE id = $1 FOR UPDATE',
+    [templateId]
+  );
+  const version = locked.length > 0 && locked[0].latest_version ? locked[0].latest_version + 1 : 1;
+
+  const { rows } = await client.query(
+    `INSERT INTO template_versions (id, template_id, version, status, document_type, body, fields, author, change_notes)
+     VALUES ($1, $2, $3, 'draft', $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [
+      uuidv4(),
+      templateId,
+      version,
+      content.documentType,
+      content.body,
+      JSON.stringify(content.fields),
+      content.author,
+      content.changeNotes || null
+    ]
+  );
+
+  await client.query(
+    `UPDATE templates SET latest_version = $2, document_type = $3, body = $4, fields = $5, updated_at = NOW()
+     WHERE id = $1`,
+    [templateId, version, content.documentType, content.body, JSON.stringify(content.fields)]
+  );
+
+  return rows[0];
+}
+
+class TemplateService {
+  /**
+   * List templates
+   * @param {Object} filters - Listing filters
+   * @param {string} filters.documentType - Filter by document type (optional)
+   * @param {string} filters.owner - Filter by owner (optional)
+   * @param {string} filters.search - Case-insensitive name search (optional)
+   * @param {number} filters.limit - Maximum number of results (optional)
+   * @param {number} filters.offset - Number of results to skip (optional)
+   * @returns {Promise<Object>} Templates and total count
+   */
+  async listTemplates(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.documentType) {
+      params.push(filters.documentType);
+      conditions.push(`document_type = $${params.length}`);
+    }
+
+    if (filters.owner) {
+      params.push(filters.owner);
+      conditions.push(`owner = $${params.length}`);
+    }
+
+    if (filters.search) {
+      params.push(`%${filters.search}%`);
+      conditions.push(`name ILIKE $${params.length}`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 50, 1), 200);
+    const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+
+    try {
+      const countResult = await database.query(`SELECT COUNT(*) AS total FROM templates ${where}`, params);
+      const { rows } = await database.query(
+        `SELECT * FROM templates ${where} ORDER BY name ASC LIMIT ${limit} OFFSET ${offset}`,
+        params
+      );
+
+      return {
+        templates: rows.map(toTemplate),
+        total: parseInt(countResult.rows[0].total, 10),
+        limit,
+        offset
+      };
+    } catch (error) {
+      throw new Error(`Failed to list templates: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get template by ID
+   * @param {string} templateId - Template ID
+   * @returns {Promise<Object|null>} Template, or null if not found
+   */
+  async getTemplate(templateId) {
+    if (!isUuid(templateId)) {
+      return null;
+    }
+
+    try {
+      const { rows } = await database.query('SELECT * FROM templates WHERE id = $1', [templateId]);
+      return rows.length > 0 ? toTemplate(rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Failed to get template: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a template and its first draft version
+   * @param {Object} data - Template data
+   * @param {string} data.name - Template name
+   * @param {string} data.documentType - Type of document the template produces
+   * @param {string} data.body - Template body
+   * @param {Array} data.fields - Merge-field schema (optional)
+   * @param {string} data.description - Template description (optional)
+   * @param {string} data.owner - Template owner (optional)
+   * @param {string} data.author - Author of the first version (defaults to the owner)
+   * @returns {Promise<Object>} Created template
+   */
+  async createTemplate(data) {
+    const { name, documentType, body, description, owner } = data;
+    const author = data.author || owner;
+
+    if (!name) {
+      throw createError('Template name is required', 400);
+    }
+
+    if (!documentType) {
+      throw createError('Document type is required', 400);
+    }
+
+    if (!body) {
+      throw createError('Template body is required', 400);
+    }
+
+    if (!author) {
+      throw createError('Template author or owner is required', 400);
+    }
+
+    const fields = normalizeFields(data.fields);
+    await clauseService.resolveClauses(renderer.collectClauses(body));
+
+    try {
+      return await database.transaction(async client => {
+        const templateId = uuidv4();
+        await client.query(
+          `INSERT INTO templates (id, name, description, document_type, body, fields, owner, latest_version)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, 0)`,
+          [templateId, name, description || null, documentType, body, JSON.stringify(fields), owner || null]
+        );
+        await insertVersion(client, templateId, { documentType, body, fields, author, changeNotes: data.changeNotes });
+
+        const { rows } = await client.query('SELECT * FROM templates WHERE id = $1', [templateId]);
+        return toTemplate(rows[0]);
+      });
+    } catch (error) {
+      throw new Error(`Failed to create template: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update a template; content changes create a new draft version
+   * @param {string} templateId - Template ID
+   * @param {Object} updates - Fields to update
+   * @param {string} updates.author - Author of the new version when content changes
+   * @returns {Promise<Object|null>} Updated template, or null if not found
+   */
+  async updateTemplate(templateId, updates) {
+    if (!isUuid(templateId)) {
+      return null;
+    }
+
+    const columns = {
+      name: 'name',
+      description: 'description',
+      owner: 'owner'
+    };
+    const assignments = [];
+    const params = [templateId];
+
+    for (const [key, column] of Object.entries(columns)) {
+      if (updates[key] !== undefined) {
+        if (key === 'name' && !updates.name) {
+          throw createError('Template name cannot be empty', 400);
+        }
+        params.push(updates[key]);
+        assignments.push(`${column} = $${params.length}`);
+      }
+    }
+
+    const contentChanged = ['body', 'fields', 'documentType'].some(key => updates[key] !== undefined);
+
+    if (assignments.length === 0 && !contentChanged) {
+      throw createError('No template fields to update', 400);
+    }
+
+    if (updates.body) {
+      await clauseService.resolveClauses(renderer.collectClauses(updates.body));
+    }
+
+    try {
+      return await database.transaction(async client => {
+        const { rows: existing } = await client.query('SELECT * FROM templates WHERE id = $1', [templateId]);
+        if (existing.length === 0) {
+          return null;
+        }
+
+        if (assignments.length > 0) {
+          await client.query(
+            `UPDATE templates SET ${assignments.join(', ')}, updated_at = NOW() WHERE id = $1`,
+            params
+          );
+        }
+
+        if (contentChanged) {
+          await insertVersion(client, templateId, this.prepareVersionContent(toTemplate(existing[0]), updates));
+        }
+
+        const { rows } = await client.query('SELECT * FROM templates WHERE id = $1', [templateId]);
+        return toTemplate(rows[0]);
+      });
+    } catch (error) {
+      if (error.status) {
+        throw error;
+      }
+      throw new Error(`Failed to update template: ${error.message}`);
+    }
+  }
+
+  /**
+   * Merge content changes over the latest template content and validate them
+   * @param {Object} template - Current template
+   * @param {Object} changes - Content changes and author
+   * @returns {Object} Version content
+   */
+  prepareVersionContent(template, changes) {
+    const content = {
+      documentType: changes.documentType !== undefined ? changes.documentType : template.documentType,
+      body: changes.body !== undefined ? changes.body : template.body,
+      fields: changes.fields !== undefined ? normalizeFields(changes.fields) : template.fields,
+      author: changes.author,
+      changeNotes: changes.changeNotes
+    };
+
+    if (!content.documentType) {
+      throw createError('Document type cannot be empty', 400);
+    }
+
+    if (!content.body) {
+      throw createError('Template body cannot be empty', 400);
+    }
+
+    if (!content.author) {
+      throw createError('Version author is required', 400);
+    }
+
+    renderer.parse(content.body);
+    return content;
+  }
+
+  /**
+   * List the versions of a template
+   * @param {string} templateId - Template ID
+   * @returns {Promise<Array|null>} Versions, newest first, or null if the template is not found
+   */
+  async listVersions(templateId) {
+    if (!(await this.getTemplate(templateId))) {
+      return null;
+    }
+
+    try {
+      const { rows } = await database.query(
+        'SELECT * FROM template_versions WHERE template_id = $1 ORDER BY version DESC',
+        [templateId]
+      );
+      return rows.map(toVersion);
+    } catch (error) {
+      throw new Error(`Failed to list template versions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a template version
+   * @param {string} templateId - Template ID
+   * @param {number} version - Version number
+   * @returns {Promise<Object|null>} Version, or null if not found
+   */
+  async getVersion(templateId, version) {
+    const versionNumber = parseInt(version, 10);
+    if (!isUuid(templateId) || !Number.isInteger(versionNumber)) {
+      return null;
+    }
+
+    try {
+      const { rows } = await database.query(
+        'SELECT * FROM template_versions WHERE template_id = $1 AND version = $2',
+        [templateId, versionNumber]
+      );
+      return rows.length > 0 ? toVersion(rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Failed to get template version: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a new draft version from the latest content with changes applied
+   * @param {string} templateId - Template ID
+   * @param {Object} data - Version content and author
+   * @returns {Promise<Object|null>} Created version, or null if the template is not found
+   */
+  async createVersion(templateId, data) {
+    const template = await this.getTemplate(templateId);
+    if (!template) {
+      return null;
+    }
+
+    const content = this.prepareVersionContent(template, data);
+    await clauseService.resolveClauses(renderer.collectClauses(content.body));
+
+    try {
+      const row = await database.transaction(client => insertVersion(client, templateId, content));
+      return toVersion(row);
+    } catch (error) {
+      throw new Error(`Failed to create template version: ${error.message}`);
+    }
+  }
+
+  /**
+   * Submit a draft version for legal review
+   * @param {string} templateId - Template ID
+   * @param {number} version - Version number
+   * @param {string} submittedBy - Person submitting the version
+   * @returns {Promise<Object|null>} Updated version, or null if not found
+   */
+  async submitVersion(templateId, version, submittedBy) {
+    if (!submittedBy) {
+      throw createError('Submitter is required', 400);
+    }
+
+    return this.transitionVersion(templateId, version, 'draft', async (client, row) => {
+      const { rows } = await client.query(
+        `UPDATE template_versions SET status = 'in_review', submitted_by = $2, submitted_at = NOW(),
+           reviewed_by = NULL, reviewed_at = NULL, review_notes = NULL
+         WHERE id = $1 RETURNING *`,
+        [row.id, submittedBy]
+      );
+      return rows[0];
+    });
+  }
+
+  /**
+   * Approve a version under review and publish it, retiring the previously published version
+   * @param {string} templateId - Template ID
+   * @param {number} version - Version number
+   * @param {string} approver - Person approving the version; must not be its author
+   * @param {string} notes - Review notes (optional)
+   * @returns {Promise<Object|null>} Published version, or null if not found
+   */
+  async approveVersion(templateId, version, approver, notes) {
+    if (!approver) {
+      throw createError('Approver is required', 400);
+    }
+
+    return this.transitionVersion(templateId, version, 'in_review', async (client, row) => {
+      if (!row.author || isSamePerson(row.author, approver)) {
+        throw createError('A version must be approved by someone other than its author', 403);
+      }
+
+      await client.query(
+        `UPDATE template_versions SET status = 'retired', retired_by = $2, retired_at = NOW()
+         WHERE template_id = $1 AND status = 'published'`,
+        [templateId, approver]
+      );
+
+      const { rows } = await client.query(
+        `UPDATE template_versions SET status = 'published', reviewed_by = $2, reviewed_at = NOW(),
+           review_notes = $3, published_at = NOW()
+         WHERE id = $1 RETURNING *`,
+        [row.id, approver, notes || null]
+      );
+
+      await client.query(
+        'UPDATE templates SET published_version = $2, updated_at = NOW() WHERE id = $1',
+        [templateId, row.version]
+      );
+
+      return rows[0];
+    });
+  }
+
+  /**
+   * Return a version under review to draft with reviewer notes
+   * @param {string} templateId - Template ID
+   * @param {number} version - Version number
+   * @param {string} reviewer - Person rejecting the version
+   * @param {string} notes - Reason for rejection
+   * @returns {Promise<Object|null>} Updated version, or null if not found
+   */
+  async rejectVersion(templateId, version, reviewer, notes) {
+    if (!reviewer) {
+      throw createError('Reviewer is required', 400);
+    }
+
+    return this.transitionVersion(templateId, version, 'in_review', async (client, row) => {
+      const { rows } = await client.query(
+        `UPDATE template_versions SET status = 'draft', reviewed_by = $2, reviewed_at = NOW(), review_notes = $3
+         WHERE id = $1 RETURNING *`,
+        [row.id, reviewer, notes || null]
+      );
+      return rows[0];
+    });
+  }
+
+  /**
+   * Retire a published version so it can no longer be used for generation
+   * @param {string} templateId - Template ID
+   * @param {number} version - Version number
+   * @param {string} retiredBy - Person retiring the version
+   * @returns {Promise<Object|null>} Updated version, or null if not found
+   */
+  async retireVersion(templateId, version, retiredBy) {
+    if (!retiredBy) {
+      throw createError('Person retiring the version is required', 400);
+    }
+
+    return this.transitionVersion(templateId, version, 'published', async (client, row) => {
+      const { rows } = await client.query(
+        `UPDATE template_versions SET status = 'retired', retired_by = $2, retired_at = NOW()
+         WHERE id = $1 RETURNING *`,
+        [row.id, retiredBy]
+      );
+
+      await client.query(
+        'UPDATE templates SET published_version = NULL, updated_at = NOW() WHERE id = $1 AND published_version = $2',
+        [templateId, row.version]
+      );
+
+      return rows[0];
+    });
+  }
+
+  /**
+   * Move a version between workflow states inside a transaction
+   * @param {string} templateId - Template ID
+   * @param {number} version - Version number
+   * @param {string} expectedStatus - Status the version must currently have
+   * @param {Function} apply - Performs the transition and returns the updated row
+   * @returns {Promise<Object|null>} Updated version, or null if not found
+   */
+  async transitionVersion(templateId, version, expectedStatus, apply) {
+    const versionNumber = parseInt(version, 10);
+    if (!isUuid(templateId) || !Number.isInteger(versionNumber)) {
+      return null;
+    }
+
+    try {
+      const row = await database.transaction(async client => {
+        const { rows } = await client.query(
+          'SELECT * FROM template_versions WHERE template_id = $1 AND version = $2 FOR UPDATE',
+          [templateId, versionNumber]
+        );
+
+        if (rows.length === 0) {
+          return null;
+        }
+
+        if (rows[0].status !== expectedStatus) {
+          throw createError(`Version ${versionNumber} is ${rows[0].status}, expected ${expectedStatus}`, 409);
+        }
+
+        return apply(client, rows[0]);
+      });
+
+      return row ? toVersion(row) : null;
+    } catch (error) {
+      if (error.status) {
+        throw error;
+      }
+      throw new Error(`Failed to update template version: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resolve the version to render: the requested one, or the published one
+   * @param {Object} template - Template
+   * @param {number} version - Requested version number (optional)
+   * @returns {Promise<Object>} Template version
+   */
+  async resolveVersion(template, version) {
+    if (version !== undefined && version !== null) {
+      const requested = await this.getVersion(template.id, version);
+      if (!requested) {
+        throw createError(`Template ${template.id} has no version ${version}`, 404);
+      }
+      return requested;
+    }
+
+    if (!template.publishedVersion) {
+      throw createError(`Template ${template.id} has no published version`, 409);
+    }
+
+    return this.getVersion(template.id, template.publishedVersion);
+  }
+
+  /**
+   * Build merge data from call context and case file data
+   * @param {Object} context - Context data supplied by the caller
+   * @param {Object} caseFileData - Case file data from HR Case Management (optional)
+   * @returns {Object} Merge data
+   */
+  buildMergeData(context = {}, caseFileData = null) {
+    if (!caseFileData) {
+      return { ...context };
+    }
+
+    // Case file responses are wrapped as { caseFile: {...} }; accept a bare case file too
+    const caseData = caseFileData.caseFile ? caseFileData : { caseFile: caseFileData };
+    return { ...caseData, ...context };
+  }
+
+  /**
+   * Report which merge fields a template needs that the data does not supply
+   * @param {string} templateId - Template ID
+   * @param {Object} data - Merge data
+   * @param {Object} options - Check options
+   * @param {number} options.version - Version to check (defaults to the published version)
+   * @returns {Promise<Object|null>} Field report, or null if the template is not found
+   */
+  async checkTemplate(templateId, data = {}, options = {}) {
+    const template = await this.getTemplate(templateId);
+    if (!template) {
+      return null;
+    }
+
+    const version = await this.resolveVersion(template, options.version);
+    const clauses = await clauseService.resolveClauses(renderer.collectClauses(version.body));
+    const missingFields = renderer.findMissingFields(version.body, data, version.fields, clauses.bodies);
+    return {
+      templateId,
+      templateVersion: version.version,
+      referencedFields: renderer.collectFields(version.body),
+      clauses: clauses.versions,
+      missingFields,
+      complete: missingFields.length === 0
+    };
+  }
+
+  /**
+   * Render a template with merge data
+   * @param {string} templateId - Template ID
+   * @param {Object} data - Merge data
+   * @param {Object} options - Rendering options
+   * @param {boolean} options.allowMissing - Render even when fields are missing (optional)
+   * @param {number} options.version - Version to render (defaults to the published version)
+   * @returns {Promise<Object|null>} Rendered document, or null if the template is not found
+   */
+  async renderTemplate(templateId, data = {}, options = {}) {
+    const template = await this.getTemplate(templateId);
+    if (!template) {
+      return null;
+    }
+
+    const version = await this.resolveVersion(template, options.version);
+    const clauses = await clauseService.resolveClauses(renderer.collectClauses(version.body));
+    const { content, missingFields } = renderer.render(version.body, data, version.fields, clauses.bodies);
+
+    if (missingFields.length > 0 && !options.allowMissing) {
+      const error = createError(`Missing merge fields: ${missingFields.join(', ')}`, 422);
+      error.missingFields = missingFields;
+      throw error;
+    }
+
+    return {
+      templateId,
+      templateVersionId: version.id,
+      templateVersion: version.version,
+      templateVersionStatus: version.status,
+      documentType: version.documentType,
+      clauses: clauses.versions,
+      content,
+      missingFields,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Record a document generated from a template version
+   * @param {Object} data - Generation data
+   * @param {string} data.id - ID to record the document under, when it was handed out before recording (optional)
+   * @param {Object} data.rendered - Result of renderTemplate
+   * @param {string} data.source - Where the document was generated ('render', 'ai', 'integration')
+   * @param {string} data.content - Final document content
+   * @param {string} data.draft - Rendered draft before AI polishing (optional)
+   * @param {string} data.caseFileId - Case file ID (optional)
+   * @param {Object} data.metadata - Additional metadata (optional)
+   * @returns {Promise<Object>} Generated document record
+   */
+  async recordGeneration(data) {
+    const { id, rendered, source, content, draft, caseFileId, metadata } = data;
+
+    try {
+      const { rows } = await database.query(
+        `INSERT INTO generated_documents (id, template_id, template_version_id, template_version, document_type,
+           source, case_file_id, content, content_hash, draft, clause_versions, metadata)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+         RETURNING *`,
+        [
+          id || uuidv4(),
+          rendered.templateId,
+          rendered.templateVersionId,
+          rendered.templateVersion,
+          rendered.documentType,
+          source,
+          caseFileId || null,
+          content,
+          crypto.createHash('sha256').update(content).digest('hex'),
+          draft && draft !== content ? draft : null,
+          JSON.stringify(rendered.clauses || []),
+          JSON.stringify(metadata || {})
+        ]
+      );
+      return toGeneration(rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to record generated document: ${error.message}`);
+    }
+  }
+
+  /**
+   * List documents generated from a template
+   * @param {string} templateId - Template ID
+   * @param {Object} filters - Listing filters
+   * @param {number} filters.version - Filter by template version (optional)
+   * @param {string} filters.caseFileId - Filter by case file (optional)
+   * @returns {Promise<Array|null>} Generated documents, or null if the template is not found
+   */
+  async listGenerations(templateId, filters = {}) {
+    if (!(await this.getTemplate(templateId))) {
+      return null;
+    }
+
+    const conditions = ['template_id = $1'];
+    const params = [templateId];
+
+    if (filters.version) {
+      params.push(parseInt(filters.version, 10));
+      conditions.push(`template_version = $${params.length}`);
+    }
+
+    if (filters.caseFileId) {
+      params.push(filters.caseFileId);
+      conditions.push(`case_file_id = $${params.length}`);
+    }
+
+    try {
+      const { rows } = await database.query(
+        `SELECT * FROM generated_documents WHERE ${conditions.join(' AND ')} ORDER BY created_at DESC`,
+        params
+      );
+      return rows.map(toGeneration);
+    } catch (error) {
+      throw new Error(`Failed to list generated documents: ${error.message}`);
+    }
+  }
+
+  /**
+   * Render previews of every template version that follows the latest wording of a clause
+   * @param {string} name - Clause name
+   * @param {Object} data - Merge data for the previews
+   * @returns {Promise<Array>} Previews, with missing fields reported rather than failing
+   */
+  async previewClauseUsage(name, data = {}) {
+    const usage = await clauseService.findClauseUsage(name);
+    const previews = [];
+
+    for (const entry of usage.filter(item => item.followsLatest)) {
+      try {
+        const rendered = await this.renderTemplate(entry.templateId, data, {
+          version: entry.templateVersion,
+          allowMissing: true
+        });
+        previews.push({ ...entry, content: rendered.content, missingFields: rendered.missingFields, clauses: rendered.clauses });
+      } catch (error) {
+        previews.push({ ...entry, error: error.message });
+      }
+    }
+
+    return previews;
+  }
+
+  /**
+   * Delete a template
+   * @param {string} templateId - Template ID
+   * @returns {Promise<boolean>} True if a template was deleted
+   */
+  async deleteTemplate(templateId) {
+    if (!isUuid(templateId)) {
+      return false;
+    }
+
+    try {
+      // Generated documents must keep pointing at the wording they were produced from
+      const { rows } = await database.query(
+        'SELECT COUNT(*) AS total FROM generated_documents WHERE template_id = $1',
+        [templateId]
+      );
+      if (parseInt(rows[0].total, 10) > 0) {
+        throw createError('Template has generated documents; retire its versions instead of deleting it', 409);
+      }
+
+      const { rowCount } = await database.query('DELETE FROM templates WHERE id = $1', [templateId]);
+      return rowCount > 0;
+    } catch (error) {
+      if (error.status) {
+        throw error;
+      }
+      throw new Error(`Failed to delete template: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new TemplateService();